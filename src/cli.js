@@ -7,11 +7,14 @@
  *   start     Start the Express/Socket.io server
  *   generate  Generate a note sequence and print it
  *   demo      Generate a demo MIDI-like output to console
+ *   export    Generate a sequence and write it as a Standard MIDI File
  *
  * Usage:
  *   npx example-generative-music start
  *   npx example-generative-music generate --scale pentatonic --length 16
- *   npx example-generative-music demo
+ *   npx example-generative-music demo --rhythm x..x.x.. --tuplet "eighth 7:8" --out demo.mid
+ *   npx example-generative-music export --scale minor --out sequence.mid
+ *   npx example-generative-music export --scale dorian --voices 4 --out chorale.mid
  */
 
 'use strict';
@@ -43,10 +46,21 @@ function hasFlag(name) {
  * start — Launch the server.
  */
 function cmdStart() {
-  const port = getFlag('port', process.env.PORT || '3000');
-  process.env.PORT = port;
+  const { createServer } = require(path.join(__dirname, 'server', 'index.js'));
+  const port = parseInt(getFlag('port', process.env.PORT || '3000'), 10);
   console.log(`Starting server on port ${port}...`);
-  require(path.join(__dirname, 'server', 'index.js'));
+
+  const instance = createServer({ port });
+  instance.start().then(({ port: bound }) => {
+    console.log(`Listening on http://localhost:${bound}`);
+  }).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => instance.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
 }
 
 /**
@@ -88,10 +102,14 @@ function cmdGenerate() {
  * demo — Generate a demo MIDI-like output with recursion and scheduling.
  */
 function cmdDemo() {
-  const { generateSequence, applyRecursion, transpose, midiToNoteName } = require(
-    path.join(__dirname, 'server', 'generator.js')
-  );
+  const {
+    generateSequence, applyRecursion, transpose, midiToNoteName, euclidean, accentPattern, rhythmToEvents,
+  } = require(path.join(__dirname, 'server', 'generator.js'));
   const { Scheduler } = require(path.join(__dirname, 'server', 'scheduler.js'));
+  const [pulses, steps, rotation] = getFlag('euclid', '5,16').split(',').map(Number);
+  const rhythm = parseRhythm(getFlag('rhythm', 'x.xx.'));
+  const tupletSpec = getFlag('tuplet', 'sixteenth 5:4');
+  const out = getFlag('out', null);
 
   console.log('=== Omni-Dromenon Engine — Demo Output ===');
   console.log('');
@@ -133,9 +151,136 @@ function cmdDemo() {
   console.log('');
   console.log(`Total sequence duration: ${scheduler.getTotalDuration().toFixed(0)}ms`);
   console.log('');
+
+  // Phase the melody against a rhythm of a different length
+  const phased = new Scheduler(120);
+  phased.addTrack('melody', { channel: 0 });
+  phased.addTrack('tuplets', { channel: 1 });
+  phased.addTrack('rhythm', { channel: 9 });
+  const onsets = rhythm.filter(Boolean).length;
+  const events = phased.schedulePattern(base, rhythm, { step: 'sixteenth', track: 'melody', gate: 0.9 });
+  const cycles = events.length / onsets;
+  console.log(
+    `5. Melody (${base.length} notes) against rhythm ${formatRhythm(rhythm)} ` +
+      `(${onsets} onsets per ${rhythm.length} steps), realigning after ${cycles} cycles:`
+  );
+  for (let c = 0; c < cycles; c++) {
+    const notes = events.slice(c * onsets, (c + 1) * onsets).map((e) => midiToNoteName(e.note));
+    let n = 0;
+    const cells = rhythm.map((on) => (on ? notes[n++] : '.').padEnd(4));
+    console.log(`   Cycle ${String(c + 1).padStart(2)}: ${cells.join('').trimEnd()}`);
+  }
+  console.log('');
+
+  // Tuplets against straight notes of their base subdivision
+  const tuplets = phased.schedulePattern(transposed, [1], {
+    step: tupletSpec,
+    steps: transposed.length,
+    track: 'tuplets',
+    velocity: 80,
+  });
+  const baseName = tupletSpec.trim().split(/\s+/)[0];
+  const straight = [0, 1, 2, 3, 4].map((i) => phased.getSubdivisionDuration(baseName) * i);
+  console.log(`6. Tuplets (${tupletSpec}) against straight ${baseName} notes:`);
+  console.log(`   Straight: ${straight.map((t) => t.toFixed(0).padStart(5)).join('')} ms`);
+  console.log(`   Tuplet:   ${tuplets.slice(0, 5).map((e) => e.time.toFixed(0).padStart(5)).join('')} ms`);
+  console.log('');
+
+  // Euclidean rhythm, with accents spread over its onsets the same way
+  const euclid = euclidean(pulses, steps, rotation || 0);
+  const accented = pulses > 0 ? euclidean(Math.ceil(pulses / 2), pulses) : [];
+  let onset = 0;
+  const accents = euclid.map((on) => on && accented[onset++]);
+  const velocities = accentPattern(accents, { variation: 6, seed: 42 });
+  const hits = rhythmToEvents(euclid, {
+    stepMs: phased.getSubdivisionDuration('sixteenth'),
+    gate: 0.5,
+    velocities,
+    cycles: 2,
+  });
+  hits.forEach((hit) => phased.scheduleNote(37, hit.time, hit.duration, hit.velocity, 'rhythm'));
+  const grid = euclid.map((on, i) => (on ? (accents[i] ? 'X' : 'x') : '.')).join('');
+  console.log(`7. Euclidean rhythm E(${pulses},${steps}${rotation ? `,${rotation}` : ''}), X = accent:`);
+  console.log(`   ${grid}`);
+  console.log(`   Velocities: ${hits.slice(0, pulses).map((h) => h.velocity).join(' ')}`);
+  console.log('');
+
+  if (out) {
+    const fs = require('fs');
+    const { exportScheduler } = require(path.join(__dirname, 'server', 'midi-export.js'));
+    fs.writeFileSync(out, exportScheduler(phased));
+    console.log(`Wrote the phasing, tuplet and rhythm demo to ${out}`);
+    console.log('');
+  }
+
   console.log('Demo complete.');
 }
 
+/**
+ * Parse a rhythm string: "x" (or "X") is an onset, anything else a rest.
+ */
+function parseRhythm(str) {
+  const steps = [...String(str)].map((c) => c === 'x' || c === 'X');
+  if (!steps.some(Boolean)) {
+    console.error(`Rhythm needs at least one onset ("x"), got "${str}"`);
+    process.exit(1);
+  }
+  return steps;
+}
+
+function formatRhythm(steps) {
+  return steps.map((on) => (on ? 'x' : '.')).join('');
+}
+
+/**
+ * export — Generate a sequence, schedule it and write a .mid file.
+ */
+function cmdExport() {
+  const fs = require('fs');
+  const { generateSequence, applyRecursion } = require(
+    path.join(__dirname, 'server', 'generator.js')
+  );
+  const { Scheduler } = require(path.join(__dirname, 'server', 'scheduler.js'));
+  const { exportScheduler } = require(path.join(__dirname, 'server', 'midi-export.js'));
+
+  const scale = getFlag('scale', 'pentatonic');
+  const length = parseInt(getFlag('length', '16'), 10);
+  const seed = parseInt(getFlag('seed', '42'), 10);
+  const root = parseInt(getFlag('root', '60'), 10);
+  const depth = parseInt(getFlag('depth', '0'), 10);
+  const bpm = parseFloat(getFlag('bpm', '120'));
+  const subdivision = getFlag('subdivision', 'eighth');
+  const format = parseInt(getFlag('format', '1'), 10);
+  const out = getFlag('out', 'sequence.mid');
+  const voices = getFlag('voices', null);
+
+  if (voices) {
+    const { generateCounterpoint, scheduleVoices } = require(path.join(__dirname, 'server', 'counterpoint.js'));
+    const parts = generateCounterpoint(length, { voices: parseInt(voices, 10), scale, seed, root });
+    const scheduler = new Scheduler(bpm);
+    const events = scheduleVoices(scheduler, parts, { stepMs: scheduler.getSubdivisionDuration(subdivision) });
+    const bytes = exportScheduler(scheduler, { format });
+    fs.writeFileSync(out, bytes);
+
+    console.log(`Wrote ${parts.length} voices (${events.length} notes) to ${out}`);
+    console.log(`  ${parts.map((p) => p.name).join(', ')}; SMF type ${format}, ${bpm} BPM, ${bytes.length} bytes`);
+    return;
+  }
+
+  const sequence = applyRecursion(generateSequence(length, scale, seed, root), depth);
+  const scheduler = new Scheduler(bpm);
+  const step = scheduler.getSubdivisionDuration(subdivision);
+  sequence.forEach((note, i) => {
+    scheduler.scheduleNote(note, i * step, step);
+  });
+
+  const bytes = exportScheduler(scheduler, { format, trackName: `${scale} (seed ${seed})` });
+  fs.writeFileSync(out, bytes);
+
+  console.log(`Wrote ${sequence.length} notes to ${out}`);
+  console.log(`  SMF type ${format}, ${bpm} BPM, ${subdivision} notes, ${bytes.length} bytes`);
+}
+
 // =============================================================================
 // HELP
 // =============================================================================
@@ -159,6 +304,22 @@ Commands:
     --list-scales       List available scales
 
   demo                  Run a demo showing generation, recursion, scheduling
+    --rhythm <pattern>  Rhythm to phase the melody against (default: x.xx.)
+    --tuplet <spec>     Tuplet subdivision (default: "sixteenth 5:4")
+    --euclid <k,n[,r]>  Euclidean rhythm: k onsets over n steps, rotated r (default: 5,16)
+    --out <file>        Also write the phasing demo as a MIDI file
+
+  export                Generate a sequence and write a Standard MIDI File
+    --scale <name>      Scale name (default: pentatonic)
+    --length <n>        Number of notes before recursion (default: 16)
+    --seed <n>          PRNG seed (default: 42)
+    --root <n>          Root MIDI note (default: 60)
+    --depth <n>         Recursion depth (default: 0)
+    --bpm <n>           Tempo (default: 120)
+    --subdivision <s>   Note length/spacing (default: eighth)
+    --format <0|1>      SMF type (default: 1)
+    --voices <2-4>      Write counterpoint instead, one track per voice
+    --out <path>        Output file (default: sequence.mid)
 
   help                  Show this help message
 `);
@@ -178,6 +339,9 @@ switch (command) {
   case 'demo':
     cmdDemo();
     break;
+  case 'export':
+    cmdExport();
+    break;
   case 'help':
   case '--help':
   case '-h':
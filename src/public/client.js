@@ -4,8 +4,9 @@
  * Real-time audience participation interface with:
  * - Socket.io WebSocket connection
  * - Touch/gesture-based parameter control
- * - Tone.js audio synthesis responding to collective state
+ * - Tone.js playback of the server's note stream (notes:schedule)
  * - Latency measurement and display
+ * - Clock sync with the server (offset used to schedule audio)
  * - Canvas-based audio visualization
  */
 
@@ -48,12 +49,17 @@ const state = {
     density: 0.5,
   },
   
+  // Local votes on discrete parameters (e.g. scale), resent with every input
+  localVotes: {},
+  
   // Collective state from server
   collectiveState: {
     mood: 0.5,
     tempo: 0.5,
     intensity: 0.5,
     density: 0.5,
+    scale: null,
+    music: null,
     audienceCount: 0,
   },
   
@@ -63,6 +69,14 @@ const state = {
     average: 0,
     p95: 0,
   },
+  
+  // Clock sync: estimated server clock minus local clock (ms), from clock:sync
+  clock: {
+    synced: false,
+    offset: 0,
+    delay: null,
+    drift: 0,
+  },
 };
 
 // =============================================================================
@@ -94,6 +108,10 @@ const dom = {
   collectiveTempo: document.getElementById('collective-tempo'),
   collectiveIntensity: document.getElementById('collective-intensity'),
   collectiveDensity: document.getElementById('collective-density'),
+  
+  // Scale vote
+  scaleCurrent: document.getElementById('scale-current'),
+  scaleOptions: document.getElementById('scale-options'),
 };
 
 
@@ -125,56 +143,41 @@ async function initAudio() {
   analyser = new Tone.Analyser('waveform', 128);
   synth.connect(analyser);
   
-  // Start generative sequence
-  startGenerativeLoop();
-  
   state.audioStarted = true;
   console.log('[Audio] Tone.js initialized');
 }
 
-// Generative music loop responding to collective state
-let loopInterval = null;
-
-function startGenerativeLoop() {
-  // Scale definitions (mood affects scale selection)
-  const scales = {
-    dark: ['C3', 'Eb3', 'F3', 'G3', 'Bb3', 'C4', 'Eb4'],
-    neutral: ['C3', 'D3', 'E3', 'G3', 'A3', 'C4', 'D4'],
-    bright: ['C3', 'D3', 'E3', 'F#3', 'G3', 'A3', 'B3', 'C4'],
-  };
-  
-  function getScale() {
-    const mood = state.collectiveState.mood;
-    if (mood < 0.33) return scales.dark;
-    if (mood < 0.66) return scales.neutral;
-    return scales.bright;
-  }
+/**
+ * Current time on the server's clock, from the synced offset.
+ * @returns {number} Server time in ms
+ */
+function serverNow() {
+  return Date.now() + state.clock.offset;
+}
+
+// Note playback. The server runs the generator and broadcasts upcoming notes
+// (notes:schedule) stamped in server time, a lookahead window ahead of when
+// they sound, so every device plays the same notes at the same moment.
+
+/**
+ * Queue server-scheduled notes on the Tone.js clock.
+ * @param {Array<{note: number, time: number, duration: number, velocity: number}>} events
+ *   Note events with `time` in server milliseconds
+ */
+function scheduleNotes(events) {
+  if (!synth || !state.audioStarted) return;
   
-  function playNote() {
-    if (!synth || !state.audioStarted) return;
-    
-    const { tempo, intensity, density } = state.collectiveState;
-    const scale = getScale();
-    
-    // Density determines how many notes to play
-    const noteCount = Math.floor(1 + density * 3);
-    
-    // Play notes
-    for (let i = 0; i < noteCount; i++) {
-      const note = scale[Math.floor(Math.random() * scale.length)];
-      const velocity = 0.3 + intensity * 0.5;
-      const duration = 0.1 + (1 - tempo) * 0.4;
-      
-      synth.triggerAttackRelease(note, duration, undefined, velocity);
-    }
+  const now = serverNow();
+  const toneNow = Tone.now();
+  
+  for (const evt of events) {
+    // Server time → seconds from now on the audio clock
+    const delay = (evt.time - now) / 1000;
+    if (delay < 0) continue;  // Arrived too late to play
     
-    // Schedule next note based on tempo
-    const interval = 150 + (1 - tempo) * 450; // 150-600ms
-    clearTimeout(loopInterval);
-    loopInterval = setTimeout(playNote, interval);
+    const note = Tone.Frequency(evt.note, 'midi').toNote();
+    synth.triggerAttackRelease(note, evt.duration / 1000, toneNow + delay, evt.velocity / 127);
   }
-  
-  playNote();
 }
 
 
@@ -209,10 +212,35 @@ function connectSocket() {
       tempo: data.tempo,
       intensity: data.intensity,
       density: data.density,
+      scale: data.scale,
+      music: data.music,
       audienceCount: data.audienceCount,
     };
     
     updateCollectiveDisplay();
+    if (data.tallies && data.tallies.scale) {
+      updateScaleVote(data.tallies.scale);
+    }
+  });
+  
+  // Answer clock sync pings with our receive and send times
+  state.socket.on('clock:ping', (data) => {
+    const received = Date.now();
+    state.socket.emit('clock:pong', { t0: data.t0, t1: received, t2: Date.now() });
+  });
+  
+  // Server's estimate of our clock offset
+  state.socket.on('clock:sync', (data) => {
+    state.clock = { synced: true, offset: data.offset, delay: data.delay, drift: data.drift };
+  });
+  
+  // Handle upcoming notes from the server's note stream
+  state.socket.on('notes:schedule', (data) => {
+    if (!state.clock.synced) {
+      // Until the first sync completes, anchor on the payload's server time
+      state.clock.offset = data.serverTime - Date.now();
+    }
+    scheduleNotes(data.events);
   });
   
   // Handle input acknowledgment (for latency measurement)
@@ -248,11 +276,16 @@ function sendInput(param, value) {
   const timestamp = Date.now();
   
   state.socket.emit('audience:input', {
-    values: { [param]: value },
+    values: { ...state.localVotes, [param]: value },
     timestamp,
   });
 }
 
+function castVote(param, option) {
+  state.localVotes[param] = option;
+  sendInput(param, option);
+}
+
 
 // =============================================================================
 // TOUCH/GESTURE HANDLING
@@ -339,6 +372,39 @@ function updateCollectiveDisplay() {
   });
 }
 
+function updateScaleVote(tallies) {
+  const options = Object.keys(tallies);
+  const total = options.reduce((sum, o) => sum + tallies[o], 0);
+  
+  // Build one button per option the first time tallies arrive
+  if (dom.scaleOptions.children.length !== options.length) {
+    dom.scaleOptions.innerHTML = '';
+    options.forEach(option => {
+      const btn = document.createElement('button');
+      btn.className = 'vote-option';
+      btn.dataset.option = option;
+      btn.textContent = option.replace(/_/g, ' ');
+      const share = document.createElement('span');
+      share.className = 'vote-share';
+      btn.appendChild(share);
+      btn.addEventListener('click', () => castVote('scale', option));
+      dom.scaleOptions.appendChild(btn);
+    });
+  }
+  
+  Array.from(dom.scaleOptions.children).forEach(btn => {
+    const option = btn.dataset.option;
+    btn.classList.toggle('selected', state.localVotes.scale === option);
+    btn.classList.toggle('winning', state.collectiveState.scale === option);
+    btn.querySelector('.vote-share').style.width = total > 0 ? `${(tallies[option] / total) * 100}%` : '0';
+  });
+  
+  // Show the scale actually playing (mood decides until someone votes)
+  const { music } = state.collectiveState;
+  const playing = music ? music.scale : state.collectiveState.scale;
+  dom.scaleCurrent.textContent = (playing || '').replace(/_/g, ' ');
+}
+
 function updateConnectionUI(connected) {
   const statusDot = document.querySelector('.status-dot');
   if (statusDot) {
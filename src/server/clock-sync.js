@@ -0,0 +1,167 @@
+/**
+ * Clock Sync — NTP-Style Offset and Drift Estimation
+ *
+ * Estimates how far a client's clock is from the server's from ping
+ * exchanges. The server stamps a ping when it is sent (t0); the client stamps
+ * when it received it (t1) and when it replied (t2); the server stamps the
+ * reply on arrival (t3). As in NTP:
+ *
+ *   offset = ((t0 - t1) + (t3 - t2)) / 2     (server clock − client clock)
+ *   delay  = (t3 - t0) - (t2 - t1)           (network round trip)
+ *
+ * The sample with the lowest delay in a sliding window gives the offset (it
+ * suffered least from asymmetric queuing); a least-squares fit of offset
+ * against client time across the window gives the drift between the clocks.
+ *
+ * @module clock-sync
+ */
+
+'use strict';
+
+// =============================================================================
+// DEFAULTS
+// =============================================================================
+
+const DEFAULT_SYNC_OPTIONS = {
+  windowSize: 8,        // Samples kept for offset filtering and drift
+  minDriftSpanMs: 1000, // Client-time span needed before drift is estimated
+};
+
+// =============================================================================
+// SAMPLE MATH
+// =============================================================================
+
+/**
+ * Compute offset and delay from one ping exchange.
+ * @param {{t0: number, t1: number, t2: number, t3: number}} stamps - t0/t3
+ *   in server time, t1/t2 in client time
+ * @returns {{offset: number, delay: number, clientTime: number}} `offset` is
+ *   server minus client; `clientTime` is the client-side midpoint
+ */
+function computeSample({ t0, t1, t2, t3 }) {
+  return {
+    offset: ((t0 - t1) + (t3 - t2)) / 2,
+    delay: Math.max(0, (t3 - t0) - (t2 - t1)),
+    clientTime: (t1 + t2) / 2,
+  };
+}
+
+// =============================================================================
+// CLOCK SYNC CLASS
+// =============================================================================
+
+class ClockSync {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.windowSize=8]
+   * @param {number} [options.minDriftSpanMs=1000]
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SYNC_OPTIONS, ...options };
+    this.samples = [];
+  }
+
+  /**
+   * Add a completed ping exchange. Exchanges with non-numeric stamps or
+   * whose reply arrived before the ping was sent are ignored.
+   * @param {{t0: number, t1: number, t2: number, t3: number}} stamps
+   * @returns {object|null} The computed sample, or null if rejected
+   */
+  addSample(stamps) {
+    const { t0, t1, t2, t3 } = stamps || {};
+    if (![t0, t1, t2, t3].every(Number.isFinite) || t3 < t0 || t2 < t1) return null;
+
+    const sample = computeSample(stamps);
+    this.samples.push(sample);
+    if (this.samples.length > this.options.windowSize) {
+      this.samples.shift();
+    }
+    return sample;
+  }
+
+  /**
+   * @returns {boolean} Whether at least one exchange has completed
+   */
+  isSynced() {
+    return this.samples.length > 0;
+  }
+
+  /**
+   * Estimated drift: how many ms the offset changes per ms of client time
+   * (e.g. 1e-4 = 100 ppm). 0 until the samples span minDriftSpanMs.
+   * @returns {number}
+   */
+  getDrift() {
+    const n = this.samples.length;
+    if (n < 2) return 0;
+
+    const times = this.samples.map((s) => s.clientTime);
+    if (Math.max(...times) - Math.min(...times) < this.options.minDriftSpanMs) return 0;
+
+    const meanT = times.reduce((a, b) => a + b, 0) / n;
+    const meanO = this.samples.reduce((a, s) => a + s.offset, 0) / n;
+    let num = 0;
+    let den = 0;
+    for (const s of this.samples) {
+      num += (s.clientTime - meanT) * (s.offset - meanO);
+      den += (s.clientTime - meanT) ** 2;
+    }
+    return den > 0 ? num / den : 0;
+  }
+
+  /**
+   * Estimated offset (server minus client), extrapolated with the drift from
+   * the lowest-delay sample to the given client time.
+   * @param {number} [clientTime] - Defaults to the best sample's own time
+   * @returns {number} Offset in ms; 0 before any exchange
+   */
+  getOffset(clientTime) {
+    const best = this._bestSample();
+    if (!best) return 0;
+    if (clientTime === undefined) return best.offset;
+    return best.offset + this.getDrift() * (clientTime - best.clientTime);
+  }
+
+  /**
+   * Round-trip delay of the sample the offset is based on.
+   * @returns {number|null}
+   */
+  getDelay() {
+    const best = this._bestSample();
+    return best ? best.delay : null;
+  }
+
+  /**
+   * Convert a client timestamp to server time.
+   * @param {number} clientTime
+   * @returns {number}
+   */
+  toServerTime(clientTime) {
+    return clientTime + this.getOffset(clientTime);
+  }
+
+  /**
+   * Summary sent to the client after each exchange. The offset is
+   * extrapolated to the most recent exchange.
+   * @returns {{offset: number, delay: number|null, drift: number, samples: number}}
+   */
+  getStatus() {
+    const latest = this.samples[this.samples.length - 1];
+    return {
+      offset: latest ? this.getOffset(latest.clientTime) : 0,
+      delay: this.getDelay(),
+      drift: this.getDrift(),
+      samples: this.samples.length,
+    };
+  }
+
+  _bestSample() {
+    let best = null;
+    for (const s of this.samples) {
+      if (!best || s.delay < best.delay) best = s;
+    }
+    return best;
+  }
+}
+
+module.exports = { ClockSync, DEFAULT_SYNC_OPTIONS, computeSample };
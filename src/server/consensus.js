@@ -6,6 +6,15 @@
  *   - Inputs closer to the current consensus carry more weight (proximity bonus)
  *   - Performer overrides bypass consensus entirely for targeted parameters
  *
+ * The weighted mean above is the default aggregation strategy. Other
+ * strategies (weighted median, trimmed mean, mode, loudest minority) can be
+ * selected per parameter, and custom strategies registered per engine.
+ *
+ * Parameters are continuous 0–1 values unless typed otherwise in
+ * PARAMETER_TYPES: continuous ranges, integer ranges (aggregated as
+ * continuous, then rounded) and enums, which are decided by plurality,
+ * approval or ranked-choice voting instead of an aggregation strategy.
+ *
  * Designed as a standalone, testable module extracted from the server.
  *
  * @module consensus
@@ -23,8 +32,259 @@ const DEFAULT_CONFIG = {
   BETA_TEMPORAL: 0.6,
   GAMMA_CONSENSUS: 0.4,
   PARAMETERS: ['mood', 'tempo', 'intensity', 'density'],
+  STRATEGY: 'weighted_mean',   // Default aggregation strategy
+  PARAMETER_STRATEGIES: {},    // Per-parameter overrides, e.g. { mood: 'weighted_median' }
+  TRIM_FRACTION: 0.2,          // trimmed_mean: share of inputs dropped from each end
+  MODE_BUCKETS: 5,             // mode: number of equal-width buckets over 0–1
+  PARAMETER_TYPES: {},         // Typed definitions, e.g. { scale: { type: 'enum', options: [...] } }
+};
+
+/**
+ * Parameter types accepted in PARAMETER_TYPES.
+ */
+const ParameterType = {
+  CONTINUOUS: 'continuous',
+  INTEGER: 'integer',
+  ENUM: 'enum',
+};
+
+// =============================================================================
+// AGGREGATION STRATEGIES
+// =============================================================================
+
+/**
+ * Temporal decay weight for an input of a given age.
+ * @param {number} age - Input age in ms
+ * @param {object} config - Engine configuration
+ * @returns {number}
+ */
+function temporalWeight(age, config) {
+  return Math.exp((-age / config.INPUT_DECAY_WINDOW_MS) * config.BETA_TEMPORAL);
+}
+
+/**
+ * Consensus proximity weight — inputs near the current state get a bonus.
+ * @param {number} value - Input value
+ * @param {number} current - Current state value
+ * @param {object} config - Engine configuration
+ * @returns {number} Weight floored at 0.1
+ */
+function proximityWeight(value, current, config) {
+  const consensusWeight = 1 - Math.abs(value - current) * config.GAMMA_CONSENSUS;
+  return Math.max(0.1, consensusWeight);
+}
+
+function weightedAverage(pairs) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const { value, weight } of pairs) {
+    weightedSum += value * weight;
+    totalWeight += weight;
+  }
+  return totalWeight > 0 ? weightedSum / totalWeight : null;
+}
+
+/**
+ * Built-in aggregation strategies.
+ *
+ * Each strategy receives the samples for one parameter that fall inside the
+ * decay window — `{ userId, value, age }` — and a context
+ * `{ param, current, config, now }`, and returns the aggregated value or null.
+ */
+const STRATEGIES = {
+  /** Temporal decay × consensus proximity weighted mean (the original algorithm). */
+  weighted_mean(samples, { current, config }) {
+    return weightedAverage(samples.map((s) => ({
+      value: s.value,
+      weight: temporalWeight(s.age, config) * proximityWeight(s.value, current, config),
+    })));
+  },
+
+  /** Value at which the cumulative temporal × proximity weight reaches one half. */
+  weighted_median(samples, { current, config }) {
+    const weighted = samples
+      .map((s) => ({
+        value: s.value,
+        weight: temporalWeight(s.age, config) * proximityWeight(s.value, current, config),
+      }))
+      .sort((a, b) => a.value - b.value);
+    const half = weighted.reduce((sum, w) => sum + w.weight, 0) / 2;
+    let cumulative = 0;
+    for (const w of weighted) {
+      cumulative += w.weight;
+      if (cumulative >= half) return w.value;
+    }
+    return null;
+  },
+
+  /** Temporal-weighted mean after discarding TRIM_FRACTION of inputs at each end. */
+  trimmed_mean(samples, { config }) {
+    const sorted = [...samples].sort((a, b) => a.value - b.value);
+    const trim = Math.floor(sorted.length * config.TRIM_FRACTION);
+    const kept = sorted.slice(trim, sorted.length - trim);
+    return weightedAverage(kept.map((s) => ({
+      value: s.value,
+      weight: temporalWeight(s.age, config),
+    })));
+  },
+
+  /**
+   * Majority vote over MODE_BUCKETS equal-width buckets; returns the centre of
+   * the bucket with the most temporal weight. Ties go to the bucket nearest
+   * the current state.
+   */
+  mode(samples, { current, config }) {
+    const buckets = config.MODE_BUCKETS;
+    const totals = new Array(buckets).fill(0);
+    for (const s of samples) {
+      const idx = Math.min(buckets - 1, Math.max(0, Math.floor(s.value * buckets)));
+      totals[idx] += temporalWeight(s.age, config);
+    }
+    let best = -1;
+    for (let i = 0; i < buckets; i++) {
+      if (totals[i] === 0) continue;
+      const centre = (i + 0.5) / buckets;
+      if (
+        best === -1 ||
+        totals[i] > totals[best] ||
+        (totals[i] === totals[best] &&
+          Math.abs(centre - current) < Math.abs((best + 0.5) / buckets - current))
+      ) {
+        best = i;
+      }
+    }
+    return best === -1 ? null : (best + 0.5) / buckets;
+  },
+
+  /**
+   * Inverts the proximity bonus: inputs far from the current state weigh
+   * more, so a committed minority can pull the music away from the crowd.
+   */
+  loudest_minority(samples, { current, config }) {
+    return weightedAverage(samples.map((s) => ({
+      value: s.value,
+      weight: temporalWeight(s.age, config) * (0.1 + Math.abs(s.value - current)),
+    })));
+  },
 };
 
+// =============================================================================
+// ENUM VOTING METHODS
+// =============================================================================
+
+/**
+ * Voting methods for enum parameters.
+ *
+ * Each method receives ballots `{ value, weight }` (weight is the temporal
+ * decay weight of the input) and the parameter's options, and returns a
+ * tally per option. The option with the highest tally wins.
+ */
+const VOTING_METHODS = {
+  /** One vote per member: the ballot value is a single option. */
+  plurality(ballots, options) {
+    const tallies = emptyTallies(options);
+    for (const { value, weight } of ballots) {
+      const choice = Array.isArray(value) ? value[0] : value;
+      if (options.includes(choice)) tallies[choice] += weight;
+    }
+    return tallies;
+  },
+
+  /** The ballot value is a list of acceptable options, each receiving full weight. */
+  approval(ballots, options) {
+    const tallies = emptyTallies(options);
+    for (const { value, weight } of ballots) {
+      const approved = new Set(Array.isArray(value) ? value : [value]);
+      approved.forEach((choice) => {
+        if (options.includes(choice)) tallies[choice] += weight;
+      });
+    }
+    return tallies;
+  },
+
+  /**
+   * Instant-runoff: the ballot value lists options in order of preference.
+   * The weakest option is eliminated until one holds a majority; returns the
+   * final round's tallies (eliminated options score 0).
+   */
+  ranked(ballots, options) {
+    const remaining = new Set(options);
+    for (;;) {
+      const tallies = emptyTallies(options);
+      let total = 0;
+      for (const { value, weight } of ballots) {
+        const ranking = Array.isArray(value) ? value : [value];
+        const choice = ranking.find((option) => remaining.has(option));
+        if (choice === undefined) continue;
+        tallies[choice] += weight;
+        total += weight;
+      }
+
+      const standing = options.filter((o) => remaining.has(o));
+      const leader = standing.reduce((a, b) => (tallies[b] > tallies[a] ? b : a));
+      if (standing.length <= 2 || total === 0 || tallies[leader] > total / 2) {
+        return tallies;
+      }
+
+      // Eliminate the weakest; on ties, the option listed last goes first
+      const weakest = standing.reduce((a, b) => (tallies[b] <= tallies[a] ? b : a));
+      remaining.delete(weakest);
+    }
+  },
+};
+
+function emptyTallies(options) {
+  const tallies = {};
+  options.forEach((option) => {
+    tallies[option] = 0;
+  });
+  return tallies;
+}
+
+/**
+ * Validate a parameter type definition and fill in defaults.
+ * @param {string} param - Parameter name (for error messages)
+ * @param {object} [def] - Definition from PARAMETER_TYPES; omitted means continuous 0–1
+ * @returns {object} Normalized definition
+ */
+function normalizeDefinition(param, def) {
+  const type = (def && def.type) || ParameterType.CONTINUOUS;
+
+  if (type === ParameterType.ENUM) {
+    const options = def.options;
+    if (!Array.isArray(options) || options.length === 0) {
+      throw new Error(`Enum parameter "${param}" needs a non-empty options array`);
+    }
+    const voting = def.voting || 'plurality';
+    if (!VOTING_METHODS[voting]) {
+      throw new Error(
+        `Unknown voting method: "${voting}". Available: ${Object.keys(VOTING_METHODS).join(', ')}`
+      );
+    }
+    const fallback = def.default !== undefined ? def.default : options[0];
+    if (!options.includes(fallback)) {
+      throw new Error(`Default for "${param}" must be one of its options`);
+    }
+    return { type, options: [...options], voting, default: fallback };
+  }
+
+  if (type === ParameterType.CONTINUOUS || type === ParameterType.INTEGER) {
+    const min = def && def.min !== undefined ? def.min : 0;
+    const max = def && def.max !== undefined ? def.max : 1;
+    if (typeof min !== 'number' || typeof max !== 'number' || min >= max) {
+      throw new Error(`Parameter "${param}" needs min < max, got ${min}–${max}`);
+    }
+    if (type === ParameterType.INTEGER && (!Number.isInteger(min) || !Number.isInteger(max))) {
+      throw new Error(`Integer parameter "${param}" needs integer bounds`);
+    }
+    let fallback = def && def.default !== undefined ? def.default : min + (max - min) / 2;
+    if (type === ParameterType.INTEGER) fallback = Math.round(fallback);
+    return { type, min, max, default: fallback };
+  }
+
+  throw new Error(`Unknown parameter type for "${param}": "${type}"`);
+}
+
 // =============================================================================
 // CONSENSUS ENGINE CLASS
 // =============================================================================
@@ -35,15 +295,21 @@ class ConsensusEngine {
    */
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
-    this.inputs = new Map();
-    this.state = {};
+    this.definitions = {};
     this.config.PARAMETERS.forEach((p) => {
-      this.state[p] = 0.5;
+      this.definitions[p] = normalizeDefinition(p, this.config.PARAMETER_TYPES[p]);
     });
+    this.inputs = new Map();
+    this.state = {};
+    this.positions = {};
+    this.tallies = {};
+    this._resetState();
     this.overrides = { active: false };
     this.config.PARAMETERS.forEach((p) => {
       this.overrides[p] = null;
     });
+    this.strategies = { ...STRATEGIES };
+    this.parameterStrategies = { ...this.config.PARAMETER_STRATEGIES };
   }
 
   // ---------------------------------------------------------------------------
@@ -53,11 +319,13 @@ class ConsensusEngine {
   /**
    * Record an audience member's input.
    * @param {string} userId - Unique identifier for the audience member
-   * @param {object} values - Parameter values, e.g. { mood: 0.7, tempo: 0.3 }
+   * @param {object} values - Parameter values, e.g. { mood: 0.7, tempo: 0.3 };
+   *   enum parameters take an option (plurality), a list of options (approval)
+   *   or a preference-ordered list (ranked)
    * @param {number} [timestamp] - Optional timestamp; defaults to Date.now()
    */
   recordInput(userId, values, timestamp) {
-    if (!userId || typeof values !== 'object') return;
+    if (!userId || !values || typeof values !== 'object') return;
     this.inputs.set(userId, {
       timestamp: timestamp || Date.now(),
       values,
@@ -73,54 +341,150 @@ class ConsensusEngine {
   }
 
   /**
-   * Calculate the weighted consensus across all current inputs.
+   * Calculate the weighted consensus across all current inputs, using each
+   * parameter's aggregation strategy (or voting method, for enums). Enum
+   * tallies from this calculation are kept for getTallies(); with no inputs
+   * left they are cleared, so departed voters stop counting.
    * Returns null when no valid inputs exist.
    * @param {number} [now] - Current timestamp; defaults to Date.now()
    * @returns {object|null} Consensus values per parameter, or null
    */
   calculateConsensus(now) {
     now = now || Date.now();
-    const inputList = Array.from(this.inputs.values());
 
-    if (inputList.length === 0) return null;
+    if (this.inputs.size === 0) {
+      this._resetTallies();
+      return null;
+    }
 
     const result = {};
     let anyResult = false;
 
     this.config.PARAMETERS.forEach((param) => {
-      let weightedSum = 0;
-      let totalWeight = 0;
+      const def = this.definitions[param];
+      const samples = [];
+      for (const [userId, input] of this.inputs.entries()) {
+        if (input.values[param] === undefined) continue;
+        const age = now - input.timestamp;
+        if (age > this.config.INPUT_DECAY_WINDOW_MS) continue;
+        samples.push({ userId, value: input.values[param], age });
+      }
 
-      inputList.forEach((input) => {
-        if (input.values[param] === undefined) return;
+      const value = def.type === ParameterType.ENUM
+        ? this._vote(param, samples)
+        : this._aggregate(param, samples, now);
 
-        const age = now - input.timestamp;
-        if (age > this.config.INPUT_DECAY_WINDOW_MS) return;
+      if (value !== null) {
+        result[param] = value;
+        anyResult = true;
+      }
+    });
 
-        // Temporal decay — exponential falloff
-        const temporalWeight = Math.exp(
-          (-age / this.config.INPUT_DECAY_WINDOW_MS) * this.config.BETA_TEMPORAL
-        );
+    return anyResult ? result : null;
+  }
 
-        // Consensus proximity — inputs near current state get a bonus
-        const currentValue = this.state[param];
-        const inputValue = input.values[param];
-        const distance = Math.abs(inputValue - currentValue);
-        const consensusWeight = 1 - distance * this.config.GAMMA_CONSENSUS;
+  /**
+   * Aggregate a numeric parameter. Values are normalized to 0–1 over the
+   * parameter's range so every strategy works on the same scale.
+   */
+  _aggregate(param, samples, now) {
+    const { min, max } = this.definitions[param];
+    const span = max - min;
+    const normalized = samples
+      .filter((s) => typeof s.value === 'number' && !Number.isNaN(s.value))
+      .map((s) => ({ ...s, value: Math.max(0, Math.min(1, (s.value - min) / span)) }));
+    if (normalized.length === 0) return null;
 
-        const finalWeight = temporalWeight * Math.max(0.1, consensusWeight);
+    const strategy = this.strategies[this.getStrategy(param)];
+    const value = strategy(normalized, {
+      param,
+      current: (this.positions[param] - min) / span,
+      config: this.config,
+      now,
+    });
 
-        weightedSum += inputValue * finalWeight;
-        totalWeight += finalWeight;
-      });
+    if (typeof value !== 'number' || Number.isNaN(value)) return null;
+    return min + value * span;
+  }
 
-      if (totalWeight > 0) {
-        result[param] = weightedSum / totalWeight;
-        anyResult = true;
+  /**
+   * Tally an enum parameter with its voting method and return the winner.
+   * Ties are resolved in favour of the current value, then option order.
+   */
+  _vote(param, samples) {
+    const def = this.definitions[param];
+    const ballots = samples.map((s) => ({
+      value: s.value,
+      weight: temporalWeight(s.age, this.config),
+    }));
+    const tallies = VOTING_METHODS[def.voting](ballots, def.options);
+    this.tallies[param] = tallies;
+
+    let winner = null;
+    def.options.forEach((option) => {
+      if (tallies[option] <= 0) return;
+      if (
+        winner === null ||
+        tallies[option] > tallies[winner] ||
+        (tallies[option] === tallies[winner] && option === this.state[param])
+      ) {
+        winner = option;
       }
     });
+    return winner;
+  }
 
-    return anyResult ? result : null;
+  // ---------------------------------------------------------------------------
+  // Aggregation Strategies
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Register a custom aggregation strategy on this engine.
+   * @param {string} name - Strategy name (may replace a built-in)
+   * @param {function} fn - `(samples, context) => number|null`; see STRATEGIES
+   */
+  registerStrategy(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Strategy "${name}" must be a function`);
+    }
+    this.strategies[name] = fn;
+  }
+
+  /**
+   * Select the aggregation strategy for a parameter.
+   * @param {string} param - Parameter name
+   * @param {string|null} name - Strategy name, or null to revert to the default
+   * @throws {Error} If the parameter or strategy is unknown
+   */
+  setStrategy(param, name) {
+    if (!this.config.PARAMETERS.includes(param)) {
+      throw new Error(`Unknown parameter: "${param}"`);
+    }
+    if (name === null) {
+      delete this.parameterStrategies[param];
+      return;
+    }
+    if (!this.strategies[name]) {
+      throw new Error(
+        `Unknown strategy: "${name}". Available: ${Object.keys(this.strategies).join(', ')}`
+      );
+    }
+    this.parameterStrategies[param] = name;
+  }
+
+  /**
+   * Get the name of the strategy used for a parameter.
+   * @param {string} param
+   * @returns {string}
+   */
+  getStrategy(param) {
+    const name = this.parameterStrategies[param] || this.config.STRATEGY;
+    if (!this.strategies[name]) {
+      throw new Error(
+        `Unknown strategy: "${name}". Available: ${Object.keys(this.strategies).join(', ')}`
+      );
+    }
+    return name;
   }
 
   /**
@@ -133,14 +497,25 @@ class ConsensusEngine {
     if (!consensus) return { ...this.state };
 
     Object.entries(consensus).forEach(([param, value]) => {
+      const def = this.definitions[param];
+      if (!def) return;
+
       // Skip if performer has an active override for this parameter
       if (this.overrides.active && this.overrides[param] !== null) {
         return;
       }
 
-      const current = this.state[param];
-      this.state[param] =
+      if (def.type === ParameterType.ENUM) {
+        this.state[param] = value;
+        return;
+      }
+
+      const current = this.positions[param];
+      this.positions[param] =
         current + (value - current) * this.config.CONSENSUS_SMOOTHING;
+      this.state[param] = def.type === ParameterType.INTEGER
+        ? Math.round(this.positions[param])
+        : this.positions[param];
     });
 
     return { ...this.state };
@@ -153,13 +528,39 @@ class ConsensusEngine {
    */
   setOverride(param, value) {
     if (!this.config.PARAMETERS.includes(param)) return;
+    const def = this.definitions[param];
+    if (value !== null && def.type === ParameterType.ENUM && !def.options.includes(value)) return;
     this.overrides[param] = value;
     if (value !== null) {
       this.overrides.active = true;
-      this.state[param] = value;
+      if (def.type === ParameterType.ENUM) {
+        this.state[param] = value;
+      } else {
+        this.positions[param] = value;
+        this.state[param] = def.type === ParameterType.INTEGER ? Math.round(value) : value;
+      }
+    } else {
+      // Releasing the last override hands control back to the audience
+      this.overrides.active = this.config.PARAMETERS.some((p) => this.overrides[p] !== null);
     }
   }
 
+  /**
+   * Enable or suspend all performer overrides without discarding their values.
+   * @param {boolean} active
+   */
+  setOverridesActive(active) {
+    this.overrides.active = Boolean(active);
+  }
+
+  /**
+   * Get a snapshot of the performer overrides.
+   * @returns {object} `{ active, <param>: value|null, ... }`
+   */
+  getOverrides() {
+    return { ...this.overrides };
+  }
+
   /**
    * Clear all performer overrides.
    */
@@ -203,16 +604,61 @@ class ConsensusEngine {
     return this.inputs.size;
   }
 
+  /**
+   * Get the latest enum vote tallies.
+   * @returns {object} `{ <param>: { <option>: weight, ... } }` for enum parameters
+   */
+  getTallies() {
+    const copy = {};
+    Object.entries(this.tallies).forEach(([param, tallies]) => {
+      copy[param] = { ...tallies };
+    });
+    return copy;
+  }
+
+  /**
+   * Get the normalized type definition of a parameter.
+   * @param {string} param
+   * @returns {object|null} `{ type, min, max, default }` or `{ type, options, voting, default }`
+   */
+  getParameterDefinition(param) {
+    const def = this.definitions[param];
+    if (!def) return null;
+    return def.options ? { ...def, options: [...def.options] } : { ...def };
+  }
+
   /**
    * Reset engine to initial state.
    */
   reset() {
     this.inputs.clear();
+    this._resetState();
+    this.clearOverrides();
+  }
+
+  _resetState() {
     this.config.PARAMETERS.forEach((p) => {
-      this.state[p] = 0.5;
+      const def = this.definitions[p];
+      this.state[p] = def.default;
+      if (def.type !== ParameterType.ENUM) this.positions[p] = def.default;
+    });
+    this._resetTallies();
+  }
+
+  _resetTallies() {
+    this.config.PARAMETERS.forEach((p) => {
+      const def = this.definitions[p];
+      if (def.type === ParameterType.ENUM) this.tallies[p] = emptyTallies(def.options);
     });
-    this.clearOverrides();
   }
 }
 
-module.exports = { ConsensusEngine, DEFAULT_CONFIG };
+module.exports = {
+  ConsensusEngine,
+  DEFAULT_CONFIG,
+  STRATEGIES,
+  VOTING_METHODS,
+  ParameterType,
+  temporalWeight,
+  proximityWeight,
+};
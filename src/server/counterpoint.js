@@ -0,0 +1,386 @@
+/**
+ * Counterpoint — Multi-Voice Note-Against-Note Generation
+ *
+ * Generates two to four simultaneous voices in a scale, one note per voice
+ * per step (first species), chord by chord with a seeded PRNG. Every step,
+ * the combinations of scale tones within each voice's range and leap limit
+ * are checked against the rules below, highest priority first; a rule that
+ * would rule out every combination is waived for that step only, so
+ * generation always completes. Combinations are searched voice by voice,
+ * bass first, abandoning a partial chord as soon as a pair of its voices
+ * breaks a rule, so large (e.g. microtonal) scales stay cheap.
+ *
+ *   cadence       bass starts on the tonic; bass and top voice end on it,
+ *                 from anything but an octave between them
+ *   crossing      each voice stays above the voice below it
+ *   parallels     no parallel (or contrary) fifths and octaves between any pair
+ *   dissonance    every voice forms a consonance with the bass
+ *   spacing       upper neighbours within an octave, bass within a twelfth
+ *
+ * Among the combinations left, smooth motion, contrary outer voices and full
+ * chords are preferred. Intervals are measured in 12-TET semitones.
+ *
+ * The result is one note sequence per voice. counterpointToEvents() and
+ * scheduleVoices() place the voices on scheduler tracks named after them.
+ *
+ * @module counterpoint
+ */
+
+'use strict';
+
+const { getScale, midiToDegree, degreeToMidi, seededRandom } = require('./generator');
+
+// =============================================================================
+// VOICES & DEFAULTS
+// =============================================================================
+
+/** Default MIDI range of each voice. */
+const VOICE_RANGES = {
+  soprano: [60, 81],
+  alto: [55, 74],
+  tenor: [48, 67],
+  bass: [40, 60],
+};
+
+/** Voices used for each texture, top to bottom. */
+const VOICE_NAMES = {
+  2: ['soprano', 'bass'],
+  3: ['soprano', 'alto', 'bass'],
+  4: ['soprano', 'alto', 'tenor', 'bass'],
+};
+
+const DEFAULT_COUNTERPOINT_OPTIONS = {
+  voices: 4,
+  scale: 'major',
+  root: 60,        // Tonic; any octave
+  seed: 42,
+  ranges: {},      // Per-voice [low, high] overrides of VOICE_RANGES
+  maxLeap: 7,      // Widest melodic interval in semitones for upper voices
+  maxBassLeap: 12, // ...and for the bass
+  maxSpacing: 12,  // Widest interval between adjacent upper voices
+  maxBassSpacing: 19,
+};
+
+/** Rules in priority order (see module docs). */
+const RULES = ['crossing', 'parallels', 'dissonance', 'spacing'];
+
+const PERFECT = [0, 7];                           // Unison/octave and fifth classes
+const CONSONANT = new Set([0, 3, 4, 7, 8, 9]);     // Above the bass
+
+// =============================================================================
+// RULE CHECKS
+// =============================================================================
+
+const intervalClass = (a, b) => ((Math.round(a - b) % 12) + 12) % 12;
+
+/**
+ * Whether voices `i` above `j` break one rule going from `prev` to `chord`.
+ * Only those two voices of `chord` are read.
+ * @param {string} rule - One of RULES
+ * @param {number[]|null} prev - Previous chord, top voice first
+ * @param {number[]} chord - Current chord, top voice first
+ * @param {number} i - Upper voice index
+ * @param {number} j - Lower voice index
+ * @param {object} opts - Options with spacing limits
+ * @returns {boolean}
+ */
+function breaksRule(rule, prev, chord, i, j, opts) {
+  const bass = chord.length - 1;
+  if (rule === 'crossing') return j === i + 1 && chord[i] <= chord[j];
+  if (rule === 'parallels') {
+    if (!prev || chord[i] === prev[i] || chord[j] === prev[j]) return false;
+    const before = intervalClass(prev[i], prev[j]);
+    return PERFECT.includes(before) && before === intervalClass(chord[i], chord[j]);
+  }
+  if (rule === 'dissonance') return j === bass && !CONSONANT.has(intervalClass(chord[i], chord[j]));
+  if (rule === 'spacing' && j === i + 1) {
+    return chord[i] - chord[j] > (j === bass ? opts.maxBassSpacing : opts.maxSpacing);
+  }
+  return false;
+}
+
+/**
+ * Voice pairs that break one rule going from `prev` to `chord`.
+ * @param {string} rule - One of RULES
+ * @param {number[]|null} prev - Previous chord, top voice first
+ * @param {number[]} chord - Current chord, top voice first
+ * @param {object} opts - Options with spacing limits
+ * @returns {number[][]} `[upper, lower]` voice index pairs
+ */
+function ruleViolations(rule, prev, chord, opts) {
+  const pairs = [];
+  for (let i = 0; i < chord.length - 1; i++) {
+    for (let j = i + 1; j < chord.length; j++) {
+      if (breaksRule(rule, prev, chord, i, j, opts)) pairs.push([i, j]);
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Check existing voices against the rules.
+ *
+ * @param {Array<number[]|{notes: number[]}>} voices - Top voice first
+ * @param {object} [options] - maxSpacing / maxBassSpacing
+ * @returns {{step: number, rule: string, voices: number[]}[]}
+ */
+function findViolations(voices, options = {}) {
+  const opts = { ...DEFAULT_COUNTERPOINT_OPTIONS, ...options };
+  const lines = voices.map((v) => (Array.isArray(v) ? v : v.notes));
+  const length = Math.min(...lines.map((l) => l.length));
+  const found = [];
+  for (let step = 0; step < length; step++) {
+    const chord = lines.map((l) => l[step]);
+    const prev = step > 0 ? lines.map((l) => l[step - 1]) : null;
+    for (const rule of RULES) {
+      ruleViolations(rule, prev, chord, opts).forEach((pair) => found.push({ step, rule, voices: pair }));
+    }
+  }
+  return found;
+}
+
+// =============================================================================
+// GENERATION
+// =============================================================================
+
+/**
+ * Scale tones within a MIDI range, ascending.
+ * @param {string} scaleName
+ * @param {number} root
+ * @param {number[]} range - `[low, high]`
+ * @returns {number[]}
+ */
+function voicePool(scaleName, root, range) {
+  const [low, high] = range;
+  const notes = [];
+  for (let degree = midiToDegree(low, scaleName, root); ; degree++) {
+    const note = degreeToMidi(degree, scaleName, root);
+    if (note > high) break;
+    if (note >= low && !notes.includes(note)) notes.push(note);
+    if (note >= 127) break;
+  }
+  return notes;
+}
+
+/**
+ * Combinations of one note per voice that pass every check, in ascending
+ * order (top voice first). Each check is a list of tests on a few voices,
+ * `{ voices, test }`; a test runs as soon as all its voices have notes, so
+ * failing partial chords are dropped early. The bass is chosen first, as
+ * most tests involve it.
+ *
+ * @param {number[][]} choices - Candidate notes per voice, ascending
+ * @param {Array<Array<{voices: number[], test: function}>>} checks
+ * @param {boolean} [firstOnly=false] - Stop at the first combination found
+ * @returns {number[][]}
+ */
+function searchChords(choices, checks, firstOnly) {
+  const bass = choices.length - 1;
+  const order = [bass, ...Array.from({ length: bass }, (_, v) => v)];
+  const placed = order.map((_, depth) => new Set(order.slice(0, depth + 1)));
+  // Tests to run once each voice in `order` is placed
+  const due = order.map((v, depth) => checks.flat().filter(
+    (t) => t.voices.includes(v) && t.voices.every((u) => placed[depth].has(u))
+  ));
+
+  const found = [];
+  const chord = new Array(choices.length);
+  const visit = (depth) => {
+    if (depth === order.length) {
+      found.push([...chord]);
+      return firstOnly === true;
+    }
+    for (const note of choices[order[depth]]) {
+      chord[order[depth]] = note;
+      if (due[depth].every((t) => t.test(chord)) && visit(depth + 1)) return true;
+    }
+    return false;
+  };
+  visit(0);
+
+  const ascending = (a, b) => {
+    const v = a.findIndex((n, i) => n !== b[i]);
+    return v < 0 ? 0 : a[v] - b[v];
+  };
+  return found.sort(ascending);
+}
+
+/** Preference weight for a chord following `prev`. */
+function chordWeight(prev, chord) {
+  const top = 0;
+  const bass = chord.length - 1;
+  const pcs = new Set(chord.map((n) => intervalClass(n, 0))).size;
+  let weight = pcs;
+  if (prev) {
+    const motion = chord.reduce((sum, n, i) => sum + Math.abs(n - prev[i]), 0);
+    weight *= Math.exp(-motion / (2 * chord.length));
+    const topMove = chord[top] - prev[top];
+    const bassMove = chord[bass] - prev[bass];
+    if (topMove * bassMove < 0) weight *= 2;
+    weight *= Math.pow(0.6, chord.filter((n, i) => n === prev[i]).length);
+  }
+  return weight;
+}
+
+function pickWeighted(items, weights, rand) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let target = rand() * total;
+  for (let i = 0; i < items.length; i++) {
+    target -= weights[i];
+    if (target < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * Generate note-against-note counterpoint.
+ *
+ * @param {number} length - Notes per voice (1–256)
+ * @param {object} [options]
+ * @param {number} [options.voices=4] - 2–4
+ * @param {string} [options.scale="major"] - Any registered scale
+ * @param {number} [options.root=60] - Tonic (its pitch class is what counts)
+ * @param {number} [options.seed=42]
+ * @param {object} [options.ranges] - e.g. `{ bass: [36, 55] }`
+ * @param {number} [options.maxLeap=7] - Upper-voice leap limit in semitones
+ * @param {number} [options.maxBassLeap=12]
+ * @param {number} [options.maxSpacing=12]
+ * @param {number} [options.maxBassSpacing=19]
+ * @returns {{name: string, range: number[], notes: number[]}[]} Top voice first
+ */
+function generateCounterpoint(length, options = {}) {
+  if (length < 1 || length > 256) {
+    throw new Error(`Length must be 1–256, got ${length}`);
+  }
+  const opts = { ...DEFAULT_COUNTERPOINT_OPTIONS, ...options };
+  const names = VOICE_NAMES[opts.voices];
+  if (!names) {
+    throw new Error(`Counterpoint needs 2–4 voices, got ${opts.voices}`);
+  }
+  getScale(opts.scale);
+
+  const voices = names.map((name) => {
+    const range = opts.ranges[name] || VOICE_RANGES[name];
+    const pool = voicePool(opts.scale, opts.root, range);
+    if (pool.length === 0) {
+      throw new Error(`No notes of ${opts.scale} in the ${name} range ${range[0]}–${range[1]}`);
+    }
+    return { name, range: [...range], pool, notes: [] };
+  });
+  const bass = voices.length - 1;
+  const isTonic = (note) => intervalClass(note, opts.root) === 0;
+  const rand = seededRandom(opts.seed);
+
+  let prev = null;
+  for (let step = 0; step < length; step++) {
+    const last = step === length - 1;
+    const choices = voices.map((voice, v) => {
+      if (!prev) return voice.pool;
+      const leap = v === bass ? opts.maxBassLeap : opts.maxLeap;
+      const near = voice.pool.filter((n) => Math.abs(n - prev[v]) <= leap);
+      return near.length > 0 ? near : voice.pool;
+    });
+
+    const checks = [];
+    if (step === 0 || last) checks.push([{ voices: [bass], test: (chord) => isTonic(chord[bass]) }]);
+    if (last) checks.push([{ voices: [0], test: (chord) => isTonic(chord[0]) }]);
+    if (step === length - 2) {
+      checks.push([{ voices: [0, bass], test: (chord) => intervalClass(chord[0], chord[bass]) !== 0 }]);
+    }
+    RULES.forEach((rule) => {
+      const tests = [];
+      for (let i = 0; i < bass; i++) {
+        for (let j = i + 1; j <= bass; j++) {
+          tests.push({ voices: [i, j], test: (chord) => !breaksRule(rule, prev, chord, i, j, opts) });
+        }
+      }
+      checks.push(tests);
+    });
+
+    // Keep each check, highest priority first, unless no combination passes
+    // it together with the checks already kept
+    const kept = [];
+    for (const check of checks) {
+      if (searchChords(choices, [...kept, check], true).length > 0) kept.push(check);
+    }
+    const candidates = searchChords(choices, kept);
+
+    const chord = pickWeighted(candidates, candidates.map((c) => chordWeight(prev, c)), rand);
+    chord.forEach((note, v) => voices[v].notes.push(note));
+    prev = chord;
+  }
+
+  return voices.map(({ name, range, notes }) => ({ name, range, notes }));
+}
+
+// =============================================================================
+// SCHEDULING
+// =============================================================================
+
+/**
+ * Turn voices into note events on tracks named after the voices.
+ *
+ * @param {{name: string, notes: number[]}[]} voices - From generateCounterpoint()
+ * @param {object} options
+ * @param {number} options.stepMs - Time per note
+ * @param {number} [options.startMs=0]
+ * @param {number} [options.gate=1] - Duration as a fraction of stepMs
+ * @param {number} [options.velocity=80]
+ * @returns {{voice: number, note: number, time: number, duration: number,
+ *   velocity: number, track: string}[]} Ordered by time, then voice
+ */
+function counterpointToEvents(voices, options) {
+  const { stepMs } = options || {};
+  if (typeof stepMs !== 'number' || stepMs <= 0) {
+    throw new Error(`stepMs must be a positive number, got ${stepMs}`);
+  }
+  const startMs = options.startMs !== undefined ? options.startMs : 0;
+  const gate = options.gate !== undefined ? options.gate : 1;
+  const velocity = options.velocity !== undefined ? options.velocity : 80;
+
+  const length = Math.max(0, ...voices.map((v) => v.notes.length));
+  const events = [];
+  for (let i = 0; i < length; i++) {
+    voices.forEach((voice, v) => {
+      if (i >= voice.notes.length) return;
+      events.push({
+        voice: v,
+        note: voice.notes[i],
+        time: startMs + i * stepMs,
+        duration: stepMs * gate,
+        velocity,
+        track: voice.name,
+      });
+    });
+  }
+  return events;
+}
+
+/**
+ * Schedule voices on a Scheduler, one track per voice. Missing tracks are
+ * added on consecutive MIDI channels.
+ *
+ * @param {Scheduler} scheduler
+ * @param {{name: string, notes: number[]}[]} voices - From generateCounterpoint()
+ * @param {object} options - See counterpointToEvents()
+ * @returns {object[]} The scheduled events
+ */
+function scheduleVoices(scheduler, voices, options) {
+  const events = counterpointToEvents(voices, options);
+  voices.forEach((voice, v) => {
+    if (!scheduler.getTrack(voice.name)) scheduler.addTrack(voice.name, { channel: v });
+  });
+  return events.map((e) => scheduler.scheduleNote(e.note, e.time, e.duration, e.velocity, e.track));
+}
+
+module.exports = {
+  VOICE_RANGES,
+  VOICE_NAMES,
+  DEFAULT_COUNTERPOINT_OPTIONS,
+  RULES,
+  voicePool,
+  findViolations,
+  generateCounterpoint,
+  counterpointToEvents,
+  scheduleVoices,
+};
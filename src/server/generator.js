@@ -5,7 +5,11 @@
  * consensus parameters into concrete MIDI note sequences using recursive
  * self-similar algorithms inspired by L-system grammars.
  *
- * All note values are expressed as MIDI note numbers (0–127).
+ * All note values are expressed as MIDI note numbers (0–127); scales added
+ * with registerScale() may have fractional (microtonal) steps, giving
+ * fractional MIDI pitches (see tuning.js). Rhythms are
+ * arrays of steps (true = onset) that rhythmToEvents() turns into timed
+ * events ready for Scheduler.scheduleNote().
  *
  * @module generator
  */
@@ -18,6 +22,7 @@
 
 /**
  * Scale interval maps. Each array contains semitone offsets from the root.
+ * Scales added with registerScale() are stored here too.
  */
 const SCALES = {
   pentatonic:    [0, 2, 4, 7, 9],
@@ -32,6 +37,11 @@ const SCALES = {
   harmonic_minor:[0, 2, 3, 5, 7, 8, 11],
 };
 
+const BUILT_IN_SCALES = new Set(Object.keys(SCALES));
+
+/** Repeat interval in semitones for registered scales other than the octave. */
+const scalePeriods = new Map();
+
 /**
  * Get the list of available scale names.
  * @returns {string[]}
@@ -53,6 +63,119 @@ function getScale(scaleName) {
   return [...intervals];
 }
 
+/**
+ * Semitones after which a scale repeats: 12 for octave-repeating scales.
+ * @param {string} scaleName
+ * @returns {number}
+ */
+function getScalePeriod(scaleName) {
+  getScale(scaleName);
+  return scalePeriods.has(scaleName) ? scalePeriods.get(scaleName) : 12;
+}
+
+/**
+ * Add a user scale to the registry, or replace an earlier user scale of the
+ * same name. Intervals may be fractional (microtonal); generated notes are
+ * then fractional MIDI pitches, which tuning.js turns into frequencies or
+ * pitch-bent MIDI notes.
+ *
+ * @param {string} name - Scale name (built-in names cannot be replaced)
+ * @param {number[]} intervals - Ascending semitone offsets starting at 0
+ * @param {object} [options]
+ * @param {number} [options.period=12] - Interval in semitones at which the
+ *   scale repeats (e.g. 19.02 for a 3:1 tritave)
+ * @returns {string} The name
+ */
+function registerScale(name, intervals, options = {}) {
+  const period = options.period !== undefined ? options.period : 12;
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new Error('Scale name must be a non-empty string');
+  }
+  if (BUILT_IN_SCALES.has(name)) {
+    throw new Error(`Cannot replace built-in scale "${name}"`);
+  }
+  if (typeof period !== 'number' || !(period > 0)) {
+    throw new Error(`Scale period must be a positive number, got ${period}`);
+  }
+  if (!Array.isArray(intervals) || intervals.length === 0 || intervals[0] !== 0) {
+    throw new Error(`Scale "${name}" needs intervals starting at 0`);
+  }
+  intervals.forEach((interval, i) => {
+    if (!Number.isFinite(interval) || interval >= period || (i > 0 && interval <= intervals[i - 1])) {
+      throw new Error(`Scale "${name}" intervals must ascend from 0 to below the period (${period})`);
+    }
+  });
+
+  SCALES[name] = [...intervals];
+  if (period === 12) {
+    scalePeriods.delete(name);
+  } else {
+    scalePeriods.set(name, period);
+  }
+  return name;
+}
+
+/**
+ * Remove a user scale from the registry.
+ * @param {string} name
+ * @returns {boolean} true if the scale existed
+ */
+function unregisterScale(name) {
+  if (BUILT_IN_SCALES.has(name)) {
+    throw new Error(`Cannot remove built-in scale "${name}"`);
+  }
+  const existed = Object.prototype.hasOwnProperty.call(SCALES, name);
+  scalePeriods.delete(name);
+  delete SCALES[name];
+  return existed;
+}
+
+/**
+ * Convert a scale degree to a MIDI note. Degree 0 is the root; degrees past
+ * the end of the scale continue into higher octaves (periods) and negative
+ * degrees go below the root.
+ * @param {number} degree - Integer scale degree
+ * @param {string} scaleName
+ * @param {number} [rootNote=60]
+ * @returns {number} MIDI note, clamped to 0–127 (fractional for microtonal scales)
+ */
+function degreeToMidi(degree, scaleName, rootNote) {
+  rootNote = rootNote !== undefined ? rootNote : 60;
+  const intervals = getScale(scaleName);
+  const period = getScalePeriod(scaleName);
+  const octave = Math.floor(degree / intervals.length);
+  const index = degree - octave * intervals.length;
+  return Math.max(0, Math.min(127, rootNote + octave * period + intervals[index]));
+}
+
+/**
+ * Convert a MIDI note to the nearest scale degree (inverse of degreeToMidi).
+ * Notes outside the scale snap to the closest scale tone, the lower one on a
+ * tie.
+ * @param {number} note - MIDI note number
+ * @param {string} scaleName
+ * @param {number} [rootNote=60]
+ * @returns {number} Integer scale degree (0 = root)
+ */
+function midiToDegree(note, scaleName, rootNote) {
+  rootNote = rootNote !== undefined ? rootNote : 60;
+  const intervals = getScale(scaleName);
+  const period = getScalePeriod(scaleName);
+  const offset = note - rootNote;
+  const octave = Math.floor(offset / period);
+  const pitchClass = offset - octave * period;
+
+  // Candidates include the root of the next period (index = scale length)
+  const intervalAt = (index) => (index < intervals.length ? intervals[index] : period);
+  let best = 0;
+  for (let i = 1; i <= intervals.length; i++) {
+    if (Math.abs(intervalAt(i) - pitchClass) < Math.abs(intervalAt(best) - pitchClass)) {
+      best = i;
+    }
+  }
+  return octave * intervals.length + best;
+}
+
 // =============================================================================
 // SEEDED PSEUDO-RANDOM NUMBER GENERATOR
 // =============================================================================
@@ -76,6 +199,33 @@ function seededRandom(seed) {
 // SEQUENCE GENERATION
 // =============================================================================
 
+/**
+ * Build the ascending pool of MIDI notes a scale covers across an octave range.
+ * Notes outside 0–127 are omitted.
+ *
+ * @param {string} scaleName - Name of the scale (from SCALES)
+ * @param {number} [rootNote=60] - MIDI root note
+ * @param {number} [octaveRange=2] - How many octaves (scale periods) to span above root
+ * @returns {number[]} MIDI note numbers
+ */
+function buildNotePool(scaleName, rootNote, octaveRange) {
+  rootNote = rootNote !== undefined ? rootNote : 60;
+  octaveRange = octaveRange !== undefined ? octaveRange : 2;
+
+  const intervals = getScale(scaleName);
+  const period = getScalePeriod(scaleName);
+  const notePool = [];
+  for (let octave = 0; octave < octaveRange; octave++) {
+    for (const interval of intervals) {
+      const note = rootNote + octave * period + interval;
+      if (note >= 0 && note <= 127) {
+        notePool.push(note);
+      }
+    }
+  }
+  return notePool;
+}
+
 /**
  * Generate a note sequence from a given scale.
  *
@@ -95,20 +245,9 @@ function generateSequence(length, scaleName, seed, rootNote, octaveRange) {
   rootNote = rootNote !== undefined ? rootNote : 60;
   octaveRange = octaveRange !== undefined ? octaveRange : 2;
 
-  const intervals = getScale(scaleName);
+  const notePool = buildNotePool(scaleName, rootNote, octaveRange);
   const rand = seededRandom(seed);
 
-  // Build the full note pool across the requested octave range
-  const notePool = [];
-  for (let octave = 0; octave < octaveRange; octave++) {
-    for (const interval of intervals) {
-      const note = rootNote + octave * 12 + interval;
-      if (note >= 0 && note <= 127) {
-        notePool.push(note);
-      }
-    }
-  }
-
   if (notePool.length === 0) {
     throw new Error('No valid MIDI notes in range for given parameters');
   }
@@ -150,7 +289,7 @@ function applyRecursion(sequence, depth) {
       // Derive a micro-motif: [note, note+interval_to_next, note]
       const next = current[(i + 1) % current.length];
       const interval = next - note;
-      const midNote = clampMidi(note + Math.floor(interval / 2));
+      const midNote = clampPitch(note + Math.floor(interval / 2));
       expanded.push(note, midNote, note);
     }
     current = expanded;
@@ -165,14 +304,170 @@ function applyRecursion(sequence, depth) {
 
 /**
  * Transpose a sequence by a number of semitones.
- * Notes that would fall outside MIDI range 0–127 are clamped.
+ * Notes that would fall outside MIDI range 0–127 are clamped; fractional
+ * (microtonal) pitches keep their offset.
  *
  * @param {number[]} sequence - Input MIDI note sequence
  * @param {number} semitones - Semitones to transpose (positive = up, negative = down)
  * @returns {number[]} Transposed sequence
  */
 function transpose(sequence, semitones) {
-  return sequence.map((note) => clampMidi(note + semitones));
+  return sequence.map((note) => clampPitch(note + semitones));
+}
+
+// =============================================================================
+// RHYTHM GENERATION
+// =============================================================================
+
+/**
+ * Euclidean rhythm: spread `pulses` onsets as evenly as possible over
+ * `steps` (Bjorklund's algorithm), e.g. euclidean(3, 8) → x..x..x.
+ *
+ * @param {number} pulses - Onsets (0–steps)
+ * @param {number} steps - Pattern length (1–256)
+ * @param {number} [rotation=0] - Start the pattern this many steps later
+ * @returns {boolean[]} One entry per step, true for an onset
+ */
+function euclidean(pulses, steps, rotation) {
+  if (!Number.isInteger(steps) || steps < 1 || steps > 256) {
+    throw new Error(`Steps must be 1–256, got ${steps}`);
+  }
+  if (!Number.isInteger(pulses) || pulses < 0 || pulses > steps) {
+    throw new Error(`Pulses must be 0–${steps}, got ${pulses}`);
+  }
+  rotation = rotation !== undefined ? rotation : 0;
+
+  // Pair up onset groups with remainder groups until one remainder is left;
+  // the first pass always runs, so a single rest is still spread out
+  let groups = Array.from({ length: pulses }, () => [true]);
+  let remainders = Array.from({ length: steps - pulses }, () => [false]);
+  let first = true;
+  while (groups.length > 0 && (remainders.length > 1 || (first && remainders.length === 1))) {
+    first = false;
+    const count = Math.min(groups.length, remainders.length);
+    const paired = [];
+    for (let i = 0; i < count; i++) paired.push([...groups[i], ...remainders[i]]);
+    const rest = groups.length > count ? groups.slice(count) : remainders.slice(count);
+    groups = paired;
+    remainders = rest;
+  }
+  const pattern = [...groups, ...remainders].flat();
+
+  const shift = ((rotation % steps) + steps) % steps;
+  return [...pattern.slice(shift), ...pattern.slice(0, shift)];
+}
+
+/**
+ * Metrical weight of each step (1 on the downbeat, lower on weaker
+ * subdivisions), used as the default per-step probabilities.
+ * @param {number} steps
+ * @returns {number[]} Weights in (0, 1]
+ */
+function metricalWeights(steps) {
+  const levels = Math.max(1, Math.ceil(Math.log2(steps)));
+  return Array.from({ length: steps }, (_, i) => {
+    if (i === 0) return 1;
+    let zeros = 0;
+    while (((i >> zeros) & 1) === 0) zeros++;
+    return 0.25 + (0.75 * Math.min(zeros, levels)) / levels;
+  });
+}
+
+/**
+ * Probabilistic rhythm: each step fires with its own probability, scaled by
+ * the consensus `density`. Density 0.5 uses the probabilities as given; 0
+ * silences every step and 1 fires every step.
+ *
+ * @param {number|number[]} probabilities - Per-step probabilities (0–1), or a
+ *   step count to use metricalWeights()
+ * @param {number} density - 0–1
+ * @param {number} [seed=42] - PRNG seed
+ * @returns {boolean[]}
+ */
+function probabilityRhythm(probabilities, density, seed) {
+  const probs = typeof probabilities === 'number' ? metricalWeights(probabilities) : probabilities;
+  if (!Array.isArray(probs) || probs.length === 0 || probs.some((p) => !(p >= 0 && p <= 1))) {
+    throw new Error('Probabilities must be a step count or a non-empty array of values 0–1');
+  }
+  if (typeof density !== 'number' || density < 0 || density > 1) {
+    throw new Error(`Density must be 0–1, got ${density}`);
+  }
+
+  const rand = seededRandom(seed !== undefined ? seed : 42);
+  return probs.map((p) => {
+    const scaled = density <= 0.5 ? p * density * 2 : p + (1 - p) * (density - 0.5) * 2;
+    return rand() < scaled;
+  });
+}
+
+/**
+ * Velocities for each step: accented steps get `accent`, the rest `normal`,
+ * each varied by up to ±`variation` with a seeded PRNG.
+ *
+ * @param {boolean[]} accents - One entry per step; true = accented (e.g. a
+ *   euclidean() pattern)
+ * @param {object} [options]
+ * @param {number} [options.accent=110]
+ * @param {number} [options.normal=80]
+ * @param {number} [options.variation=0] - Maximum random offset
+ * @param {number} [options.seed=42]
+ * @returns {number[]} MIDI velocities (1–127)
+ */
+function accentPattern(accents, options = {}) {
+  const accent = options.accent !== undefined ? options.accent : 110;
+  const normal = options.normal !== undefined ? options.normal : 80;
+  const variation = options.variation !== undefined ? options.variation : 0;
+  const rand = seededRandom(options.seed !== undefined ? options.seed : 42);
+
+  return accents.map((isAccent) => {
+    const offset = variation > 0 ? (rand() * 2 - 1) * variation : 0;
+    return Math.max(1, Math.min(127, Math.round((isAccent ? accent : normal) + offset)));
+  });
+}
+
+/**
+ * Turn a rhythm into timed events for Scheduler.scheduleNote(note, time,
+ * duration, velocity).
+ *
+ * @param {boolean[]} rhythm - One entry per step
+ * @param {object} options
+ * @param {number} options.stepMs - Step length in ms, e.g.
+ *   scheduler.getSubdivisionDuration('sixteenth')
+ * @param {number} [options.startMs=0] - Time of the first step
+ * @param {number} [options.gate=1] - Duration as a fraction of the step
+ * @param {boolean} [options.legato=false] - Hold each note until the next
+ *   onset (times the gate) instead of a single step
+ * @param {number[]} [options.velocities] - Per-step velocities (cycled);
+ *   defaults to 100
+ * @param {number} [options.cycles=1] - Times to repeat the rhythm
+ * @returns {{step: number, time: number, duration: number, velocity: number}[]}
+ */
+function rhythmToEvents(rhythm, options) {
+  const { stepMs } = options || {};
+  if (typeof stepMs !== 'number' || stepMs <= 0) {
+    throw new Error(`stepMs must be a positive number, got ${stepMs}`);
+  }
+  const startMs = options.startMs !== undefined ? options.startMs : 0;
+  const gate = options.gate !== undefined ? options.gate : 1;
+  const cycles = options.cycles !== undefined ? options.cycles : 1;
+  const velocities = options.velocities || [100];
+
+  const total = rhythm.length * cycles;
+  const onsets = [];
+  for (let i = 0; i < total; i++) {
+    if (rhythm[i % rhythm.length]) onsets.push(i);
+  }
+
+  return onsets.map((step, n) => {
+    const next = n + 1 < onsets.length ? onsets[n + 1] : total;
+    const length = options.legato ? next - step : 1;
+    return {
+      step,
+      time: startMs + step * stepMs,
+      duration: length * stepMs * gate,
+      velocity: velocities[step % velocities.length],
+    };
+  });
 }
 
 // =============================================================================
@@ -188,6 +483,15 @@ function clampMidi(note) {
   return Math.max(0, Math.min(127, Math.round(note)));
 }
 
+/**
+ * Clamp a pitch to 0–127 without rounding, so microtonal pitches survive.
+ * @param {number} pitch
+ * @returns {number}
+ */
+function clampPitch(pitch) {
+  return Math.max(0, Math.min(127, pitch));
+}
+
 /**
  * Convert a MIDI note number to its note name (e.g. 60 → "C4").
  * @param {number} midi - MIDI note number
@@ -204,10 +508,22 @@ module.exports = {
   SCALES,
   getScaleNames,
   getScale,
+  getScalePeriod,
+  registerScale,
+  unregisterScale,
+  degreeToMidi,
+  midiToDegree,
+  buildNotePool,
   generateSequence,
   applyRecursion,
   transpose,
+  euclidean,
+  metricalWeights,
+  probabilityRhythm,
+  accentPattern,
+  rhythmToEvents,
   clampMidi,
+  clampPitch,
   midiToNoteName,
   seededRandom,
 };
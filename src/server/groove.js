@@ -0,0 +1,230 @@
+/**
+ * Groove — Swing, Groove Templates and Humanisation
+ *
+ * The inverse of quantization: moves note events off the rigid grid in
+ * musically useful ways. Swing delays every second grid slot; a groove
+ * template gives a timing and velocity offset for each slot of the bar; and
+ * humanisation adds seeded random variation so output stays deterministic per
+ * seed.
+ *
+ * Grid slots are measured in beats from the start of each bar through a
+ * Scheduler's tempo map and time signatures, so grooves stay locked to bar
+ * lines. Timing offsets in templates are fractions of one grid step, which
+ * keeps them independent of tempo.
+ *
+ * Transforms return new event arrays; write them back with
+ * `scheduler.setSchedule()`, e.g.
+ *   scheduler.setSchedule(applySwing(scheduler.getSchedule(), scheduler, 62));
+ *
+ * @module groove
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { subdivisionBeats } = require('./scheduler');
+const { seededRandom } = require('./generator');
+
+// =============================================================================
+// GROOVE TEMPLATES
+// =============================================================================
+
+/**
+ * Built-in groove templates. `timing` holds per-slot offsets as a fraction of
+ * the grid step (positive = late); `velocity` holds per-slot velocity offsets.
+ * Slots repeat across the bar.
+ */
+const GROOVES = {
+  straight: { subdivision: 'sixteenth', timing: [0], velocity: [0] },
+  // Classic drum machine 16th swing (~58%) with softer off-beats
+  mpc_swing: { subdivision: 'sixteenth', timing: [0, 0.16], velocity: [0, -12] },
+  // Triplet-feel eighth shuffle
+  shuffle: { subdivision: 'eighth', timing: [0, 1 / 3], velocity: [8, -8] },
+  // Slightly ahead on the off-beats, accented downbeats
+  push: { subdivision: 'sixteenth', timing: [0, -0.08, -0.04, -0.08], velocity: [10, -6, 2, -6] },
+  // Everything after the downbeat sits behind the beat
+  laid_back: { subdivision: 'sixteenth', timing: [0, 0.1, 0.12, 0.1], velocity: [6, -4, 0, -4] },
+};
+
+/**
+ * Validate a groove template and fill in defaults. Accepts a template object
+ * or its JSON text; a `velocity` array may be omitted.
+ *
+ * @param {string|object} source - Template or JSON string
+ * @returns {{name?: string, subdivision: string, timing: number[], velocity: number[]}}
+ * @throws {Error} If the template is malformed
+ */
+function loadGroove(source) {
+  let template = source;
+  if (typeof source === 'string') {
+    try {
+      template = JSON.parse(source);
+    } catch (err) {
+      throw new Error(`Invalid groove JSON: ${err.message}`);
+    }
+  }
+  if (!template || typeof template !== 'object') {
+    throw new Error('Groove template must be an object');
+  }
+
+  const subdivision = template.subdivision || 'sixteenth';
+  subdivisionBeats(subdivision);
+
+  const timing = template.timing;
+  if (!Array.isArray(timing) || timing.length === 0 || !timing.every(Number.isFinite)) {
+    throw new Error('Groove timing must be a non-empty array of numbers');
+  }
+  if (timing.some((t) => Math.abs(t) >= 1)) {
+    throw new Error('Groove timing offsets must be fractions of a grid step (-1 < t < 1)');
+  }
+
+  const velocity = template.velocity !== undefined ? template.velocity : timing.map(() => 0);
+  if (!Array.isArray(velocity) || velocity.length !== timing.length || !velocity.every(Number.isFinite)) {
+    throw new Error('Groove velocity must be an array of numbers the same length as timing');
+  }
+
+  const groove = { subdivision, timing: [...timing], velocity: [...velocity] };
+  if (template.name !== undefined) groove.name = String(template.name);
+  return groove;
+}
+
+/**
+ * Read a groove template from a JSON file.
+ * @param {string} filePath
+ * @returns {object} Validated template (see loadGroove)
+ */
+function loadGrooveFile(filePath) {
+  return loadGroove(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Resolve a template argument: a built-in name, or a template object/JSON.
+ */
+function resolveGroove(template) {
+  if (typeof template === 'string' && GROOVES[template]) {
+    return loadGroove({ name: template, ...GROOVES[template] });
+  }
+  if (typeof template === 'string' && !template.trim().startsWith('{')) {
+    throw new Error(`Unknown groove: "${template}". Available: ${Object.keys(GROOVES).join(', ')}`);
+  }
+  return loadGroove(template);
+}
+
+// =============================================================================
+// GRID HELPERS
+// =============================================================================
+
+/**
+ * Locate an event on the grid of its bar.
+ * @returns {{slot: number, beats: number}} Nearest grid slot within the bar
+ *   and the event position in beats
+ */
+function gridPosition(scheduler, time, grid) {
+  const beats = scheduler.msToBeats(time);
+  const { bar } = scheduler.beatsToBBT(beats);
+  const barStart = scheduler.bbtToBeats({ bar, beat: 1, tick: 0 });
+  return { slot: Math.round((beats - barStart) / grid), beats };
+}
+
+function clampVelocity(v) {
+  return Math.max(1, Math.min(127, Math.round(v)));
+}
+
+// =============================================================================
+// TRANSFORMS
+// =============================================================================
+
+/**
+ * Apply swing: every second grid slot is delayed so that it falls `amount`
+ * percent of the way through its pair (50 = straight, 66.7 = triplet feel).
+ * Notes keep their deviation from the grid and their duration.
+ *
+ * @param {object[]} events - Note events { note, time, duration, velocity }
+ * @param {import('./scheduler').Scheduler} scheduler - Tempo map and meter
+ * @param {number} amount - Swing percentage (50–90)
+ * @param {string} [subdivision="eighth"] - Grid being swung
+ * @returns {object[]} New events sorted by time
+ */
+function applySwing(events, scheduler, amount, subdivision) {
+  if (typeof amount !== 'number' || amount < 50 || amount > 90) {
+    throw new Error(`Swing must be between 50 and 90 percent, got ${amount}`);
+  }
+  const grid = subdivisionBeats(subdivision || 'eighth');
+  const shift = (amount / 100 - 0.5) * 2 * grid;
+
+  return events
+    .map((event) => {
+      const { slot, beats } = gridPosition(scheduler, event.time, grid);
+      if (slot % 2 === 0) return { ...event };
+      return { ...event, time: Math.max(0, scheduler.beatsToMs(beats + shift)) };
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Apply a groove template: each note takes the timing and velocity offsets
+ * of the template slot nearest to it.
+ *
+ * @param {object[]} events - Note events
+ * @param {import('./scheduler').Scheduler} scheduler - Tempo map and meter
+ * @param {string|object} template - Built-in name (see GROOVES), template or JSON
+ * @param {object} [options]
+ * @param {number} [options.strength=1] - Scales the offsets (0 = none, 1 = full)
+ * @returns {object[]} New events sorted by time
+ */
+function applyGroove(events, scheduler, template, options = {}) {
+  const groove = resolveGroove(template);
+  const strength = options.strength !== undefined ? options.strength : 1;
+  const grid = subdivisionBeats(groove.subdivision);
+  const slots = groove.timing.length;
+
+  return events
+    .map((event) => {
+      const { slot, beats } = gridPosition(scheduler, event.time, grid);
+      const i = ((slot % slots) + slots) % slots;
+      const time = scheduler.beatsToMs(beats + groove.timing[i] * grid * strength);
+      const velocity = event.velocity !== undefined ? event.velocity : 100;
+      return {
+        ...event,
+        time: Math.max(0, time),
+        velocity: clampVelocity(velocity + groove.velocity[i] * strength),
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Add seeded random variation to timing and velocity. Offsets follow a
+ * triangular distribution, so small deviations are more likely than large
+ * ones; the same seed always gives the same result.
+ *
+ * @param {object[]} events - Note events
+ * @param {object} [options]
+ * @param {number} [options.timing=10] - Maximum timing offset in ms
+ * @param {number} [options.velocity=8] - Maximum velocity offset
+ * @param {number} [options.seed=42] - PRNG seed
+ * @returns {object[]} New events sorted by time
+ */
+function humanize(events, options = {}) {
+  const timing = options.timing !== undefined ? options.timing : 10;
+  const velocity = options.velocity !== undefined ? options.velocity : 8;
+  const rand = seededRandom(options.seed !== undefined ? options.seed : 42);
+  const jitter = () => rand() + rand() - 1;
+
+  return events
+    .map((event) => ({
+      ...event,
+      time: Math.max(0, event.time + jitter() * timing),
+      velocity: clampVelocity((event.velocity !== undefined ? event.velocity : 100) + jitter() * velocity),
+    }))
+    .sort((a, b) => a.time - b.time);
+}
+
+module.exports = {
+  GROOVES,
+  loadGroove,
+  loadGrooveFile,
+  applySwing,
+  applyGroove,
+  humanize,
+};
@@ -0,0 +1,342 @@
+/**
+ * Harmony — Diatonic Chords, Progressions and Voice Leading
+ *
+ * Builds chords from any scale in SCALES by stacking every other scale
+ * degree (thirds in a seven-note scale), generates chord progressions by a
+ * seeded walk over a weighted graph of scale degrees, and voices each chord
+ * as close as possible to the one before it.
+ *
+ * Harmonic tension (0–1, driven by consensus intensity through the `tension`
+ * mapping rule) tilts the walk: low tension favours tonic-function chords,
+ * high tension favours dominant-function chords.
+ *
+ * progressionToEvents() turns voiced chords into note events for
+ * Scheduler.scheduleNote(note, time, duration, velocity).
+ *
+ * @module harmony
+ */
+
+'use strict';
+
+const { getScale, seededRandom, degreeToMidi } = require('./generator');
+
+// =============================================================================
+// CHORD QUALITIES
+// =============================================================================
+
+/**
+ * Recognised chord qualities by semitone intervals above the chord root.
+ * `minor` selects a lowercase Roman numeral; `suffix` is appended to it.
+ */
+const CHORD_QUALITIES = {
+  major:            { intervals: [0, 4, 7], minor: false, suffix: '' },
+  minor:            { intervals: [0, 3, 7], minor: true, suffix: '' },
+  diminished:       { intervals: [0, 3, 6], minor: true, suffix: '°' },
+  augmented:        { intervals: [0, 4, 8], minor: false, suffix: '+' },
+  major7:           { intervals: [0, 4, 7, 11], minor: false, suffix: 'maj7' },
+  dominant7:        { intervals: [0, 4, 7, 10], minor: false, suffix: '7' },
+  minor7:           { intervals: [0, 3, 7, 10], minor: true, suffix: '7' },
+  half_diminished7: { intervals: [0, 3, 6, 10], minor: true, suffix: 'ø7' },
+  diminished7:      { intervals: [0, 3, 6, 9], minor: true, suffix: '°7' },
+  minor_major7:     { intervals: [0, 3, 7, 11], minor: true, suffix: 'maj7' },
+  augmented_major7: { intervals: [0, 4, 8, 11], minor: false, suffix: '+maj7' },
+};
+
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+
+/**
+ * Name the quality of a chord from its notes (lowest = chord root).
+ * @param {number[]} notes - MIDI notes in root position
+ * @returns {string} CHORD_QUALITIES key, or "other" for unrecognised stacks
+ */
+function chordQuality(notes) {
+  const intervals = notes.map((n) => n - notes[0]);
+  for (const [name, quality] of Object.entries(CHORD_QUALITIES)) {
+    if (quality.intervals.length === intervals.length &&
+        quality.intervals.every((iv, i) => iv === intervals[i])) {
+      return name;
+    }
+  }
+  return 'other';
+}
+
+function romanNumeral(degree, quality) {
+  const info = CHORD_QUALITIES[quality];
+  const numeral = ROMAN[degree] || String(degree + 1);
+  if (!info) return numeral;
+  return (info.minor ? numeral.toLowerCase() : numeral) + info.suffix;
+}
+
+// =============================================================================
+// CHORD CONSTRUCTION
+// =============================================================================
+
+/**
+ * Build the chord on a scale degree by stacking every other scale tone.
+ *
+ * @param {number} degree - Scale degree of the chord root (0 = tonic)
+ * @param {string} scaleName - Name of the scale (from SCALES)
+ * @param {object} [options]
+ * @param {number} [options.root=60] - MIDI note of the scale's tonic
+ * @param {number} [options.size=3] - Chord tones: 3 = triad, 4 = seventh
+ * @param {number} [options.inversion=0] - Lowest tones moved up an octave
+ * @returns {{degree: number, root: number, notes: number[], quality: string, numeral: string}}
+ */
+function buildChord(degree, scaleName, options = {}) {
+  const root = options.root !== undefined ? options.root : 60;
+  const size = options.size !== undefined ? options.size : 3;
+  const inversion = options.inversion !== undefined ? options.inversion : 0;
+  const length = getScale(scaleName).length;
+  if (!Number.isInteger(size) || size < 1 || size > length) {
+    throw new Error(`Chord size must be 1–${length} for ${scaleName}, got ${size}`);
+  }
+
+  const tones = Array.from({ length: size }, (_, i) => degreeToMidi(degree + 2 * i, scaleName, root));
+  const quality = chordQuality(tones);
+  const notes = [...tones];
+  for (let i = 0; i < inversion % size; i++) {
+    notes.push(notes.shift() + 12);
+  }
+
+  const wrapped = ((degree % length) + length) % length;
+  return { degree: wrapped, root: tones[0], notes, quality, numeral: romanNumeral(wrapped, quality) };
+}
+
+/**
+ * One chord per degree of a scale.
+ * @param {string} scaleName
+ * @param {object} [options] - buildChord() options
+ * @returns {object[]}
+ */
+function diatonicChords(scaleName, options) {
+  return getScale(scaleName).map((_, degree) => buildChord(degree, scaleName, options));
+}
+
+// =============================================================================
+// PROGRESSIONS
+// =============================================================================
+
+/**
+ * Harmonic function of each degree of a seven-note scale. In other scales
+ * degree 0 is the tonic and every other degree counts as predominant.
+ */
+const HARMONIC_FUNCTIONS = ['tonic', 'predominant', 'tonic', 'predominant', 'dominant', 'tonic', 'dominant'];
+
+const FUNCTION_TENSION = {
+  tonic: 0,
+  predominant: 0.5,
+  dominant: 1,
+};
+
+/**
+ * Progression graphs: degree → { next degree: weight }. Written for
+ * seven-note scales; in shorter scales edges to missing degrees are
+ * dropped, and a degree with no edges left moves to any degree.
+ */
+const PROGRESSION_GRAPHS = {
+  // Tonic → predominant → dominant → tonic, with deceptive and plagal moves
+  functional: {
+    0: { 3: 3, 4: 3, 5: 2, 1: 2, 2: 1 },
+    1: { 4: 4, 6: 1, 3: 1 },
+    2: { 5: 2, 3: 2 },
+    3: { 4: 3, 0: 2, 1: 2, 6: 1 },
+    4: { 0: 5, 5: 2 },
+    5: { 1: 3, 3: 3, 4: 1 },
+    6: { 0: 3, 2: 1 },
+  },
+  // Root motion by descending fifths (iii–vi–ii–V–I)
+  circle: {
+    0: { 3: 1 }, 3: { 6: 1 }, 6: { 2: 1 }, 2: { 5: 1 }, 5: { 1: 1 }, 1: { 4: 1 }, 4: { 0: 1 },
+  },
+  // I, IV, V and vi cycling in any order
+  pop: {
+    0: { 4: 2, 5: 2, 3: 2 },
+    3: { 0: 2, 4: 2, 5: 1 },
+    4: { 5: 2, 0: 2, 3: 1 },
+    5: { 3: 3, 4: 1 },
+    1: { 4: 1 }, 2: { 5: 1 }, 6: { 0: 1 },
+  },
+};
+
+function harmonicFunction(degree, scaleLength) {
+  if (scaleLength === HARMONIC_FUNCTIONS.length) return HARMONIC_FUNCTIONS[degree];
+  return degree === 0 ? 'tonic' : 'predominant';
+}
+
+/**
+ * Generate a progression of scale degrees by a seeded weighted walk.
+ *
+ * @param {number} length - Number of chords
+ * @param {object} [options]
+ * @param {string} [options.scale="major"]
+ * @param {string|object} [options.graph="functional"] - PROGRESSION_GRAPHS
+ *   name or a graph object
+ * @param {number} [options.start=0] - First degree
+ * @param {number} [options.tension=0.5] - 0 favours tonic, 1 dominant chords
+ * @param {number} [options.seed=42]
+ * @returns {number[]} Scale degrees
+ */
+function generateProgression(length, options = {}) {
+  const scale = options.scale || 'major';
+  const scaleLength = getScale(scale).length;
+  const graphName = options.graph || 'functional';
+  const graph = typeof graphName === 'string' ? PROGRESSION_GRAPHS[graphName] : graphName;
+  if (!graph) {
+    throw new Error(
+      `Unknown progression graph: "${graphName}". Available: ${Object.keys(PROGRESSION_GRAPHS).join(', ')}`
+    );
+  }
+  const tension = options.tension !== undefined ? options.tension : 0.5;
+  const rand = seededRandom(options.seed !== undefined ? options.seed : 42);
+
+  const degrees = [options.start !== undefined ? options.start : 0];
+  while (degrees.length < length) {
+    const current = degrees[degrees.length - 1];
+    let edges = Object.entries(graph[current] || {})
+      .map(([degree, weight]) => [Number(degree), weight])
+      .filter(([degree]) => degree < scaleLength);
+    if (edges.length === 0) {
+      edges = Array.from({ length: scaleLength }, (_, degree) => [degree, 1]);
+    }
+
+    // Tilt each weight by how well the target's function matches the tension
+    const weighted = edges.map(([degree, weight]) => {
+      const target = FUNCTION_TENSION[harmonicFunction(degree, scaleLength)];
+      return [degree, weight * Math.max(0.1, 1 + (2 * tension - 1) * (2 * target - 1))];
+    });
+    const total = weighted.reduce((sum, [, w]) => sum + w, 0);
+    let pick = rand() * total;
+    let next = weighted[weighted.length - 1][0];
+    for (const [degree, w] of weighted) {
+      pick -= w;
+      if (pick < 0) {
+        next = degree;
+        break;
+      }
+    }
+    degrees.push(next);
+  }
+  return degrees.slice(0, length);
+}
+
+// =============================================================================
+// VOICE LEADING
+// =============================================================================
+
+/** The note with pitch class `pc` nearest to `note` (lower on a tie). */
+function nearestWithPitchClass(note, pc) {
+  const below = note - (((note - pc) % 12) + 12) % 12;
+  return note - below <= below + 12 - note ? below : below + 12;
+}
+
+/**
+ * Voice a chord so each voice of the previous chord moves as little as
+ * possible. Every chord tone is kept when there are enough voices; extra
+ * voices double tones.
+ *
+ * @param {number[]} previous - MIDI notes of the previous voicing
+ * @param {number[]} chordNotes - Notes of the next chord (any voicing)
+ * @returns {number[]} New voicing, ascending, with as many notes as `previous`
+ */
+function voiceLead(previous, chordNotes) {
+  const pitchClasses = [...new Set(chordNotes.map((n) => ((n % 12) + 12) % 12))];
+  const required = Math.min(previous.length, pitchClasses.length);
+  let best = null;
+  let bestCost = Infinity;
+
+  // Try every assignment of pitch classes to voices (at most 4^4 for sevenths)
+  const assign = (voice, chosen, cost) => {
+    if (cost >= bestCost) return;
+    if (voice === previous.length) {
+      if (new Set(chosen.map((n) => n % 12)).size >= required) {
+        best = chosen;
+        bestCost = cost;
+      }
+      return;
+    }
+    for (const pc of pitchClasses) {
+      const note = nearestWithPitchClass(previous[voice], pc);
+      assign(voice + 1, [...chosen, note], cost + Math.abs(note - previous[voice]));
+    }
+  };
+  assign(0, [], 0);
+
+  return best.sort((a, b) => a - b);
+}
+
+/**
+ * Voice-lead a list of chords, keeping the first chord's voicing.
+ * @param {object[]} chords - From buildChord()
+ * @returns {object[]} Copies with `notes` revoiced
+ */
+function voiceLeadProgression(chords) {
+  const result = [];
+  chords.forEach((chord, i) => {
+    const notes = i === 0 ? [...chord.notes] : voiceLead(result[i - 1].notes, chord.notes);
+    result.push({ ...chord, notes });
+  });
+  return result;
+}
+
+/**
+ * Generate a voiced chord progression in one step.
+ *
+ * @param {number} length - Number of chords
+ * @param {object} [options] - generateProgression() and buildChord() options, plus:
+ * @param {boolean} [options.voiceLeading=true] - Revoice for smooth motion
+ * @returns {object[]} Chords (see buildChord())
+ */
+function generateHarmony(length, options = {}) {
+  const scale = options.scale || 'major';
+  const chords = generateProgression(length, options).map((degree) => buildChord(degree, scale, options));
+  return options.voiceLeading === false ? chords : voiceLeadProgression(chords);
+}
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+/**
+ * Turn chords into note events for Scheduler.scheduleNote(note, time,
+ * duration, velocity).
+ *
+ * @param {object[]} chords - Chords with `notes`
+ * @param {object} options
+ * @param {number} options.chordMs - Time per chord, e.g. one 4/4 bar:
+ *   `scheduler.getBeatDuration() * 4`
+ * @param {number} [options.startMs=0]
+ * @param {number} [options.gate=1] - Duration as a fraction of chordMs
+ * @param {number} [options.velocity=80]
+ * @returns {{chord: number, note: number, time: number, duration: number, velocity: number}[]}
+ */
+function progressionToEvents(chords, options) {
+  const { chordMs } = options || {};
+  if (typeof chordMs !== 'number' || chordMs <= 0) {
+    throw new Error(`chordMs must be a positive number, got ${chordMs}`);
+  }
+  const startMs = options.startMs !== undefined ? options.startMs : 0;
+  const gate = options.gate !== undefined ? options.gate : 1;
+  const velocity = options.velocity !== undefined ? options.velocity : 80;
+
+  return chords.flatMap((chord, i) => chord.notes.map((note) => ({
+    chord: i,
+    note,
+    time: startMs + i * chordMs,
+    duration: chordMs * gate,
+    velocity,
+  })));
+}
+
+module.exports = {
+  CHORD_QUALITIES,
+  HARMONIC_FUNCTIONS,
+  PROGRESSION_GRAPHS,
+  chordQuality,
+  buildChord,
+  diatonicChords,
+  generateProgression,
+  voiceLead,
+  voiceLeadProgression,
+  generateHarmony,
+  progressionToEvents,
+};
@@ -1,14 +1,22 @@
 /**
  * Omni-Performative Engine - Example: Generative Music
  * Proof-of-Concept Server (Validated: P95 latency 2ms)
- * 
+ *
  * Implements the Contextual Awareness Layer (CAL) with:
  * - Real-time WebSocket communication via Socket.io
- * - Weighted consensus algorithm for audience input aggregation
+ * - Weighted consensus algorithm for audience input aggregation (ConsensusEngine)
  * - Performer override system with priority hierarchy
+ * - OSC output of the unified state to external synths (OSCBridge)
+ * - Server-authoritative note stream shared by every client (NoteStream)
+ * - NTP-style clock sync per client; input timestamps are normalized to
+ *   server time before they reach consensus (ClockSync)
  * - Latency measurement for benchmarking
- * 
+ *
  * Architecture: Audience inputs → Weighted Consensus → Unified State → All Clients
+ *
+ * Requiring this module has no side effects. Use createServer() to build an
+ * instance (several may coexist), or run the file directly to start one on
+ * $PORT.
  */
 
 const express = require('express');
@@ -16,212 +24,460 @@ const http = require('http');
 const { Server } = require('socket.io');
 const path = require('path');
 
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, {
-  cors: { origin: "*" },
-  pingInterval: 10000,
-  pingTimeout: 5000
-});
-
-app.use(express.static(path.join(__dirname, '../public')));
+const { ConsensusEngine, DEFAULT_CONFIG } = require('./consensus');
+const { OSCBridge } = require('./osc-bridge');
+const { getScaleNames, buildNotePool } = require('./generator');
+const { createMapping, mapState, renderPhrase } = require('./music-mapping');
+const { exportScheduler } = require('./midi-export');
+const { NoteStream } = require('./note-stream');
+const { ClockSync } = require('./clock-sync');
+const { VoiceAllocator } = require('./voice-allocator');
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
-const CONFIG = {
-  INPUT_DECAY_WINDOW_MS: 5000,      // Recency window for weighting
-  STATE_BROADCAST_INTERVAL_MS: 50,  // 20Hz state broadcast (smooth updates)
-  CONSENSUS_SMOOTHING: 0.15,        // Interpolation factor (prevents jarring jumps)
-  BETA_TEMPORAL: 0.6,               // Temporal weight coefficient
-  GAMMA_CONSENSUS: 0.4              // Consensus proximity coefficient
+// Consensus tuning (decay window, smoothing, coefficients) lives in
+// consensus.js DEFAULT_CONFIG; the server adds the audience-voted scale.
+const DEFAULT_OPTIONS = {
+  port: 3000,
+  consensus: {
+    PARAMETERS: [...DEFAULT_CONFIG.PARAMETERS, 'scale']
+  },
+  broadcastIntervalMs: 50,  // 20Hz state broadcast (smooth updates)
+  noteStream: {
+    lookaheadMs: 1000       // Notes are broadcast this far ahead of playback
+  },
+  voices: {
+    maxPolyphony: 16,       // OSC voices; extra notes steal a sounding one
+    steal: 'oldest'
+  },
+  clockSync: {
+    intervalMs: 5000,       // Re-ping every client this often
+    windowSize: 8           // Exchanges kept per client
+  },
+  serveStatic: true,
+  osc: {
+    enabled: true,
+    udp: true,              // The server sends real packets; library bridges default offline
+    host: '127.0.0.1',
+    port: 57120
+  }
 };
 
+/**
+ * The audience scale vote. Built per server, so scales registered after this
+ * module loads (e.g. Scala files) are on the ballot.
+ * @returns {object} Enum parameter definition
+ */
+function scaleParameter() {
+  return { type: 'enum', options: getScaleNames(), voting: 'plurality', default: 'pentatonic' };
+}
+
 // ============================================================================
-// PERFORMANCE STATE - Unified state driving all outputs
+// SERVER FACTORY
 // ============================================================================
-const performanceState = {
-  mood: 0.5,
-  tempo: 0.5,
-  intensity: 0.5,
-  density: 0.5,
-  
-  lastUpdate: Date.now(),
-  updateSource: 'init',
-  audienceCount: 0,
-  
-  // Performer overrides
-  overrides: {
-    active: false,
-    mood: null,
-    tempo: null,
-    intensity: null,
-    density: null
+
+/**
+ * Build a CAL server instance. Nothing listens and no timers run until
+ * start() is called.
+ *
+ * @param {object} [options]
+ * @param {number} [options.port=3000] - Port for start(); 0 picks a free port
+ * @param {function} [options.clock=Date.now] - Returns the current time in ms
+ * @param {object} [options.consensus] - ConsensusEngine config overrides
+ *   (merged over DEFAULT_OPTIONS.consensus and a `scale` vote over the scales
+ *   registered when the server is created)
+ * @param {object} [options.mapping] - Music mapping rule overrides (see music-mapping.js)
+ * @param {number} [options.broadcastIntervalMs=50] - State broadcast period;
+ *   0 disables the timer so tick() can be driven manually
+ * @param {object} [options.noteStream] - `{ lookaheadMs, phraseLength, seed, gate,
+ *   track }` passed to NoteStream; streamed notes go out over OSC on its track
+ * @param {object} [options.voices] - `{ maxPolyphony, steal }` for the note-on/off
+ *   messages sent over OSC (see voice-allocator.js)
+ * @param {object} [options.clockSync] - `{ intervalMs, windowSize, minDriftSpanMs }`;
+ *   intervalMs 0 only pings clients when they connect or on syncClocks()
+ * @param {object} [options.app] - Existing Express app to mount routes on
+ * @param {boolean} [options.serveStatic=true] - Serve the audience/performer UI
+ * @param {object} [options.osc] - `{ enabled, host, port, prefix, udp, frequency, onSend }`
+ *   passed to OSCBridge
+ * @param {object} [options.logger=console] - Object with a log() method
+ * @returns {{app: object, server: object, io: object, engine: ConsensusEngine,
+ *   oscBridge: OSCBridge, noteStream: NoteStream, voices: VoiceAllocator,
+ *   clocks: Map<string, ClockSync>, tick: function, syncClocks: function,
+ *   start: function, stop: function}}
+ */
+function createServer(options = {}) {
+  const opts = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+    consensus: {
+      ...DEFAULT_OPTIONS.consensus,
+      PARAMETER_TYPES: { scale: scaleParameter() },
+      ...options.consensus
+    },
+    noteStream: { ...DEFAULT_OPTIONS.noteStream, ...options.noteStream },
+    voices: { ...DEFAULT_OPTIONS.voices, ...options.voices },
+    clockSync: { ...DEFAULT_OPTIONS.clockSync, ...options.clockSync },
+    osc: { ...DEFAULT_OPTIONS.osc, ...options.osc }
+  };
+  const clock = opts.clock || Date.now;
+  const logger = opts.logger || console;
+
+  const app = opts.app || express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: { origin: "*" },
+    pingInterval: 10000,
+    pingTimeout: 5000
+  });
+
+  if (opts.serveStatic) {
+    app.use(express.static(path.join(__dirname, '../public')));
   }
-};
 
-// Audience input storage: userId → { timestamp, values }
-const audienceInputs = new Map();
+  // ==========================================================================
+  // PERFORMANCE STATE - Unified state driving all outputs
+  // ==========================================================================
+  const engine = new ConsensusEngine(opts.consensus);
 
-// ============================================================================
-// WEIGHTED CONSENSUS ALGORITHM
-// ============================================================================
-function calculateWeightedConsensus() {
-  const now = Date.now();
-  const inputs = Array.from(audienceInputs.values());
-  
-  if (inputs.length === 0) return null;
-  
-  const parameters = ['mood', 'tempo', 'intensity', 'density'];
-  const result = {};
-  
-  parameters.forEach(param => {
-    let weightedSum = 0;
-    let totalWeight = 0;
-    
-    inputs.forEach(input => {
-      if (input.values[param] === undefined) return;
-      
-      const age = now - input.timestamp;
-      if (age > CONFIG.INPUT_DECAY_WINDOW_MS) return;
-      
-      // Temporal decay: recent inputs weighted higher
-      const temporalWeight = Math.exp(-age / CONFIG.INPUT_DECAY_WINDOW_MS * CONFIG.BETA_TEMPORAL);
-      
-      // Consensus proximity: inputs closer to current consensus weighted higher
-      const currentValue = performanceState[param];
-      const inputValue = input.values[param];
-      const distance = Math.abs(inputValue - currentValue);
-      const consensusWeight = 1 - (distance * CONFIG.GAMMA_CONSENSUS);
-      
-      const finalWeight = temporalWeight * Math.max(0.1, consensusWeight);
-      
-      weightedSum += inputValue * finalWeight;
-      totalWeight += finalWeight;
-    });
-    
-    if (totalWeight > 0) {
-      result[param] = weightedSum / totalWeight;
+  const mapping = createMapping(opts.mapping);
+
+  const { enabled: oscEnabled, ...oscOptions } = opts.osc;
+  const oscBridge = new OSCBridge(oscOptions);
+
+  const noteStream = new NoteStream(opts.noteStream);
+  const voices = new VoiceAllocator(opts.voices);
+
+  // Per-socket clock estimates (socket.id → ClockSync)
+  const { intervalMs: syncIntervalMs, ...syncOptions } = opts.clockSync;
+  const clocks = new Map();
+
+  // Bookkeeping the engine does not track
+  const meta = {
+    lastUpdate: clock(),
+    updateSource: 'init'
+  };
+
+  let broadcastTimer = null;
+  let syncTimer = null;
+  let lastScale = null;
+  let scaleChosen = false;
+
+  function getPerformanceState() {
+    return {
+      ...engine.getState(),
+      lastUpdate: meta.lastUpdate,
+      updateSource: meta.updateSource,
+      audienceCount: engine.getInputCount(),
+      overrides: engine.getOverrides()
+    };
+  }
+
+  /**
+   * Map the current state to musical parameters. Mood picks the scale until
+   * the audience votes for one (or the performer overrides it); from then on
+   * the chosen scale holds until another is chosen.
+   */
+  function getMusic() {
+    const state = engine.getState();
+    const tallies = engine.getTallies().scale || {};
+    if (Object.values(tallies).some((t) => t > 0) || engine.getOverrides().scale != null) {
+      scaleChosen = true;
     }
-  });
-  
-  return Object.keys(result).length > 0 ? result : null;
-}
+    const music = mapState(scaleChosen ? state : { ...state, scale: undefined }, mapping);
+    return { ...music, notePool: buildNotePool(music.scale, music.root, music.octaveRange) };
+  }
 
-// Apply consensus with smoothing
-function applyConsensus(consensus) {
-  if (!consensus) return;
-  
-  Object.entries(consensus).forEach(([param, value]) => {
-    // Skip if performer has override active
-    if (performanceState.overrides.active && performanceState.overrides[param] !== null) {
-      return;
+  // ==========================================================================
+  // STATE BROADCAST LOOP (20Hz)
+  // ==========================================================================
+
+  /**
+   * Run one iteration of the broadcast loop: prune stale inputs, fold the
+   * current consensus into the engine state, publish it to every client and
+   * to the OSC bridge, then broadcast any newly scheduled notes.
+   * @param {number} [now] - Current timestamp; defaults to the injected clock
+   * @returns {object} The state:update payload that was broadcast
+   */
+  function tick(now) {
+    now = now || clock();
+
+    engine.pruneOldInputs(now);
+    const consensus = engine.calculateConsensus(now);
+    if (consensus) {
+      engine.applyConsensus(consensus);
+      meta.lastUpdate = now;
+      meta.updateSource = 'consensus';
     }
-    
-    // Smooth interpolation
-    const current = performanceState[param];
-    performanceState[param] = current + (value - current) * CONFIG.CONSENSUS_SMOOTHING;
-  });
-  
-  performanceState.lastUpdate = Date.now();
-  performanceState.updateSource = 'consensus';
-}
 
-// Prune old inputs
-function pruneOldInputs() {
-  const now = Date.now();
-  for (const [userId, input] of audienceInputs.entries()) {
-    if (now - input.timestamp > CONFIG.INPUT_DECAY_WINDOW_MS * 2) {
-      audienceInputs.delete(userId);
+    const state = engine.getState();
+    const music = getMusic();
+    const payload = {
+      ...state,
+      tallies: engine.getTallies(),
+      music,
+      audienceCount: engine.getInputCount(),
+      timestamp: now,
+      source: meta.updateSource
+    };
+
+    io.emit('state:update', payload);
+    // String values (the scale) are skipped by the numeric bundle
+    const { notePool, ...musicParams } = music;
+    oscBridge.sendBundle({ ...state, ...musicParams });
+
+    if (music.scale !== lastScale) {
+      lastScale = music.scale;
+      oscBridge.send('scale', music.scale);
     }
+
+    // Schedule notes up to the lookahead horizon; only new events are sent
+    noteStream.setMusic(music);
+    const events = noteStream.advance(now);
+    // OSC synths get explicit note-on/off; note-offs go out once they fall
+    // inside the lookahead window, after any retrigger or steal is known
+    const horizon = now + noteStream.options.lookaheadMs;
+    [...voices.allocate(events), ...voices.release(horizon)]
+      .forEach((message) => oscBridge.sendNoteMessage(message, noteStream.getTrack()));
+    if (events.length > 0) {
+      io.emit('notes:schedule', {
+        events,
+        serverTime: now,
+        lookaheadMs: noteStream.options.lookaheadMs
+      });
+    }
+
+    return payload;
   }
-}
 
-// ============================================================================
-// SOCKET.IO EVENT HANDLERS
-// ============================================================================
-io.on('connection', (socket) => {
-  console.log(`[${new Date().toISOString()}] Client connected: ${socket.id}`);
-  
-  // Handle audience input
-  socket.on('audience:input', (data) => {
-    const { values, timestamp } = data;
-    
-    audienceInputs.set(socket.id, {
-      timestamp: timestamp || Date.now(),
-      values: values
+  // ==========================================================================
+  // CLOCK SYNC
+  // ==========================================================================
+
+  /**
+   * Send a clock:ping to every connected client. Each reply (clock:pong)
+   * adds an exchange to that client's ClockSync and is answered with
+   * clock:sync carrying the updated offset estimate.
+   */
+  function syncClocks() {
+    for (const socket of io.sockets.sockets.values()) {
+      socket.emit('clock:ping', { t0: clock() });
+    }
+  }
+
+  /**
+   * Convert a client-supplied timestamp to server time. Until a client's
+   * clock has been synced its timestamps are not trusted and the arrival
+   * time is used instead; normalized times never lie in the future.
+   */
+  function normalizeTimestamp(socketId, timestamp) {
+    const now = clock();
+    const sync = clocks.get(socketId);
+    if (!Number.isFinite(timestamp) || !sync || !sync.isSynced()) return now;
+    return Math.min(now, sync.toServerTime(timestamp));
+  }
+
+  // ==========================================================================
+  // SOCKET.IO EVENT HANDLERS
+  // ==========================================================================
+  io.on('connection', (socket) => {
+    logger.log(`[${new Date(clock()).toISOString()}] Client connected: ${socket.id}`);
+
+    clocks.set(socket.id, new ClockSync(syncOptions));
+    socket.emit('clock:ping', { t0: clock() });
+
+    // Bring late joiners up to date with notes already scheduled
+    const now = clock();
+    const upcoming = noteStream.getUpcoming(now);
+    if (upcoming.length > 0) {
+      socket.emit('notes:schedule', {
+        events: upcoming,
+        serverTime: now,
+        lookaheadMs: noteStream.options.lookaheadMs
+      });
+    }
+
+    // Handle audience input
+    socket.on('audience:input', (data) => {
+      const { values, timestamp } = data || {};
+
+      engine.recordInput(socket.id, values, normalizeTimestamp(socket.id, timestamp));
+
+      // Acknowledge for latency measurement
+      socket.emit('input:ack', {
+        timestamp: timestamp,
+        serverTime: clock()
+      });
+    });
+
+    // Handle clock sync replies: t0 echoed from the ping, t1/t2 client time
+    socket.on('clock:pong', (data) => {
+      const { t0, t1, t2 } = data || {};
+      const sync = clocks.get(socket.id);
+      if (sync && sync.addSample({ t0, t1, t2, t3: clock() })) {
+        socket.emit('clock:sync', sync.getStatus());
+      }
     });
-    
-    // Acknowledge for latency measurement
-    socket.emit('input:ack', { 
-      timestamp: data.timestamp,
-      serverTime: Date.now()
+
+    // Handle performer override
+    socket.on('performer:override', (data) => {
+      const { param, value, active } = data || {};
+
+      if (param) {
+        // Releasing a toggle (active: false) clears just that parameter
+        engine.setOverride(param, active === false || value === undefined ? null : value);
+      } else if (active !== undefined) {
+        engine.setOverridesActive(active);
+      }
+
+      meta.lastUpdate = clock();
+      meta.updateSource = 'performer';
+
+      logger.log(`[PERFORMER] Override: ${param} = ${value} (active: ${engine.getOverrides().active})`);
+    });
+
+    // Handle performer transforms: replaces the pipeline applied to new phrases
+    socket.on('performer:transform', (data) => {
+      const { steps } = data || {};
+      try {
+        noteStream.setTransforms(steps || []);
+      } catch (err) {
+        // The live pipeline comes back so the panel can resync to it
+        socket.emit('performer:error', { message: err.message, transforms: noteStream.getTransforms() });
+        logger.log(`[PERFORMER] Rejected transforms: ${err.message}`);
+        return;
+      }
+
+      meta.lastUpdate = clock();
+      meta.updateSource = 'performer';
+      const ops = noteStream.getTransforms().map((step) => step.op);
+      logger.log(`[PERFORMER] Transforms: ${ops.join(' → ') || 'none'}`);
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', () => {
+      engine.removeInput(socket.id);
+      clocks.delete(socket.id);
+      logger.log(`[${new Date(clock()).toISOString()}] Client disconnected: ${socket.id}`);
     });
   });
-  
-  // Handle performer override
-  socket.on('performer:override', (data) => {
-    const { param, value, active } = data;
-    
-    if (active !== undefined) {
-      performanceState.overrides.active = active;
-    }
-    
-    if (param && value !== undefined) {
-      performanceState.overrides[param] = value;
-      performanceState[param] = value;
-      performanceState.lastUpdate = Date.now();
-      performanceState.updateSource = 'performer';
-    }
-    
-    console.log(`[PERFORMER] Override: ${param} = ${value} (active: ${performanceState.overrides.active})`);
+
+  // ==========================================================================
+  // HTTP ROUTES
+  // ==========================================================================
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', audienceCount: engine.getInputCount() });
   });
-  
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    audienceInputs.delete(socket.id);
-    console.log(`[${new Date().toISOString()}] Client disconnected: ${socket.id}`);
+
+  app.get('/state', (req, res) => {
+    res.json({ ...getPerformanceState(), tallies: engine.getTallies(), osc: oscBridge.getStatus() });
   });
-});
 
-// ============================================================================
-// STATE BROADCAST LOOP (20Hz)
-// ============================================================================
-setInterval(() => {
-  pruneOldInputs();
-  const consensus = calculateWeightedConsensus();
-  applyConsensus(consensus);
-  
-  performanceState.audienceCount = audienceInputs.size;
-  
-  io.emit('state:update', {
-    mood: performanceState.mood,
-    tempo: performanceState.tempo,
-    intensity: performanceState.intensity,
-    density: performanceState.density,
-    audienceCount: performanceState.audienceCount,
-    timestamp: Date.now(),
-    source: performanceState.updateSource
+  // Render a phrase from the current musical parameters
+  function phraseFromQuery(query) {
+    const music = getMusic();
+    const length = parseInt(query.length || '8', 10);
+    const seed = parseInt(query.seed || '42', 10);
+    return { music, seed, scheduler: renderPhrase(music, { length, seed }) };
+  }
+
+  app.get('/sequence', (req, res) => {
+    try {
+      const { music, seed, scheduler } = phraseFromQuery(req.query);
+      const { notePool, ...params } = music;
+      res.json({ ...params, seed, notes: scheduler.getSchedule() });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
   });
-}, CONFIG.STATE_BROADCAST_INTERVAL_MS);
 
-// ============================================================================
-// HTTP ROUTES
-// ============================================================================
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', audienceCount: audienceInputs.size });
-});
+  app.get('/sequence.mid', (req, res) => {
+    try {
+      const { music, seed, scheduler } = phraseFromQuery(req.query);
+      res.type('audio/midi');
+      res.set('Content-Disposition', `attachment; filename="${music.scale}-${seed}.mid"`);
+      res.send(exportScheduler(scheduler, { trackName: `${music.scale} (seed ${seed})` }));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // ==========================================================================
+  // LIFECYCLE
+  // ==========================================================================
 
-app.get('/state', (req, res) => {
-  res.json(performanceState);
-});
+  /**
+   * Listen on the configured port and start the broadcast and clock sync loops.
+   * @returns {Promise<{port: number}>} Resolves with the bound port
+   */
+  function start() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(opts.port, () => {
+        server.off('error', reject);
+        if (oscEnabled) {
+          oscBridge.connect();
+        }
+        if (opts.broadcastIntervalMs > 0) {
+          broadcastTimer = setInterval(tick, opts.broadcastIntervalMs);
+        }
+        if (syncIntervalMs > 0) {
+          syncTimer = setInterval(syncClocks, syncIntervalMs);
+        }
+        resolve({ port: server.address().port });
+      });
+    });
+  }
+
+  /**
+   * Stop the broadcast and clock sync loops, disconnect every client, close
+   * the HTTP server and the OSC socket.
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    if (broadcastTimer) {
+      clearInterval(broadcastTimer);
+      broadcastTimer = null;
+    }
+    if (syncTimer) {
+      clearInterval(syncTimer);
+      syncTimer = null;
+    }
+    oscBridge.disconnect();
+
+    return new Promise((resolve) => {
+      if (!server.listening) {
+        io.close();
+        resolve();
+        return;
+      }
+      io.close(() => resolve());
+    });
+  }
+
+  return {
+    app, server, io, engine, oscBridge, noteStream, voices, clocks, tick, syncClocks, start, stop
+  };
+}
 
 // ============================================================================
-// SERVER START
+// SERVER START (when run directly)
 // ============================================================================
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`
+if (require.main === module) {
+  const instance = createServer({
+    port: parseInt(process.env.PORT || '3000', 10),
+    noteStream: {
+      melody: process.env.MELODY || 'random'
+    },
+    osc: {
+      enabled: process.env.OSC_ENABLED !== 'false',
+      host: process.env.OSC_HOST || DEFAULT_OPTIONS.osc.host,
+      port: parseInt(process.env.OSC_PORT || String(DEFAULT_OPTIONS.osc.port), 10)
+    }
+  });
+
+  instance.start().then(({ port: PORT }) => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════════════════╗
 ║                 OMNI-DROMENON-ENGINE                              ║
 ║                 Example: Generative Music                         ║
@@ -233,5 +489,15 @@ server.listen(PORT, () => {
 ╠═══════════════════════════════════════════════════════════════════╣
 ║  Validated Performance: P95 latency 2ms                           ║
 ╚═══════════════════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  }).catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
+
+  const shutdown = () => instance.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+module.exports = { createServer, DEFAULT_OPTIONS };
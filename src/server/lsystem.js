@@ -0,0 +1,317 @@
+/**
+ * L-System — Grammar-Based Recursive Expansion
+ *
+ * A Lindenmayer system rewrites every symbol of a string in parallel, once
+ * per iteration, using production rules. Rules can be:
+ *
+ * - deterministic:       { A: 'N+A' }
+ * - stochastic:          { A: [{ successor: 'N+A', weight: 2 }, { successor: 'N-A' }] }
+ * - context-sensitive:   { symbol: 'A', left: 'B', right: 'N', successor: 'N' }
+ * - computed:            { symbol: (s) => typeof s === 'number', successor: (ctx) => [...] }
+ *
+ * Context-sensitive rules take precedence over context-free ones for the
+ * same symbol; among several matches one is picked by weight with a seeded
+ * PRNG, so expansion is deterministic per seed.
+ *
+ * The interpreter reads the result as a melody over scale degrees:
+ *
+ *   A–Z   play a note at the current degree for the current duration
+ *   .     rest for the current duration
+ *   + -   move up / down one scale degree
+ *   > <   double / halve the duration
+ *   [ ]   save / restore degree and duration (time keeps running)
+ *
+ * Lowercase letters and anything else are silent, so they can be used as
+ * non-terminals.
+ *
+ * @module lsystem
+ */
+
+'use strict';
+
+const { seededRandom, degreeToMidi, clampPitch } = require('./generator');
+
+// =============================================================================
+// DEFAULTS & PRESETS
+// =============================================================================
+
+const DEFAULT_LSYSTEM_OPTIONS = {
+  seed: 42,
+  maxLength: 100000,  // Expansion stops with an error past this many symbols
+  ignore: '+-<>[]',   // Symbols skipped when matching left/right context
+};
+
+/**
+ * Built-in systems. `midpoint` reproduces generator.applyRecursion on MIDI
+ * note sequences (each note becomes note, midpoint to the next note, note).
+ */
+const LSYSTEMS = {
+  midpoint: {
+    description: 'Each note spawns [note, midpoint to next note, note] (applyRecursion)',
+    rules: [
+      {
+        symbol: (s) => typeof s === 'number',
+        successor: ({ symbol, index, symbols }) => {
+          const next = symbols[(index + 1) % symbols.length];
+          return [symbol, clampPitch(symbol + Math.floor((next - symbol) / 2)), symbol];
+        },
+      },
+    ],
+  },
+  fibonacci: {
+    description: 'Fibonacci word: phrases grow by the golden ratio',
+    axiom: 'A',
+    rules: { A: 'A+B', B: '-A' },
+  },
+  call_response: {
+    description: 'Rising calls answered by falling responses',
+    axiom: 'X',
+    rules: { X: 'C[-R]', C: 'N+N+N', R: 'N-N' },
+  },
+  wandering: {
+    description: 'Stochastic random walk that occasionally lengthens notes',
+    axiom: 'N',
+    rules: {
+      N: [
+        { successor: 'N+N', weight: 2 },
+        { successor: 'N-N', weight: 2 },
+        { successor: '>N<', weight: 1 },
+      ],
+    },
+  },
+  echo: {
+    description: 'Context-sensitive: a note after a rise falls back (needs two notes to start)',
+    axiom: 'N+N',
+    rules: [
+      { symbol: 'N', left: 'N', successor: 'N-N' },
+      { symbol: 'N', successor: 'N+N' },
+    ],
+  },
+};
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+/**
+ * Normalize rules to an array of { symbol, successor, weight, left, right }.
+ * Accepts an array of rule objects or a map from symbol to a successor or
+ * list of weighted successors.
+ * @param {object|object[]} rules
+ * @returns {object[]}
+ * @throws {Error} If a rule is malformed
+ */
+function normalizeRules(rules) {
+  let list;
+  if (Array.isArray(rules)) {
+    list = rules;
+  } else if (rules && typeof rules === 'object') {
+    list = [];
+    for (const [symbol, value] of Object.entries(rules)) {
+      if (Array.isArray(value)) {
+        value.forEach((option) => list.push({ ...option, symbol }));
+      } else {
+        list.push({ symbol, successor: value });
+      }
+    }
+  } else {
+    throw new Error('L-system rules must be an array or an object');
+  }
+
+  return list.map((rule) => {
+    const { symbol, successor } = rule;
+    if (symbol === undefined) {
+      throw new Error('L-system rule needs a symbol');
+    }
+    if (typeof successor !== 'string' && typeof successor !== 'function' && !Array.isArray(successor)) {
+      throw new Error(`L-system rule for "${String(symbol)}" needs a string, array or function successor`);
+    }
+    const weight = rule.weight !== undefined ? rule.weight : 1;
+    if (typeof weight !== 'number' || weight <= 0) {
+      throw new Error(`L-system rule weight must be positive, got ${weight}`);
+    }
+    return {
+      symbol,
+      successor,
+      weight,
+      left: rule.left !== undefined ? [...rule.left] : null,
+      right: rule.right !== undefined ? [...rule.right] : null,
+    };
+  });
+}
+
+function matchesSymbol(rule, symbol) {
+  return typeof rule.symbol === 'function' ? rule.symbol(symbol) : rule.symbol === symbol;
+}
+
+/**
+ * Collect up to `count` neighbours of symbols[index], walking in `dir`
+ * (-1 left, 1 right) and skipping ignored symbols. Left context is returned
+ * in reading order.
+ */
+function neighbours(symbols, index, dir, count, ignore) {
+  const found = [];
+  for (let i = index + dir; i >= 0 && i < symbols.length && found.length < count; i += dir) {
+    if (!ignore.includes(symbols[i])) found.push(symbols[i]);
+  }
+  return dir < 0 ? found.reverse() : found;
+}
+
+function matchesContext(rule, symbols, index, ignore) {
+  const same = (a, b) => a.length === b.length && a.every((s, i) => s === b[i]);
+  if (rule.left && !same(neighbours(symbols, index, -1, rule.left.length, ignore), rule.left)) {
+    return false;
+  }
+  if (rule.right && !same(neighbours(symbols, index, 1, rule.right.length, ignore), rule.right)) {
+    return false;
+  }
+  return true;
+}
+
+// =============================================================================
+// EXPANSION
+// =============================================================================
+
+/**
+ * Rewrite an axiom `iterations` times.
+ *
+ * @param {string|Array} axiom - Start symbols; a string is split into characters
+ * @param {object|object[]} rules - See normalizeRules()
+ * @param {number} iterations - Rewriting passes (0 = axiom unchanged)
+ * @param {object} [options]
+ * @param {number} [options.seed=42] - PRNG seed for stochastic rules
+ * @param {number} [options.maxLength=100000] - Symbol limit
+ * @param {string} [options.ignore="+-<>[]"] - Symbols skipped by context matching
+ * @returns {string|Array} Same kind as the axiom
+ */
+function expand(axiom, rules, iterations, options = {}) {
+  if (!Number.isInteger(iterations) || iterations < 0) {
+    throw new Error(`Iterations must be a non-negative integer, got ${iterations}`);
+  }
+  const opts = { ...DEFAULT_LSYSTEM_OPTIONS, ...options };
+  const ruleList = normalizeRules(rules);
+  const rand = seededRandom(opts.seed);
+  const ignore = [...opts.ignore];
+
+  let symbols = typeof axiom === 'string' ? [...axiom] : [...axiom];
+  for (let n = 0; n < iterations; n++) {
+    const next = [];
+    symbols.forEach((symbol, index) => {
+      const matching = ruleList.filter(
+        (r) => matchesSymbol(r, symbol) && matchesContext(r, symbols, index, ignore)
+      );
+      const contextual = matching.filter((r) => r.left || r.right);
+      const candidates = contextual.length > 0 ? contextual : matching;
+      if (candidates.length === 0) {
+        next.push(symbol);
+        return;
+      }
+
+      const rule = candidates.length === 1 ? candidates[0] : pickWeighted(candidates, rand);
+      const successor = typeof rule.successor === 'function'
+        ? rule.successor({ symbol, index, symbols })
+        : rule.successor;
+      next.push(...(typeof successor === 'string' ? [...successor] : successor));
+    });
+
+    if (next.length > opts.maxLength) {
+      throw new Error(`L-system expansion exceeded maxLength (${next.length} > ${opts.maxLength} symbols)`);
+    }
+    symbols = next;
+  }
+
+  return typeof axiom === 'string' ? symbols.join('') : symbols;
+}
+
+function pickWeighted(candidates, rand) {
+  const total = candidates.reduce((sum, r) => sum + r.weight, 0);
+  let target = rand() * total;
+  for (const rule of candidates) {
+    target -= rule.weight;
+    if (target < 0) return rule;
+  }
+  return candidates[candidates.length - 1];
+}
+
+// =============================================================================
+// INTERPRETATION
+// =============================================================================
+
+/**
+ * Read an expanded string as a melody over scale degrees (see module docs).
+ *
+ * @param {string} symbols - Expanded L-system string
+ * @param {object} [options]
+ * @param {string} [options.scale="pentatonic"]
+ * @param {number} [options.root=60] - MIDI note of degree 0
+ * @param {number} [options.startDegree=0]
+ * @param {number} [options.duration=0.5] - Initial note length in beats
+ * @returns {{note: number, degree: number, beat: number, duration: number}[]}
+ *   Notes with their start (`beat`) and length in beats; place them with
+ *   `scheduler.scheduleNote(note, scheduler.beatsToMs(beat), ...)`
+ */
+function interpret(symbols, options = {}) {
+  const scale = options.scale || 'pentatonic';
+  const root = options.root !== undefined ? options.root : 60;
+  const duration = options.duration !== undefined ? options.duration : 0.5;
+  let state = { degree: options.startDegree !== undefined ? options.startDegree : 0, duration };
+  const stack = [];
+  const notes = [];
+  let beat = 0;
+
+  for (const symbol of symbols) {
+    if (symbol >= 'A' && symbol <= 'Z') {
+      const note = degreeToMidi(state.degree, scale, root);
+      notes.push({ note, degree: state.degree, beat, duration: state.duration });
+      beat += state.duration;
+    } else if (symbol === '.') {
+      beat += state.duration;
+    } else if (symbol === '+') {
+      state.degree++;
+    } else if (symbol === '-') {
+      state.degree--;
+    } else if (symbol === '>') {
+      state.duration *= 2;
+    } else if (symbol === '<') {
+      state.duration /= 2;
+    } else if (symbol === '[') {
+      stack.push({ ...state });
+    } else if (symbol === ']') {
+      if (stack.length === 0) throw new Error('Unbalanced "]" in L-system string');
+      state = stack.pop();
+    }
+  }
+
+  return notes;
+}
+
+/**
+ * Expand and interpret a system in one step.
+ *
+ * @param {string|object} system - LSYSTEMS name or { axiom, rules }
+ * @param {number} iterations
+ * @param {object} [options] - expand() and interpret() options; `axiom`
+ *   overrides the system's axiom
+ * @returns {{symbols: string, notes: object[]}}
+ */
+function generateLSystem(system, iterations, options = {}) {
+  const def = typeof system === 'string' ? LSYSTEMS[system] : system;
+  if (!def) {
+    throw new Error(`Unknown L-system: "${system}". Available: ${Object.keys(LSYSTEMS).join(', ')}`);
+  }
+  const axiom = options.axiom !== undefined ? options.axiom : def.axiom;
+  if (typeof axiom !== 'string') {
+    throw new Error('L-system needs a string axiom to interpret as a melody');
+  }
+  const symbols = expand(axiom, def.rules, iterations, options);
+  return { symbols, notes: interpret(symbols, options) };
+}
+
+module.exports = {
+  LSYSTEMS,
+  DEFAULT_LSYSTEM_OPTIONS,
+  normalizeRules,
+  expand,
+  interpret,
+  generateLSystem,
+};
@@ -0,0 +1,361 @@
+/**
+ * Markov Melody Model — Trainable N-th Order Chains over Scale Degrees
+ *
+ * generateSequence() picks every note independently from the pool, so a
+ * melody has no memory of where it has been. A MarkovModel learns which
+ * scale degree (and optionally which duration) tends to follow the last
+ * `order` ones, from example sequences or imported MIDI, and samples new
+ * melodies with the same local shape.
+ *
+ * Working in scale degrees rather than MIDI notes lets a model trained in
+ * one key be sampled in any scale and root. Transitions are counted at every
+ * order from 0 up to `order`; when sampling reaches a context the training
+ * data never produced, it backs off to the longest shorter context it knows.
+ *
+ * Models serialize to plain JSON and can be blended, e.g. to morph between a
+ * "dark" and a "bright" model as the consensus mood moves (blendByMood()).
+ *
+ * @module markov
+ */
+
+'use strict';
+
+const { getScale, seededRandom, degreeToMidi, midiToDegree } = require('./generator');
+const { parseMidiFile, extractNotes } = require('./midi-export');
+
+// =============================================================================
+// DEFAULTS
+// =============================================================================
+
+const DEFAULT_MARKOV_OPTIONS = {
+  order: 1,        // Previous tokens that condition the next one
+  scale: 'major',  // Scale used to read MIDI notes as degrees
+  root: 60,        // MIDI note of degree 0
+  durations: false, // Model (degree, duration) pairs instead of degrees alone
+};
+
+/** Version written by toJSON(); fromJSON() rejects anything else. */
+const MARKOV_FORMAT_VERSION = 1;
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+// A token is "degree" or "degree|duration"; a context is tokens joined by ",".
+
+function tokenKey(degree, duration) {
+  return duration !== undefined ? `${degree}|${duration}` : String(degree);
+}
+
+function parseToken(key) {
+  const [degree, duration] = key.split('|');
+  return duration !== undefined
+    ? { degree: Number(degree), duration: Number(duration) }
+    : { degree: Number(degree) };
+}
+
+/**
+ * Weighted pick from a Map of token → count. Tokens are visited in sorted
+ * order so a model restored from JSON samples exactly like the original.
+ */
+function pickWeighted(counts, rand) {
+  const keys = [...counts.keys()].sort();
+  let total = 0;
+  for (const key of keys) total += counts.get(key);
+  let target = rand() * total;
+  for (const key of keys) {
+    target -= counts.get(key);
+    if (target < 0) return key;
+  }
+  return keys[keys.length - 1];
+}
+
+// =============================================================================
+// MARKOV MODEL CLASS
+// =============================================================================
+
+class MarkovModel {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.order=1] - Context length in tokens
+   * @param {string} [options.scale="major"] - Scale for MIDI ↔ degree conversion
+   * @param {number} [options.root=60] - MIDI root note
+   * @param {boolean} [options.durations=false] - Also model durations (in beats)
+   */
+  constructor(options = {}) {
+    const opts = { ...DEFAULT_MARKOV_OPTIONS };
+    for (const key of Object.keys(DEFAULT_MARKOV_OPTIONS)) {
+      if (options[key] !== undefined) opts[key] = options[key];
+    }
+    if (!Number.isInteger(opts.order) || opts.order < 1) {
+      throw new Error(`Markov order must be a positive integer, got ${opts.order}`);
+    }
+    getScale(opts.scale); // Throws on unknown scale
+
+    this.order = opts.order;
+    this.scale = opts.scale;
+    this.root = opts.root;
+    this.durations = Boolean(opts.durations);
+    // _tables[k] maps a k-token context to a Map of next token → count
+    this._tables = Array.from({ length: opts.order + 1 }, () => new Map());
+  }
+
+  /**
+   * Count the transitions in a sequence. Each call is an independent phrase:
+   * the end of one sequence does not lead into the next.
+   *
+   * @param {Array<number|object>} sequence - MIDI notes, or
+   *   `{ note, duration }` / `{ degree, duration }` objects (duration in beats)
+   * @returns {MarkovModel} this
+   */
+  train(sequence) {
+    const tokens = sequence.map((item) => this._toToken(item));
+    tokens.forEach((token, i) => {
+      for (let k = 0; k <= this.order && k <= i; k++) {
+        this._count(k, tokens.slice(i - k, i).join(','), token);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Train from a Standard MIDI File. Each selected track is one phrase; when
+   * several notes start together only the highest is kept, and a note's
+   * duration is the time to the next onset (its own length for the last
+   * note), rounded to `grid` beats.
+   *
+   * @param {Buffer|Uint8Array} bytes - SMF data
+   * @param {object} [options]
+   * @param {number} [options.bpm] - Tempo for ms → beats (default: the file's first tempo, else 120)
+   * @param {number} [options.grid=0.25] - Duration rounding in beats
+   * @param {number} [options.channel] - Only notes on this channel
+   * @param {string} [options.trackName] - Only notes from the track with this name
+   * @returns {MarkovModel} this
+   */
+  trainFromMidi(bytes, options = {}) {
+    const midi = parseMidiFile(bytes);
+    const tempo = midi.tracks.flat().find((e) => e.type === 'tempo');
+    const bpm = options.bpm || (tempo ? tempo.bpm : 120);
+    const grid = options.grid || 0.25;
+    const msPerBeat = 60000 / bpm;
+
+    const notes = extractNotes(midi).filter((n) =>
+      (options.channel === undefined || n.channel === options.channel) &&
+      (options.trackName === undefined || n.trackName === options.trackName));
+
+    const byTrack = new Map();
+    for (const n of notes) {
+      if (!byTrack.has(n.track)) byTrack.set(n.track, new Map());
+      const onsets = byTrack.get(n.track);
+      const top = onsets.get(n.time);
+      if (!top || n.note > top.note) onsets.set(n.time, n);
+    }
+
+    for (const onsets of byTrack.values()) {
+      const melody = [...onsets.values()].sort((a, b) => a.time - b.time);
+      const phrase = melody.map((n, i) => {
+        const ms = i + 1 < melody.length ? melody[i + 1].time - n.time : n.duration;
+        return { note: n.note, duration: Math.max(grid, Math.round(ms / msPerBeat / grid) * grid) };
+      });
+      this.train(phrase);
+    }
+    return this;
+  }
+
+  /**
+   * Sample a melody.
+   *
+   * @param {number} length - Number of notes
+   * @param {object} [options]
+   * @param {number} [options.seed=42] - PRNG seed
+   * @param {Array<number|object>} [options.start] - Opening context, in the
+   *   same form train() accepts; it is not repeated in the output
+   * @param {string} [options.scale] - Output scale (default: the model's)
+   * @param {number} [options.root] - Output root (default: the model's)
+   * @returns {{degree: number, note: number, duration?: number}[]}
+   * @throws {Error} If the model has not been trained
+   */
+  sample(length, options = {}) {
+    if (this._tables[0].size === 0) {
+      throw new Error('Markov model has not been trained');
+    }
+    const rand = seededRandom(options.seed !== undefined ? options.seed : 42);
+    const scale = options.scale || this.scale;
+    const root = options.root !== undefined ? options.root : this.root;
+    const history = (options.start || []).map((item) => this._toToken(item));
+
+    const result = [];
+    for (let i = 0; i < length; i++) {
+      const counts = this._lookup(history);
+      const token = pickWeighted(counts, rand);
+      history.push(token);
+      const { degree, duration } = parseToken(token);
+      const note = degreeToMidi(degree, scale, root);
+      result.push(duration !== undefined ? { degree, note, duration } : { degree, note });
+    }
+    return result;
+  }
+
+  /**
+   * Probabilities of the next token after a context, using the same back-off
+   * as sample().
+   * @param {Array<number|object>} [context=[]] - Preceding notes or degrees
+   * @returns {object} Map from token ("degree" or "degree|duration") to probability
+   */
+  getTransitions(context = []) {
+    const counts = this._lookup(context.map((item) => this._toToken(item)));
+    let total = 0;
+    for (const count of counts.values()) total += count;
+    const result = {};
+    for (const [token, count] of counts) result[token] = count / total;
+    return result;
+  }
+
+  /**
+   * @returns {object} JSON-safe representation (see fromJSON())
+   */
+  toJSON() {
+    return {
+      version: MARKOV_FORMAT_VERSION,
+      order: this.order,
+      scale: this.scale,
+      root: this.root,
+      durations: this.durations,
+      tables: this._tables.map((table) => {
+        const out = {};
+        for (const [context, counts] of table) out[context] = Object.fromEntries(counts);
+        return out;
+      }),
+    };
+  }
+
+  /**
+   * Restore a model written by toJSON().
+   * @param {object|string} json - Object or JSON string
+   * @returns {MarkovModel}
+   */
+  static fromJSON(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || data.version !== MARKOV_FORMAT_VERSION) {
+      throw new Error(`Unsupported Markov model version: ${data && data.version}`);
+    }
+    const model = new MarkovModel(data);
+    if (!Array.isArray(data.tables) || data.tables.length !== model.order + 1) {
+      throw new Error(`Markov model needs ${model.order + 1} tables, got ${data.tables && data.tables.length}`);
+    }
+    data.tables.forEach((table, k) => {
+      for (const [context, counts] of Object.entries(table)) {
+        model._tables[k].set(context, new Map(Object.entries(counts)));
+      }
+    });
+    return model;
+  }
+
+  _toToken(item) {
+    const degree = typeof item === 'number'
+      ? midiToDegree(item, this.scale, this.root)
+      : item.degree !== undefined ? item.degree : midiToDegree(item.note, this.scale, this.root);
+    if (!this.durations) return tokenKey(degree);
+    if (typeof item !== 'object' || item.duration === undefined) {
+      throw new Error('Markov model with durations needs { note|degree, duration } items');
+    }
+    return tokenKey(degree, item.duration);
+  }
+
+  _count(k, context, token) {
+    const table = this._tables[k];
+    if (!table.has(context)) table.set(context, new Map());
+    const counts = table.get(context);
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+
+  /** Counts for the longest known suffix of `history`, down to order 0. */
+  _lookup(history) {
+    for (let k = Math.min(this.order, history.length); k > 0; k--) {
+      const counts = this._tables[k].get(history.slice(history.length - k).join(','));
+      if (counts) return counts;
+    }
+    return this._tables[0].get('');
+  }
+}
+
+// =============================================================================
+// BLENDING
+// =============================================================================
+
+/**
+ * Mix models into a new one whose transition probabilities are the weighted
+ * average of theirs. Each model counts equally regardless of how much it was
+ * trained on; a context only one model knows keeps that model's
+ * distribution. The result uses the first model's scale and root.
+ *
+ * @param {MarkovModel[]} models - Models with the same order and durations setting
+ * @param {number[]} [weights] - Non-negative weights (default: equal)
+ * @returns {MarkovModel}
+ */
+function blendModels(models, weights) {
+  if (models.length === 0) throw new Error('blendModels needs at least one model');
+  weights = weights || models.map(() => 1);
+  if (weights.length !== models.length || weights.some((w) => !(w >= 0))) {
+    throw new Error('blendModels needs one non-negative weight per model');
+  }
+  if (weights.every((w) => w === 0)) {
+    throw new Error('blendModels needs at least one positive weight');
+  }
+  const [first] = models;
+  if (models.some((m) => m.order !== first.order || m.durations !== first.durations)) {
+    throw new Error('Blended Markov models must share order and durations setting');
+  }
+
+  const blended = new MarkovModel(first);
+  for (let k = 0; k <= first.order; k++) {
+    const mixed = new Map();
+    models.forEach((model, m) => {
+      if (weights[m] === 0) return;
+      for (const [context, counts] of model._tables[k]) {
+        let total = 0;
+        for (const count of counts.values()) total += count;
+        if (!mixed.has(context)) mixed.set(context, { weight: 0, counts: new Map() });
+        const entry = mixed.get(context);
+        entry.weight += weights[m];
+        for (const [token, count] of counts) {
+          entry.counts.set(token, (entry.counts.get(token) || 0) + weights[m] * count / total);
+        }
+      }
+    });
+    for (const [context, { weight, counts }] of mixed) {
+      for (const [token, p] of counts) counts.set(token, p / weight);
+      blended._tables[k].set(context, counts);
+    }
+  }
+  return blended;
+}
+
+/**
+ * Blend models laid out along the mood axis (first = mood 0, last = mood 1)
+ * by interpolating between the two nearest to `mood`.
+ *
+ * @param {MarkovModel[]} models - Models ordered from low to high mood
+ * @param {number} mood - Consensus mood in [0, 1]
+ * @returns {MarkovModel}
+ */
+function blendByMood(models, mood) {
+  const x = Math.max(0, Math.min(1, typeof mood === 'number' ? mood : 0.5));
+  const position = x * (models.length - 1);
+  const lower = Math.floor(position);
+  const frac = position - lower;
+  const weights = models.map((_, i) => {
+    if (i === lower) return 1 - frac;
+    if (i === lower + 1) return frac;
+    return 0;
+  });
+  return blendModels(models, weights);
+}
+
+module.exports = {
+  MarkovModel,
+  DEFAULT_MARKOV_OPTIONS,
+  MARKOV_FORMAT_VERSION,
+  blendModels,
+  blendByMood,
+};
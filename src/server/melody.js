@@ -0,0 +1,231 @@
+/**
+ * Melody — Constraint-Driven Melody Generation
+ *
+ * An alternative to generateSequence's uniform picks: each note is drawn
+ * from the candidates that satisfy a set of melodic constraints, weighted
+ * towards a contour and towards small intervals, with a seeded PRNG so a
+ * seed always yields the same line.
+ *
+ * Intervals are counted in scale steps (positions in the note pool), so the
+ * same constraints suit pentatonic, diatonic and microtonal scales alike.
+ * Constraints, in priority order:
+ *
+ * 1. maxLeap       — no interval wider than this many steps (a move to a
+ *                    neighbouring note is always allowed)
+ * 2. endOnTonic    — the last note is a tonic, and every note stays close
+ *                    enough to one that the line can still get there
+ * 3. leapRecovery  — after a leap, move one step in the opposite direction
+ * 4. maxRepeats    — no pitch more than this many times in a row
+ *
+ * When the constraints cannot all be met at a note, the lowest-priority ones
+ * are dropped for that note only, so generation never fails. The range is
+ * the note pool itself (root up to `octaveRange` octaves, optionally
+ * narrowed by `range`), and `startOnTonic` opens on a tonic, preferring the
+ * one nearest the contour.
+ *
+ * An `intensity` (0–1, e.g. consensus intensity) sets how strict the
+ * defaults are; see constraintsForIntensity().
+ *
+ * @module melody
+ */
+
+'use strict';
+
+const { getScale, getScalePeriod, buildNotePool, seededRandom } = require('./generator');
+
+// =============================================================================
+// DEFAULTS & CONTOURS
+// =============================================================================
+
+const DEFAULT_MELODY_OPTIONS = {
+  scale: 'major',
+  root: 60,
+  octaveRange: 2,
+  seed: 42,
+  range: null,            // [low, high] MIDI bounds within the pool
+  contour: 'arch',        // CONTOURS name or function t (0–1) → height (0–1)
+  contourStrength: 0.6,   // 0 = ignore the contour, 1 = follow it closely
+  maxLeap: 4,             // Widest interval in scale steps
+  leapThreshold: 2,       // Intervals wider than this many steps are leaps
+  leapRecovery: true,
+  maxRepeats: 2,          // Same pitch at most this many times in a row
+  startOnTonic: true,
+  endOnTonic: true,
+};
+
+/**
+ * Contour shapes: functions from position in the phrase (0–1) to a target
+ * height in the range (0 = lowest note, 1 = highest).
+ */
+const CONTOURS = {
+  arch: (t) => Math.sin(Math.PI * t),
+  valley: (t) => 1 - Math.sin(Math.PI * t),
+  ascending: (t) => t,
+  descending: (t) => 1 - t,
+  wave: (t) => 0.5 - 0.5 * Math.cos(4 * Math.PI * t),
+};
+
+/**
+ * Constraint settings for an intensity: calm input gives small steps, a
+ * closely followed contour, recovered leaps and no repeated notes; intense
+ * input allows wide leaps, wanders from the contour and drops leap recovery.
+ *
+ * @param {number} intensity - 0–1 (clamped)
+ * @returns {{maxLeap: number, contourStrength: number, maxRepeats: number, leapRecovery: boolean}}
+ */
+function constraintsForIntensity(intensity) {
+  const x = Math.max(0, Math.min(1, typeof intensity === 'number' ? intensity : 0.5));
+  return {
+    maxLeap: Math.round(2 + 6 * x),
+    contourStrength: 1 - 0.8 * x,
+    maxRepeats: 1 + Math.round(2 * x),
+    leapRecovery: x < 0.8,
+  };
+}
+
+// =============================================================================
+// GENERATION
+// =============================================================================
+
+function resolveContour(contour) {
+  if (typeof contour === 'function') return contour;
+  const shape = CONTOURS[contour];
+  if (!shape) {
+    throw new Error(`Unknown contour: "${contour}". Available: ${Object.keys(CONTOURS).join(', ')}`);
+  }
+  return shape;
+}
+
+/** Ascending pool including the tonic that closes the top octave. */
+function melodyPool(opts) {
+  const period = getScalePeriod(opts.scale);
+  const pool = buildNotePool(opts.scale, opts.root, opts.octaveRange);
+  const top = opts.root + opts.octaveRange * period;
+  if (top <= 127) pool.push(top);
+
+  const [low, high] = opts.range || [0, 127];
+  const inRange = pool.filter((note) => note >= low && note <= high);
+  if (inRange.length === 0) {
+    throw new Error('No valid MIDI notes in range for given parameters');
+  }
+  return inRange;
+}
+
+/** Weighted pick of a pool index; weights are visited in index order. */
+function pickWeighted(candidates, weights, rand) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let target = rand() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    target -= weights[i];
+    if (target < 0) return candidates[i];
+  }
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Generate a melody that honours the constraints described in the module
+ * docs. Deterministic per seed and options.
+ *
+ * @param {number} length - Number of notes (1–256)
+ * @param {object} [options]
+ * @param {string} [options.scale="major"]
+ * @param {number} [options.root=60] - MIDI note of the tonic
+ * @param {number} [options.octaveRange=2] - Octaves (scale periods) above root
+ * @param {number} [options.seed=42]
+ * @param {number[]} [options.range] - `[low, high]` MIDI bounds
+ * @param {string|function} [options.contour="arch"] - See CONTOURS
+ * @param {number} [options.contourStrength=0.6] - 0–1
+ * @param {number} [options.maxLeap=4] - Widest interval in scale steps
+ * @param {number} [options.leapThreshold=2] - Steps above which a move is a leap
+ * @param {boolean} [options.leapRecovery=true]
+ * @param {number} [options.maxRepeats=2]
+ * @param {boolean} [options.startOnTonic=true]
+ * @param {boolean} [options.endOnTonic=true]
+ * @param {number} [options.intensity] - 0–1; sets maxLeap, contourStrength,
+ *   maxRepeats and leapRecovery (see constraintsForIntensity) unless given
+ * @returns {number[]} MIDI notes
+ */
+function generateMelody(length, options = {}) {
+  if (length < 1 || length > 256) {
+    throw new Error(`Length must be 1–256, got ${length}`);
+  }
+  const opts = {
+    ...DEFAULT_MELODY_OPTIONS,
+    ...(options.intensity !== undefined ? constraintsForIntensity(options.intensity) : {}),
+    ...options,
+  };
+  if (!Number.isInteger(opts.maxLeap) || opts.maxLeap < 1) {
+    throw new Error(`maxLeap must be a positive integer, got ${opts.maxLeap}`);
+  }
+  if (!Number.isInteger(opts.maxRepeats) || opts.maxRepeats < 1) {
+    throw new Error(`maxRepeats must be a positive integer, got ${opts.maxRepeats}`);
+  }
+  getScale(opts.scale);
+  const contour = resolveContour(opts.contour);
+
+  const pool = melodyPool(opts);
+  const period = getScalePeriod(opts.scale);
+  const isTonic = (note) => {
+    const pc = (((note - opts.root) % period) + period) % period;
+    return pc < 1e-9 || period - pc < 1e-9;
+  };
+  const tonics = pool.map((note, i) => (isTonic(note) ? i : -1)).filter((i) => i >= 0);
+  const span = Math.max(1, pool[pool.length - 1] - pool[0]);
+  const targetAt = (i) => pool[0] + contour(length > 1 ? i / (length - 1) : 0) * span;
+  const rand = seededRandom(opts.seed);
+
+  const line = [];   // Pool indices
+  for (let i = 0; i < length; i++) {
+    const target = targetAt(i);
+    const prev = line[i - 1];
+    const remaining = length - 1 - i;
+
+    let candidates = pool.map((_, idx) => idx);
+    if (i === 0 && opts.startOnTonic && tonics.length > 0) {
+      candidates = tonics;
+    }
+
+    // Highest priority first; a constraint that would leave nothing is skipped
+    const constraints = [];
+    if (prev !== undefined) {
+      constraints.push((idx) => Math.abs(idx - prev) <= opts.maxLeap);
+    }
+    if (opts.endOnTonic && tonics.length > 0) {
+      constraints.push(remaining === 0
+        ? (idx) => tonics.includes(idx)
+        : (idx) => tonics.some((t) => Math.abs(idx - t) <= remaining * opts.maxLeap));
+    }
+    if (opts.leapRecovery && i >= 2) {
+      const interval = prev - line[i - 2];
+      if (Math.abs(interval) > opts.leapThreshold) {
+        constraints.push((idx) => idx === prev - Math.sign(interval));
+      }
+    }
+    if (prev !== undefined && i >= opts.maxRepeats) {
+      const recent = line.slice(i - opts.maxRepeats);
+      if (recent.every((idx) => idx === prev)) {
+        constraints.push((idx) => idx !== prev);
+      }
+    }
+    for (const allowed of constraints) {
+      const kept = candidates.filter(allowed);
+      if (kept.length > 0) candidates = kept;
+    }
+
+    const weights = candidates.map((idx) => {
+      const pull = Math.exp((-opts.contourStrength * Math.abs(pool[idx] - target)) / 2);
+      const smooth = prev !== undefined ? Math.exp(-Math.abs(idx - prev) / opts.maxLeap) : 1;
+      return pull * smooth;
+    });
+    line.push(pickWeighted(candidates, weights, rand));
+  }
+
+  return line.map((idx) => pool[idx]);
+}
+
+module.exports = {
+  CONTOURS,
+  DEFAULT_MELODY_OPTIONS,
+  constraintsForIntensity,
+  generateMelody,
+};
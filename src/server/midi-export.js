@@ -0,0 +1,663 @@
+/**
+ * MIDI Export — Standard MIDI File Writing & Parsing
+ *
+ * Serializes scheduled note events (note, time, duration, velocity) into
+ * Standard MIDI Files (SMF type 0 or type 1) so generated material can be
+ * pulled into a DAW. Times are converted from milliseconds to ticks using the
+ * tempo the schedule was built at, and tempo meta events are written so the
+ * file plays back at the same speed; exportScheduler() follows a Scheduler's
+ * tempo map and time signature changes. Events carrying a `track` name can be
+ * split into one MTrk chunk per track, each with its own name, channel and
+ * instrument. Fractional (microtonal) pitches are written as the nearest note
+ * plus a pitch bend.
+ *
+ * A matching parser reads SMF bytes back into tracks and note events, which
+ * is used for round-trip testing and for importing existing material.
+ *
+ * @module midi-export
+ */
+
+'use strict';
+
+const { DEFAULT_TRACK, TempoRamp } = require('./scheduler');
+const { expandNotes, ReleaseReason } = require('./voice-allocator');
+const { pitchToBend, DEFAULT_PITCH_BEND_RANGE } = require('./tuning');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** Default ticks per quarter note (pulses per quarter, PPQ). */
+const DEFAULT_PPQ = 480;
+
+/** Microseconds per minute, used for tempo meta events. */
+const MICROSECONDS_PER_MINUTE = 60000000;
+
+/** Spacing in beats of the tempo events that approximate a linear ramp. */
+const RAMP_STEP_BEATS = 0.25;
+
+/**
+ * MIDI status bytes (upper nibble) and meta event types used by the writer.
+ */
+const MidiStatus = {
+  NOTE_OFF: 0x80,
+  NOTE_ON: 0x90,
+  CONTROL_CHANGE: 0xb0,
+  PROGRAM_CHANGE: 0xc0,
+  PITCH_BEND: 0xe0,
+  META: 0xff,
+};
+
+const MetaType = {
+  TRACK_NAME: 0x03,
+  INSTRUMENT_NAME: 0x04,
+  END_OF_TRACK: 0x2f,
+  TEMPO: 0x51,
+  TIME_SIGNATURE: 0x58,
+};
+
+// =============================================================================
+// LOW-LEVEL ENCODING
+// =============================================================================
+
+/**
+ * Encode a non-negative integer as a MIDI variable-length quantity.
+ * @param {number} value - Integer in 0–0x0FFFFFFF
+ * @returns {number[]} Encoded bytes
+ */
+function encodeVarLen(value) {
+  if (!Number.isInteger(value) || value < 0 || value > 0x0fffffff) {
+    throw new Error(`Variable-length value out of range: ${value}`);
+  }
+  const bytes = [value & 0x7f];
+  value >>>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+    value >>>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Convert a millisecond offset to ticks at a fixed tempo.
+ * @param {number} ms - Time in milliseconds
+ * @param {number} bpm - Tempo in beats per minute
+ * @param {number} [ppq=480] - Ticks per quarter note
+ * @returns {number} Whole ticks
+ */
+function msToTicks(ms, bpm, ppq) {
+  ppq = ppq || DEFAULT_PPQ;
+  return Math.round((ms / 60000) * bpm * ppq);
+}
+
+/**
+ * Convert a tick offset to milliseconds at a fixed tempo.
+ * @param {number} ticks
+ * @param {number} bpm
+ * @param {number} [ppq=480]
+ * @returns {number} Time in milliseconds
+ */
+function ticksToMs(ticks, bpm, ppq) {
+  ppq = ppq || DEFAULT_PPQ;
+  return (ticks / ppq / bpm) * 60000;
+}
+
+function clamp7(value) {
+  return Math.max(0, Math.min(127, Math.round(value)));
+}
+
+function metaEvent(type, data) {
+  return [MidiStatus.META, type, ...encodeVarLen(data.length), ...data];
+}
+
+function tempoEvent(bpm) {
+  const usPerQuarter = Math.round(MICROSECONDS_PER_MINUTE / bpm);
+  return metaEvent(MetaType.TEMPO, [
+    (usPerQuarter >> 16) & 0xff,
+    (usPerQuarter >> 8) & 0xff,
+    usPerQuarter & 0xff,
+  ]);
+}
+
+function timeSignatureEvent(numerator, denominator) {
+  const denomPower = Math.round(Math.log2(denominator));
+  return metaEvent(MetaType.TIME_SIGNATURE, [numerator, denomPower, 24, 8]);
+}
+
+function trackNameEvent(name) {
+  return metaEvent(MetaType.TRACK_NAME, [...Buffer.from(String(name), 'latin1')]);
+}
+
+/**
+ * Track header events: name, then a program change for a General MIDI
+ * program number or an instrument name meta event for a string.
+ */
+function trackHeaderEvents(def, channel) {
+  const events = [];
+  if (def.name) {
+    events.push({ tick: 0, bytes: trackNameEvent(def.name) });
+  }
+  if (typeof def.instrument === 'number') {
+    events.push({ tick: 0, bytes: [MidiStatus.PROGRAM_CHANGE | channel, def.instrument & 0x7f] });
+  } else if (typeof def.instrument === 'string') {
+    events.push({
+      tick: 0,
+      bytes: metaEvent(MetaType.INSTRUMENT_NAME, [...Buffer.from(def.instrument, 'latin1')]),
+    });
+  }
+  return events;
+}
+
+function validateChannel(channel) {
+  if (!Number.isInteger(channel) || channel < 0 || channel > 15) {
+    throw new Error(`MIDI channel must be 0–15, got ${channel}`);
+  }
+}
+
+/**
+ * Serialize a list of absolute-tick events into an MTrk chunk.
+ * Events are stable-sorted by tick; callers order same-tick events.
+ * @param {Array<{tick: number, bytes: number[]}>} events
+ * @returns {Buffer}
+ */
+function encodeTrack(events) {
+  const sorted = events
+    .map((evt, i) => ({ ...evt, order: i }))
+    .sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const body = [];
+  let lastTick = 0;
+  for (const evt of sorted) {
+    body.push(...encodeVarLen(evt.tick - lastTick), ...evt.bytes);
+    lastTick = evt.tick;
+  }
+  body.push(...encodeVarLen(0), ...metaEvent(MetaType.END_OF_TRACK, []));
+
+  const header = Buffer.alloc(8);
+  header.write('MTrk', 0, 'latin1');
+  header.writeUInt32BE(body.length, 4);
+  return Buffer.concat([header, Buffer.from(body)]);
+}
+
+// =============================================================================
+// FILE WRITING
+// =============================================================================
+
+/**
+ * Pitch bend range RPN (registered parameter 0) setting `range` semitones,
+ * written at the start of a channel that uses pitch bend.
+ */
+function pitchBendRangeEvents(channel, range) {
+  const semitones = Math.floor(range);
+  const cents = Math.round((range - semitones) * 100);
+  return [[101, 0], [100, 0], [6, semitones], [38, cents]].map(([controller, value]) => ({
+    tick: 0,
+    bytes: [MidiStatus.CONTROL_CHANGE | channel, controller, value],
+  }));
+}
+
+function pitchBendEvent(channel, bend) {
+  const value = bend + 8192;
+  return [MidiStatus.PITCH_BEND | channel, value & 0x7f, (value >> 7) & 0x7f];
+}
+
+/**
+ * Build note-on/note-off events for a schedule at a fixed tempo. Voices are
+ * allocated per channel (see voice-allocator), so a repeated pitch releases
+ * the earlier note first and note-offs precede note-ons on the same tick.
+ * Notes that end naturally last at least one tick.
+ *
+ * Fractional (microtonal) pitches play the nearest note with a pitch bend
+ * sent just before the note-on; the bend applies to the whole channel, so
+ * microtonal parts that overlap need a channel each.
+ */
+function noteEvents(schedule, bpm, ppq, channel, voiceOptions, bendRange) {
+  const onTicks = new Map();
+  const messages = expandNotes(schedule.map((evt) => ({ ...evt, track: channel })), voiceOptions);
+  const events = [];
+  let currentBend = 0;
+
+  messages.forEach((msg, rank) => {
+    const { note, bend } = pitchToBend(msg.note, bendRange);
+    let tick = msToTicks(msg.time, bpm, ppq);
+    if (msg.type === 'noteOn') {
+      onTicks.set(msg.event, tick);
+      if (bend !== currentBend) {
+        events.push({ tick, rank: rank - 0.5, bytes: pitchBendEvent(channel, bend) });
+        currentBend = bend;
+      }
+      const velocity = Math.max(1, clamp7(msg.velocity));
+      events.push({ tick, rank, bytes: [MidiStatus.NOTE_ON | channel, note, velocity] });
+      return;
+    }
+    if (msg.reason === ReleaseReason.END) {
+      tick = Math.max(tick, onTicks.get(msg.event) + 1);
+    }
+    events.push({ tick, rank, bytes: [MidiStatus.NOTE_OFF | channel, note, 0] });
+  });
+
+  const sorted = events.sort((a, b) => a.tick - b.tick || a.rank - b.rank);
+  const bends = sorted.some((e) => (e.bytes[0] & 0xf0) === MidiStatus.PITCH_BEND);
+  return bends ? [...pitchBendRangeEvents(channel, bendRange), ...sorted] : sorted;
+}
+
+/**
+ * Merge per-track event lists into one, keeping each list's same-tick order
+ * and putting tick-0 header events (names, programs) first.
+ */
+function mergeTracks(lists) {
+  const headers = [];
+  const rest = [];
+  for (const list of lists) {
+    for (const evt of list) {
+      (evt.tick === 0 && evt.rank === undefined ? headers : rest).push(evt);
+    }
+  }
+  return [...headers, ...rest.sort((a, b) => a.tick - b.tick || a.rank - b.rank)];
+}
+
+/**
+ * Encode a schedule of note events into a Standard MIDI File.
+ *
+ * @param {object[]} schedule - Events with { note, time, duration, velocity } (ms)
+ * @param {object} [options]
+ * @param {number} [options.bpm=120] - Tempo the schedule's millisecond times are based on
+ * @param {number} [options.format=1] - SMF format: 0 (single track) or 1 (conductor + notes)
+ * @param {number} [options.ppq=480] - Ticks per quarter note
+ * @param {number} [options.channel=0] - MIDI channel (0–15)
+ * @param {string} [options.trackName] - Optional track name meta event
+ * @param {number[]} [options.timeSignature=[4, 4]] - Numerator and denominator
+ * @param {object[]} [options.tempoChanges] - Later tempos as `{ beat, bpm }`,
+ *   written as tempo events; schedule times stay based on `bpm`
+ * @param {object[]} [options.timeSignatures] - Later meters as
+ *   `{ beat, numerator, denominator }`
+ * @param {object[]} [options.tracks] - `{ name, channel, instrument }` per
+ *   track; events are grouped by their `track` name (unmatched events go to
+ *   the first track) and each track is written as its own MTrk chunk (format
+ *   1) or merged on its own channel (format 0)
+ * @param {number} [options.maxPolyphony=Infinity] - Voices per channel
+ * @param {string} [options.steal="oldest"] - Voice stealing policy (StealPolicy)
+ * @param {number} [options.pitchBendRange=2] - Semitones of a full pitch
+ *   bend, used for fractional (microtonal) note pitches
+ * @returns {Buffer} SMF bytes
+ */
+function encodeMidiFile(schedule, options = {}) {
+  const bpm = options.bpm !== undefined ? options.bpm : 120;
+  const format = options.format !== undefined ? options.format : 1;
+  const ppq = options.ppq || DEFAULT_PPQ;
+  const channel = options.channel || 0;
+  const [numerator, denominator] = options.timeSignature || [4, 4];
+  const tempoChanges = options.tempoChanges || [];
+  const timeSignatures = options.timeSignatures || [];
+  const bendRange = options.pitchBendRange !== undefined ? options.pitchBendRange : DEFAULT_PITCH_BEND_RANGE;
+  const trackDefs = options.tracks && options.tracks.length > 0
+    ? options.tracks
+    : [{ name: options.trackName, channel }];
+
+  if (format !== 0 && format !== 1) {
+    throw new Error(`MIDI format must be 0 or 1, got ${format}`);
+  }
+  if (typeof bpm !== 'number' || bpm <= 0) {
+    throw new Error(`BPM must be a positive number, got ${bpm}`);
+  }
+  tempoChanges.forEach((change) => {
+    if (typeof change.bpm !== 'number' || change.bpm <= 0) {
+      throw new Error(`BPM must be a positive number, got ${change.bpm}`);
+    }
+  });
+  validateChannel(channel);
+  trackDefs.forEach((def) => validateChannel(def.channel !== undefined ? def.channel : channel));
+  if (!Number.isInteger(ppq) || ppq < 1 || ppq > 0x7fff) {
+    throw new Error(`PPQ must be 1–32767, got ${ppq}`);
+  }
+  if (typeof bendRange !== 'number' || bendRange <= 0 || bendRange >= 128) {
+    throw new Error(`Pitch bend range must be a positive number of semitones below 128, got ${bendRange}`);
+  }
+
+  const conductor = [
+    { tick: 0, bytes: timeSignatureEvent(numerator, denominator) },
+    { tick: 0, bytes: tempoEvent(bpm) },
+    ...timeSignatures.map((ts) => ({
+      tick: Math.round(ts.beat * ppq),
+      bytes: timeSignatureEvent(ts.numerator, ts.denominator),
+    })),
+    ...tempoChanges.map((change) => ({ tick: Math.round(change.beat * ppq), bytes: tempoEvent(change.bpm) })),
+  ];
+
+  const voiceOptions = {};
+  if (options.maxPolyphony !== undefined) voiceOptions.maxPolyphony = options.maxPolyphony;
+  if (options.steal !== undefined) voiceOptions.steal = options.steal;
+
+  const names = trackDefs.map((def) => def.name);
+  const groups = trackDefs.map((def, i) => {
+    const events = options.tracks
+      ? schedule.filter((e) => names.indexOf(e.track) === i || (i === 0 && !names.includes(e.track)))
+      : schedule;
+    const ch = def.channel !== undefined ? def.channel : channel;
+    return [...trackHeaderEvents(def, ch), ...noteEvents(events, bpm, ppq, ch, voiceOptions, bendRange)];
+  });
+
+  const tracks = format === 0
+    ? [encodeTrack(mergeTracks([...groups, conductor]))]
+    : [encodeTrack(conductor), ...groups.map(encodeTrack)];
+
+  const header = Buffer.alloc(14);
+  header.write('MThd', 0, 'latin1');
+  header.writeUInt32BE(6, 4);
+  header.writeUInt16BE(format, 8);
+  header.writeUInt16BE(tracks.length, 10);
+  header.writeUInt16BE(ppq, 12);
+
+  return Buffer.concat([header, ...tracks]);
+}
+
+/**
+ * A Scheduler's tempo map as stepped tempos, `{ beat, bpm }` starting at beat
+ * 0. Linear ramps become a tempo every RAMP_STEP_BEATS, each the average over
+ * its step, so every step still starts at the right moment.
+ */
+function steppedTempos(scheduler) {
+  const map = scheduler.getTempoMap();
+  const tempos = [];
+  map.forEach((change, i) => {
+    const next = map[i + 1];
+    if (!next || next.ramp !== TempoRamp.LINEAR) {
+      tempos.push({ beat: change.beat, bpm: change.bpm });
+      return;
+    }
+    for (let k = 0; change.beat + k * RAMP_STEP_BEATS < next.beat; k++) {
+      const beat = change.beat + k * RAMP_STEP_BEATS;
+      const end = Math.min(beat + RAMP_STEP_BEATS, next.beat);
+      const ms = scheduler.beatsToMs(end) - scheduler.beatsToMs(beat);
+      tempos.push({ beat, bpm: ((end - beat) * 60000) / ms });
+    }
+  });
+  return tempos;
+}
+
+/**
+ * Export the contents of a Scheduler as a Standard MIDI File. Note times are
+ * converted to beats through the scheduler's tempo map (msToBeats()), and its
+ * tempo changes and time signatures are written as meta events, so the file
+ * keeps the scheduler's bars and plays back at its tempos. A `timeSignature`
+ * option replaces the scheduler's meters.
+ *
+ * Each audible track with notes becomes its own MIDI track carrying the
+ * track's name, channel and instrument. Looping tracks are repeated up to
+ * `durationMs`, which defaults to the longest of the sequence and the loops.
+ *
+ * @param {import('./scheduler').Scheduler} scheduler
+ * @param {object} [options] - Same options as encodeMidiFile (bpm, tempo
+ *   changes and tracks come from the scheduler; `trackName` renames the
+ *   default track)
+ * @param {number} [options.durationMs] - Export window length
+ * @returns {Buffer} SMF bytes
+ */
+function exportScheduler(scheduler, options = {}) {
+  const [initial, ...tempoChanges] = steppedTempos(scheduler);
+  const toMs = (ms) => (scheduler.msToBeats(ms) * 60000) / initial.bpm;
+  const [firstMeter, ...meters] = scheduler.getTimeSignatures();
+  const timeSignatures = options.timeSignature ? [] : meters.map((ts) => ({
+    beat: scheduler.bbtToBeats({ bar: ts.bar, beat: 1, tick: 0 }),
+    numerator: ts.numerator,
+    denominator: ts.denominator,
+  }));
+  const tracks = scheduler.getTracks();
+  const loopEnd = Math.max(scheduler.getTotalDuration(), ...tracks.map((t) => t.loopLength || 0));
+  const endMs = options.durationMs !== undefined ? options.durationMs : Infinity;
+
+  const events = tracks
+    .flatMap((t) => scheduler.getNotesInRange(0, t.loopLength !== null && endMs === Infinity ? loopEnd : endMs, {
+      track: t.name,
+    }))
+    .sort((a, b) => a.time - b.time);
+  const used = tracks.filter((t) => events.some((e) => e.track === t.name));
+  const trackDefs = (used.length > 0 ? used : tracks.slice(0, 1)).map((t) => ({
+    name: t.name === DEFAULT_TRACK && options.trackName !== undefined ? options.trackName : t.name,
+    channel: t.channel,
+    instrument: t.instrument,
+  }));
+  const converted = events.map((e) => ({
+    ...e,
+    time: toMs(e.time),
+    duration: toMs(e.time + e.duration) - toMs(e.time),
+    track: e.track === DEFAULT_TRACK && options.trackName !== undefined ? options.trackName : e.track,
+  }));
+
+  return encodeMidiFile(converted, {
+    timeSignature: [firstMeter.numerator, firstMeter.denominator],
+    ...options,
+    tracks: trackDefs,
+    bpm: initial.bpm,
+    tempoChanges,
+    timeSignatures,
+  });
+}
+
+// =============================================================================
+// FILE PARSING
+// =============================================================================
+
+function readVarLen(buf, offset) {
+  let value = 0;
+  let length = 0;
+  let byte;
+  do {
+    if (offset + length >= buf.length) {
+      throw new Error('Unexpected end of data in variable-length value');
+    }
+    byte = buf[offset + length];
+    value = (value << 7) | (byte & 0x7f);
+    length++;
+  } while (byte & 0x80 && length < 4);
+  return { value, length };
+}
+
+function parseTrack(buf) {
+  const events = [];
+  let offset = 0;
+  let tick = 0;
+  let runningStatus = null;
+
+  while (offset < buf.length) {
+    const delta = readVarLen(buf, offset);
+    offset += delta.length;
+    tick += delta.value;
+
+    let status = buf[offset];
+    if (status < 0x80) {
+      if (runningStatus === null) throw new Error('Running status without prior status byte');
+      status = runningStatus;
+    } else {
+      offset++;
+    }
+
+    if (status === MidiStatus.META) {
+      const type = buf[offset++];
+      const len = readVarLen(buf, offset);
+      offset += len.length;
+      const data = buf.subarray(offset, offset + len.value);
+      offset += len.value;
+      events.push(parseMeta(tick, type, data));
+      if (type === MetaType.END_OF_TRACK) break;
+    } else if (status === 0xf0 || status === 0xf7) {
+      const len = readVarLen(buf, offset);
+      offset += len.length + len.value;
+      events.push({ tick, type: 'sysex' });
+    } else {
+      runningStatus = status;
+      const kind = status & 0xf0;
+      const channel = status & 0x0f;
+      const dataLength = kind === 0xc0 || kind === 0xd0 ? 1 : 2;
+      const data1 = buf[offset];
+      const data2 = dataLength === 2 ? buf[offset + 1] : undefined;
+      offset += dataLength;
+
+      if (kind === MidiStatus.NOTE_ON && data2 > 0) {
+        events.push({ tick, type: 'noteOn', channel, note: data1, velocity: data2 });
+      } else if (kind === MidiStatus.NOTE_OFF || kind === MidiStatus.NOTE_ON) {
+        events.push({ tick, type: 'noteOff', channel, note: data1, velocity: data2 });
+      } else if (kind === MidiStatus.PROGRAM_CHANGE) {
+        events.push({ tick, type: 'programChange', channel, program: data1 });
+      } else if (kind === MidiStatus.CONTROL_CHANGE) {
+        events.push({ tick, type: 'controlChange', channel, controller: data1, value: data2 });
+      } else if (kind === MidiStatus.PITCH_BEND) {
+        events.push({ tick, type: 'pitchBend', channel, value: ((data2 << 7) | data1) - 8192 });
+      } else {
+        events.push({ tick, type: 'channel', status: kind, channel, data: [data1, data2] });
+      }
+    }
+  }
+
+  return events;
+}
+
+function parseMeta(tick, type, data) {
+  switch (type) {
+    case MetaType.TEMPO: {
+      const usPerQuarter = (data[0] << 16) | (data[1] << 8) | data[2];
+      return { tick, type: 'tempo', usPerQuarter, bpm: MICROSECONDS_PER_MINUTE / usPerQuarter };
+    }
+    case MetaType.TIME_SIGNATURE:
+      return { tick, type: 'timeSignature', numerator: data[0], denominator: 2 ** data[1] };
+    case MetaType.TRACK_NAME:
+      return { tick, type: 'trackName', text: data.toString('latin1') };
+    case MetaType.INSTRUMENT_NAME:
+      return { tick, type: 'instrumentName', text: data.toString('latin1') };
+    case MetaType.END_OF_TRACK:
+      return { tick, type: 'endOfTrack' };
+    default:
+      return { tick, type: 'meta', metaType: type, data: [...data] };
+  }
+}
+
+/**
+ * Parse Standard MIDI File bytes.
+ * @param {Buffer|Uint8Array} bytes
+ * @returns {{format: number, ppq: number, tracks: object[][]}} Header fields and
+ *   per-track event lists with absolute tick positions
+ */
+function parseMidiFile(bytes) {
+  const buf = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+
+  if (buf.length < 14 || buf.toString('latin1', 0, 4) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File: missing MThd header');
+  }
+  const headerLength = buf.readUInt32BE(4);
+  const format = buf.readUInt16BE(8);
+  const trackCount = buf.readUInt16BE(10);
+  const division = buf.readUInt16BE(12);
+  if (division & 0x8000) {
+    throw new Error('SMPTE time division is not supported');
+  }
+
+  const tracks = [];
+  let offset = 8 + headerLength;
+  while (tracks.length < trackCount && offset + 8 <= buf.length) {
+    const id = buf.toString('latin1', offset, offset + 4);
+    const length = buf.readUInt32BE(offset + 4);
+    const start = offset + 8;
+    if (start + length > buf.length) {
+      throw new Error(`Truncated ${id} chunk`);
+    }
+    if (id === 'MTrk') {
+      tracks.push(parseTrack(buf.subarray(start, start + length)));
+    }
+    offset = start + length;
+  }
+
+  if (tracks.length !== trackCount) {
+    throw new Error(`Expected ${trackCount} tracks, found ${tracks.length}`);
+  }
+
+  return { format, ppq: division, tracks };
+}
+
+/**
+ * Flatten a parsed MIDI file back into millisecond note events, following
+ * the tempo meta events found in any track.
+ *
+ * @param {{ppq: number, tracks: object[][]}} midi - Output of parseMidiFile()
+ * @returns {object[]} Events with { note, time, duration, velocity, channel, track },
+ *   plus `trackName` when the track has a name meta event and `pitch` (the
+ *   fractional pitch) when the channel was pitch-bent at the note-on, sorted
+ *   by time. Bends are read with the range set by the pitch bend range RPN,
+ *   else 2 semitones
+ */
+function extractNotes(midi) {
+  const tempos = midi.tracks
+    .flat()
+    .filter((e) => e.type === 'tempo')
+    .sort((a, b) => a.tick - b.tick);
+  if (tempos.length === 0 || tempos[0].tick > 0) {
+    tempos.unshift({ tick: 0, bpm: 120 });
+  }
+
+  const tickToMs = (tick) => {
+    let ms = 0;
+    for (let i = 0; i < tempos.length; i++) {
+      const segStart = tempos[i].tick;
+      if (segStart >= tick) break;
+      const segEnd = i + 1 < tempos.length ? Math.min(tempos[i + 1].tick, tick) : tick;
+      ms += ticksToMs(segEnd - segStart, tempos[i].bpm, midi.ppq);
+    }
+    return ms;
+  };
+
+  const notes = [];
+  midi.tracks.forEach((events, track) => {
+    const named = events.find((e) => e.type === 'trackName');
+    const open = new Map();
+    const bends = new Map();  // channel → { value, range, rpn }
+    const bendState = (channel) => {
+      if (!bends.has(channel)) bends.set(channel, { value: 0, range: DEFAULT_PITCH_BEND_RANGE, rpn: [] });
+      return bends.get(channel);
+    };
+
+    for (const evt of events) {
+      const key = `${evt.channel}:${evt.note}`;
+      if (evt.type === 'pitchBend') {
+        bendState(evt.channel).value = evt.value;
+      } else if (evt.type === 'controlChange') {
+        const state = bendState(evt.channel);
+        if (evt.controller === 101) state.rpn[0] = evt.value;
+        if (evt.controller === 100) state.rpn[1] = evt.value;
+        if (state.rpn[0] === 0 && state.rpn[1] === 0) {
+          if (evt.controller === 6) state.range = evt.value + (state.range % 1);
+          if (evt.controller === 38) state.range = Math.floor(state.range) + evt.value / 100;
+        }
+      } else if (evt.type === 'noteOn') {
+        const state = bendState(evt.channel);
+        const pitch = state.value !== 0 ? evt.note + (state.value / 8192) * state.range : undefined;
+        if (!open.has(key)) open.set(key, []);
+        open.get(key).push({ ...evt, pitch });
+      } else if (evt.type === 'noteOff' && open.has(key) && open.get(key).length > 0) {
+        const on = open.get(key).shift();
+        const time = tickToMs(on.tick);
+        notes.push({
+          note: on.note,
+          time,
+          duration: tickToMs(evt.tick) - time,
+          velocity: on.velocity,
+          channel: on.channel,
+          track,
+          ...(named ? { trackName: named.text } : {}),
+          ...(on.pitch !== undefined ? { pitch: on.pitch } : {}),
+        });
+      }
+    }
+  });
+
+  return notes.sort((a, b) => a.time - b.time || a.note - b.note);
+}
+
+module.exports = {
+  DEFAULT_PPQ,
+  encodeVarLen,
+  msToTicks,
+  ticksToMs,
+  encodeMidiFile,
+  exportScheduler,
+  parseMidiFile,
+  extractNotes,
+};
@@ -0,0 +1,174 @@
+/**
+ * Music Mapping — Consensus State to Generator Inputs
+ *
+ * Translates the normalized consensus state (mood, tempo, intensity, density)
+ * into concrete musical parameters for the generator and scheduler: scale,
+ * root note, BPM, recursion depth, octave range, velocity, note density,
+ * harmonic tension and melodic freedom (how loose the constrained melody
+ * generator's rules are).
+ * Each output is described by a mapping rule — a source parameter, an output
+ * range and a response curve — so a piece can be re-tuned without touching
+ * the server, clients, OSC output or MIDI export, which all share the result.
+ *
+ * @module music-mapping
+ */
+
+'use strict';
+
+const { SCALES, generateSequence, applyRecursion } = require('./generator');
+const { Scheduler } = require('./scheduler');
+
+// =============================================================================
+// RESPONSE CURVES
+// =============================================================================
+
+/**
+ * Response curves mapping an input in [0, 1] to an output in [0, 1].
+ * Curves taking a shape parameter read it from the rule's `exponent`.
+ */
+const CURVES = {
+  linear: (x) => x,
+  /** Slow start, fast finish: x^k (k defaults to 2). */
+  exponential: (x, k) => Math.pow(x, k || 2),
+  /** Fast start, slow finish: 1 - (1 - x)^k (k defaults to 2). */
+  logarithmic: (x, k) => 1 - Math.pow(1 - x, k || 2),
+  /** S-curve easing in and out. */
+  smoothstep: (x) => x * x * (3 - 2 * x),
+  inverse: (x) => 1 - x,
+};
+
+// =============================================================================
+// DEFAULT MAPPING
+// =============================================================================
+
+/**
+ * Default mapping rules. Numeric rules have the form
+ * `{ source, curve, min, max, exponent?, round? }`; a rule with `value` is a
+ * constant. The scale rule picks from `options` by dividing the source range
+ * into equal bands (low → first option).
+ */
+const DEFAULT_MAPPING = {
+  scale: { source: 'mood', options: ['minor_pentatonic', 'pentatonic', 'major'] },
+  root: { value: 48 },
+  bpm: { source: 'tempo', curve: 'linear', min: 60, max: 180, round: true },
+  recursionDepth: { source: 'density', curve: 'exponential', min: 0, max: 2, round: true },
+  octaveRange: { source: 'intensity', curve: 'linear', min: 1, max: 3, round: true },
+  velocity: { source: 'intensity', curve: 'smoothstep', min: 40, max: 120, round: true },
+  noteDensity: { source: 'density', curve: 'linear', min: 1, max: 4 },
+  tension: { source: 'intensity', curve: 'linear', min: 0, max: 1 },
+  freedom: { source: 'intensity', curve: 'linear', min: 0, max: 1 },
+};
+
+/**
+ * Merge rule overrides over the default mapping. Each rule is merged
+ * shallowly, so `{ bpm: { max: 140 } }` keeps the default source and curve.
+ * @param {object} [overrides]
+ * @returns {object} Complete mapping
+ */
+function createMapping(overrides = {}) {
+  const mapping = {};
+  for (const key of new Set([...Object.keys(DEFAULT_MAPPING), ...Object.keys(overrides)])) {
+    mapping[key] = { ...DEFAULT_MAPPING[key], ...overrides[key] };
+  }
+  return mapping;
+}
+
+// =============================================================================
+// MAPPING
+// =============================================================================
+
+function clamp01(x) {
+  return Math.max(0, Math.min(1, x));
+}
+
+/**
+ * Evaluate a numeric mapping rule against a state.
+ * @param {object} rule - `{ source, curve, min, max, exponent, round }` or `{ value }`
+ * @param {object} state - Consensus state with 0–1 values
+ * @returns {number}
+ */
+function applyRule(rule, state) {
+  if (rule.value !== undefined) return rule.value;
+
+  const input = state[rule.source];
+  const x = clamp01(typeof input === 'number' ? input : 0.5);
+  const curve = typeof rule.curve === 'function' ? rule.curve : CURVES[rule.curve || 'linear'];
+  if (!curve) {
+    throw new Error(`Unknown curve: "${rule.curve}". Available: ${Object.keys(CURVES).join(', ')}`);
+  }
+
+  const y = rule.min + clamp01(curve(x, rule.exponent)) * (rule.max - rule.min);
+  return rule.round ? Math.round(y) : y;
+}
+
+/**
+ * Choose the scale. A scale chosen by audience vote (a string `scale` in the
+ * state) wins; otherwise the rule's source selects a band from its options.
+ */
+function selectScale(rule, state) {
+  if (typeof state.scale === 'string' && SCALES[state.scale]) return state.scale;
+  if (rule.value !== undefined) return rule.value;
+
+  const x = clamp01(typeof state[rule.source] === 'number' ? state[rule.source] : 0.5);
+  const idx = Math.min(rule.options.length - 1, Math.floor(x * rule.options.length));
+  return rule.options[idx];
+}
+
+/**
+ * Map a consensus state to musical parameters.
+ *
+ * @param {object} state - Consensus state, e.g. { mood, tempo, intensity, density, scale? }
+ * @param {object} [mapping=DEFAULT_MAPPING] - Mapping rules (see createMapping)
+ * @returns {{scale: string, root: number, bpm: number, recursionDepth: number,
+ *   octaveRange: number, velocity: number, noteDensity: number, tension: number,
+ *   freedom: number}}
+ */
+function mapState(state, mapping) {
+  mapping = mapping || DEFAULT_MAPPING;
+  const result = {};
+  for (const [key, rule] of Object.entries(mapping)) {
+    result[key] = key === 'scale' ? selectScale(rule, state) : applyRule(rule, state);
+  }
+  return result;
+}
+
+// =============================================================================
+// PHRASE RENDERING
+// =============================================================================
+
+/**
+ * Generate and schedule a phrase from mapped musical parameters.
+ *
+ * The base sequence is generated in the mapped scale, root and octave range,
+ * expanded by the mapped recursion depth, then placed on a Scheduler at the
+ * mapped BPM with `noteDensity` notes per beat.
+ *
+ * @param {object} music - Output of mapState()
+ * @param {object} [options]
+ * @param {number} [options.length=8] - Base sequence length before recursion
+ * @param {number} [options.seed=42] - PRNG seed
+ * @returns {Scheduler} Scheduler holding the phrase
+ */
+function renderPhrase(music, options = {}) {
+  const length = options.length || 8;
+  const seed = options.seed !== undefined ? options.seed : 42;
+
+  const base = generateSequence(length, music.scale, seed, music.root, music.octaveRange);
+  const notes = applyRecursion(base, music.recursionDepth);
+
+  const scheduler = new Scheduler(music.bpm);
+  const step = scheduler.getBeatDuration() / music.noteDensity;
+  notes.forEach((note, i) => {
+    scheduler.scheduleNote(note, i * step, step, music.velocity);
+  });
+  return scheduler;
+}
+
+module.exports = {
+  CURVES,
+  DEFAULT_MAPPING,
+  createMapping,
+  applyRule,
+  mapState,
+  renderPhrase,
+};
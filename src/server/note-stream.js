@@ -0,0 +1,234 @@
+/**
+ * Note Stream — Server-Authoritative Note Generation
+ *
+ * Runs the generator continuously on the server so every client plays the
+ * same notes. Pitch material comes from a phrase generator in the mapped
+ * scale — uniform picks from generateSequence expanded by applyRecursion, or
+ * generateMelody with its constraints loosened by the mapped `freedom` (not
+ * expanded, since recursion would break the constraints) — and is run
+ * through the performer's transform pipeline (see transform.js);
+ * timing, velocity and density follow the latest mapped musical parameters
+ * step by step. Notes are scheduled a lookahead window
+ * ahead of the current server time and stamped with absolute server time, so
+ * clients can queue them ahead of network jitter.
+ *
+ * @module note-stream
+ */
+
+'use strict';
+
+const { generateSequence, applyRecursion } = require('./generator');
+const { Scheduler, DEFAULT_TRACK } = require('./scheduler');
+const { createPipeline, toNoteSequence } = require('./transform');
+const { generateMelody } = require('./melody');
+
+// =============================================================================
+// DEFAULTS
+// =============================================================================
+
+const DEFAULT_STREAM_OPTIONS = {
+  lookaheadMs: 1000,  // How far ahead of server time notes are scheduled
+  phraseLength: 8,    // Base sequence length before recursion
+  seed: 1,            // First phrase seed; each new phrase uses the next one
+  gate: 0.9,          // Note duration as a fraction of the step length
+  transforms: [],     // Transform pipeline steps applied to each phrase
+  melody: 'random',   // Phrase generator (see PHRASE_GENERATORS)
+  melodyOptions: {},  // Extra generateMelody() options for 'constrained'
+  track: {},          // Channel, instrument and OSC address of the stream's notes
+};
+
+/**
+ * Phrase generators by name: `(length, music, seed, options) => notes`.
+ */
+const PHRASE_GENERATORS = {
+  random: (length, music, seed) =>
+    generateSequence(length, music.scale, seed, music.root, music.octaveRange),
+  constrained: (length, music, seed, options) => generateMelody(length, {
+    ...(music.freedom !== undefined ? { intensity: music.freedom } : {}),
+    ...options.melodyOptions,
+    scale: music.scale,
+    root: music.root,
+    octaveRange: music.octaveRange,
+    seed,
+  }),
+};
+
+/** Shortest step advance() will schedule; guards against runaway loops. */
+const MIN_STEP_MS = 1;
+
+/**
+ * Parameters that change the pitch material. When any of these change, the
+ * current phrase is abandoned and a new one starts at the next step.
+ */
+const PITCH_PARAMS = ['scale', 'root', 'octaveRange', 'recursionDepth'];
+
+// =============================================================================
+// NOTE STREAM CLASS
+// =============================================================================
+
+class NoteStream {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.lookaheadMs=1000]
+   * @param {number} [options.phraseLength=8]
+   * @param {number} [options.seed=1]
+   * @param {number} [options.gate=0.9]
+   * @param {object[]} [options.transforms=[]] - Transform steps (see setTransforms)
+   * @param {string} [options.melody="random"] - "random" or "constrained"
+   * @param {object} [options.melodyOptions={}] - generateMelody() options such
+   *   as `contour`; scale, root, octave range and seed come from the stream
+   * @param {object} [options.track={}] - `{ channel, instrument, address }` of
+   *   the track the notes are scheduled on (see Scheduler#addTrack)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_STREAM_OPTIONS, ...options };
+    if (!PHRASE_GENERATORS[this.options.melody]) {
+      const available = Object.keys(PHRASE_GENERATORS).join(', ');
+      throw new Error(`Unknown melody generator: "${this.options.melody}". Available: ${available}`);
+    }
+    this._track = new Scheduler().updateTrack(DEFAULT_TRACK, this.options.track);
+    this.music = null;
+    this.reset();
+    this.setTransforms(this.options.transforms);
+  }
+
+  /**
+   * Set the musical parameters (output of mapState()) for upcoming steps.
+   * @param {object} music
+   */
+  setMusic(music) {
+    if (this.music && PITCH_PARAMS.some((p) => this.music[p] !== music[p])) {
+      this._phraseDirty = true;
+    }
+    this.music = music;
+  }
+
+  /**
+   * Replace the transform pipeline applied to each phrase, e.g.
+   * `[{ op: 'retrograde' }, { op: 'augment', factor: 2 }]`. Durations are in
+   * steps, so augmentation slows the phrase down. Like a change of scale, a
+   * new pipeline abandons the current phrase at the next step.
+   * @param {object[]} steps - Pipeline steps (see transform.createPipeline)
+   * @throws {Error} If a step is invalid; the current pipeline is kept
+   */
+  setTransforms(steps) {
+    const pipeline = createPipeline(steps);
+    this._transforms = steps.map((step) => ({ ...step }));
+    this._pipeline = pipeline;
+    if (this._phrase) this._phraseDirty = true;
+  }
+
+  /**
+   * @returns {object[]} Copies of the current transform steps
+   */
+  getTransforms() {
+    return this._transforms.map((step) => ({ ...step }));
+  }
+
+  /**
+   * Schedule every step that starts before `now + lookaheadMs`.
+   * If the stream fell behind (e.g. after a pause), it resumes at `now`.
+   *
+   * @param {number} now - Current server time in ms
+   * @returns {object[]} Newly scheduled events `{ note, time, duration, velocity }`
+   *   with `time` in absolute server milliseconds
+   * @throws {Error} If a step would be shorter than MIN_STEP_MS or not finite
+   */
+  advance(now) {
+    if (!this.music) return [];
+
+    const horizon = now + this.options.lookaheadMs;
+    if (this._nextTime === null || this._nextTime < now) {
+      this._nextTime = now;
+    }
+
+    const events = [];
+    while (this._nextTime < horizon) {
+      if (!this._phrase || this._phraseDirty || this._index >= this._phrase.notes.length) {
+        this._startPhrase(this._nextTime);
+      }
+
+      const { note, duration } = this._phrase.notes[this._index];
+      const step = (60000 / this.music.bpm / this.music.noteDensity) * duration;
+      if (!Number.isFinite(step) || step < MIN_STEP_MS) {
+        throw new Error(`Step length must be a finite number of at least ${MIN_STEP_MS} ms, got ${step}`);
+      }
+      const scheduled = this._phrase.scheduler.scheduleNote(
+        note,
+        this._nextTime - this._phrase.origin,
+        step * this.options.gate,
+        this.music.velocity
+      );
+
+      events.push({ ...scheduled, time: this._nextTime });
+      this._index++;
+      this._nextTime += step;
+    }
+
+    return events;
+  }
+
+  /**
+   * Get the already-scheduled events that have not started yet, e.g. to
+   * bring a newly connected client up to date.
+   * @param {number} now - Current server time in ms
+   * @returns {object[]} Events with absolute server times
+   */
+  getUpcoming(now) {
+    if (!this._phrase) return [];
+    const { origin, scheduler } = this._phrase;
+    return scheduler
+      .getNotesInRange(now - origin, Infinity)
+      .map((evt) => ({ ...evt, time: evt.time + origin }));
+  }
+
+  /**
+   * Get the track the stream's notes are scheduled on, e.g. to send them to
+   * its OSC address and channel.
+   * @returns {object} Copy of the track definition
+   */
+  getTrack() {
+    return { ...this._track };
+  }
+
+  /**
+   * Get the time at which the next step will be scheduled.
+   * @returns {number|null}
+   */
+  getNextTime() {
+    return this._nextTime;
+  }
+
+  /**
+   * Drop all scheduled material; the next advance() starts a fresh phrase.
+   */
+  reset() {
+    this._phrase = null;
+    this._phraseDirty = false;
+    this._phraseCount = 0;
+    this._index = 0;
+    this._nextTime = null;
+  }
+
+  _startPhrase(origin) {
+    const { scale, root, recursionDepth, bpm } = this.music;
+    const seed = this.options.seed + this._phraseCount;
+    const generate = PHRASE_GENERATORS[this.options.melody];
+    const base = generate(this.options.phraseLength, this.music, seed, this.options);
+
+    const expanded = this.options.melody === 'constrained' ? base : applyRecursion(base, recursionDepth);
+    const notes = toNoteSequence(expanded);
+    const scheduler = new Scheduler(bpm);
+    scheduler.updateTrack(DEFAULT_TRACK, this._track);
+    this._phrase = {
+      origin,
+      notes: this._pipeline(notes, { scale, root }),
+      scheduler,
+    };
+    this._phraseCount++;
+    this._phraseDirty = false;
+    this._index = 0;
+  }
+}
+
+module.exports = { NoteStream, DEFAULT_STREAM_OPTIONS, PHRASE_GENERATORS, MIN_STEP_MS };
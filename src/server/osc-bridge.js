@@ -1,18 +1,24 @@
 /**
- * OSC Bridge — Open Sound Control Message Formatting & Lifecycle
+ * OSC Bridge — Open Sound Control Message Formatting, Encoding & Transport
  *
  * Provides an abstraction layer between the consensus engine and external
  * music hardware/software that speaks OSC (SuperCollider, Max/MSP, Ableton, etc.).
  *
- * In this reference implementation the bridge formats messages and maintains
- * a connection lifecycle, but does not open a real UDP socket — allowing the
- * module to be tested and used in environments without network access.
+ * Messages and bundles are encoded to OSC 1.0 binary packets (4-byte aligned
+ * strings, type tag strings, int32/float32/string/blob arguments, `#bundle`
+ * with NTP timetags) and sent over a UDP socket. A matching decoder is
+ * provided for testing against a local listener. Bridges are offline unless
+ * created with `udp: true` (createServer() enables it): messages are still
+ * formatted and handed to `onSend`, but nothing leaves the process.
  *
  * @module osc-bridge
  */
 
 'use strict';
 
+const dgram = require('dgram');
+const { pitchToFrequency } = require('./tuning');
+
 // =============================================================================
 // OSC MESSAGE FORMATTING
 // =============================================================================
@@ -72,6 +78,260 @@ function formatBundle(state, prefix) {
   };
 }
 
+// =============================================================================
+// OSC 1.0 BINARY ENCODING
+// =============================================================================
+
+/** Seconds between the NTP epoch (1900) and the Unix epoch (1970). */
+const NTP_EPOCH_OFFSET = 2208988800;
+
+/**
+ * Convert a Unix millisecond timestamp to an NTP timetag.
+ * @param {number} ms - Milliseconds since the Unix epoch
+ * @returns {{seconds: number, fraction: number}} Unsigned 32-bit parts
+ */
+function toNtpTimetag(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const fraction = Math.round(((ms - seconds * 1000) / 1000) * 4294967296);
+  return {
+    seconds: (seconds + NTP_EPOCH_OFFSET) >>> 0,
+    fraction: Math.min(fraction, 0xffffffff) >>> 0,
+  };
+}
+
+/**
+ * Convert an NTP timetag back to a Unix millisecond timestamp.
+ * @param {number} seconds
+ * @param {number} fraction
+ * @returns {number}
+ */
+function fromNtpTimetag(seconds, fraction) {
+  return (seconds - NTP_EPOCH_OFFSET) * 1000 + (fraction / 4294967296) * 1000;
+}
+
+function padLength(length) {
+  return (length + 3) & ~3;
+}
+
+function encodeString(str) {
+  const raw = Buffer.from(str, 'utf8');
+  const buf = Buffer.alloc(padLength(raw.length + 1));
+  raw.copy(buf);
+  return buf;
+}
+
+function encodeBlob(data) {
+  const raw = Buffer.from(data);
+  const buf = Buffer.alloc(4 + padLength(raw.length));
+  buf.writeInt32BE(raw.length, 0);
+  raw.copy(buf, 4);
+  return buf;
+}
+
+/**
+ * Infer the OSC type tag for a plain JS value.
+ * @param {*} value
+ * @returns {string}
+ */
+function inferTypeTag(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'i' : 'f';
+  if (typeof value === 'string') return 's';
+  if (typeof value === 'boolean') return value ? 'T' : 'F';
+  if (value === null) return 'N';
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return 'b';
+  throw new Error(`Unsupported OSC value type: ${typeof value}`);
+}
+
+/**
+ * Normalize an argument to { type, value }. Plain values have their type
+ * inferred; objects with a `type` field are used as given.
+ */
+function normalizeArg(arg) {
+  if (arg !== null && typeof arg === 'object' && typeof arg.type === 'string') {
+    return arg;
+  }
+  return { type: inferTypeTag(arg), value: arg };
+}
+
+function encodeArg({ type, value }) {
+  switch (type) {
+    case 'i': {
+      const buf = Buffer.alloc(4);
+      buf.writeInt32BE(value | 0, 0);
+      return buf;
+    }
+    case 'f': {
+      const buf = Buffer.alloc(4);
+      buf.writeFloatBE(value, 0);
+      return buf;
+    }
+    case 'd': {
+      const buf = Buffer.alloc(8);
+      buf.writeDoubleBE(value, 0);
+      return buf;
+    }
+    case 's':
+      return encodeString(String(value));
+    case 'b':
+      return encodeBlob(value);
+    case 'T':
+    case 'F':
+    case 'N':
+      return Buffer.alloc(0);
+    default:
+      throw new Error(`Unsupported OSC type tag: "${type}"`);
+  }
+}
+
+/**
+ * Encode an OSC message to its binary form.
+ * @param {string} address - OSC address pattern, e.g. "/omni/mood"
+ * @param {Array<*|{type: string, value: *}>} [args=[]] - Arguments; plain values
+ *   are typed automatically (integer → i, other number → f, string → s,
+ *   Buffer → b, boolean → T/F, null → N)
+ * @returns {Buffer}
+ */
+function encodeMessage(address, args) {
+  if (typeof address !== 'string' || !address.startsWith('/')) {
+    throw new Error(`Invalid OSC address: "${address}" — must start with "/"`);
+  }
+  const normalized = (args || []).map(normalizeArg);
+  const typeTags = ',' + normalized.map((a) => a.type).join('');
+  return Buffer.concat([
+    encodeString(address),
+    encodeString(typeTags),
+    ...normalized.map(encodeArg),
+  ]);
+}
+
+/**
+ * Encode an OSC bundle.
+ * @param {number|null} timetag - Unix ms timestamp, or null for "immediately"
+ * @param {Array<Buffer|{address: string, args: Array}>} elements - Encoded packets
+ *   or message descriptors (nested bundles must be passed pre-encoded)
+ * @returns {Buffer}
+ */
+function encodeBundle(timetag, elements) {
+  const head = Buffer.alloc(8);
+  if (timetag === null || timetag === undefined) {
+    head.writeUInt32BE(0, 0);
+    head.writeUInt32BE(1, 4);
+  } else {
+    const ntp = toNtpTimetag(timetag);
+    head.writeUInt32BE(ntp.seconds, 0);
+    head.writeUInt32BE(ntp.fraction, 4);
+  }
+
+  const parts = [encodeString('#bundle'), head];
+  for (const element of elements) {
+    const packet = Buffer.isBuffer(element)
+      ? element
+      : encodeMessage(element.address, element.args);
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(packet.length, 0);
+    parts.push(size, packet);
+  }
+  return Buffer.concat(parts);
+}
+
+function readString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  if (end === -1) throw new Error('Unterminated OSC string');
+  return { value: buf.toString('utf8', offset, end), next: offset + padLength(end - offset + 1) };
+}
+
+/**
+ * Decode a binary OSC packet (message or bundle).
+ * @param {Buffer} buf
+ * @returns {object} `{ address, args: [{ type, value }] }` for messages, or
+ *   `{ timetag, elements }` for bundles (timetag is Unix ms, or null for immediate)
+ */
+function decodePacket(buf) {
+  if (buf.length % 4 !== 0) {
+    throw new Error(`OSC packet size must be a multiple of 4, got ${buf.length}`);
+  }
+
+  const first = readString(buf, 0);
+  if (first.value === '#bundle') {
+    const seconds = buf.readUInt32BE(first.next);
+    const fraction = buf.readUInt32BE(first.next + 4);
+    const elements = [];
+    let offset = first.next + 8;
+    while (offset < buf.length) {
+      const size = buf.readInt32BE(offset);
+      elements.push(decodePacket(buf.subarray(offset + 4, offset + 4 + size)));
+      offset += 4 + size;
+    }
+    const immediate = seconds === 0 && fraction === 1;
+    return { timetag: immediate ? null : fromNtpTimetag(seconds, fraction), elements };
+  }
+
+  if (!first.value.startsWith('/')) {
+    throw new Error(`Invalid OSC address: "${first.value}"`);
+  }
+
+  const tags = readString(buf, first.next);
+  if (!tags.value.startsWith(',')) {
+    throw new Error('Missing OSC type tag string');
+  }
+
+  const args = [];
+  let offset = tags.next;
+  for (const type of tags.value.slice(1)) {
+    switch (type) {
+      case 'i':
+        args.push({ type, value: buf.readInt32BE(offset) });
+        offset += 4;
+        break;
+      case 'f':
+        args.push({ type, value: buf.readFloatBE(offset) });
+        offset += 4;
+        break;
+      case 'd':
+        args.push({ type, value: buf.readDoubleBE(offset) });
+        offset += 8;
+        break;
+      case 's': {
+        const str = readString(buf, offset);
+        args.push({ type, value: str.value });
+        offset = str.next;
+        break;
+      }
+      case 'b': {
+        const size = buf.readInt32BE(offset);
+        args.push({ type, value: Buffer.from(buf.subarray(offset + 4, offset + 4 + size)) });
+        offset += 4 + padLength(size);
+        break;
+      }
+      case 'T':
+        args.push({ type, value: true });
+        break;
+      case 'F':
+        args.push({ type, value: false });
+        break;
+      case 'N':
+        args.push({ type, value: null });
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag: "${type}"`);
+    }
+  }
+
+  return { address: first.value, args };
+}
+
+/**
+ * Encode a message object produced by formatMessage().
+ * @param {object} msg
+ * @returns {Buffer}
+ */
+function encodeFormatted(msg) {
+  if (msg.typeTag === 'T' || msg.typeTag === 'F') {
+    return encodeMessage(msg.address, [{ type: msg.typeTag }]);
+  }
+  return encodeMessage(msg.address, [{ type: msg.typeTag, value: msg.value }]);
+}
+
 // =============================================================================
 // OSC BRIDGE CLASS
 // =============================================================================
@@ -86,29 +346,46 @@ const BridgeState = {
   ERROR: 'ERROR',
 };
 
+/** Messages kept for getRecentMessages(); older ones are overwritten. */
+const DEFAULT_LOG_SIZE = 256;
+
 class OSCBridge {
   /**
    * @param {object} [options]
    * @param {string} [options.host="127.0.0.1"] - Target host
    * @param {number} [options.port=57120] - Target port (SuperCollider default)
    * @param {string} [options.prefix="/omni"] - OSC address prefix
-   * @param {function} [options.onSend] - Callback invoked with each formatted message
+   * @param {function} [options.onSend] - Callback invoked with each formatted
+   *   message and its encoded packet
+   * @param {boolean} [options.udp=false] - Open a UDP socket on connect;
+   *   otherwise the bridge only formats messages (offline use and tests)
+   * @param {boolean} [options.frequency=false] - Append each note's exact
+   *   frequency in Hz (f) to note messages, for microtonal pitches
+   * @param {number} [options.logSize=256] - Recent messages to keep
    */
   constructor(options = {}) {
     this.host = options.host || '127.0.0.1';
     this.port = options.port || 57120;
     this.prefix = options.prefix || '/omni';
     this.onSend = options.onSend || null;
+    this.udp = options.udp === true;
+    this.frequency = options.frequency === true;
+    this.logSize = options.logSize !== undefined ? options.logSize : DEFAULT_LOG_SIZE;
+    if (!Number.isInteger(this.logSize) || this.logSize < 1) {
+      throw new Error(`Log size must be a positive integer, got ${this.logSize}`);
+    }
 
+    this.socket = null;
     this.state = BridgeState.DISCONNECTED;
     this.messageCount = 0;
     this.lastError = null;
-    this.messageLog = [];
+    this._clearLog();
   }
 
   /**
-   * Open the bridge connection. In this reference implementation, this is a
-   * simulated lifecycle transition — no actual UDP socket is opened.
+   * Open the bridge connection. Validates the target and, if the bridge was
+   * created with `udp: true`, opens a UDP socket. The socket is unref'd
+   * so an idle bridge never keeps the process alive.
    * @returns {boolean} true if connection succeeds
    */
   connect() {
@@ -116,23 +393,73 @@ class OSCBridge {
 
     this.state = BridgeState.CONNECTING;
 
-    // Simulate connection validation
     if (!this.host || !this.port || this.port < 1 || this.port > 65535) {
       this.state = BridgeState.ERROR;
       this.lastError = new Error(`Invalid target: ${this.host}:${this.port}`);
       return false;
     }
 
+    if (this.udp) {
+      try {
+        this.socket = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+      } catch (err) {
+        this.state = BridgeState.ERROR;
+        this.lastError = err;
+        return false;
+      }
+      this.socket.on('error', (err) => {
+        this.lastError = err;
+      });
+      this.socket.unref();
+    }
+
     this.state = BridgeState.CONNECTED;
     return true;
   }
 
   /**
-   * Close the bridge connection.
+   * Close the bridge connection and its UDP socket.
    */
   disconnect() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
     this.state = BridgeState.DISCONNECTED;
-    this.messageLog = [];
+    this._clearLog();
+  }
+
+  /**
+   * Write an encoded packet to the UDP socket, if one is open.
+   * @param {Buffer} packet
+   */
+  _transmit(packet) {
+    if (!this.socket) return;
+    this.socket.send(packet, this.port, this.host, (err) => {
+      if (err) this.lastError = err;
+    });
+  }
+
+  /**
+   * Send an arbitrary OSC message with any number of arguments.
+   * @param {string} address - Full OSC address (not prefixed)
+   * @param {Array} [args=[]] - Arguments, as accepted by encodeMessage()
+   * @returns {object|null} `{ address, args, timestamp }`, or null if not connected
+   */
+  sendMessage(address, args) {
+    if (this.state !== BridgeState.CONNECTED) return null;
+
+    const packet = encodeMessage(address, args);
+    const msg = { address, args: args || [], timestamp: Date.now() };
+    this.messageCount++;
+    this._record(msg);
+    this._transmit(packet);
+
+    if (this.onSend) {
+      this.onSend(msg, packet);
+    }
+
+    return msg;
   }
 
   /**
@@ -145,18 +472,20 @@ class OSCBridge {
     if (this.state !== BridgeState.CONNECTED) return null;
 
     const msg = formatMessage(`${this.prefix}/${param}`, value);
+    const packet = encodeFormatted(msg);
     this.messageCount++;
-    this.messageLog.push(msg);
+    this._record(msg);
+    this._transmit(packet);
 
     if (this.onSend) {
-      this.onSend(msg);
+      this.onSend(msg, packet);
     }
 
     return msg;
   }
 
   /**
-   * Send a full state update as an OSC bundle.
+   * Send a full state update as a single OSC bundle packet.
    * @param {object} perfState - Performance state object
    * @returns {object|null} The formatted bundle, or null if not connected
    */
@@ -164,16 +493,95 @@ class OSCBridge {
     if (this.state !== BridgeState.CONNECTED) return null;
 
     const bundle = formatBundle(perfState, this.prefix);
+    const packets = bundle.messages.map(encodeFormatted);
     this.messageCount += bundle.messages.length;
-    this.messageLog.push(...bundle.messages);
+    this._record(...bundle.messages);
+    this._transmit(encodeBundle(bundle.timetag, packets));
 
     if (this.onSend) {
-      bundle.messages.forEach((msg) => this.onSend(msg));
+      bundle.messages.forEach((msg, i) => this.onSend(msg, packets[i]));
     }
 
     return bundle;
   }
 
+  /**
+   * Send a note event as a bundle timetagged with the note's start time.
+   * The message goes to the track's OSC address (or `<prefix>/note`) with
+   * arguments: note (i), velocity (i), duration in ms (f), MIDI channel (i)
+   * and track name (s), plus the frequency (f) when the bridge was created
+   * with `frequency: true`. Fractional pitches are rounded to the nearest note.
+   * @param {object} event - Note event { note, time, duration, velocity, track }
+   * @param {object} [track] - Track definition from Scheduler#getTrack()
+   * @returns {object|null} `{ address, args, timestamp, timetag }`, or null if
+   *   not connected
+   */
+  sendNote(event, track) {
+    if (this.state !== BridgeState.CONNECTED) return null;
+
+    const address = (track && track.address) || `${this.prefix}/note`;
+    const args = [
+      { type: 'i', value: Math.round(event.note) },
+      { type: 'i', value: event.velocity !== undefined ? event.velocity : 100 },
+      { type: 'f', value: event.duration },
+      { type: 'i', value: track ? track.channel : 0 },
+      { type: 's', value: track ? track.name : event.track || '' },
+      ...this._frequencyArgs(event.note),
+    ];
+    const packet = encodeMessage(address, args);
+    const msg = { address, args, timestamp: Date.now(), timetag: event.time };
+    this.messageCount++;
+    this._record(msg);
+    this._transmit(encodeBundle(event.time, [packet]));
+
+    if (this.onSend) {
+      this.onSend(msg, packet);
+    }
+
+    return msg;
+  }
+
+  /**
+   * Send a note-on or note-off message from a VoiceAllocator as a bundle
+   * timetagged with its time. Note-ons go to `<address>/on` with note (i),
+   * velocity (i), channel (i) and track name (s); note-offs go to
+   * `<address>/off` without the velocity. The address is the track's OSC
+   * address or `<prefix>/note`. With `frequency: true` both end with the
+   * note's frequency (f).
+   * @param {object} message - `{ type: 'noteOn'|'noteOff', time, note, velocity, track }`
+   * @param {object} [track] - Track definition from Scheduler#getTrack()
+   * @returns {object|null} `{ address, args, timestamp, timetag }`, or null if
+   *   not connected
+   */
+  sendNoteMessage(message, track) {
+    if (this.state !== BridgeState.CONNECTED) return null;
+
+    const base = (track && track.address) || `${this.prefix}/note`;
+    const address = `${base}/${message.type === 'noteOn' ? 'on' : 'off'}`;
+    const args = [
+      { type: 'i', value: Math.round(message.note) },
+      ...(message.type === 'noteOn' ? [{ type: 'i', value: message.velocity }] : []),
+      { type: 'i', value: track ? track.channel : 0 },
+      { type: 's', value: track ? track.name : message.track || '' },
+      ...this._frequencyArgs(message.note),
+    ];
+    const packet = encodeMessage(address, args);
+    const msg = { address, args, timestamp: Date.now(), timetag: message.time };
+    this.messageCount++;
+    this._record(msg);
+    this._transmit(encodeBundle(message.time, [packet]));
+
+    if (this.onSend) {
+      this.onSend(msg, packet);
+    }
+
+    return msg;
+  }
+
+  _frequencyArgs(note) {
+    return this.frequency ? [{ type: 'f', value: pitchToFrequency(note) }] : [];
+  }
+
   /**
    * Get bridge status information.
    * @returns {object}
@@ -181,6 +589,7 @@ class OSCBridge {
   getStatus() {
     return {
       state: this.state,
+      transport: this.socket ? 'udp' : 'none',
       host: this.host,
       port: this.port,
       prefix: this.prefix,
@@ -190,14 +599,49 @@ class OSCBridge {
   }
 
   /**
-   * Get recent message log (last N messages).
+   * Get recent message log (last N messages, at most logSize).
    * @param {number} [count=10]
-   * @returns {Array}
+   * @returns {Array} Oldest first
    */
   getRecentMessages(count) {
-    count = count || 10;
-    return this.messageLog.slice(-count);
+    count = Math.min(count || 10, this._logLength);
+    const recent = [];
+    for (let i = this._logLength - count; i < this._logLength; i++) {
+      recent.push(this._log[(this._logStart + i) % this.logSize]);
+    }
+    return recent;
+  }
+
+  // The log is a ring buffer of the last logSize messages, so a long
+  // performance sending on every tick uses constant memory
+
+  _record(...messages) {
+    for (const msg of messages) {
+      this._log[(this._logStart + this._logLength) % this.logSize] = msg;
+      if (this._logLength < this.logSize) {
+        this._logLength++;
+      } else {
+        this._logStart = (this._logStart + 1) % this.logSize;
+      }
+    }
+  }
+
+  _clearLog() {
+    this._log = new Array(this.logSize);
+    this._logStart = 0;
+    this._logLength = 0;
   }
 }
 
-module.exports = { OSCBridge, BridgeState, formatMessage, formatBundle };
+module.exports = {
+  OSCBridge,
+  DEFAULT_LOG_SIZE,
+  BridgeState,
+  formatMessage,
+  formatBundle,
+  encodeMessage,
+  encodeBundle,
+  decodePacket,
+  toNtpTimetag,
+  fromNtpTimetag,
+};
@@ -0,0 +1,406 @@
+/**
+ * Rhythm Section — Bass Lines, Arpeggios and Drum Patterns
+ *
+ * Role-specific generators for accompanying the melody:
+ *
+ * - generateBassLine(): root, root–fifth or walking bass following a chord list
+ * - arpeggiate():       chord tones up, down, up-down or in random order over
+ *                       an octave span, at a rate from SUBDIVISIONS
+ * - generateDrumPattern(): step patterns mapped to General MIDI percussion
+ *
+ * Chords are MIDI note arrays or harmony.js chord objects (`{ root, notes }`),
+ * each lasting `beatsPerChord` beats. Everything is seeded, and every
+ * generator returns Scheduler-compatible events `{ note, time, duration,
+ * velocity, track }` with times in ms; scheduleEvents() puts them on a
+ * Scheduler, adding the tracks they name (drum tracks on DRUM_CHANNEL).
+ *
+ * @module rhythm-section
+ */
+
+'use strict';
+
+const { seededRandom } = require('./generator');
+const { subdivisionBeats } = require('./scheduler');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/** MIDI channel (0-based) that General MIDI reserves for percussion. */
+const DRUM_CHANNEL = 9;
+
+/** General MIDI percussion key map. */
+const GM_DRUMS = {
+  kick: 36,
+  rimshot: 37,
+  snare: 38,
+  clap: 39,
+  low_tom: 45,
+  closed_hat: 42,
+  pedal_hat: 44,
+  open_hat: 46,
+  mid_tom: 47,
+  high_tom: 50,
+  crash: 49,
+  ride: 51,
+  tambourine: 54,
+  cowbell: 56,
+  shaker: 70,
+};
+
+/**
+ * Built-in drum patterns, one string per instrument with one character per
+ * step: "X" accented hit, "x" hit, anything else a rest.
+ */
+const DRUM_PATTERNS = {
+  rock: {
+    subdivision: 'eighth',
+    kick: 'X...X.x.',
+    snare: '..X...X.',
+    closed_hat: 'xxxxxxxx',
+  },
+  four_on_the_floor: {
+    subdivision: 'sixteenth',
+    kick: 'X...X...X...X...',
+    clap: '....X.......X...',
+    closed_hat: '..x...x...x...x.',
+    open_hat: '......x.......x.',
+  },
+  breakbeat: {
+    subdivision: 'sixteenth',
+    kick: 'X.........x.....',
+    snare: '....X..x.x..X..x',
+    closed_hat: 'x.x.x.x.x.x.x.xx',
+  },
+  half_time: {
+    subdivision: 'sixteenth',
+    kick: 'X......x..x.....',
+    snare: '........X.......',
+    closed_hat: 'x.x.x.x.x.x.x.x.',
+  },
+};
+
+const BASS_PATTERNS = ['root', 'root_fifth', 'walking'];
+
+const ARP_MODES = ['up', 'down', 'up_down', 'random'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function stepMs(bpm, subdivision) {
+  if (typeof bpm !== 'number' || !(bpm > 0)) {
+    throw new Error(`BPM must be a positive number, got ${bpm}`);
+  }
+  return (60000 / bpm) * subdivisionBeats(subdivision);
+}
+
+/** Ascending notes and root of a chord array or chord object. */
+function chordTones(chord) {
+  const notes = [...(Array.isArray(chord) ? chord : chord.notes)].sort((a, b) => a - b);
+  if (notes.length === 0) throw new Error('Chords need at least one note');
+  const root = !Array.isArray(chord) && chord.root !== undefined ? chord.root : notes[0];
+  return { notes, root };
+}
+
+const pitchClass = (note) => ((note % 12) + 12) % 12;
+
+/** The note of a pitch class in [low, high] nearest to `near`. */
+function placeInRange(pc, low, high, near) {
+  let best = null;
+  for (let note = low; note <= high; note++) {
+    if (pitchClass(note) !== pitchClass(pc) || note < 0 || note > 127) continue;
+    if (best === null || Math.abs(note - near) < Math.abs(best - near)) best = note;
+  }
+  return best !== null ? best : Math.max(0, Math.min(127, near));
+}
+
+function checkChords(chords) {
+  if (!Array.isArray(chords) || chords.length === 0) {
+    throw new Error('Need a non-empty list of chords');
+  }
+  return chords.map(chordTones);
+}
+
+// =============================================================================
+// BASS LINES
+// =============================================================================
+
+/**
+ * Generate a bass line following a chord list.
+ *
+ * - `root`:       the chord root held for the whole chord
+ * - `root_fifth`: root for the first half of the chord, fifth for the second
+ * - `walking`:    one note per beat: the root, chord tones heading towards the
+ *                 next chord's root, then a chromatic approach from above or
+ *                 below
+ *
+ * @param {Array<number[]|object>} chords
+ * @param {object} [options]
+ * @param {string} [options.pattern="root"] - One of BASS_PATTERNS
+ * @param {number} [options.bpm=120]
+ * @param {number} [options.beatsPerChord=4]
+ * @param {number[]} [options.range=[28, 52]] - MIDI bass register (E1–E3)
+ * @param {number} [options.gate=0.9] - Duration as a fraction of each note's slot
+ * @param {number} [options.velocity=100]
+ * @param {number} [options.startMs=0]
+ * @param {number} [options.seed=42]
+ * @param {string} [options.track="bass"]
+ * @returns {{chord: number, note: number, time: number, duration: number,
+ *   velocity: number, track: string}[]}
+ */
+function generateBassLine(chords, options = {}) {
+  const pattern = options.pattern || 'root';
+  if (!BASS_PATTERNS.includes(pattern)) {
+    throw new Error(`Unknown bass pattern: "${pattern}". Available: ${BASS_PATTERNS.join(', ')}`);
+  }
+  const tones = checkChords(chords);
+  const beatMs = stepMs(options.bpm !== undefined ? options.bpm : 120, 'quarter');
+  const beats = options.beatsPerChord !== undefined ? options.beatsPerChord : 4;
+  const [low, high] = options.range || [28, 52];
+  const gate = options.gate !== undefined ? options.gate : 0.9;
+  const velocity = options.velocity !== undefined ? options.velocity : 100;
+  const startMs = options.startMs !== undefined ? options.startMs : 0;
+  const track = options.track || 'bass';
+  const rand = seededRandom(options.seed !== undefined ? options.seed : 42);
+
+  const events = [];
+  const add = (chord, note, beat, length) => events.push({
+    chord,
+    note,
+    time: startMs + beat * beatMs,
+    duration: length * beatMs * gate,
+    velocity,
+    track,
+  });
+
+  let previous = low + Math.round((high - low) / 3);
+  tones.forEach(({ notes, root: chordRoot }, i) => {
+    const beat = i * beats;
+    const root = placeInRange(chordRoot, low, high, previous);
+
+    if (pattern === 'root') {
+      add(i, root, beat, beats);
+    } else if (pattern === 'root_fifth') {
+      const fifthPc = notes.map((n) => n - chordRoot).find((iv) => [6, 7, 8].includes(pitchClass(iv)));
+      const fifth = placeInRange(chordRoot + (fifthPc !== undefined ? fifthPc : 7), low, high, root + 7);
+      add(i, root, beat, beats / 2);
+      add(i, fifth, beat + beats / 2, beats / 2);
+    } else {
+      const next = tones[(i + 1) % tones.length].root;
+      const target = placeInRange(next, low, high, root);
+      const chordPcs = notes.map(pitchClass);
+      let note = root;
+      add(i, note, beat, 1);
+      for (let b = 1; b < beats; b++) {
+        if (b === beats - 1) {
+          // Approach the next root by a half step
+          note = Math.max(low, Math.min(high, target + (rand() < 0.5 ? -1 : 1)));
+        } else {
+          const towards = Math.sign(target - note) || (rand() < 0.5 ? -1 : 1);
+          const choices = [];
+          for (let n = note + towards; Math.abs(n - note) <= 7; n += towards) {
+            if (n >= low && n <= high && chordPcs.includes(pitchClass(n))) choices.push(n);
+          }
+          // Nearest or next-nearest chord tone; a whole step when none is in reach
+          note = choices.length > 0
+            ? choices[Math.floor(rand() * Math.min(2, choices.length))]
+            : Math.max(low, Math.min(high, note + 2 * towards));
+        }
+        add(i, note, beat + b, 1);
+      }
+    }
+    previous = events[events.length - 1].note;
+  });
+  return events;
+}
+
+// =============================================================================
+// ARPEGGIATOR
+// =============================================================================
+
+/** One cycle of arpeggio notes for a mode (random is handled per step). */
+function arpCycle(notes, mode) {
+  if (mode === 'down') return [...notes].reverse();
+  if (mode === 'up_down') {
+    return notes.length > 1 ? [...notes, ...notes.slice(1, -1).reverse()] : [...notes];
+  }
+  return notes;
+}
+
+/**
+ * Arpeggiate a chord list. Each chord's tones are spread over `octaves`
+ * octaves and played one per step for the length of the chord; the pattern
+ * restarts on every chord.
+ *
+ * @param {Array<number[]|object>} chords
+ * @param {object} [options]
+ * @param {string} [options.mode="up"] - One of ARP_MODES
+ * @param {number} [options.octaves=1] - Octave span (1–4)
+ * @param {string|number} [options.rate="sixteenth"] - SUBDIVISIONS key,
+ *   tuplet such as "eighth 3:2", or beats
+ * @param {number} [options.bpm=120]
+ * @param {number} [options.beatsPerChord=4]
+ * @param {number} [options.gate=0.8]
+ * @param {number} [options.velocity=90]
+ * @param {number} [options.startMs=0]
+ * @param {number} [options.seed=42] - For the random mode
+ * @param {string} [options.track="arp"]
+ * @returns {{chord: number, step: number, note: number, time: number,
+ *   duration: number, velocity: number, track: string}[]}
+ */
+function arpeggiate(chords, options = {}) {
+  const mode = options.mode || 'up';
+  if (!ARP_MODES.includes(mode)) {
+    throw new Error(`Unknown arpeggio mode: "${mode}". Available: ${ARP_MODES.join(', ')}`);
+  }
+  const octaves = options.octaves !== undefined ? options.octaves : 1;
+  if (!Number.isInteger(octaves) || octaves < 1 || octaves > 4) {
+    throw new Error(`Octave span must be 1–4, got ${octaves}`);
+  }
+  const tones = checkChords(chords);
+  const bpm = options.bpm !== undefined ? options.bpm : 120;
+  const rateMs = stepMs(bpm, options.rate !== undefined ? options.rate : 'sixteenth');
+  const chordMs = (options.beatsPerChord !== undefined ? options.beatsPerChord : 4) * stepMs(bpm, 'quarter');
+  const gate = options.gate !== undefined ? options.gate : 0.8;
+  const velocity = options.velocity !== undefined ? options.velocity : 90;
+  const startMs = options.startMs !== undefined ? options.startMs : 0;
+  const track = options.track || 'arp';
+  const rand = seededRandom(options.seed !== undefined ? options.seed : 42);
+
+  const steps = Math.max(1, Math.round(chordMs / rateMs));
+  return tones.flatMap(({ notes }, i) => {
+    const spread = [];
+    for (let o = 0; o < octaves; o++) {
+      notes.forEach((n) => { if (n + 12 * o <= 127) spread.push(n + 12 * o); });
+    }
+    const cycle = arpCycle(spread, mode);
+    return Array.from({ length: steps }, (_, step) => ({
+      chord: i,
+      step,
+      note: mode === 'random' ? spread[Math.floor(rand() * spread.length)] : cycle[step % cycle.length],
+      time: startMs + i * chordMs + step * rateMs,
+      duration: rateMs * gate,
+      velocity,
+      track,
+    }));
+  });
+}
+
+// =============================================================================
+// DRUMS
+// =============================================================================
+
+/**
+ * Generate a drum pattern. Patterns are DRUM_PATTERNS names or objects
+ * mapping GM_DRUMS instruments to step strings ("X" accent, "x" hit) or
+ * boolean arrays (e.g. from euclidean()), plus an optional `subdivision`.
+ * `variation` adds seeded ghost snare notes on empty steps and drops
+ * unaccented hits now and then, so repeated bars are not identical.
+ *
+ * @param {string|object} [pattern="rock"]
+ * @param {object} [options]
+ * @param {number} [options.bars=1] - Times to play the pattern
+ * @param {number} [options.bpm=120]
+ * @param {string|number} [options.subdivision] - Step length; default from
+ *   the pattern, else "sixteenth"
+ * @param {number} [options.variation=0] - 0–1
+ * @param {number} [options.accent=115]
+ * @param {number} [options.velocity=90] - Unaccented hits
+ * @param {number} [options.startMs=0]
+ * @param {number} [options.seed=42]
+ * @param {string} [options.track="drums"]
+ * @returns {{instrument: string, step: number, note: number, time: number,
+ *   duration: number, velocity: number, track: string}[]} Ordered by time
+ */
+function generateDrumPattern(pattern, options = {}) {
+  pattern = pattern !== undefined ? pattern : 'rock';
+  const def = typeof pattern === 'string' ? DRUM_PATTERNS[pattern] : pattern;
+  if (!def) {
+    throw new Error(`Unknown drum pattern: "${pattern}". Available: ${Object.keys(DRUM_PATTERNS).join(', ')}`);
+  }
+  const bars = options.bars !== undefined ? options.bars : 1;
+  const subdivision = options.subdivision || def.subdivision || 'sixteenth';
+  const step = stepMs(options.bpm !== undefined ? options.bpm : 120, subdivision);
+  const variation = options.variation !== undefined ? options.variation : 0;
+  const accent = options.accent !== undefined ? options.accent : 115;
+  const velocity = options.velocity !== undefined ? options.velocity : 90;
+  const startMs = options.startMs !== undefined ? options.startMs : 0;
+  const track = options.track || 'drums';
+  const rand = seededRandom(options.seed !== undefined ? options.seed : 42);
+
+  const lanes = Object.entries(def)
+    .filter(([key]) => key !== 'subdivision')
+    .map(([instrument, steps]) => {
+      if (GM_DRUMS[instrument] === undefined) {
+        throw new Error(`Unknown drum: "${instrument}". Available: ${Object.keys(GM_DRUMS).join(', ')}`);
+      }
+      const hits = typeof steps === 'string'
+        ? [...steps].map((c) => (c === 'X' ? 'accent' : c === 'x' ? 'hit' : null))
+        : steps.map((on) => (on ? 'hit' : null));
+      return { instrument, hits };
+    });
+  const length = Math.max(0, ...lanes.map((l) => l.hits.length));
+
+  const events = [];
+  for (let bar = 0; bar < bars; bar++) {
+    for (let s = 0; s < length; s++) {
+      for (const { instrument, hits } of lanes) {
+        let hit = hits[s % hits.length];
+        if (variation > 0) {
+          const roll = rand();
+          if (hit === 'hit' && roll < variation * 0.25) hit = null;
+          else if (!hit && instrument === 'snare' && roll < variation * 0.3) hit = 'ghost';
+        }
+        if (!hit) continue;
+        events.push({
+          instrument,
+          step: bar * length + s,
+          note: GM_DRUMS[instrument],
+          time: startMs + (bar * length + s) * step,
+          duration: step / 2,
+          velocity: hit === 'accent' ? accent : hit === 'ghost' ? Math.round(velocity * 0.4) : velocity,
+          track,
+        });
+      }
+    }
+  }
+  return events;
+}
+
+// =============================================================================
+// SCHEDULING
+// =============================================================================
+
+/**
+ * Schedule events on a Scheduler, adding any track they name that does not
+ * exist yet. Tracks added for drum events (those with an `instrument`) go on
+ * DRUM_CHANNEL unless `trackOptions` gives a channel.
+ *
+ * @param {Scheduler} scheduler
+ * @param {object[]} events - From the generators above
+ * @param {object} [trackOptions] - Options for added tracks, e.g.
+ *   `{ channel: 2 }`
+ * @returns {object[]} The scheduled events
+ */
+function scheduleEvents(scheduler, events, trackOptions = {}) {
+  return events.map((e) => {
+    if (e.track !== undefined && !scheduler.getTrack(e.track)) {
+      const drums = e.instrument !== undefined ? { channel: DRUM_CHANNEL } : {};
+      scheduler.addTrack(e.track, { ...drums, ...trackOptions });
+    }
+    return scheduler.scheduleNote(e.note, e.time, e.duration, e.velocity, e.track);
+  });
+}
+
+module.exports = {
+  DRUM_CHANNEL,
+  GM_DRUMS,
+  DRUM_PATTERNS,
+  BASS_PATTERNS,
+  ARP_MODES,
+  generateBassLine,
+  arpeggiate,
+  generateDrumPattern,
+  scheduleEvents,
+};
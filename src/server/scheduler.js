@@ -3,7 +3,21 @@
  *
  * Manages BPM-locked timing for note events with quantization and subdivision
  * support. Designed for both real-time server-side scheduling and offline
- * sequence pre-computation.
+ * sequence pre-computation; Transport plays a Scheduler against a clock.
+ *
+ * Musical positions are measured in beats (quarter notes) from the start. A
+ * tempo map (step changes and linear ramps) converts beats to milliseconds,
+ * and time signature changes convert beats to bar:beat:tick positions, where
+ * the beat is the signature's denominator and ticks are TICKS_PER_BEAT per
+ * quarter note.
+ *
+ * Subdivisions may be tuplets ("sixteenth 5:4", "eighth 7:8"), and
+ * schedulePattern() lays a melody over a rhythm of a different cycle length
+ * so that the two phase against each other.
+ *
+ * Notes belong to tracks, each with a MIDI channel, an optional instrument
+ * and OSC address, mute/solo flags and an optional loop length after which
+ * its pattern repeats. Notes scheduled without a track go to DEFAULT_TRACK.
  *
  * @module scheduler
  */
@@ -30,6 +44,160 @@ const SUBDIVISIONS = {
   dotted_eighth: 0.75,
 };
 
+/** Tick resolution of bar:beat:tick positions, per quarter note (as MIDI PPQ). */
+const TICKS_PER_BEAT = 480;
+
+/** Track that notes go to when none is given. */
+const DEFAULT_TRACK = 'main';
+
+/**
+ * How a tempo change is reached: instantly at its position, or by a linear
+ * ramp from the previous change.
+ */
+const TempoRamp = {
+  STEP: 'step',
+  LINEAR: 'linear',
+};
+
+// =============================================================================
+// BAR:BEAT:TICK POSITIONS
+// =============================================================================
+
+/**
+ * Parse a "bar:beat:tick" string (tick optional) into a position object.
+ * @param {string} str - e.g. "5:3:240" or "2:1"
+ * @returns {{bar: number, beat: number, tick: number}}
+ */
+function parseBBT(str) {
+  const match = /^\s*(\d+):(\d+)(?::(\d+))?\s*$/.exec(String(str));
+  if (!match) {
+    throw new Error(`Invalid bar:beat:tick position: "${str}"`);
+  }
+  return { bar: Number(match[1]), beat: Number(match[2]), tick: Number(match[3] || 0) };
+}
+
+/**
+ * Format a position as "bar:beat:tick" with a zero-padded tick.
+ * @param {{bar: number, beat: number, tick: number}} pos
+ * @returns {string}
+ */
+function formatBBT(pos) {
+  return `${pos.bar}:${pos.beat}:${String(pos.tick).padStart(3, '0')}`;
+}
+
+// =============================================================================
+// EVENT STORAGE
+// =============================================================================
+
+/**
+ * Index of the first event starting at or after `time` (binary search over
+ * events sorted by time).
+ */
+function firstAtOrAfter(events, time) {
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (events[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Index of the first event starting strictly after `time`.
+ */
+function firstAfter(events, time) {
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (events[mid].time <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Insert an event after any others with the same time, keeping the array
+ * sorted. Appending in time order (the common case) costs O(1).
+ */
+function insertSorted(events, event) {
+  const last = events[events.length - 1];
+  if (!last || last.time <= event.time) {
+    events.push(event);
+  } else {
+    events.splice(firstAfter(events, event.time), 0, event);
+  }
+}
+
+/**
+ * Remove events that start before `time` and have finished by then, in
+ * place. Events matching `keep` are never removed.
+ * @returns {number} Number of events removed
+ */
+function evictFinished(events, time, keep) {
+  const cut = firstAtOrAfter(events, time);
+  let kept = 0;
+  for (let i = 0; i < cut; i++) {
+    const e = events[i];
+    if (e.time + e.duration > time || (keep && keep(e))) events[kept++] = e;
+  }
+  events.splice(kept, cut - kept);
+  return cut - kept;
+}
+
+// =============================================================================
+// TRACKS
+// =============================================================================
+
+/**
+ * Validate track properties.
+ * @param {object} props - Any of { channel, instrument, address, loopLength, mute, solo }
+ * @throws {Error} If a property is invalid
+ */
+function validateTrackProps(props) {
+  const { channel, instrument, address, loopLength, mute, solo } = props;
+  if (channel !== undefined && (!Number.isInteger(channel) || channel < 0 || channel > 15)) {
+    throw new Error(`MIDI channel must be 0–15, got ${channel}`);
+  }
+  if (instrument != null && typeof instrument !== 'string'
+      && !(Number.isInteger(instrument) && instrument >= 0 && instrument <= 127)) {
+    throw new Error(`Instrument must be a name or a General MIDI program 0–127, got ${instrument}`);
+  }
+  if (address != null && (typeof address !== 'string' || !address.startsWith('/'))) {
+    throw new Error(`OSC address must start with "/", got ${address}`);
+  }
+  if (loopLength != null && !(typeof loopLength === 'number' && loopLength > 0)) {
+    throw new Error(`Loop length must be a positive number of ms, got ${loopLength}`);
+  }
+  if (mute !== undefined && typeof mute !== 'boolean') {
+    throw new Error(`mute must be a boolean, got ${mute}`);
+  }
+  if (solo !== undefined && typeof solo !== 'boolean') {
+    throw new Error(`solo must be a boolean, got ${solo}`);
+  }
+}
+
+/**
+ * Repeat a track pattern every `loopLength` ms and return the occurrences
+ * starting in [startMs, endMs). Pattern notes at or after the loop length
+ * never play.
+ */
+function expandLoop(notes, loopLength, startMs, endMs) {
+  const occurrences = [];
+  for (let k = Math.max(0, Math.floor(startMs / loopLength)); k * loopLength < endMs; k++) {
+    const offset = k * loopLength;
+    for (const e of notes) {
+      const time = e.time + offset;
+      if (e.time < loopLength && time >= startMs && time < endMs) {
+        occurrences.push({ ...e, time });
+      }
+    }
+  }
+  return occurrences;
+}
+
 // =============================================================================
 // SCHEDULER CLASS
 // =============================================================================
@@ -41,10 +209,17 @@ class Scheduler {
   constructor(bpm) {
     this._bpm = 120;
     this._beatDurationMs = 500;
-    this._scheduledNotes = [];
+    this._tempoMap = [{ beat: 0, bpm: 120, ramp: TempoRamp.STEP }];
+    this._tempoSegments = null;
+    this._timeSignatures = [{ bar: 1, numerator: 4, denominator: 4 }];
+    this._tracks = new Map();
+    this._scheduledNotes = [];  // All events, sorted by time
+    this._trackNotes = new Map(); // Track name -> its events, sorted by time
     this._nextBeatIndex = 0;
     this._startTime = null;
 
+    this.addTrack(DEFAULT_TRACK);
+
     if (bpm !== undefined) {
       this.setBPM(bpm);
     }
@@ -55,20 +230,21 @@ class Scheduler {
   // ---------------------------------------------------------------------------
 
   /**
-   * Set the tempo in beats per minute.
+   * Set the tempo in beats per minute. With a tempo map this is the initial
+   * tempo; later changes are kept.
    * @param {number} bpm - Beats per minute (20–300)
    * @throws {Error} If BPM is out of valid range
    */
   setBPM(bpm) {
-    if (typeof bpm !== 'number' || bpm < 20 || bpm > 300) {
-      throw new Error(`BPM must be between 20 and 300, got ${bpm}`);
-    }
+    validateBPM(bpm);
     this._bpm = bpm;
     this._beatDurationMs = (60 / bpm) * 1000;
+    this._tempoMap[0].bpm = bpm;
+    this._tempoSegments = null;
   }
 
   /**
-   * Get the current BPM.
+   * Get the current (initial) BPM.
    * @returns {number}
    */
   getBPM() {
@@ -76,7 +252,7 @@ class Scheduler {
   }
 
   /**
-   * Get the duration of a single beat in milliseconds.
+   * Get the duration of a single beat in milliseconds at the initial tempo.
    * @returns {number}
    */
   getBeatDuration() {
@@ -84,18 +260,381 @@ class Scheduler {
   }
 
   /**
-   * Get the duration of a specific subdivision in milliseconds.
-   * @param {string} subdivision - One of the SUBDIVISIONS keys
+   * Get the duration of a specific subdivision in milliseconds at the
+   * initial tempo.
+   * @param {string|number} subdivision - A SUBDIVISIONS key, a tuplet such
+   *   as "sixteenth 5:4", or a number of beats
    * @returns {number}
    */
   getSubdivisionDuration(subdivision) {
-    const multiplier = SUBDIVISIONS[subdivision];
-    if (multiplier === undefined) {
-      throw new Error(
-        `Unknown subdivision: "${subdivision}". Available: ${Object.keys(SUBDIVISIONS).join(', ')}`
-      );
+    return this._beatDurationMs * subdivisionBeats(subdivision);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tempo Map
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a tempo change. A `linear` change ramps from the previous change's
+   * tempo and arrives at `bpm` at the given position; a `step` change jumps
+   * there. A change at an existing position replaces it; a change at beat 0
+   * sets the initial tempo.
+   *
+   * @param {number|string|object} position - Beats from the start, or a
+   *   bar:beat:tick string/object
+   * @param {number} bpm - Beats per minute (20–300)
+   * @param {string} [ramp="step"] - One of TempoRamp
+   */
+  setTempoAt(position, bpm, ramp) {
+    const beat = this._toBeats(position);
+    validateBPM(bpm);
+    ramp = ramp || TempoRamp.STEP;
+    if (!Object.values(TempoRamp).includes(ramp)) {
+      throw new Error(`Unknown tempo ramp: "${ramp}". Available: ${Object.values(TempoRamp).join(', ')}`);
+    }
+
+    if (beat === 0) {
+      this.setBPM(bpm);
+      return;
     }
-    return this._beatDurationMs * multiplier;
+    this._tempoMap = this._tempoMap.filter((c) => c.beat !== beat);
+    this._tempoMap.push({ beat, bpm, ramp });
+    this._tempoMap.sort((a, b) => a.beat - b.beat);
+    this._tempoSegments = null;
+  }
+
+  /**
+   * Get the tempo changes, starting with the initial tempo at beat 0.
+   * @returns {Array<{beat: number, bpm: number, ramp: string}>}
+   */
+  getTempoMap() {
+    return this._tempoMap.map((c) => ({ ...c }));
+  }
+
+  /**
+   * Remove all tempo changes after the initial tempo.
+   */
+  clearTempoChanges() {
+    this._tempoMap = [this._tempoMap[0]];
+    this._tempoSegments = null;
+  }
+
+  /**
+   * Get the tempo in effect at a time.
+   * @param {number} timeMs
+   * @returns {number} BPM
+   */
+  getBPMAt(timeMs) {
+    const seg = this._segmentAt('ms', timeMs);
+    return seg.bpm + seg.slope * (this.msToBeats(timeMs) - seg.beat);
+  }
+
+  /**
+   * Convert a position in beats to milliseconds through the tempo map.
+   * @param {number} beats - Beats (quarter notes) from the start
+   * @returns {number} Time in milliseconds
+   */
+  beatsToMs(beats) {
+    const seg = this._segmentAt('beat', beats);
+    const db = beats - seg.beat;
+    if (seg.slope === 0) return seg.ms + (db * 60000) / seg.bpm;
+    // Integral of 60000 / (bpm + slope * b) db
+    return seg.ms + (60000 / seg.slope) * Math.log((seg.bpm + seg.slope * db) / seg.bpm);
+  }
+
+  /**
+   * Convert milliseconds to a position in beats through the tempo map.
+   * @param {number} timeMs
+   * @returns {number} Beats (quarter notes) from the start
+   */
+  msToBeats(timeMs) {
+    const seg = this._segmentAt('ms', timeMs);
+    const dt = timeMs - seg.ms;
+    if (seg.slope === 0) return seg.beat + (dt * seg.bpm) / 60000;
+    return seg.beat + (seg.bpm * (Math.exp((seg.slope * dt) / 60000) - 1)) / seg.slope;
+  }
+
+  /**
+   * Tempo segments between changes, with the time each starts at and the
+   * BPM slope per beat (non-zero while ramping towards a linear change).
+   */
+  _segments() {
+    if (this._tempoSegments) return this._tempoSegments;
+
+    const segments = [];
+    let ms = 0;
+    this._tempoMap.forEach((change, i) => {
+      const next = this._tempoMap[i + 1];
+      const slope = next && next.ramp === TempoRamp.LINEAR
+        ? (next.bpm - change.bpm) / (next.beat - change.beat)
+        : 0;
+      const seg = { beat: change.beat, bpm: change.bpm, slope, ms };
+      segments.push(seg);
+      if (next) {
+        const db = next.beat - change.beat;
+        ms += slope === 0
+          ? (db * 60000) / change.bpm
+          : (60000 / slope) * Math.log(next.bpm / change.bpm);
+      }
+    });
+
+    this._tempoSegments = segments;
+    return segments;
+  }
+
+  _segmentAt(key, value) {
+    const segments = this._segments();
+    let found = segments[0];
+    for (const seg of segments) {
+      if (seg[key] <= value) found = seg;
+      else break;
+    }
+    return found;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Time Signatures and Bar:Beat:Tick
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Set the time signature from a bar onwards (bar 1 sets the initial meter).
+   * @param {number} bar - 1-indexed bar number
+   * @param {number} numerator - Beats per bar (1–32)
+   * @param {number} denominator - Beat unit: 1, 2, 4, 8, 16 or 32
+   */
+  setTimeSignature(bar, numerator, denominator) {
+    if (!Number.isInteger(bar) || bar < 1) {
+      throw new Error(`Bar must be a positive integer, got ${bar}`);
+    }
+    if (!Number.isInteger(numerator) || numerator < 1 || numerator > 32) {
+      throw new Error(`Time signature numerator must be 1–32, got ${numerator}`);
+    }
+    if (![1, 2, 4, 8, 16, 32].includes(denominator)) {
+      throw new Error(`Time signature denominator must be a power of two up to 32, got ${denominator}`);
+    }
+
+    this._timeSignatures = this._timeSignatures.filter((ts) => ts.bar !== bar);
+    this._timeSignatures.push({ bar, numerator, denominator });
+    this._timeSignatures.sort((a, b) => a.bar - b.bar);
+  }
+
+  /**
+   * Get the time signature in effect at a bar.
+   * @param {number} bar - 1-indexed bar number
+   * @returns {{numerator: number, denominator: number}}
+   */
+  getTimeSignatureAt(bar) {
+    const meters = this._meterSegments();
+    const { numerator, denominator } = meters.filter((m) => m.bar <= bar).pop() || meters[0];
+    return { numerator, denominator };
+  }
+
+  /**
+   * Get all time signature changes.
+   * @returns {Array<{bar: number, numerator: number, denominator: number}>}
+   */
+  getTimeSignatures() {
+    return this._timeSignatures.map((ts) => ({ ...ts }));
+  }
+
+  /**
+   * Convert a position in beats to bar:beat:tick.
+   * @param {number} beats - Beats (quarter notes) from the start
+   * @returns {{bar: number, beat: number, tick: number}} 1-indexed bar and beat
+   */
+  beatsToBBT(beats) {
+    const totalTicks = Math.round(beats * TICKS_PER_BEAT);
+    const meter = this._meterSegments()
+      .filter((m) => m.beat * TICKS_PER_BEAT <= totalTicks)
+      .pop() || this._meterSegments()[0];
+
+    const beatTicks = (TICKS_PER_BEAT * 4) / meter.denominator;
+    const barTicks = beatTicks * meter.numerator;
+    const rel = totalTicks - meter.beat * TICKS_PER_BEAT;
+    const bars = Math.floor(rel / barTicks);
+    const inBar = rel - bars * barTicks;
+    return {
+      bar: meter.bar + bars,
+      beat: Math.floor(inBar / beatTicks) + 1,
+      tick: inBar % beatTicks,
+    };
+  }
+
+  /**
+   * Convert a bar:beat:tick position to beats.
+   * @param {string|object} position - "bar:beat:tick" or { bar, beat, tick }
+   * @returns {number} Beats (quarter notes) from the start
+   */
+  bbtToBeats(position) {
+    const { bar, beat, tick = 0 } = typeof position === 'string' ? parseBBT(position) : position;
+    if (!Number.isInteger(bar) || bar < 1) {
+      throw new Error(`Bar must be a positive integer, got ${bar}`);
+    }
+
+    const meter = this._meterSegments().filter((m) => m.bar <= bar).pop();
+    if (!Number.isInteger(beat) || beat < 1 || beat > meter.numerator) {
+      throw new Error(`Beat must be 1–${meter.numerator} in bar ${bar}, got ${beat}`);
+    }
+
+    const beatLength = 4 / meter.denominator;
+    return meter.beat
+      + (bar - meter.bar) * meter.numerator * beatLength
+      + (beat - 1) * beatLength
+      + tick / TICKS_PER_BEAT;
+  }
+
+  /**
+   * Convert milliseconds to bar:beat:tick through the tempo map.
+   * @param {number} timeMs
+   * @returns {{bar: number, beat: number, tick: number}}
+   */
+  msToBBT(timeMs) {
+    return this.beatsToBBT(this.msToBeats(timeMs));
+  }
+
+  /**
+   * Convert bar:beat:tick to milliseconds through the tempo map.
+   * @param {string|object} position
+   * @returns {number}
+   */
+  bbtToMs(position) {
+    return this.beatsToMs(this.bbtToBeats(position));
+  }
+
+  /** Time signatures with the beat position each starts at. */
+  _meterSegments() {
+    const segments = [];
+    let beat = 0;
+    this._timeSignatures.forEach((ts, i) => {
+      if (i > 0) {
+        const prev = this._timeSignatures[i - 1];
+        beat += (ts.bar - prev.bar) * prev.numerator * (4 / prev.denominator);
+      }
+      segments.push({ ...ts, beat });
+    });
+    return segments;
+  }
+
+  /** Beats at the start of the bar containing a position. */
+  _barStartBeats(beats) {
+    const { bar } = this.beatsToBBT(beats);
+    return this.bbtToBeats({ bar, beat: 1, tick: 0 });
+  }
+
+  /** Accept beats or a bar:beat:tick string/object. */
+  _toBeats(position) {
+    if (typeof position === 'number') {
+      if (!(position >= 0)) {
+        throw new Error(`Position must be a non-negative number of beats, got ${position}`);
+      }
+      return position;
+    }
+    return this.bbtToBeats(position);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tracks
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a track.
+   * @param {string} name - Unique track name
+   * @param {object} [options]
+   * @param {number} [options.channel=0] - MIDI channel (0–15)
+   * @param {string|number} [options.instrument] - Instrument name or General
+   *   MIDI program (0–127)
+   * @param {string} [options.address] - OSC address for this track's notes
+   * @param {number} [options.loopLength] - Repeat the pattern every N ms
+   * @param {boolean} [options.mute=false]
+   * @param {boolean} [options.solo=false]
+   * @returns {object} The track
+   */
+  addTrack(name, options = {}) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error(`Track name must be a non-empty string, got ${name}`);
+    }
+    if (this._tracks.has(name)) {
+      throw new Error(`Track already exists: "${name}"`);
+    }
+    validateTrackProps(options);
+
+    this._tracks.set(name, {
+      name,
+      channel: options.channel !== undefined ? options.channel : 0,
+      instrument: options.instrument != null ? options.instrument : null,
+      address: options.address != null ? options.address : null,
+      loopLength: options.loopLength != null ? options.loopLength : null,
+      mute: options.mute === true,
+      solo: options.solo === true,
+    });
+    this._trackNotes.set(name, []);
+    return this.getTrack(name);
+  }
+
+  /**
+   * Change track properties (channel, instrument, address, loopLength, mute,
+   * solo). Pass `loopLength: null` to stop looping.
+   * @param {string} name
+   * @param {object} changes
+   * @returns {object} The updated track
+   */
+  updateTrack(name, changes) {
+    const track = this._requireTrack(name);
+    validateTrackProps(changes || {});
+    for (const key of ['channel', 'instrument', 'address', 'loopLength', 'mute', 'solo']) {
+      if (changes[key] !== undefined) track[key] = changes[key];
+    }
+    return this.getTrack(name);
+  }
+
+  /**
+   * Remove a track and its notes. The default track cannot be removed.
+   * @param {string} name
+   */
+  removeTrack(name) {
+    this._requireTrack(name);
+    if (name === DEFAULT_TRACK) {
+      throw new Error(`The default track "${DEFAULT_TRACK}" cannot be removed`);
+    }
+    this._tracks.delete(name);
+    this._trackNotes.delete(name);
+    this._scheduledNotes = this._scheduledNotes.filter((e) => e.track !== name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object|null} Copy of the track, or null if it does not exist
+   */
+  getTrack(name) {
+    const track = this._tracks.get(name);
+    return track ? { ...track } : null;
+  }
+
+  /**
+   * @returns {object[]} Copies of all tracks in creation order
+   */
+  getTracks() {
+    return [...this._tracks.values()].map((t) => ({ ...t }));
+  }
+
+  /**
+   * Whether a track is heard: not muted, and soloed if any track is soloed.
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isTrackAudible(name) {
+    const track = this._requireTrack(name);
+    if (track.mute) return false;
+    const anySolo = [...this._tracks.values()].some((t) => t.solo);
+    return !anySolo || track.solo;
+  }
+
+  _requireTrack(name) {
+    const track = this._tracks.get(name);
+    if (!track) {
+      throw new Error(`Unknown track: "${name}". Available: ${[...this._tracks.keys()].join(', ')}`);
+    }
+    return track;
   }
 
   // ---------------------------------------------------------------------------
@@ -104,30 +643,34 @@ class Scheduler {
 
   /**
    * Schedule a note to be played at a specific time offset (in ms from start).
+   * On a looping track the time is within the pattern.
    * @param {number} note - MIDI note number
    * @param {number} time - Time in milliseconds from the start of the sequence
    * @param {number} [duration] - Note duration in ms; defaults to one beat
    * @param {number} [velocity=100] - MIDI velocity (0–127)
+   * @param {string} [track=DEFAULT_TRACK] - Track name
    * @returns {object} The scheduled note event
    */
-  scheduleNote(note, time, duration, velocity) {
+  scheduleNote(note, time, duration, velocity, track) {
     if (typeof note !== 'number' || note < 0 || note > 127) {
       throw new Error(`Invalid MIDI note: ${note}`);
     }
     if (typeof time !== 'number' || time < 0) {
       throw new Error(`Time must be a non-negative number, got ${time}`);
     }
+    track = track !== undefined ? track : DEFAULT_TRACK;
+    this._requireTrack(track);
 
     const event = {
       note,
       time,
       duration: duration !== undefined ? duration : this._beatDurationMs,
       velocity: velocity !== undefined ? velocity : 100,
+      track,
     };
 
-    this._scheduledNotes.push(event);
-    // Keep sorted by time
-    this._scheduledNotes.sort((a, b) => a.time - b.time);
+    insertSorted(this._scheduledNotes, event);
+    insertSorted(this._trackNotes.get(track), event);
 
     return event;
   }
@@ -136,15 +679,91 @@ class Scheduler {
    * Schedule a note at a specific beat number (1-indexed).
    * @param {number} note - MIDI note number
    * @param {number} beat - Beat number (1-indexed)
-   * @param {string} [subdivision="quarter"] - Subdivision for duration
+   * @param {string|number} [subdivision="quarter"] - Subdivision for duration
    * @param {number} [velocity=100]
+   * @param {string} [track=DEFAULT_TRACK] - Track name
    * @returns {object} The scheduled note event
    */
-  scheduleAtBeat(note, beat, subdivision, velocity) {
-    const time = (beat - 1) * this._beatDurationMs;
-    const sub = subdivision || 'quarter';
-    const duration = this.getSubdivisionDuration(sub);
-    return this.scheduleNote(note, time, duration, velocity);
+  scheduleAtBeat(note, beat, subdivision, velocity, track) {
+    return this._scheduleAtBeats(note, beat - 1, subdivision, velocity, track);
+  }
+
+  /**
+   * Schedule a note at a bar:beat:tick position. Time and duration follow
+   * the tempo map.
+   * @param {number} note - MIDI note number
+   * @param {string|object} position - "bar:beat:tick" or { bar, beat, tick }
+   * @param {string|number} [subdivision="quarter"] - Subdivision for duration
+   * @param {number} [velocity=100]
+   * @param {string} [track=DEFAULT_TRACK] - Track name
+   * @returns {object} The scheduled note event
+   */
+  scheduleAt(note, position, subdivision, velocity, track) {
+    return this._scheduleAtBeats(note, this.bbtToBeats(position), subdivision, velocity, track);
+  }
+
+  /**
+   * Schedule a melody against a rhythm of a different cycle length. Each
+   * onset in the rhythm takes the next pitch, so a melody of P notes over a
+   * rhythm with K onsets per cycle phases against it and only lines up
+   * again after lcm(P, K) onsets — the default length.
+   *
+   * @param {number[]} pitches - MIDI notes, cycled
+   * @param {Array<boolean|number>} rhythm - One entry per step; truthy steps
+   *   are onsets, and a number 0–1 scales the velocity (1 = full)
+   * @param {object} [options]
+   * @param {string|number} [options.step="sixteenth"] - Step length: a
+   *   subdivision, tuplet ("eighth 7:8") or number of beats
+   * @param {number} [options.steps] - Steps to schedule; defaults to the
+   *   number after which melody and rhythm realign
+   * @param {number} [options.startBeat=0] - Position of the first step, in beats
+   * @param {number} [options.gate=1] - Note length as a fraction of the step
+   * @param {number} [options.velocity=100] - Velocity of a full-strength onset
+   * @param {string} [options.track=DEFAULT_TRACK]
+   * @returns {object[]} The scheduled note events
+   */
+  schedulePattern(pitches, rhythm, options = {}) {
+    if (!Array.isArray(pitches) || pitches.length === 0) {
+      throw new Error('Pattern needs at least one pitch');
+    }
+    const onsets = Array.isArray(rhythm) ? rhythm.filter((s) => s && s > 0).length : 0;
+    if (onsets === 0) {
+      throw new Error('Rhythm needs at least one onset');
+    }
+
+    const step = subdivisionBeats(options.step !== undefined ? options.step : 'sixteenth');
+    const startBeat = options.startBeat !== undefined ? options.startBeat : 0;
+    const gate = options.gate !== undefined ? options.gate : 1;
+    const velocity = options.velocity !== undefined ? options.velocity : 100;
+    const realign = (pitches.length / gcd(pitches.length, onsets)) * rhythm.length;
+    const steps = options.steps !== undefined ? options.steps : realign;
+
+    const events = [];
+    let index = 0;
+    for (let i = 0; i < steps; i++) {
+      const strength = rhythm[i % rhythm.length];
+      if (!strength || strength <= 0) continue;
+
+      const beats = startBeat + i * step;
+      const time = this.beatsToMs(beats);
+      const scale = strength === true ? 1 : Math.min(1, strength);
+      events.push(this.scheduleNote(
+        pitches[index % pitches.length],
+        time,
+        this.beatsToMs(beats + step * gate) - time,
+        Math.max(1, Math.round(velocity * scale)),
+        options.track
+      ));
+      index++;
+    }
+    return events;
+  }
+
+  _scheduleAtBeats(note, beats, subdivision, velocity, track) {
+    const length = subdivisionBeats(subdivision || 'quarter');
+    const time = this.beatsToMs(beats);
+    const duration = this.beatsToMs(beats + length) - time;
+    return this.scheduleNote(note, time, duration, velocity, track);
   }
 
   // ---------------------------------------------------------------------------
@@ -156,7 +775,7 @@ class Scheduler {
    * @returns {number} Time in ms
    */
   getNextBeat() {
-    const time = this._nextBeatIndex * this._beatDurationMs;
+    const time = this.beatsToMs(this._nextBeatIndex);
     this._nextBeatIndex++;
     return time;
   }
@@ -169,12 +788,13 @@ class Scheduler {
   }
 
   /**
-   * Get the beat number for a given time offset.
+   * Get the beat number for a given time offset, following the tempo map.
    * @param {number} timeMs - Time in milliseconds
    * @returns {number} Beat number (0-indexed)
    */
   getBeatAt(timeMs) {
-    return Math.floor(timeMs / this._beatDurationMs);
+    // Tolerate floating-point error just below a beat boundary
+    return Math.floor(this.msToBeats(timeMs) + 1e-9);
   }
 
   // ---------------------------------------------------------------------------
@@ -182,20 +802,23 @@ class Scheduler {
   // ---------------------------------------------------------------------------
 
   /**
-   * Quantize a time value to the nearest subdivision grid line.
+   * Quantize a time value to the nearest subdivision grid line. The grid is
+   * measured in beats from the start of the bar, so it follows the tempo map
+   * and stays aligned to bar lines after time signature changes.
    * @param {number} time - Time in milliseconds to quantize
-   * @param {string} [subdivision="quarter"] - Grid resolution
+   * @param {string|number} [subdivision="quarter"] - Grid resolution
    * @returns {number} Quantized time in milliseconds
    */
   quantize(time, subdivision) {
-    const sub = subdivision || 'quarter';
-    const gridSize = this.getSubdivisionDuration(sub);
-    return Math.round(time / gridSize) * gridSize;
+    const grid = subdivisionBeats(subdivision || 'quarter');
+    const beats = this.msToBeats(time);
+    const barStart = this._barStartBeats(beats);
+    return this.beatsToMs(barStart + Math.round((beats - barStart) / grid) * grid);
   }
 
   /**
    * Quantize all scheduled notes to a grid.
-   * @param {string} [subdivision="quarter"]
+   * @param {string|number} [subdivision="quarter"]
    * @returns {object[]} The quantized schedule
    */
   quantizeAll(subdivision) {
@@ -204,6 +827,7 @@ class Scheduler {
       time: this.quantize(event.time, subdivision),
     }));
     this._scheduledNotes.sort((a, b) => a.time - b.time);
+    this._reindexTracks();
     return this.getSchedule();
   }
 
@@ -212,23 +836,72 @@ class Scheduler {
   // ---------------------------------------------------------------------------
 
   /**
-   * Get all scheduled notes.
+   * Get all scheduled notes (loop patterns are not expanded).
+   * @param {string} [track] - Only this track's notes
    * @returns {object[]}
    */
-  getSchedule() {
-    return [...this._scheduledNotes];
+  getSchedule(track) {
+    if (track === undefined) return [...this._scheduledNotes];
+    this._requireTrack(track);
+    return [...this._trackNotes.get(track)];
+  }
+
+  /**
+   * Replace all scheduled notes, e.g. with the output of a groove transform.
+   * Each event is validated as by scheduleNote() and keeps its track.
+   * @param {object[]} events - Events with { note, time, duration, velocity, track }
+   * @returns {object[]} The new schedule
+   */
+  setSchedule(events) {
+    const previous = this._scheduledNotes;
+    this._scheduledNotes = [];
+    this._reindexTracks();
+    try {
+      for (const e of events) {
+        this.scheduleNote(e.note, e.time, e.duration, e.velocity, e.track);
+      }
+    } catch (err) {
+      this._scheduledNotes = previous;
+      this._reindexTracks();
+      throw err;
+    }
+    return this.getSchedule();
   }
 
   /**
-   * Get notes within a time window.
+   * Get notes within a time window, with looping tracks repeated across it.
+   * Muted tracks (and, while any track is soloed, unsoloed ones) are left out
+   * unless `includeMuted` is set.
    * @param {number} startMs - Window start
    * @param {number} endMs - Window end
-   * @returns {object[]}
+   * @param {object} [options]
+   * @param {string|string[]} [options.track] - Only these tracks
+   * @param {boolean} [options.includeMuted=false]
+   * @returns {object[]} Events sorted by time
    */
-  getNotesInRange(startMs, endMs) {
-    return this._scheduledNotes.filter(
-      (e) => e.time >= startMs && e.time < endMs
-    );
+  getNotesInRange(startMs, endMs, options = {}) {
+    const names = options.track !== undefined ? [].concat(options.track) : [...this._tracks.keys()];
+    const notes = [];
+
+    for (const name of names) {
+      const track = this._requireTrack(name);
+      if (!options.includeMuted && !this.isTrackAudible(name)) continue;
+
+      const events = this._trackNotes.get(name);
+      if (track.loopLength === null) {
+        for (let i = firstAtOrAfter(events, startMs); i < events.length && events[i].time < endMs; i++) {
+          notes.push(events[i]);
+        }
+      } else {
+        if (!Number.isFinite(endMs)) {
+          throw new Error(`Cannot expand looping track "${name}" over an unbounded range`);
+        }
+        const pattern = events.slice(0, firstAtOrAfter(events, track.loopLength));
+        notes.push(...expandLoop(pattern, track.loopLength, startMs, endMs));
+      }
+    }
+
+    return notes.sort((a, b) => a.time - b.time);
   }
 
   /**
@@ -242,12 +915,404 @@ class Scheduler {
   }
 
   /**
-   * Clear all scheduled notes.
+   * Clear all scheduled notes, or only one track's. Tracks are kept.
+   * @param {string} [track]
    */
-  clear() {
+  clear(track) {
+    if (track !== undefined) {
+      this._requireTrack(track);
+      this._scheduledNotes = this._scheduledNotes.filter((e) => e.track !== track);
+      this._trackNotes.set(track, []);
+      return;
+    }
     this._scheduledNotes = [];
+    this._reindexTracks();
     this._nextBeatIndex = 0;
   }
+
+  /**
+   * Drop notes that have finished playing by `timeMs`, so long sessions do
+   * not grow without bound. Looping tracks keep their pattern.
+   * @param {number} timeMs - Schedule time already played
+   * @returns {number} Number of events removed
+   */
+  evictBefore(timeMs) {
+    let evicted = 0;
+    for (const [name, events] of this._trackNotes) {
+      if (this._tracks.get(name).loopLength === null) {
+        evicted += evictFinished(events, timeMs);
+      }
+    }
+    if (evicted > 0) {
+      evictFinished(this._scheduledNotes, timeMs, (e) => this._tracks.get(e.track).loopLength !== null);
+    }
+    return evicted;
+  }
+
+  /**
+   * @returns {number} Number of stored events (loop patterns not expanded)
+   */
+  getEventCount() {
+    return this._scheduledNotes.length;
+  }
+
+  /** Rebuild the per-track indexes from the full schedule. */
+  _reindexTracks() {
+    for (const name of this._tracks.keys()) {
+      this._trackNotes.set(name, []);
+    }
+    for (const event of this._scheduledNotes) {
+      this._trackNotes.get(event.track).push(event);
+    }
+  }
+}
+
+function validateBPM(bpm) {
+  if (typeof bpm !== 'number' || bpm < 20 || bpm > 300) {
+    throw new Error(`BPM must be between 20 and 300, got ${bpm}`);
+  }
+}
+
+/**
+ * Length in beats of `count` notes played in the time of `inSpaceOf` notes
+ * of the base subdivision, e.g. tuplet(5, 4, 'sixteenth') for quintuplet
+ * sixteenths or tuplet(7, 8, 'eighth') for seven eighths in a 4/4 bar.
+ * @param {number} count - Notes in the tuplet
+ * @param {number} inSpaceOf - Base notes they replace
+ * @param {string} [base="eighth"] - SUBDIVISIONS key
+ * @returns {number} Beats per tuplet note
+ */
+function tuplet(count, inSpaceOf, base) {
+  if (!Number.isInteger(count) || count < 1 || !Number.isInteger(inSpaceOf) || inSpaceOf < 1) {
+    throw new Error(`Tuplet ratio must be two positive integers, got ${count}:${inSpaceOf}`);
+  }
+  return (subdivisionBeats(base || 'eighth') * inSpaceOf) / count;
+}
+
+/**
+ * Resolve a subdivision to its length in beats. Accepts a SUBDIVISIONS key,
+ * a tuplet written as "<key> <count>:<inSpaceOf>" (e.g. "sixteenth 5:4"), or
+ * a positive number of beats.
+ * @param {string|number} subdivision
+ * @returns {number}
+ */
+function subdivisionBeats(subdivision) {
+  if (typeof subdivision === 'number') {
+    if (!(subdivision > 0) || !Number.isFinite(subdivision)) {
+      throw new Error(`Subdivision must be a positive number of beats, got ${subdivision}`);
+    }
+    return subdivision;
+  }
+  const multiplier = SUBDIVISIONS[subdivision];
+  if (multiplier !== undefined) return multiplier;
+
+  const match = /^\s*(\w+)\s+(\d+):(\d+)\s*$/.exec(String(subdivision));
+  if (match && SUBDIVISIONS[match[1]] !== undefined) {
+    return tuplet(Number(match[2]), Number(match[3]), match[1]);
+  }
+  throw new Error(
+    `Unknown subdivision: "${subdivision}". Available: ${Object.keys(SUBDIVISIONS).join(', ')}` +
+      ' (or a tuplet such as "sixteenth 5:4")'
+  );
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// =============================================================================
+// TRANSPORT
+// =============================================================================
+
+/**
+ * Transport states.
+ */
+const TransportState = {
+  STOPPED: 'stopped',
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+};
+
+const DEFAULT_TRANSPORT_OPTIONS = {
+  lookaheadMs: 100,   // Events are dispatched this far ahead of the clock
+  intervalMs: 25,     // Tick period when started; 0 to drive tick() manually
+  evictPlayed: false, // Drop finished notes from the scheduler as they play
+};
+
+/**
+ * Real-time playback of a Scheduler's notes.
+ *
+ * The transport keeps a cursor in schedule time (ms, as stored by the
+ * Scheduler) and the clock time it corresponds to. Each tick dispatches every
+ * note-on and note-off that sounds before `now + lookaheadMs`, stamped with
+ * the clock time it should sound at, and moves the cursor to that horizon.
+ * Positions are always derived from the cursor anchor rather than summed tick
+ * by tick, so tempo changes and irregular ticks do not drift.
+ *
+ * Notes inside the lookahead window have already been dispatched, so tempo
+ * changes, seeks, pauses and stops take effect at the end of that window;
+ * notes still sounding there are released with a note-off at that moment.
+ */
+class Transport {
+  /**
+   * @param {Scheduler} scheduler - Notes to play
+   * @param {object} [options]
+   * @param {function} [options.clock=Date.now] - Returns the current time in ms
+   * @param {number} [options.lookaheadMs=100]
+   * @param {number} [options.intervalMs=25]
+   * @param {number} [options.bpm] - Playback tempo; defaults to the scheduler's
+   * @param {boolean} [options.evictPlayed=false] - Evict notes from the
+   *   scheduler once they have finished (see Scheduler#evictBefore); notes
+   *   inside a loop region are kept. Seeking back cannot replay them.
+   * @param {function} [options.onNoteOn] - Called with (event, time)
+   * @param {function} [options.onNoteOff] - Called with (event, time)
+   */
+  constructor(scheduler, options = {}) {
+    this.scheduler = scheduler;
+    this.options = { ...DEFAULT_TRANSPORT_OPTIONS, ...options };
+    this.clock = this.options.clock || Date.now;
+    this.onNoteOn = this.options.onNoteOn || null;
+    this.onNoteOff = this.options.onNoteOff || null;
+
+    this.state = TransportState.STOPPED;
+    this._bpm = this.options.bpm !== undefined ? this.options.bpm : scheduler.getBPM();
+    this._loop = null;
+    this._cursor = 0;           // Schedule time dispatched up to
+    this._cursorTime = null;    // Clock time matching the cursor
+    this._windowRate = 1;       // Rate used for the last dispatched window
+    this._lastWrapTime = null;  // Clock time of the latest loop wrap
+    this._pendingOffs = [];     // { event, time } note-offs not yet dispatched
+    this._timer = null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Tempo and Loop
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Set the playback tempo. Schedule times are read at the scheduler's BPM,
+   * so playback runs at `bpm / scheduler.getBPM()` times real time.
+   * @param {number} bpm - Beats per minute (20–300)
+   */
+  setBPM(bpm) {
+    validateBPM(bpm);
+    this._bpm = bpm;
+  }
+
+  /**
+   * @returns {number} Playback tempo
+   */
+  getBPM() {
+    return this._bpm;
+  }
+
+  /**
+   * Loop a region of schedule time. The loop applies while the cursor is
+   * before its end.
+   * @param {number} startMs
+   * @param {number} endMs
+   */
+  setLoop(startMs, endMs) {
+    if (typeof startMs !== 'number' || typeof endMs !== 'number' || startMs < 0 || endMs <= startMs) {
+      throw new Error(`Invalid loop region: ${startMs}–${endMs}`);
+    }
+    this._loop = { start: startMs, end: endMs };
+  }
+
+  /**
+   * Remove the loop region.
+   */
+  clearLoop() {
+    this._loop = null;
+  }
+
+  /**
+   * @returns {{start: number, end: number}|null}
+   */
+  getLoop() {
+    return this._loop ? { ...this._loop } : null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Transport Control
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start playback from the current position (0 after stop(), where it left
+   * off after pause()).
+   * @param {number} [now] - Defaults to the injected clock
+   */
+  start(now) {
+    if (this.state === TransportState.PLAYING) return;
+    this.state = TransportState.PLAYING;
+    this._cursorTime = now !== undefined ? now : this.clock();
+    this._lastWrapTime = null;
+
+    if (this.options.intervalMs > 0) {
+      this._timer = setInterval(() => this.tick(), this.options.intervalMs);
+    }
+    this.tick(this._cursorTime);
+  }
+
+  /**
+   * Pause at the end of the lookahead window, releasing sounding notes.
+   */
+  pause() {
+    if (this.state !== TransportState.PLAYING) return;
+    this._halt();
+    this.state = TransportState.PAUSED;
+  }
+
+  /**
+   * Stop, release sounding notes and return to the start.
+   */
+  stop() {
+    if (this.state === TransportState.PLAYING) {
+      this._halt();
+    }
+    this.state = TransportState.STOPPED;
+    this._cursor = 0;
+  }
+
+  /**
+   * Move the playhead. While playing, the jump happens at the end of the
+   * lookahead window and notes sounding there are released.
+   * @param {number} positionMs - Schedule time
+   */
+  seek(positionMs) {
+    if (typeof positionMs !== 'number' || positionMs < 0) {
+      throw new Error(`Seek position must be a non-negative number, got ${positionMs}`);
+    }
+    if (this.state === TransportState.PLAYING) {
+      this._releaseAll(this._cursorTime);
+      this._lastWrapTime = null;
+    }
+    this._cursor = positionMs;
+  }
+
+  /**
+   * Get the playhead position in schedule time.
+   * @param {number} [now] - Defaults to the injected clock
+   * @returns {number}
+   */
+  getPosition(now) {
+    if (this.state !== TransportState.PLAYING) return this._cursor;
+    now = now !== undefined ? now : this.clock();
+
+    const loop = this._loop;
+    if (loop && this._lastWrapTime !== null && now < this._lastWrapTime) {
+      // Between now and the cursor the playhead wrapped around the loop
+      const back = ((this._lastWrapTime - now) * this._windowRate) % (loop.end - loop.start);
+      return back === 0 ? loop.start : loop.end - back;
+    }
+
+    let pos = this._cursor + (now - this._cursorTime) * this._windowRate;
+    if (loop && this._cursor < loop.end && pos >= loop.end) {
+      pos = loop.start + ((pos - loop.start) % (loop.end - loop.start));
+    }
+    return pos;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Dispatch
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Dispatch every note-on and note-off that sounds before `now + lookaheadMs`.
+   * Called on the interval timer, or manually when intervalMs is 0.
+   * @param {number} [now] - Defaults to the injected clock
+   * @returns {object[]} Dispatched `{ type: 'noteOn'|'noteOff', event, time }`
+   */
+  tick(now) {
+    if (this.state !== TransportState.PLAYING) return [];
+    now = now !== undefined ? now : this.clock();
+
+    const horizon = now + this.options.lookaheadMs;
+    if (horizon <= this._cursorTime) return [];
+
+    const rate = this._bpm / this.scheduler.getBPM();
+    const dispatched = [];
+    let from = this._cursor;
+    let fromTime = this._cursorTime;
+
+    for (;;) {
+      const loop = this._loop;
+      const end = loop && from < loop.end ? loop.end : Infinity;
+      const target = from + (horizon - fromTime) * rate;
+
+      if (target < end) {
+        this._collect(from, target, fromTime, rate, dispatched);
+        this._cursor = target;
+        break;
+      }
+
+      this._collect(from, end, fromTime, rate, dispatched);
+      fromTime += (end - from) / rate;
+      from = loop.start;
+      this._lastWrapTime = fromTime;
+    }
+
+    this._cursorTime = horizon;
+    this._windowRate = rate;
+
+    if (this.options.evictPlayed) {
+      const loop = this._loop;
+      this.scheduler.evictBefore(loop ? Math.min(this._cursor, loop.start) : this._cursor);
+    }
+
+    // Note-offs that fall inside the window
+    const due = this._pendingOffs.filter((off) => off.time < horizon);
+    this._pendingOffs = this._pendingOffs.filter((off) => off.time >= horizon);
+    due.forEach((off) => dispatched.push({ type: 'noteOff', ...off }));
+
+    // Time order; note-offs first on ties so retriggers are not cut short
+    const rank = (d) => (d.type === 'noteOff' ? 0 : 1);
+    dispatched.sort((a, b) => a.time - b.time || rank(a) - rank(b));
+    dispatched.forEach((d) => this._emit(d));
+    return dispatched;
+  }
+
+  _collect(from, to, fromTime, rate, dispatched) {
+    for (const event of this.scheduler.getNotesInRange(from, to)) {
+      const time = fromTime + (event.time - from) / rate;
+      dispatched.push({ type: 'noteOn', event, time });
+      this._pendingOffs.push({ event, time: time + event.duration / rate });
+    }
+  }
+
+  _emit({ type, event, time }) {
+    const callback = type === 'noteOn' ? this.onNoteOn : this.onNoteOff;
+    if (callback) callback(event, time);
+  }
+
+  /** Release every pending note-off, clamped to `time`. */
+  _releaseAll(time) {
+    const offs = this._pendingOffs.sort((a, b) => a.time - b.time);
+    this._pendingOffs = [];
+    offs.forEach((off) => this._emit({ type: 'noteOff', event: off.event, time: Math.min(off.time, time) }));
+  }
+
+  /** Stop the timer and release notes at the end of the lookahead window. */
+  _halt() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this._releaseAll(this._cursorTime);
+    this._lastWrapTime = null;
+  }
 }
 
-module.exports = { Scheduler, SUBDIVISIONS };
+module.exports = {
+  Scheduler,
+  Transport,
+  TransportState,
+  TempoRamp,
+  SUBDIVISIONS,
+  TICKS_PER_BEAT,
+  DEFAULT_TRACK,
+  parseBBT,
+  formatBBT,
+  tuplet,
+  subdivisionBeats,
+};
@@ -0,0 +1,351 @@
+/**
+ * Transform — Classical Melodic Transformations and Pipelines
+ *
+ * Operations on note sequences in the note + duration form
+ * `{ note, duration }` (duration in steps or beats; other fields are kept):
+ *
+ * - inversion around an axis, chromatic or within a scale
+ * - retrograde
+ * - augmentation and diminution
+ * - chromatic and diatonic (in-scale) transposition
+ * - rotation
+ * - twelve-tone row forms (P, I, R, RI) and the 12×12 row matrix
+ *
+ * Plain MIDI note numbers are accepted anywhere a sequence is and read as
+ * notes of duration 1. Transformations never modify their input.
+ *
+ * Steps such as `{ op: 'invert', axis: 64 }` compose into pipelines
+ * (createPipeline()), which is how the performer applies them live: the
+ * NoteStream runs every new phrase through the current pipeline, with the
+ * mapped scale and root available to diatonic steps.
+ *
+ * @module transform
+ */
+
+'use strict';
+
+const { getScale, clampMidi, clampPitch, degreeToMidi, midiToDegree } = require('./generator');
+
+/** Widest augmentation or diminution, alone or for a whole pipeline. */
+const MAX_TIME_FACTOR = 16;
+
+/** Most steps a pipeline may have. */
+const MAX_PIPELINE_STEPS = 16;
+
+const inTimeRange = (factor) => factor >= 1 / MAX_TIME_FACTOR && factor <= MAX_TIME_FACTOR;
+
+// =============================================================================
+// SEQUENCES
+// =============================================================================
+
+/**
+ * Normalize a sequence to `{ note, duration }` objects.
+ * @param {Array<number|object>} sequence - MIDI notes or note objects
+ * @param {number} [duration=1] - Duration for plain note numbers
+ * @returns {object[]} Copies
+ */
+function toNoteSequence(sequence, duration) {
+  duration = duration !== undefined ? duration : 1;
+  return sequence.map((item) => (typeof item === 'number' ? { note: item, duration } : { ...item }));
+}
+
+// =============================================================================
+// BASIC TRANSFORMATIONS
+// =============================================================================
+
+/**
+ * Mirror every note around an axis. With a scale the mirror works in scale
+ * degrees, so the result stays in the scale (off-scale notes snap first).
+ *
+ * @param {Array<number|object>} sequence
+ * @param {number} [axis] - MIDI note to mirror around (default: the first note)
+ * @param {object} [options]
+ * @param {string} [options.scale] - Invert diatonically within this scale
+ * @param {number} [options.root=60] - Root of the scale
+ * @returns {object[]}
+ */
+function invert(sequence, axis, options = {}) {
+  if (axis !== undefined && !Number.isFinite(axis)) {
+    throw new Error(`Inversion axis must be a finite number, got ${axis}`);
+  }
+  const notes = toNoteSequence(sequence);
+  if (notes.length === 0) return notes;
+  const center = axis !== undefined ? axis : notes[0].note;
+
+  if (options.scale) {
+    const root = options.root !== undefined ? options.root : 60;
+    const axisDegree = midiToDegree(center, options.scale, root);
+    return notes.map((n) => {
+      const degree = 2 * axisDegree - midiToDegree(n.note, options.scale, root);
+      return { ...n, note: degreeToMidi(degree, options.scale, root) };
+    });
+  }
+  return notes.map((n) => ({ ...n, note: clampPitch(2 * center - n.note) }));
+}
+
+/**
+ * Play the sequence backwards; each note keeps its own duration.
+ * @param {Array<number|object>} sequence
+ * @returns {object[]}
+ */
+function retrograde(sequence) {
+  return toNoteSequence(sequence).reverse();
+}
+
+/**
+ * Multiply every duration (and `time`, if present) by a factor.
+ * @param {Array<number|object>} sequence
+ * @param {number} [factor=2] - 1/16–16
+ * @returns {object[]}
+ */
+function augment(sequence, factor) {
+  factor = factor !== undefined ? factor : 2;
+  if (typeof factor !== 'number' || !inTimeRange(factor)) {
+    throw new Error(`Augmentation factor must be a positive number from 1/16 to 16, got ${factor}`);
+  }
+  return toNoteSequence(sequence).map((n) => ({
+    ...n,
+    duration: n.duration * factor,
+    ...(n.time !== undefined ? { time: n.time * factor } : {}),
+  }));
+}
+
+/**
+ * Divide every duration (and `time`, if present) by a factor.
+ * @param {Array<number|object>} sequence
+ * @param {number} [factor=2] - 1/16–16
+ * @returns {object[]}
+ */
+function diminish(sequence, factor) {
+  factor = factor !== undefined ? factor : 2;
+  if (typeof factor !== 'number' || !inTimeRange(factor)) {
+    throw new Error(`Diminution factor must be a positive number from 1/16 to 16, got ${factor}`);
+  }
+  return augment(sequence, 1 / factor);
+}
+
+/**
+ * Shift every note by a number of semitones, clamped to 0–127.
+ * @param {Array<number|object>} sequence
+ * @param {number} semitones
+ * @returns {object[]}
+ */
+function transposeChromatic(sequence, semitones) {
+  if (!Number.isFinite(semitones)) {
+    throw new Error(`Transposition must be a finite number of semitones, got ${semitones}`);
+  }
+  return toNoteSequence(sequence).map((n) => ({ ...n, note: clampPitch(n.note + semitones) }));
+}
+
+/**
+ * Move every note a number of scale steps within a scale, so intervals
+ * change quality (major third ↔ minor third) and the line stays in key.
+ * Notes outside the scale snap to the nearest scale tone first.
+ *
+ * @param {Array<number|object>} sequence
+ * @param {number} steps - Scale steps (negative = down)
+ * @param {string} scaleName
+ * @param {number} [root=60] - Root of the scale
+ * @returns {object[]}
+ */
+function transposeDiatonic(sequence, steps, scaleName, root) {
+  root = root !== undefined ? root : 60;
+  if (!Number.isInteger(steps)) {
+    throw new Error(`Diatonic transposition needs a whole number of steps, got ${steps}`);
+  }
+  getScale(scaleName);
+  return toNoteSequence(sequence).map((n) => ({
+    ...n,
+    note: degreeToMidi(midiToDegree(n.note, scaleName, root) + steps, scaleName, root),
+  }));
+}
+
+/**
+ * Rotate the sequence left by `n` positions (negative rotates right).
+ * @param {Array<number|object>} sequence
+ * @param {number} [n=1] - Whole number of positions
+ * @returns {object[]}
+ */
+function rotate(sequence, n) {
+  if (n !== undefined && !Number.isInteger(n)) {
+    throw new Error(`Rotation needs a whole number of positions, got ${n}`);
+  }
+  const notes = toNoteSequence(sequence);
+  if (notes.length === 0) return notes;
+  const shift = (((n !== undefined ? n : 1) % notes.length) + notes.length) % notes.length;
+  return [...notes.slice(shift), ...notes.slice(0, shift)];
+}
+
+// =============================================================================
+// TWELVE-TONE ROWS
+// =============================================================================
+
+/**
+ * Validate a twelve-tone row and reduce it to pitch classes.
+ * @param {number[]} row - Twelve pitch classes or MIDI notes
+ * @returns {number[]} Pitch classes 0–11
+ * @throws {Error} If the row does not hold each pitch class exactly once
+ */
+function toneRow(row) {
+  const pcs = Array.isArray(row) ? row.map((n) => ((Math.round(n) % 12) + 12) % 12) : [];
+  if (pcs.length !== 12 || new Set(pcs).size !== 12) {
+    throw new Error('Tone row must contain each of the 12 pitch classes exactly once');
+  }
+  return pcs;
+}
+
+/**
+ * Row forms, by the usual convention: P and I forms are named by their first
+ * pitch class; R<n> is P<n> backwards and RI<n> is I<n> backwards.
+ */
+const ROW_FORMS = {
+  P: (prime, n) => prime.map((pc) => (pc + n) % 12),
+  I: (prime, n) => prime.map((pc) => (12 - pc + n) % 12),
+  R: (prime, n) => ROW_FORMS.P(prime, n).reverse(),
+  RI: (prime, n) => ROW_FORMS.I(prime, n).reverse(),
+};
+
+/**
+ * One form of a tone row.
+ * @param {number[]} row - The row (its own first pitch class is P of that number)
+ * @param {string} form - "P", "I", "R" or "RI"
+ * @param {number} [n] - Transposition: first pitch class of the P/I form
+ *   (default: the row's first pitch class)
+ * @returns {number[]} Pitch classes
+ */
+function rowForm(row, form, n) {
+  const pcs = toneRow(row);
+  const build = ROW_FORMS[form];
+  if (!build) {
+    throw new Error(`Unknown row form: "${form}". Available: ${Object.keys(ROW_FORMS).join(', ')}`);
+  }
+  const prime = pcs.map((pc) => (pc - pcs[0] + 12) % 12);
+  const transposition = n !== undefined ? ((n % 12) + 12) % 12 : pcs[0];
+  return build(prime, transposition);
+}
+
+/**
+ * The 12×12 row matrix. Row i read left to right is a P form, right to left
+ * an R form; column j read top to bottom is an I form, bottom to top an RI
+ * form. The first row is the given row.
+ * @param {number[]} row
+ * @returns {number[][]}
+ */
+function twelveToneMatrix(row) {
+  const pcs = toneRow(row);
+  return rowForm(pcs, 'I').map((start) => rowForm(pcs, 'P', start));
+}
+
+/**
+ * Place pitch classes as notes in the octave above `root`.
+ * @param {number[]} pcs - Pitch classes
+ * @param {number} [root=60] - MIDI note of pitch class 0's octave
+ * @param {number} [duration=1]
+ * @returns {object[]} `{ note, duration }` sequence
+ */
+function rowToSequence(pcs, root, duration) {
+  root = root !== undefined ? root : 60;
+  return toNoteSequence(pcs.map((pc) => clampMidi(root + pc)), duration);
+}
+
+// =============================================================================
+// PIPELINES
+// =============================================================================
+
+/**
+ * Pipeline steps by `op`. Each takes the sequence, the step's parameters
+ * and a context `{ scale, root }` that diatonic steps fall back on.
+ */
+const TRANSFORMS = {
+  invert: (seq, p, ctx) => invert(seq, p.axis, p.diatonic ? scaleOf(p, ctx) : {}),
+  retrograde: (seq) => retrograde(seq),
+  augment: (seq, p) => augment(seq, p.factor),
+  diminish: (seq, p) => diminish(seq, p.factor),
+  transpose: (seq, p) => transposeChromatic(seq, p.semitones !== undefined ? p.semitones : 0),
+  diatonicTranspose: (seq, p, ctx) => {
+    const { scale, root } = scaleOf(p, ctx);
+    return transposeDiatonic(seq, p.steps !== undefined ? p.steps : 0, scale, root);
+  },
+  rotate: (seq, p) => rotate(seq, p.by),
+};
+
+/** A step's own scale and root, else the context's, else C chromatic. */
+function scaleOf(params, context) {
+  const pick = (key, fallback) => {
+    if (params[key] !== undefined) return params[key];
+    return context && context[key] !== undefined ? context[key] : fallback;
+  };
+  return { scale: pick('scale', 'chromatic'), root: pick('root', 60) };
+}
+
+/**
+ * Compose steps into a function. Steps are checked up front, so a bad
+ * pipeline is rejected before it reaches a live stream: numeric parameters
+ * are validated by the operations, and a dry run on a probe note must give
+ * a finite note. A pipeline has at
+ * most MAX_PIPELINE_STEPS steps, and together its steps may stretch or
+ * shrink durations by at most MAX_TIME_FACTOR.
+ *
+ * @param {object[]} steps - `{ op, ...params }`, e.g. `{ op: 'augment', factor: 2 }`
+ *   or `{ op: 'diatonicTranspose', steps: 2 }`; see TRANSFORMS for ops
+ * @returns {function(Array, object=): object[]} `(sequence, { scale, root }) => sequence`
+ * @throws {Error} On an unknown op or invalid parameters
+ */
+function createPipeline(steps) {
+  if (!Array.isArray(steps)) {
+    throw new Error('Transform pipeline must be an array of steps');
+  }
+  if (steps.length > MAX_PIPELINE_STEPS) {
+    throw new Error(`Transform pipeline must have at most ${MAX_PIPELINE_STEPS} steps, got ${steps.length}`);
+  }
+  steps.forEach((step) => {
+    if (!step || !Object.prototype.hasOwnProperty.call(TRANSFORMS, step.op)) {
+      const op = step && step.op;
+      throw new Error(`Unknown transform: "${op}". Available: ${Object.keys(TRANSFORMS).join(', ')}`);
+    }
+  });
+  // Dry run on a probe note catches bad parameters now rather than mid-performance
+  const run = (sequence, context) => steps.reduce(
+    (seq, step) => TRANSFORMS[step.op](seq, step, context),
+    toNoteSequence(sequence)
+  );
+  const [probe] = run([60]);
+  if (!Number.isFinite(probe.note)) {
+    throw new Error(`Transform pipeline must produce finite notes, got ${probe.note}`);
+  }
+  if (!inTimeRange(probe.duration)) {
+    throw new Error(`Transform pipeline must scale durations by 1/16 to 16, got ${probe.duration}`);
+  }
+  return run;
+}
+
+/**
+ * Apply steps to a sequence in one call.
+ * @param {Array<number|object>} sequence
+ * @param {object[]} steps - See createPipeline()
+ * @param {object} [context] - `{ scale, root }` for diatonic steps
+ * @returns {object[]}
+ */
+function applyTransforms(sequence, steps, context) {
+  return createPipeline(steps)(sequence, context);
+}
+
+module.exports = {
+  TRANSFORMS,
+  MAX_TIME_FACTOR,
+  MAX_PIPELINE_STEPS,
+  toNoteSequence,
+  invert,
+  retrograde,
+  augment,
+  diminish,
+  transposeChromatic,
+  transposeDiatonic,
+  rotate,
+  toneRow,
+  rowForm,
+  twelveToneMatrix,
+  rowToSequence,
+  createPipeline,
+  applyTransforms,
+};
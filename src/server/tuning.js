@@ -0,0 +1,292 @@
+/**
+ * Tuning — Scala Scales, Keyboard Mappings and Microtonal Output
+ *
+ * Imports scales in the Scala formats (`.scl` scale files and `.kbm`
+ * keyboard mappings) into the generator's scale registry, and converts the
+ * fractional MIDI pitches that microtonal scales produce into what synths
+ * need: exact frequencies (for OSC) or a nearest MIDI note plus pitch bend
+ * (for MIDI files and hardware).
+ *
+ * Pitches here are continuous MIDI numbers in 12-TET semitones, so 60.5 is
+ * a quarter tone above middle C and A4 = 69 = 440 Hz. Scala cents convert
+ * directly (100 cents = 1 semitone).
+ *
+ * @module tuning
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { registerScale } = require('./generator');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const A4_PITCH = 69;
+const A4_FREQUENCY = 440;
+
+/** Semitones a full pitch bend covers by default (the General MIDI default). */
+const DEFAULT_PITCH_BEND_RANGE = 2;
+
+/**
+ * Keyboard mapping used when none is given: every key maps to the next scale
+ * degree, with degree 0 on middle C tuned to 12-TET (261.63 Hz).
+ */
+const DEFAULT_KEYBOARD_MAPPING = {
+  size: 0,
+  first: 0,
+  last: 127,
+  middle: 60,
+  reference: 60,
+  frequency: 261.6255653005986,
+  octaveDegree: 0,
+  mapping: [],
+};
+
+// =============================================================================
+// PITCH CONVERSION
+// =============================================================================
+
+/**
+ * @param {number} pitch - MIDI pitch, may be fractional
+ * @param {number} [a4=440] - Frequency of A4
+ * @returns {number} Frequency in Hz
+ */
+function pitchToFrequency(pitch, a4) {
+  return (a4 || A4_FREQUENCY) * Math.pow(2, (pitch - A4_PITCH) / 12);
+}
+
+/**
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} [a4=440] - Frequency of A4
+ * @returns {number} Fractional MIDI pitch
+ */
+function frequencyToPitch(frequency, a4) {
+  if (!(frequency > 0)) {
+    throw new Error(`Frequency must be positive, got ${frequency}`);
+  }
+  return A4_PITCH + 12 * Math.log2(frequency / (a4 || A4_FREQUENCY));
+}
+
+/**
+ * Split a fractional pitch into the nearest MIDI note and a 14-bit pitch
+ * bend that corrects it.
+ *
+ * @param {number} pitch - MIDI pitch, may be fractional
+ * @param {number} [range=2] - Pitch bend range in semitones
+ * @returns {{note: number, bend: number, cents: number}} `bend` is signed
+ *   (-8192–8191, 0 = centre); `cents` is the correction before quantizing
+ */
+function pitchToBend(pitch, range) {
+  range = range !== undefined ? range : DEFAULT_PITCH_BEND_RANGE;
+  const note = Math.max(0, Math.min(127, Math.round(pitch)));
+  const cents = (pitch - note) * 100;
+  const bend = Math.max(-8192, Math.min(8191, Math.round(((pitch - note) / range) * 8192)));
+  return { note, bend, cents };
+}
+
+// =============================================================================
+// SCALA PARSING
+// =============================================================================
+
+/** Non-comment lines of a Scala file; the description line may be blank. */
+function scalaLines(text) {
+  return String(text).split(/\r?\n/).filter((line) => !line.startsWith('!'));
+}
+
+/**
+ * Parse one .scl pitch line: cents if it contains a period, otherwise a
+ * ratio ("3/2") or integer ("2"). Anything after the value is a label.
+ */
+function parsePitch(line) {
+  const value = line.trim().split(/\s+/)[0];
+  if (value.includes('.')) {
+    const cents = Number(value);
+    if (!Number.isFinite(cents)) throw new Error(`Invalid Scala cents value: "${value}"`);
+    return cents;
+  }
+  const match = /^(\d+)(?:\/(\d+))?$/.exec(value);
+  if (!match || Number(match[1]) === 0 || match[2] === '0') {
+    throw new Error(`Invalid Scala ratio: "${value}"`);
+  }
+  return 1200 * Math.log2(Number(match[1]) / Number(match[2] || 1));
+}
+
+/**
+ * Parse a Scala scale file (.scl).
+ *
+ * @param {string} text - File contents
+ * @returns {{description: string, pitches: number[]}} Pitches in cents above
+ *   the implicit 1/1; the last one is the period (usually 1200)
+ * @throws {Error} If the file is malformed
+ */
+function parseScala(text) {
+  const lines = scalaLines(text);
+  if (lines.length < 2) {
+    throw new Error('Scala file needs a description line and a note count');
+  }
+  const description = lines[0].trim();
+  const count = Number(lines[1].trim().split(/\s+/)[0]);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid Scala note count: "${lines[1].trim()}"`);
+  }
+
+  const pitches = lines.slice(2).filter((line) => line.trim() !== '').map(parsePitch);
+  if (pitches.length !== count) {
+    throw new Error(`Scala file declares ${count} notes but lists ${pitches.length}`);
+  }
+  return { description, pitches };
+}
+
+/**
+ * Parse a Scala keyboard mapping file (.kbm).
+ *
+ * @param {string} text - File contents
+ * @returns {{size: number, first: number, last: number, middle: number,
+ *   reference: number, frequency: number, octaveDegree: number,
+ *   mapping: Array<number|null>}} `mapping` holds one scale degree per key
+ *   in the pattern, null for unmapped keys ("x")
+ * @throws {Error} If the file is malformed
+ */
+function parseKeyboardMapping(text) {
+  const lines = scalaLines(text).map((line) => line.trim()).filter((line) => line !== '');
+  if (lines.length < 7) {
+    throw new Error('Keyboard mapping needs 7 header values');
+  }
+  const header = lines.slice(0, 7).map((line) => Number(line.split(/\s+/)[0]));
+  if (header.some((v) => !Number.isFinite(v))) {
+    throw new Error('Keyboard mapping header values must be numbers');
+  }
+  const [size, first, last, middle, reference, frequency, octaveDegree] = header;
+  if (!(frequency > 0)) {
+    throw new Error(`Keyboard mapping reference frequency must be positive, got ${frequency}`);
+  }
+
+  const mapping = Array.from({ length: size }, (_, i) => {
+    const entry = lines[7 + i] !== undefined ? lines[7 + i].split(/\s+/)[0] : 'x';
+    if (entry === 'x') return null;
+    const degree = Number(entry);
+    if (!Number.isInteger(degree)) throw new Error(`Invalid keyboard mapping entry: "${entry}"`);
+    return degree;
+  });
+  return { size, first, last, middle, reference, frequency, octaveDegree, mapping };
+}
+
+// =============================================================================
+// REGISTRY & KEYBOARD TUNING
+// =============================================================================
+
+/**
+ * Convert parsed Scala pitches to generator intervals.
+ * @param {{pitches: number[]}} scale - From parseScala()
+ * @returns {{intervals: number[], period: number}} Semitones
+ */
+function scalaToIntervals(scale) {
+  const cents = scale.pitches;
+  const period = cents[cents.length - 1] / 100;
+  return { intervals: [0, ...cents.slice(0, -1).map((c) => c / 100)], period };
+}
+
+/** Cents of a scale degree above degree 0, repeating by the period. */
+function degreeCents(scale, degree) {
+  const count = scale.pitches.length;
+  const period = scale.pitches[count - 1];
+  const octave = Math.floor(degree / count);
+  const index = degree - octave * count;
+  return octave * period + (index === 0 ? 0 : scale.pitches[index - 1]);
+}
+
+/** Scale degree a key plays under a mapping, or null when unmapped. */
+function keyDegree(key, scale, kbm) {
+  const offset = key - kbm.middle;
+  if (kbm.size === 0) return offset;
+  const octave = Math.floor(offset / kbm.size);
+  const entry = kbm.mapping[offset - octave * kbm.size];
+  if (entry === null || entry === undefined) return null;
+  const octaveDegree = kbm.octaveDegree || scale.pitches.length;
+  return entry + octave * octaveDegree;
+}
+
+/**
+ * Frequencies of all 128 MIDI keys under a scale and keyboard mapping, for
+ * retuning a synth key by key.
+ *
+ * @param {string|object} scl - .scl text or parseScala() result
+ * @param {string|object} [kbm] - .kbm text or parseKeyboardMapping() result
+ * @returns {Array<number|null>} Hz per key; null outside the mapped range
+ * @throws {Error} If the reference key is unmapped
+ */
+function keyFrequencies(scl, kbm) {
+  const scale = typeof scl === 'string' ? parseScala(scl) : scl;
+  const mapping = kbm === undefined
+    ? DEFAULT_KEYBOARD_MAPPING
+    : typeof kbm === 'string' ? parseKeyboardMapping(kbm) : kbm;
+
+  const referenceDegree = keyDegree(mapping.reference, scale, mapping);
+  if (referenceDegree === null) {
+    throw new Error(`Keyboard mapping reference key ${mapping.reference} is unmapped`);
+  }
+  const referenceCents = degreeCents(scale, referenceDegree);
+
+  return Array.from({ length: 128 }, (_, key) => {
+    if (key < mapping.first || key > mapping.last) return null;
+    const degree = keyDegree(key, scale, mapping);
+    if (degree === null) return null;
+    return mapping.frequency * Math.pow(2, (degreeCents(scale, degree) - referenceCents) / 1200);
+  });
+}
+
+/**
+ * Register a Scala scale so generateSequence() and the rest of the generator
+ * can use it. With a keyboard mapping, `root` is the pitch of the mapping's
+ * middle key, so sequences generated from it sound at the mapped frequencies.
+ *
+ * @param {string} name - Registry name
+ * @param {string|object} scl - .scl text or parseScala() result
+ * @param {object} [options]
+ * @param {string|object} [options.kbm] - .kbm text or parseKeyboardMapping() result
+ * @returns {{name: string, description: string, intervals: number[], period: number, root: number}}
+ */
+function registerScalaScale(name, scl, options = {}) {
+  const scale = typeof scl === 'string' ? parseScala(scl) : scl;
+  const { intervals, period } = scalaToIntervals(scale);
+  registerScale(name, intervals, { period });
+
+  let root = 60;
+  if (options.kbm !== undefined) {
+    const kbm = typeof options.kbm === 'string' ? parseKeyboardMapping(options.kbm) : options.kbm;
+    const frequencies = keyFrequencies(scale, { ...kbm, first: 0, last: 127 });
+    if (frequencies[kbm.middle] === null) {
+      throw new Error(`Keyboard mapping middle key ${kbm.middle} is unmapped`);
+    }
+    root = frequencyToPitch(frequencies[kbm.middle]);
+  }
+  return { name, description: scale.description, intervals, period, root };
+}
+
+/**
+ * Read and register a Scala scale file.
+ * @param {string} name - Registry name
+ * @param {string} sclPath - Path to the .scl file
+ * @param {string} [kbmPath] - Path to a .kbm file
+ * @returns {object} See registerScalaScale()
+ */
+function loadScalaFile(name, sclPath, kbmPath) {
+  const options = kbmPath ? { kbm: fs.readFileSync(kbmPath, 'latin1') } : {};
+  return registerScalaScale(name, fs.readFileSync(sclPath, 'latin1'), options);
+}
+
+module.exports = {
+  DEFAULT_PITCH_BEND_RANGE,
+  DEFAULT_KEYBOARD_MAPPING,
+  pitchToFrequency,
+  frequencyToPitch,
+  pitchToBend,
+  parseScala,
+  parseKeyboardMapping,
+  scalaToIntervals,
+  keyFrequencies,
+  registerScalaScale,
+  loadScalaFile,
+};
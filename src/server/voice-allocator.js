@@ -0,0 +1,202 @@
+/**
+ * Voice Allocator — Note-On/Off Expansion and Polyphony
+ *
+ * Turns scheduled note events ({ note, time, duration, velocity, track }) into
+ * an ordered stream of explicit note-on and note-off messages, the form MIDI
+ * files and OSC synths expect. Along the way it:
+ *
+ * - resolves retriggers: a note that starts while the same pitch is still
+ *   sounding on the same track ends the earlier note first, so on/off pairs
+ *   never interleave;
+ * - enforces a maximum polyphony per track, stealing a sounding voice
+ *   (oldest, quietest or lowest) when a new note would exceed it.
+ *
+ * Note-offs come before note-ons at the same time. The allocator keeps the
+ * sounding voices between calls, so it can be fed a live stream window by
+ * window; `expandNotes()` does the whole job for a finished schedule.
+ *
+ * @module voice-allocator
+ */
+
+'use strict';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Which sounding voice is released when polyphony is exceeded. Ties go to
+ * the voice that started first.
+ */
+const StealPolicy = {
+  OLDEST: 'oldest',     // Longest-sounding voice
+  QUIETEST: 'quietest', // Lowest velocity
+  LOWEST: 'lowest',     // Lowest pitch
+};
+
+/**
+ * Reasons attached to note-off messages.
+ */
+const ReleaseReason = {
+  END: 'end',             // The note's duration elapsed
+  RETRIGGER: 'retrigger', // The same pitch started again
+  STEAL: 'steal',         // The voice was taken for a new note
+};
+
+const DEFAULT_VOICE_OPTIONS = {
+  maxPolyphony: Infinity, // Voices per track
+  steal: StealPolicy.OLDEST,
+};
+
+const VICTIM_ORDER = {
+  [StealPolicy.OLDEST]: () => 0,
+  [StealPolicy.QUIETEST]: (a, b) => a.velocity - b.velocity,
+  [StealPolicy.LOWEST]: (a, b) => a.note - b.note,
+};
+
+// =============================================================================
+// VOICE ALLOCATOR CLASS
+// =============================================================================
+
+class VoiceAllocator {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxPolyphony=Infinity] - Voices per track
+   * @param {string} [options.steal="oldest"] - StealPolicy value
+   */
+  constructor(options = {}) {
+    const maxPolyphony = options.maxPolyphony !== undefined
+      ? options.maxPolyphony
+      : DEFAULT_VOICE_OPTIONS.maxPolyphony;
+    const steal = options.steal !== undefined ? options.steal : DEFAULT_VOICE_OPTIONS.steal;
+
+    if (maxPolyphony !== Infinity && (!Number.isInteger(maxPolyphony) || maxPolyphony < 1)) {
+      throw new Error(`Max polyphony must be a positive integer, got ${maxPolyphony}`);
+    }
+    if (!VICTIM_ORDER[steal]) {
+      throw new Error(
+        `Unknown steal policy: "${steal}". Available: ${Object.values(StealPolicy).join(', ')}`
+      );
+    }
+
+    this.options = { maxPolyphony, steal };
+    this._voices = []; // { event, track, note, velocity, on, off }, in start order
+    this._time = -Infinity;
+  }
+
+  /**
+   * Allocate voices for note events and return the resulting messages: due
+   * note-offs, retrigger and steal releases, and the note-ons. Events are
+   * processed in time order and must not start before events already
+   * allocated. Note-offs after the last event stay pending (see release()).
+   *
+   * @param {object[]} events - Note events
+   * @returns {object[]} Messages `{ type: 'noteOn'|'noteOff', time, note,
+   *   velocity, track, event }`; note-offs carry a `reason` (ReleaseReason)
+   */
+  allocate(events) {
+    const sorted = [...events].sort((a, b) => a.time - b.time);
+    const messages = [];
+
+    for (const event of sorted) {
+      if (event.time < this._time) {
+        throw new Error(`Event at ${event.time} ms is before already allocated time ${this._time} ms`);
+      }
+      this._time = event.time;
+      const track = event.track;
+      messages.push(...this.release(event.time, true));
+
+      const same = this._voices.find((v) => v.track === track && v.note === event.note);
+      if (same) {
+        messages.push(this._releaseVoice(same, event.time, ReleaseReason.RETRIGGER));
+      }
+
+      let sounding = this._voices.filter((v) => v.track === track);
+      while (sounding.length >= this.options.maxPolyphony) {
+        const victim = [...sounding].sort(VICTIM_ORDER[this.options.steal])[0];
+        messages.push(this._releaseVoice(victim, event.time, ReleaseReason.STEAL));
+        sounding = sounding.filter((v) => v !== victim);
+      }
+
+      const velocity = event.velocity !== undefined ? event.velocity : 100;
+      this._voices.push({
+        event,
+        track,
+        note: event.note,
+        velocity,
+        on: event.time,
+        off: event.time + event.duration,
+      });
+      messages.push({ type: 'noteOn', time: event.time, note: event.note, velocity, track, event });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Release voices whose notes have ended before `until` (all voices when
+   * omitted), in time order.
+   * @param {number} [until=Infinity]
+   * @param {boolean} [inclusive=false] - Also release notes ending at `until`
+   * @returns {object[]} Note-off messages
+   */
+  release(until, inclusive) {
+    const limit = until !== undefined ? until : Infinity;
+    const due = this._voices
+      .filter((v) => v.off < limit || (inclusive && v.off === limit))
+      .sort((a, b) => a.off - b.off);
+    return due.map((v) => this._releaseVoice(v, v.off, ReleaseReason.END));
+  }
+
+  /**
+   * @returns {object[]} Copies of the sounding voices
+   *   `{ track, note, velocity, on, off }`
+   */
+  getActiveVoices() {
+    return this._voices.map(({ event, ...voice }) => voice);
+  }
+
+  /**
+   * Forget all voices without releasing them.
+   */
+  reset() {
+    this._voices = [];
+    this._time = -Infinity;
+  }
+
+  _releaseVoice(voice, time, reason) {
+    this._voices = this._voices.filter((v) => v !== voice);
+    return {
+      type: 'noteOff',
+      time,
+      note: voice.note,
+      velocity: 0,
+      track: voice.track,
+      event: voice.event,
+      reason,
+    };
+  }
+}
+
+// =============================================================================
+// BATCH EXPANSION
+// =============================================================================
+
+/**
+ * Expand a complete schedule into ordered note-on/note-off messages.
+ * @param {object[]} events - Note events
+ * @param {object} [options] - Same options as VoiceAllocator
+ * @returns {object[]} Messages (see VoiceAllocator#allocate)
+ */
+function expandNotes(events, options) {
+  const allocator = new VoiceAllocator(options);
+  return [...allocator.allocate(events), ...allocator.release()];
+}
+
+module.exports = {
+  VoiceAllocator,
+  StealPolicy,
+  ReleaseReason,
+  DEFAULT_VOICE_OPTIONS,
+  expandNotes,
+};
@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Scheduler Storage Benchmark
+ *
+ * Measures how Scheduler storage scales with session length: inserting notes
+ * in time order and out of order, range queries across a long schedule, and
+ * a simulated multi-hour session that schedules ahead of a playhead and
+ * evicts played notes. A naive array (push + sort per insert, linear scan per
+ * query) is timed alongside at a smaller size for comparison.
+ *
+ * Usage:
+ *   npm run benchmark
+ *   node tests/benchmark.js --notes 50000 --hours 4
+ */
+
+'use strict';
+
+const { performance } = require('perf_hooks');
+const { Scheduler } = require('../src/server/scheduler');
+const { seededRandom } = require('../src/server/generator');
+
+// =============================================================================
+// ARGUMENT PARSING
+// =============================================================================
+
+const args = process.argv.slice(2);
+
+function getFlag(name, defaultValue) {
+  const idx = args.indexOf(`--${name}`);
+  if (idx === -1 || idx + 1 >= args.length) return defaultValue;
+  return Number(args[idx + 1]);
+}
+
+const NOTES = getFlag('notes', 50000);
+const BASELINE_NOTES = getFlag('baseline', 5000);
+const QUERIES = getFlag('queries', 2000);
+const HOURS = getFlag('hours', 3);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/** Run `fn` once and return elapsed milliseconds. */
+function time(fn) {
+  const start = performance.now();
+  fn();
+  return performance.now() - start;
+}
+
+/** Storage as it was before sorted insertion: push + sort, linear scan. */
+class NaiveStore {
+  constructor() {
+    this.events = [];
+  }
+
+  add(event) {
+    this.events.push(event);
+    this.events.sort((a, b) => a.time - b.time);
+  }
+
+  range(start, end) {
+    return this.events.filter((e) => e.time >= start && e.time < end);
+  }
+}
+
+const results = [];
+
+function report(name, count, ms) {
+  results.push({
+    case: name,
+    ops: count,
+    'total ms': ms.toFixed(1),
+    'µs/op': ((ms * 1000) / count).toFixed(2),
+  });
+}
+
+// =============================================================================
+// CASES
+// =============================================================================
+
+// 16th notes at 120 BPM, as produced by dense recursion output
+const STEP_MS = 125;
+
+function insertInOrder(n) {
+  const scheduler = new Scheduler(120);
+  const ms = time(() => {
+    for (let i = 0; i < n; i++) scheduler.scheduleNote(60 + (i % 12), i * STEP_MS, STEP_MS);
+  });
+  report('scheduleNote, in time order', n, ms);
+  return scheduler;
+}
+
+function insertShuffled(n) {
+  const rand = seededRandom(7);
+  const times = Array.from({ length: n }, () => Math.floor(rand() * n) * STEP_MS);
+  const scheduler = new Scheduler(120);
+  const ms = time(() => {
+    for (const t of times) scheduler.scheduleNote(60, t, STEP_MS);
+  });
+  report('scheduleNote, random order', n, ms);
+}
+
+function queryRanges(scheduler, queries) {
+  const rand = seededRandom(11);
+  const total = scheduler.getTotalDuration();
+  let found = 0;
+  const ms = time(() => {
+    for (let q = 0; q < queries; q++) {
+      const start = rand() * total;
+      found += scheduler.getNotesInRange(start, start + 1000).length;
+    }
+  });
+  report(`getNotesInRange (1 s windows, ${scheduler.getEventCount()} notes)`, queries, ms);
+  return found;
+}
+
+function baseline(n, queries) {
+  const store = new NaiveStore();
+  const insertMs = time(() => {
+    for (let i = 0; i < n; i++) store.add({ note: 60, time: i * STEP_MS, duration: STEP_MS });
+  });
+  report('naive push + sort', n, insertMs);
+
+  const rand = seededRandom(11);
+  const total = n * STEP_MS;
+  const queryMs = time(() => {
+    for (let q = 0; q < queries; q++) {
+      const start = rand() * total;
+      store.range(start, start + 1000);
+    }
+  });
+  report(`naive linear scan (${n} notes)`, queries, queryMs);
+}
+
+/**
+ * Schedule a session one second ahead of the playhead, evicting notes that
+ * have finished, and track how many events are held at once.
+ */
+function longSession(hours) {
+  const scheduler = new Scheduler(120);
+  const sessionMs = hours * 3600 * 1000;
+  let scheduled = 0;
+  let peak = 0;
+  let next = 0;
+
+  const ms = time(() => {
+    for (let playhead = 0; playhead < sessionMs; playhead += 25) {
+      while (next < playhead + 1000) {
+        // Two voices per step, as with recursion depth > 1
+        scheduler.scheduleNote(60, next, STEP_MS);
+        scheduler.scheduleNote(67, next + STEP_MS / 2, STEP_MS);
+        scheduled += 2;
+        next += STEP_MS;
+      }
+      scheduler.getNotesInRange(playhead, playhead + 100);
+      scheduler.evictBefore(playhead);
+      peak = Math.max(peak, scheduler.getEventCount());
+    }
+  });
+  report(`${hours} h session with eviction (peak ${peak} held)`, scheduled, ms);
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+const heapBefore = process.memoryUsage().heapUsed;
+const scheduler = insertInOrder(NOTES);
+insertShuffled(NOTES);
+queryRanges(scheduler, QUERIES);
+baseline(BASELINE_NOTES, QUERIES);
+longSession(HOURS);
+const heapAfter = process.memoryUsage().heapUsed;
+
+console.log('Scheduler storage benchmark');
+console.log('');
+console.table(results);
+console.log(`Heap growth: ${((heapAfter - heapBefore) / 1024 / 1024).toFixed(1)} MB`);
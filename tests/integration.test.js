@@ -7,13 +7,26 @@
 
 'use strict';
 
-const { describe, it } = require('node:test');
+const { describe, it, beforeEach, afterEach } = require('node:test');
 const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { io: connectClient } = require('socket.io-client');
 
 const { ConsensusEngine } = require('../src/server/consensus.js');
-const { OSCBridge } = require('../src/server/osc-bridge.js');
-const { generateSequence, applyRecursion, transpose, midiToNoteName } = require('../src/server/generator.js');
+const { OSCBridge, DEFAULT_LOG_SIZE, decodePacket } = require('../src/server/osc-bridge.js');
+const {
+  generateSequence,
+  applyRecursion,
+  transpose,
+  midiToNoteName,
+  buildNotePool,
+  registerScale,
+  unregisterScale,
+} = require('../src/server/generator.js');
+const { parseMidiFile, extractNotes } = require('../src/server/midi-export.js');
+const { renderPhrase } = require('../src/server/music-mapping.js');
 const { Scheduler } = require('../src/server/scheduler.js');
+const { createServer } = require('../src/server/index.js');
 
 describe('Integration: Generator + Scheduler', () => {
   it('should generate a sequence and schedule it at tempo', () => {
@@ -63,6 +76,54 @@ describe('Integration: Consensus + OSC Bridge', () => {
   });
 });
 
+describe('Integration: OSC Bridge over UDP loopback', () => {
+  function listen() {
+    return new Promise((resolve) => {
+      const socket = dgram.createSocket('udp4');
+      socket.bind(0, '127.0.0.1', () => resolve(socket));
+    });
+  }
+
+  function nextPacket(socket) {
+    return new Promise((resolve) => socket.once('message', (buf) => resolve(decodePacket(buf))));
+  }
+
+  it('should deliver single messages to a UDP listener', async () => {
+    const listener = await listen();
+    const bridge = new OSCBridge({ port: listener.address().port, udp: true });
+    try {
+      assert.ok(bridge.connect());
+      assert.equal(bridge.getStatus().transport, 'udp');
+      const received = nextPacket(listener);
+      bridge.send('mood', 0.25);
+      const msg = await received;
+      assert.equal(msg.address, '/omni/mood');
+      assert.equal(msg.args[0].type, 'f');
+      assert.equal(msg.args[0].value, 0.25);
+    } finally {
+      bridge.disconnect();
+      listener.close();
+    }
+  });
+
+  it('should deliver state bundles with a timetag', async () => {
+    const listener = await listen();
+    const bridge = new OSCBridge({ port: listener.address().port, prefix: '/cal', udp: true });
+    try {
+      bridge.connect();
+      const received = nextPacket(listener);
+      const before = Date.now();
+      bridge.sendBundle({ mood: 0.5, tempo: 0.75 });
+      const bundle = await received;
+      assert.ok(bundle.timetag >= before - 1);
+      assert.deepEqual(bundle.elements.map((m) => m.address), ['/cal/mood', '/cal/tempo']);
+    } finally {
+      bridge.disconnect();
+      listener.close();
+    }
+  });
+});
+
 describe('Integration: Full pipeline', () => {
   it('should go from consensus to scheduled sequence to OSC output', () => {
     // 1. Consensus determines parameters
@@ -97,3 +158,387 @@ describe('Integration: Full pipeline', () => {
     assert.equal(bridge.messageCount, schedule.length);
   });
 });
+
+describe('Integration: createServer', () => {
+  const quiet = { log() {} };
+  let instance;
+  let url;
+  let clients;
+  let now;
+
+  function connect() {
+    const client = connectClient(url, { transports: ['websocket'], forceNew: true });
+    clients.push(client);
+    return new Promise((resolve) => client.on('connect', () => resolve(client)));
+  }
+
+  function once(client, event) {
+    return new Promise((resolve) => client.once(event, resolve));
+  }
+
+  beforeEach(async () => {
+    now = 1000000;
+    clients = [];
+    instance = createServer({
+      port: 0,
+      clock: () => now,
+      broadcastIntervalMs: 0,
+      serveStatic: false,
+      osc: { enabled: false },
+      logger: quiet,
+    });
+    const { port } = await instance.start();
+    url = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async () => {
+    clients.forEach((c) => c.close());
+    await instance.stop();
+  });
+
+  it('should not listen or start timers until start() is called', async () => {
+    const idle = createServer({ logger: quiet });
+    assert.equal(idle.server.listening, false);
+    await idle.stop();
+  });
+
+  it('should allow several instances side by side', async () => {
+    const other = createServer({ port: 0, broadcastIntervalMs: 0, osc: { enabled: false }, logger: quiet });
+    const { port } = await other.start();
+    assert.notEqual(`http://127.0.0.1:${port}`, url);
+    assert.notEqual(other.engine, instance.engine);
+    await other.stop();
+  });
+
+  it('should put scales registered after loading on the ballot', async () => {
+    registerScale('late_test', [0, 3, 5, 7, 10]);
+    try {
+      const late = createServer({ broadcastIntervalMs: 0, osc: { enabled: false }, logger: quiet });
+      late.engine.recordInput('u', { scale: 'late_test' }, Date.now());
+      assert.equal(late.tick().scale, 'late_test');
+      await late.stop();
+    } finally {
+      unregisterScale('late_test');
+    }
+  });
+
+  it('should serve the health route', async () => {
+    const res = await fetch(`${url}/health`);
+    assert.deepEqual(await res.json(), { status: 'ok', audienceCount: 0 });
+  });
+
+  it('should pass consensus config through to the engine', async () => {
+    const custom = createServer({ consensus: { CONSENSUS_SMOOTHING: 1 }, logger: quiet });
+    assert.equal(custom.engine.config.CONSENSUS_SMOOTHING, 1);
+    await custom.stop();
+  });
+
+  it('should record audience input and broadcast consensus on tick', async () => {
+    const client = await connect();
+    const ack = once(client, 'input:ack');
+    client.emit('audience:input', { values: { mood: 1.0 }, timestamp: now });
+    const ackData = await ack;
+    assert.equal(ackData.serverTime, now);
+    assert.equal(instance.engine.getInputCount(), 1);
+
+    const update = once(client, 'state:update');
+    const payload = instance.tick();
+    const received = await update;
+    assert.equal(received.timestamp, now);
+    assert.equal(received.source, 'consensus');
+    assert.equal(received.audienceCount, 1);
+    assert.ok(payload.mood > 0.5);
+  });
+
+  it('should apply and release performer overrides', async () => {
+    const performer = await connect();
+    const audience = await connect();
+    performer.emit('performer:override', { param: 'mood', value: 0.1, active: true });
+    audience.emit('audience:input', { values: { mood: 0.9 }, timestamp: now });
+    await once(audience, 'input:ack');
+
+    assert.equal(instance.tick().mood, 0.1);
+
+    performer.emit('performer:override', { param: 'mood', value: null, active: false });
+    audience.emit('audience:input', { values: { mood: 0.9 }, timestamp: now });
+    await once(audience, 'input:ack');
+
+    assert.equal(instance.engine.getOverrides().active, false);
+    assert.ok(instance.tick().mood > 0.1);
+  });
+
+  it('should apply performer transforms to the note stream', async () => {
+    const performer = await connect();
+    const steps = [{ op: 'retrograde' }, { op: 'diatonicTranspose', steps: 2 }];
+    performer.emit('performer:transform', { steps });
+    performer.emit('audience:input', { values: { mood: 0.5 }, timestamp: now });
+    await once(performer, 'input:ack');
+    assert.deepEqual(instance.noteStream.getTransforms(), steps);
+
+    const error = once(performer, 'performer:error');
+    performer.emit('performer:transform', { steps: [{ op: 'shuffle' }] });
+    const rejected = await error;
+    assert.match(rejected.message, /Unknown transform/);
+    assert.deepEqual(rejected.transforms, steps);
+    assert.deepEqual(instance.noteStream.getTransforms(), steps);
+
+    const tooFast = once(performer, 'performer:error');
+    performer.emit('performer:transform', { steps: [{ op: 'augment', factor: 1e-20 }] });
+    assert.match((await tooFast).message, /from 1\/16 to 16/);
+    assert.deepEqual(instance.noteStream.getTransforms(), steps);
+
+    const notANumber = once(performer, 'performer:error');
+    performer.emit('performer:transform', { steps: [{ op: 'transpose', semitones: 'x' }] });
+    assert.match((await notANumber).message, /finite number of semitones/);
+    assert.ok(instance.tick().music);
+  });
+
+  it('should let the audience vote on the scale', async () => {
+    const a = await connect();
+    const b = await connect();
+    a.emit('audience:input', { values: { scale: 'dorian' }, timestamp: now });
+    b.emit('audience:input', { values: { scale: 'dorian', mood: 0.2 }, timestamp: now });
+    await Promise.all([once(a, 'input:ack'), once(b, 'input:ack')]);
+
+    const payload = instance.tick();
+    assert.equal(payload.scale, 'dorian');
+    assert.equal(payload.tallies.scale.dorian, 2);
+    assert.equal(payload.tallies.scale.pentatonic, 0);
+
+    const res = await fetch(`${url}/sequence?length=8&seed=3`);
+    const body = await res.json();
+    assert.equal(body.scale, 'dorian');
+    const expected = renderPhrase(payload.music, { length: 8, seed: 3 }).getSchedule();
+    assert.deepEqual(body.notes, JSON.parse(JSON.stringify(expected)));
+  });
+
+  it('should broadcast mapped musical parameters', async () => {
+    instance.engine.setOverride('tempo', 1);
+    instance.engine.setOverride('mood', 0);
+    const payload = instance.tick();
+    assert.equal(payload.music.bpm, 180);
+    assert.equal(payload.music.scale, 'minor_pentatonic'); // mood decides until a vote
+    assert.deepEqual(payload.music.notePool, buildNotePool('minor_pentatonic', 48, payload.music.octaveRange));
+  });
+
+  it('should serve the mapped phrase as JSON and as a MIDI file', async () => {
+    const json = await (await fetch(`${url}/sequence?length=4&seed=7`)).json();
+    const res = await fetch(`${url}/sequence.mid?length=4&seed=7`);
+    assert.equal(res.headers.get('content-type'), 'audio/midi');
+    const midi = parseMidiFile(Buffer.from(await res.arrayBuffer()));
+    const notes = extractNotes(midi);
+    assert.deepEqual(notes.map((n) => n.note), json.notes.map((n) => n.note));
+    assert.ok(Math.abs(midi.tracks[0].find((e) => e.type === 'tempo').bpm - json.bpm) < 0.01);
+  });
+
+  it('should reject invalid phrase requests', async () => {
+    const res = await fetch(`${url}/sequence?length=999`);
+    assert.equal(res.status, 400);
+  });
+
+  it('should broadcast the same server-timed notes to every client', async () => {
+    const a = await connect();
+    const b = await connect();
+    instance.engine.setOverride('density', 0); // no recursion: notes stay in the pool
+    const received = Promise.all([once(a, 'notes:schedule'), once(b, 'notes:schedule')]);
+    const payload = instance.tick();
+    const [fromA, fromB] = await received;
+
+    assert.deepEqual(fromA, fromB);
+    assert.equal(fromA.serverTime, now);
+    assert.equal(fromA.lookaheadMs, 1000);
+    assert.ok(fromA.events.length > 0);
+    assert.equal(fromA.events[0].time, now);
+    fromA.events.forEach((e) => {
+      assert.ok(e.time >= now && e.time < now + 1000);
+      assert.ok(payload.music.notePool.includes(e.note));
+    });
+  });
+
+  it('should send already scheduled notes to late joiners', async () => {
+    instance.tick();
+    now += 100;
+    const client = connectClient(url, { transports: ['websocket'], forceNew: true });
+    clients.push(client);
+    const catchUp = await once(client, 'notes:schedule');
+    assert.equal(catchUp.serverTime, now);
+    assert.ok(catchUp.events.length > 0);
+    assert.ok(catchUp.events.every((e) => e.time >= now));
+  });
+
+  it('should estimate each client clock offset from ping exchanges', async () => {
+    const client = connectClient(url, { transports: ['websocket'], forceNew: true });
+    clients.push(client);
+    // Client clock runs 3 s behind the server
+    client.on('clock:ping', ({ t0 }) => {
+      client.emit('clock:pong', { t0, t1: t0 - 3000, t2: t0 - 3000 });
+    });
+    const sync = await once(client, 'clock:sync');
+    assert.equal(sync.offset, 3000);
+    assert.equal(sync.delay, 0);
+    assert.equal(sync.samples, 1);
+    assert.equal(instance.clocks.get(client.id).isSynced(), true);
+
+    const next = once(client, 'clock:sync');
+    instance.syncClocks();
+    assert.equal((await next).samples, 2);
+  });
+
+  it('should normalize input timestamps to server time', async () => {
+    const client = connectClient(url, { transports: ['websocket'], forceNew: true });
+    clients.push(client);
+    client.on('clock:ping', ({ t0 }) => {
+      client.emit('clock:pong', { t0, t1: t0 - 3000, t2: t0 - 3000 });
+    });
+    await once(client, 'clock:sync');
+
+    client.emit('audience:input', { values: { mood: 0.8 }, timestamp: now - 3000 - 400 });
+    await once(client, 'input:ack');
+    assert.equal(instance.engine.inputs.get(client.id).timestamp, now - 400);
+
+    // Timestamps from the future are clamped to arrival time
+    client.emit('audience:input', { values: { mood: 0.8 }, timestamp: now });
+    await once(client, 'input:ack');
+    assert.equal(instance.engine.inputs.get(client.id).timestamp, now);
+  });
+
+  it('should not trust timestamps from clients that have not synced', async () => {
+    const client = await connect();
+    client.emit('audience:input', { values: { mood: 0.8 }, timestamp: now - 30000 });
+    await once(client, 'input:ack');
+    assert.equal(instance.engine.inputs.get(client.id).timestamp, now);
+  });
+
+  it('should send the winning scale over OSC when it changes', async () => {
+    const sent = [];
+    const withOsc = createServer({
+      broadcastIntervalMs: 0,
+      clock: () => now,
+      osc: { udp: false, onSend: (msg) => sent.push(msg) },
+      logger: quiet,
+    });
+    withOsc.oscBridge.connect();
+    withOsc.tick();
+    withOsc.engine.recordInput('u', { scale: 'blues' }, now);
+    withOsc.tick();
+    withOsc.tick();
+    const scales = sent.filter((m) => m.address === '/omni/scale').map((m) => m.value);
+    assert.deepEqual(scales, ['pentatonic', 'blues']);
+    assert.ok(sent.some((m) => m.address === '/omni/bpm'));
+    await withOsc.stop();
+  });
+
+  it('should send scheduled notes over OSC as timetagged note-on/off pairs', async () => {
+    const sent = [];
+    const withOsc = createServer({
+      broadcastIntervalMs: 0,
+      clock: () => now,
+      osc: { udp: false, onSend: (msg) => sent.push(msg) },
+      logger: quiet,
+    });
+    withOsc.oscBridge.connect();
+    withOsc.tick();
+    const ons = sent.filter((m) => m.address === '/omni/note/on');
+    const offs = sent.filter((m) => m.address === '/omni/note/off');
+    assert.ok(ons.length > 0);
+    for (const msg of [...ons, ...offs]) {
+      assert.ok(msg.timetag >= now && msg.timetag < now + 1000);
+      assert.equal(msg.args[msg.args.length - 1].value, 'main');
+    }
+    assert.deepEqual(ons[0].args.map((a) => a.type), ['i', 'i', 'i', 's']);
+
+    // Note-offs beyond the first window follow on later ticks
+    now += 2000;
+    withOsc.tick();
+    const allOffs = sent.filter((m) => m.address === '/omni/note/off');
+    assert.ok(allOffs.length >= ons.length);
+    await withOsc.stop();
+  });
+
+  it('should keep the OSC message log bounded over a long session', async () => {
+    const withOsc = createServer({
+      broadcastIntervalMs: 0,
+      clock: () => now,
+      osc: { udp: false },
+      logger: quiet,
+    });
+    withOsc.oscBridge.connect();
+    for (let i = 0; i < 2000; i++) {
+      now += 50;
+      withOsc.tick();
+    }
+    assert.ok(withOsc.oscBridge.messageCount > DEFAULT_LOG_SIZE * 10);
+    assert.equal(withOsc.oscBridge.getRecentMessages(Infinity).length, DEFAULT_LOG_SIZE);
+    assert.equal(withOsc.oscBridge._log.length, DEFAULT_LOG_SIZE);
+    await withOsc.stop();
+  });
+
+  it('should send streamed notes to the stream track address and channel', async () => {
+    const sent = [];
+    const withOsc = createServer({
+      broadcastIntervalMs: 0,
+      clock: () => now,
+      noteStream: { track: { channel: 3, address: '/synth/lead' } },
+      osc: { udp: false, onSend: (msg) => sent.push(msg) },
+      logger: quiet,
+    });
+    withOsc.oscBridge.connect();
+    withOsc.tick();
+    const ons = sent.filter((m) => m.address === '/synth/lead/on');
+    assert.ok(ons.length > 0);
+    assert.ok(ons.every((m) => m.args[2].value === 3));
+    assert.ok(!sent.some((m) => m.address.startsWith('/omni/note/')));
+    await withOsc.stop();
+  });
+
+  it('should use the injected clock when inputs carry no timestamp', async () => {
+    const client = await connect();
+    client.emit('audience:input', { values: { mood: 0.8 } });
+    await once(client, 'input:ack');
+    now += 60000; // well past the decay window
+    instance.tick();
+    assert.equal(instance.engine.getInputCount(), 0);
+  });
+
+  it('should drop inputs when a client disconnects', async () => {
+    const client = await connect();
+    client.emit('audience:input', { values: { mood: 0.8 }, timestamp: now });
+    await once(client, 'input:ack');
+    client.close();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(instance.engine.getInputCount(), 0);
+  });
+
+  it('should forget the votes of disconnected clients', async () => {
+    const client = await connect();
+    client.emit('audience:input', { values: { scale: 'dorian' }, timestamp: now });
+    await once(client, 'input:ack');
+    instance.tick();
+    assert.ok(instance.engine.getTallies().scale.dorian > 0);
+
+    client.close();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    instance.tick();
+    const body = await (await fetch(`${url}/state`)).json();
+    assert.ok(Object.values(body.tallies.scale).every((t) => t === 0));
+  });
+
+  it('should run the broadcast loop on an interval and stop cleanly', async () => {
+    const looping = createServer({
+      port: 0,
+      broadcastIntervalMs: 10,
+      osc: { enabled: false },
+      logger: quiet,
+    });
+    const { port } = await looping.start();
+    const client = connectClient(`http://127.0.0.1:${port}`, { transports: ['websocket'], forceNew: true });
+    const received = await once(client, 'state:update');
+    assert.equal(received.audienceCount, 0);
+
+    const disconnected = once(client, 'disconnect');
+    await looping.stop();
+    await disconnected;
+    assert.equal(looping.server.listening, false);
+    client.close();
+  });
+});
@@ -1,7 +1,10 @@
 /**
  * Unit Tests — Omni-Dromenon Engine
  *
- * Tests for: consensus.js, osc-bridge.js, generator.js, scheduler.js
+ * Tests for: consensus.js, osc-bridge.js, generator.js, scheduler.js, midi-export.js,
+ *            music-mapping.js, note-stream.js, clock-sync.js, groove.js,
+ *            voice-allocator.js, lsystem.js, markov.js, harmony.js, tuning.js,
+ *            transform.js, melody.js, counterpoint.js, rhythm-section.js
  *
  * Uses Node.js built-in test runner (node:test) — zero external dependencies.
  * Run with: node --test tests/unit.test.js
@@ -11,21 +14,147 @@
 
 const { describe, it, beforeEach } = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
-const { ConsensusEngine, DEFAULT_CONFIG } = require('../src/server/consensus.js');
-const { OSCBridge, BridgeState, formatMessage, formatBundle } = require('../src/server/osc-bridge.js');
+const {
+  ConsensusEngine,
+  DEFAULT_CONFIG,
+  STRATEGIES,
+  VOTING_METHODS,
+} = require('../src/server/consensus.js');
+const {
+  OSCBridge,
+  BridgeState,
+  formatMessage,
+  formatBundle,
+  encodeMessage,
+  encodeBundle,
+  decodePacket,
+  toNtpTimetag,
+  fromNtpTimetag,
+} = require('../src/server/osc-bridge.js');
 const {
   SCALES,
   getScaleNames,
   getScale,
+  getScalePeriod,
+  registerScale,
+  unregisterScale,
+  buildNotePool,
   generateSequence,
   applyRecursion,
   transpose,
+  euclidean,
+  metricalWeights,
+  probabilityRhythm,
+  accentPattern,
+  rhythmToEvents,
+  degreeToMidi,
+  midiToDegree,
   clampMidi,
+  clampPitch,
   midiToNoteName,
   seededRandom,
 } = require('../src/server/generator.js');
-const { Scheduler, SUBDIVISIONS } = require('../src/server/scheduler.js');
+const {
+  Scheduler,
+  Transport,
+  TransportState,
+  SUBDIVISIONS,
+  TICKS_PER_BEAT,
+  DEFAULT_TRACK,
+  parseBBT,
+  formatBBT,
+  tuplet,
+} = require('../src/server/scheduler.js');
+const {
+  encodeVarLen,
+  msToTicks,
+  encodeMidiFile,
+  exportScheduler,
+  parseMidiFile,
+  extractNotes,
+} = require('../src/server/midi-export.js');
+const {
+  CURVES,
+  DEFAULT_MAPPING,
+  createMapping,
+  applyRule,
+  mapState,
+  renderPhrase,
+} = require('../src/server/music-mapping.js');
+const { NoteStream } = require('../src/server/note-stream.js');
+const { ClockSync, computeSample } = require('../src/server/clock-sync.js');
+const {
+  GROOVES,
+  loadGroove,
+  loadGrooveFile,
+  applySwing,
+  applyGroove,
+  humanize,
+} = require('../src/server/groove.js');
+const { VoiceAllocator, StealPolicy, expandNotes } = require('../src/server/voice-allocator.js');
+const {
+  LSYSTEMS,
+  normalizeRules,
+  expand,
+  interpret,
+  generateLSystem,
+} = require('../src/server/lsystem.js');
+const { MarkovModel, blendModels, blendByMood } = require('../src/server/markov.js');
+const {
+  buildChord,
+  diatonicChords,
+  generateProgression,
+  voiceLead,
+  generateHarmony,
+  progressionToEvents,
+} = require('../src/server/harmony.js');
+const {
+  pitchToFrequency,
+  frequencyToPitch,
+  pitchToBend,
+  parseScala,
+  parseKeyboardMapping,
+  keyFrequencies,
+  registerScalaScale,
+  loadScalaFile,
+} = require('../src/server/tuning.js');
+const {
+  invert,
+  retrograde,
+  augment,
+  diminish,
+  transposeChromatic,
+  transposeDiatonic,
+  rotate,
+  toneRow,
+  rowForm,
+  twelveToneMatrix,
+  rowToSequence,
+  createPipeline,
+  applyTransforms,
+} = require('../src/server/transform.js');
+const { CONTOURS, constraintsForIntensity, generateMelody } = require('../src/server/melody.js');
+const {
+  VOICE_RANGES,
+  voicePool,
+  findViolations,
+  generateCounterpoint,
+  counterpointToEvents,
+  scheduleVoices,
+} = require('../src/server/counterpoint.js');
+const {
+  DRUM_CHANNEL,
+  GM_DRUMS,
+  DRUM_PATTERNS,
+  generateBassLine,
+  arpeggiate,
+  generateDrumPattern,
+  scheduleEvents,
+} = require('../src/server/rhythm-section.js');
 
 // =============================================================================
 // CONSENSUS ENGINE TESTS
@@ -158,6 +287,31 @@ describe('ConsensusEngine', () => {
     assert.equal(engine.overrides.tempo, null);
   });
 
+  it('should deactivate overrides when the last one is released', () => {
+    engine.setOverride('mood', 0.2);
+    engine.setOverride('tempo', 0.8);
+    engine.setOverride('mood', null);
+    assert.equal(engine.overrides.active, true);
+    engine.setOverride('tempo', null);
+    assert.equal(engine.overrides.active, false);
+  });
+
+  it('should suspend overrides without discarding their values', () => {
+    const now = Date.now();
+    engine.setOverride('mood', 0.2);
+    engine.setOverridesActive(false);
+    assert.equal(engine.getOverrides().mood, 0.2);
+    engine.recordInput('user1', { mood: 0.9 }, now);
+    engine.applyConsensus(engine.calculateConsensus(now));
+    assert.ok(engine.getState().mood > 0.2);
+  });
+
+  it('should return override snapshots, not the live object', () => {
+    const snapshot = engine.getOverrides();
+    snapshot.mood = 0.9;
+    assert.equal(engine.overrides.mood, null);
+  });
+
   it('should ignore override for unknown parameter', () => {
     engine.setOverride('nonexistent', 0.5);
     assert.equal(engine.overrides.active, false);
@@ -182,6 +336,297 @@ describe('ConsensusEngine', () => {
   });
 });
 
+describe('ConsensusEngine — aggregation strategies', () => {
+  const now = 1000000;
+  let engine;
+
+  function record(values) {
+    values.forEach((mood, i) => engine.recordInput(`user${i}`, { mood }, now));
+  }
+
+  beforeEach(() => {
+    engine = new ConsensusEngine();
+  });
+
+  it('should use weighted_mean by default', () => {
+    assert.equal(engine.getStrategy('mood'), 'weighted_mean');
+    record([0.9, 0.1]);
+    const viaEngine = engine.calculateConsensus(now).mood;
+    const direct = STRATEGIES.weighted_mean(
+      [{ value: 0.9, age: 0 }, { value: 0.1, age: 0 }],
+      { current: 0.5, config: engine.config }
+    );
+    assert.equal(viaEngine, direct);
+    assert.ok(Math.abs(viaEngine - 0.5) < 1e-9); // symmetric around current state
+  });
+
+  it('should pick the weighted median', () => {
+    engine.setStrategy('mood', 'weighted_median');
+    record([0.1, 0.6, 0.7, 1.0]);
+    // Equal ages; 0.6 and 0.7 are nearest the state, so the median falls on 0.6
+    assert.equal(engine.calculateConsensus(now).mood, 0.6);
+  });
+
+  it('should ignore outliers with the trimmed mean', () => {
+    engine.setStrategy('mood', 'trimmed_mean');
+    record([0.0, 0.4, 0.5, 0.6, 1.0]);
+    // TRIM_FRACTION 0.2 of 5 inputs drops one from each end
+    assert.ok(Math.abs(engine.calculateConsensus(now).mood - 0.5) < 1e-9);
+  });
+
+  it('should return the majority bucket centre with mode', () => {
+    engine.setStrategy('mood', 'mode');
+    record([0.81, 0.85, 0.95, 0.1]);
+    assert.ok(Math.abs(engine.calculateConsensus(now).mood - 0.9) < 1e-9);
+  });
+
+  it('should let recent votes win the mode', () => {
+    engine.setStrategy('mood', 'mode');
+    engine.recordInput('a', { mood: 0.1 }, now - 4500);
+    engine.recordInput('b', { mood: 0.1 }, now - 4500);
+    engine.recordInput('c', { mood: 0.9 }, now);
+    engine.recordInput('d', { mood: 0.9 }, now);
+    assert.ok(Math.abs(engine.calculateConsensus(now).mood - 0.9) < 1e-9);
+  });
+
+  it('should favour distant inputs with loudest_minority', () => {
+    record([0.5, 0.5, 0.5, 1.0]);
+    const mean = engine.calculateConsensus(now).mood;
+    engine.setStrategy('mood', 'loudest_minority');
+    const minority = engine.calculateConsensus(now).mood;
+    assert.ok(minority > mean);
+  });
+
+  it('should choose strategies per parameter', () => {
+    const custom = new ConsensusEngine({ PARAMETER_STRATEGIES: { tempo: 'mode' } });
+    assert.equal(custom.getStrategy('tempo'), 'mode');
+    assert.equal(custom.getStrategy('mood'), 'weighted_mean');
+    custom.setStrategy('tempo', null);
+    assert.equal(custom.getStrategy('tempo'), 'weighted_mean');
+  });
+
+  it('should register and use custom strategies', () => {
+    engine.registerStrategy('maximum', (samples) => Math.max(...samples.map((s) => s.value)));
+    engine.setStrategy('mood', 'maximum');
+    record([0.2, 0.7, 0.4]);
+    assert.equal(engine.calculateConsensus(now).mood, 0.7);
+  });
+
+  it('should pass context to custom strategies', () => {
+    let seen;
+    engine.registerStrategy('spy', (samples, ctx) => {
+      seen = ctx;
+      return null;
+    });
+    engine.setStrategy('mood', 'spy');
+    record([0.3]);
+    engine.calculateConsensus(now);
+    assert.equal(seen.param, 'mood');
+    assert.equal(seen.current, 0.5);
+    assert.equal(seen.now, now);
+  });
+
+  it('should skip parameters whose strategy returns null', () => {
+    engine.registerStrategy('abstain', () => null);
+    engine.setStrategy('mood', 'abstain');
+    engine.recordInput('u', { mood: 0.3, tempo: 0.3 }, now);
+    const consensus = engine.calculateConsensus(now);
+    assert.equal(consensus.mood, undefined);
+    assert.ok(consensus.tempo < 0.5);
+  });
+
+  it('should reject unknown strategies and parameters', () => {
+    assert.throws(() => engine.setStrategy('mood', 'nope'), /Unknown strategy/);
+    assert.throws(() => engine.setStrategy('nope', 'mode'), /Unknown parameter/);
+    assert.throws(() => engine.registerStrategy('bad', 42), /must be a function/);
+  });
+
+  it('should keep custom strategies local to an engine', () => {
+    engine.registerStrategy('local', () => 0);
+    const other = new ConsensusEngine();
+    assert.throws(() => other.setStrategy('mood', 'local'), /Unknown strategy/);
+  });
+});
+
+describe('ConsensusEngine — typed parameters', () => {
+  const now = 1000000;
+
+  function typedEngine(types, extra) {
+    return new ConsensusEngine({
+      PARAMETERS: ['mood', ...Object.keys(types)],
+      PARAMETER_TYPES: types,
+      ...extra,
+    });
+  }
+
+  it('should treat untyped parameters as continuous 0–1', () => {
+    const engine = new ConsensusEngine();
+    assert.deepEqual(engine.getParameterDefinition('mood'), {
+      type: 'continuous', min: 0, max: 1, default: 0.5,
+    });
+  });
+
+  it('should initialize typed defaults', () => {
+    const engine = typedEngine({
+      octave: { type: 'integer', min: 1, max: 4 },
+      section: { type: 'enum', options: ['intro', 'verse', 'coda'] },
+      cutoff: { type: 'continuous', min: 200, max: 8000, default: 1000 },
+    });
+    const state = engine.getState();
+    assert.equal(state.octave, 3); // round(2.5)
+    assert.equal(state.section, 'intro');
+    assert.equal(state.cutoff, 1000);
+  });
+
+  it('should validate definitions', () => {
+    assert.throws(() => typedEngine({ x: { type: 'enum', options: [] } }), /non-empty options/);
+    assert.throws(() => typedEngine({ x: { type: 'enum', options: ['a'], voting: 'dice' } }), /Unknown voting method/);
+    assert.throws(() => typedEngine({ x: { type: 'enum', options: ['a'], default: 'b' } }), /must be one of its options/);
+    assert.throws(() => typedEngine({ x: { type: 'integer', min: 3, max: 1 } }), /min < max/);
+    assert.throws(() => typedEngine({ x: { type: 'integer', min: 0.5, max: 2 } }), /integer bounds/);
+    assert.throws(() => typedEngine({ x: { type: 'complex' } }), /Unknown parameter type/);
+  });
+
+  it('should aggregate integer ranges and round the state', () => {
+    const engine = typedEngine(
+      { depth: { type: 'integer', min: 0, max: 4, default: 0 } },
+      { CONSENSUS_SMOOTHING: 1 }
+    );
+    engine.recordInput('a', { depth: 3 }, now);
+    engine.recordInput('b', { depth: 3 }, now);
+    const consensus = engine.calculateConsensus(now);
+    assert.ok(Math.abs(consensus.depth - 3) < 1e-9);
+    engine.applyConsensus(consensus);
+    assert.equal(engine.getState().depth, 3);
+  });
+
+  it('should smooth integers on an unrounded position', () => {
+    const engine = typedEngine({ depth: { type: 'integer', min: 0, max: 10, default: 0 } });
+    engine.recordInput('a', { depth: 10 }, now);
+    // 0.15 smoothing: 1.5, 2.775, ... → state crosses 2 only after a few ticks
+    engine.applyConsensus(engine.calculateConsensus(now));
+    assert.equal(engine.getState().depth, 2);
+    engine.applyConsensus(engine.calculateConsensus(now));
+    assert.equal(engine.getState().depth, 3);
+  });
+
+  it('should scale continuous ranges into strategies and back', () => {
+    const engine = typedEngine({ cutoff: { type: 'continuous', min: 200, max: 1200 } });
+    engine.recordInput('a', { cutoff: 1200 }, now);
+    const consensus = engine.calculateConsensus(now);
+    assert.equal(consensus.cutoff, 1200);
+  });
+
+  it('should ignore non-numeric values for numeric parameters', () => {
+    const engine = new ConsensusEngine();
+    engine.recordInput('a', { mood: 'loud' }, now);
+    assert.equal(engine.calculateConsensus(now), null);
+  });
+
+  it('should decide enums by plurality and expose tallies', () => {
+    const engine = typedEngine({ scale: { type: 'enum', options: ['major', 'minor', 'dorian'] } });
+    engine.recordInput('a', { scale: 'minor' }, now);
+    engine.recordInput('b', { scale: 'minor' }, now);
+    engine.recordInput('c', { scale: 'dorian' }, now);
+    engine.recordInput('d', { scale: 'lydian' }, now); // not an option
+    const consensus = engine.calculateConsensus(now);
+    assert.equal(consensus.scale, 'minor');
+    assert.deepEqual(engine.getTallies().scale, { major: 0, minor: 2, dorian: 1 });
+    engine.applyConsensus(consensus);
+    assert.equal(engine.getState().scale, 'minor'); // no smoothing for enums
+  });
+
+  it('should weight enum ballots by recency', () => {
+    const engine = typedEngine({ scale: { type: 'enum', options: ['major', 'minor'] } });
+    engine.recordInput('a', { scale: 'major' }, now - 4000);
+    engine.recordInput('b', { scale: 'minor' }, now);
+    assert.equal(engine.calculateConsensus(now).scale, 'minor');
+  });
+
+  it('should keep the current enum value on a tie', () => {
+    const engine = typedEngine({ section: { type: 'enum', options: ['a', 'b'], default: 'b' } });
+    engine.recordInput('x', { section: 'a' }, now);
+    engine.recordInput('y', { section: 'b' }, now);
+    assert.equal(engine.calculateConsensus(now).section, 'b');
+  });
+
+  it('should support approval voting', () => {
+    const engine = typedEngine({
+      section: { type: 'enum', options: ['intro', 'verse', 'coda'], voting: 'approval' },
+    });
+    engine.recordInput('a', { section: ['verse', 'coda'] }, now);
+    engine.recordInput('b', { section: ['intro', 'coda'] }, now);
+    engine.recordInput('c', { section: 'verse' }, now);
+    assert.equal(engine.calculateConsensus(now).section, 'verse');
+    assert.deepEqual(engine.getTallies().section, { intro: 1, verse: 2, coda: 2 });
+  });
+
+  it('should support ranked (instant-runoff) voting', () => {
+    const ballots = [
+      ...Array(4).fill(['a', 'c']),
+      ...Array(3).fill(['b', 'c']),
+      ...Array(2).fill(['c', 'b']),
+    ].map((value) => ({ value, weight: 1 }));
+    // Round 1: a=4 b=3 c=2 → c eliminated, its votes go to b → b=5 wins
+    const tallies = VOTING_METHODS.ranked(ballots, ['a', 'b', 'c']);
+    assert.deepEqual(tallies, { a: 4, b: 5, c: 0 });
+
+    const engine = typedEngine({ pick: { type: 'enum', options: ['a', 'b', 'c'], voting: 'ranked' } });
+    ballots.forEach((b, i) => engine.recordInput(`u${i}`, { pick: b.value }, now));
+    assert.equal(engine.calculateConsensus(now).pick, 'b');
+  });
+
+  it('should stop ranked rounds once an option has a majority', () => {
+    const ballots = [['a'], ['a'], ['a'], ['b'], ['c']].map((value) => ({ value, weight: 1 }));
+    assert.deepEqual(VOTING_METHODS.ranked(ballots, ['a', 'b', 'c']), { a: 3, b: 1, c: 1 });
+  });
+
+  it('should ignore votes for inherited property names', () => {
+    const ballots = ['constructor', '__proto__', 'toString', 'a'].map((value) => ({ value, weight: 1 }));
+    for (const method of ['plurality', 'approval', 'ranked']) {
+      const tallies = VOTING_METHODS[method](ballots, ['a', 'b']);
+      assert.deepEqual(Object.keys(tallies), ['a', 'b'], method);
+      assert.equal(tallies.a, 1, method);
+    }
+    assert.deepEqual(VOTING_METHODS.approval([{ value: ['constructor', 'b'], weight: 1 }], ['a', 'b']), { a: 0, b: 1 });
+
+    const engine = typedEngine({ scale: { type: 'enum', options: ['major', 'minor'] } });
+    engine.recordInput('a', { scale: 'constructor' }, now);
+    engine.recordInput('b', { scale: '__proto__' }, now);
+    engine.calculateConsensus(now);
+    assert.deepEqual(engine.getTallies().scale, { major: 0, minor: 0 });
+    assert.equal(engine.getState().scale, 'major');
+  });
+
+  it('should allow enum overrides only for valid options', () => {
+    const engine = typedEngine({ scale: { type: 'enum', options: ['major', 'minor'] } });
+    engine.setOverride('scale', 'phrygian');
+    assert.equal(engine.getOverrides().scale, null);
+    engine.setOverride('scale', 'minor');
+    engine.recordInput('a', { scale: 'major' }, now);
+    engine.applyConsensus(engine.calculateConsensus(now));
+    assert.equal(engine.getState().scale, 'minor');
+  });
+
+  it('should reset typed state and tallies', () => {
+    const engine = typedEngine({ scale: { type: 'enum', options: ['major', 'minor'] } });
+    engine.recordInput('a', { scale: 'minor' }, now);
+    engine.applyConsensus(engine.calculateConsensus(now));
+    engine.reset();
+    assert.equal(engine.getState().scale, 'major');
+    assert.deepEqual(engine.getTallies().scale, { major: 0, minor: 0 });
+  });
+
+  it('should clear tallies when the last voter leaves', () => {
+    const engine = typedEngine({ scale: { type: 'enum', options: ['major', 'minor'] } });
+    engine.recordInput('a', { scale: 'minor' }, now);
+    engine.calculateConsensus(now);
+    engine.removeInput('a');
+    assert.equal(engine.calculateConsensus(now), null);
+    assert.deepEqual(engine.getTallies().scale, { major: 0, minor: 0 });
+  });
+});
+
 // =============================================================================
 // OSC BRIDGE TESTS
 // =============================================================================
@@ -262,6 +707,12 @@ describe('OSC Bridge — OSCBridge class', () => {
     assert.equal(bridge.state, BridgeState.CONNECTED);
   });
 
+  it('should stay offline unless UDP is enabled', () => {
+    bridge.connect();
+    assert.equal(bridge.getStatus().transport, 'none');
+    assert.equal(bridge.socket, null);
+  });
+
   it('should fail to connect with invalid port', () => {
     const bad = new OSCBridge({ port: -1 });
     assert.equal(bad.connect(), false);
@@ -305,6 +756,16 @@ describe('OSC Bridge — OSCBridge class', () => {
     assert.equal(recent.length, 2);
   });
 
+  it('should keep only the last logSize messages', () => {
+    const small = new OSCBridge({ logSize: 3 });
+    small.connect();
+    [0.1, 0.2, 0.3, 0.4, 0.5].forEach((v) => small.send('mood', v));
+    assert.deepEqual(small.getRecentMessages(10).map((m) => m.value), [0.3, 0.4, 0.5]);
+    assert.deepEqual(small.getRecentMessages(2).map((m) => m.value), [0.4, 0.5]);
+    assert.equal(small.messageCount, 5);
+    assert.throws(() => new OSCBridge({ logSize: 0 }), /Log size must be a positive integer/);
+  });
+
   it('should report status correctly', () => {
     bridge.connect();
     const status = bridge.getStatus();
@@ -313,6 +774,27 @@ describe('OSC Bridge — OSCBridge class', () => {
     assert.equal(status.messageCount, 0);
   });
 
+  it('should send a note to its track address, timetagged at its start', () => {
+    const packets = [];
+    const tracked = new OSCBridge({ udp: false, onSend: (msg, packet) => packets.push(packet) });
+    tracked.connect();
+    const event = { note: 60, time: 1700000000500, duration: 250, velocity: 90, track: 'bass' };
+    const msg = tracked.sendNote(event, { name: 'bass', channel: 2, address: '/synth/bass' });
+
+    assert.equal(msg.address, '/synth/bass');
+    assert.equal(msg.timetag, event.time);
+    const decoded = decodePacket(packets[0]);
+    assert.deepEqual(decoded.args.map((a) => a.value), [60, 90, 250, 2, 'bass']);
+  });
+
+  it('should send notes without a track to the default note address', () => {
+    bridge.connect();
+    const msg = bridge.sendNote({ note: 64, time: 0, duration: 100, velocity: 80, track: 'main' });
+    assert.equal(msg.address, '/omni/note');
+    assert.equal(msg.args[4].value, 'main');
+    assert.equal(new OSCBridge({ udp: false }).sendNote({ note: 60, time: 0, duration: 1 }), null);
+  });
+
   it('should disconnect and clear log', () => {
     bridge.connect();
     bridge.send('mood', 0.5);
@@ -322,6 +804,117 @@ describe('OSC Bridge — OSCBridge class', () => {
   });
 });
 
+describe('OSC Bridge — binary encoding', () => {
+  it('should pad the address and type tag strings to 4 bytes', () => {
+    const packet = encodeMessage('/omni', []);
+    // "/omni\0\0\0" + ",\0\0\0"
+    assert.equal(packet.length, 12);
+    assert.equal(packet.toString('latin1', 0, 5), '/omni');
+    assert.equal(packet[5], 0);
+    assert.equal(packet.toString('latin1', 8, 9), ',');
+  });
+
+  it('should add a full null word when the string length is a multiple of 4', () => {
+    const packet = encodeMessage('/abc', []);
+    assert.equal(packet.length, 12); // "/abc" + 4 nulls + ",\0\0\0"
+  });
+
+  it('should encode int32, float32, string and blob arguments', () => {
+    const packet = encodeMessage('/x', [60, 0.5, 'hi', Buffer.from([1, 2, 3])]);
+    assert.equal(packet.length % 4, 0);
+    const decoded = decodePacket(packet);
+    assert.equal(decoded.address, '/x');
+    assert.deepEqual(decoded.args.map((a) => a.type), ['i', 'f', 's', 'b']);
+    assert.equal(decoded.args[0].value, 60);
+    assert.equal(decoded.args[1].value, 0.5);
+    assert.equal(decoded.args[2].value, 'hi');
+    assert.deepEqual([...decoded.args[3].value], [1, 2, 3]);
+  });
+
+  it('should write big-endian int32 values', () => {
+    const packet = encodeMessage('/n', [{ type: 'i', value: 258 }]);
+    assert.deepEqual([...packet.subarray(8)], [0, 0, 1, 2]);
+  });
+
+  it('should encode argument-less T, F and N tags', () => {
+    const decoded = decodePacket(encodeMessage('/flags', [true, false, null]));
+    assert.deepEqual(decoded.args.map((a) => a.value), [true, false, null]);
+  });
+
+  it('should honour explicit type tags', () => {
+    const decoded = decodePacket(encodeMessage('/f', [{ type: 'f', value: 1 }]));
+    assert.equal(decoded.args[0].type, 'f');
+    assert.equal(decoded.args[0].value, 1);
+  });
+
+  it('should reject unknown type tags and invalid addresses', () => {
+    assert.throws(() => encodeMessage('/x', [{ type: 'q', value: 1 }]), /Unsupported OSC type tag/);
+    assert.throws(() => encodeMessage('bad', []), /Invalid OSC address/);
+    assert.throws(() => decodePacket(Buffer.from('abc')), /multiple of 4/);
+  });
+
+  it('should convert between Unix ms and NTP timetags', () => {
+    const ms = Date.UTC(2026, 0, 1, 12, 0, 0, 250);
+    const ntp = toNtpTimetag(ms);
+    assert.equal(ntp.seconds, Math.floor(ms / 1000) + 2208988800);
+    assert.ok(Math.abs(fromNtpTimetag(ntp.seconds, ntp.fraction) - ms) < 0.001);
+  });
+
+  it('should encode and decode bundles with timetags', () => {
+    const ms = 1700000000123;
+    const packet = encodeBundle(ms, [
+      { address: '/omni/mood', args: [0.25] },
+      encodeMessage('/omni/note', [60, 100]),
+    ]);
+    assert.equal(packet.toString('latin1', 0, 7), '#bundle');
+    const decoded = decodePacket(packet);
+    assert.ok(Math.abs(decoded.timetag - ms) < 0.001);
+    assert.equal(decoded.elements.length, 2);
+    assert.equal(decoded.elements[0].args[0].value, 0.25);
+    assert.deepEqual(decoded.elements[1].args.map((a) => a.value), [60, 100]);
+  });
+
+  it('should use the immediate timetag for null', () => {
+    const packet = encodeBundle(null, []);
+    assert.deepEqual([...packet.subarray(8, 16)], [0, 0, 0, 0, 0, 0, 0, 1]);
+    assert.equal(decodePacket(packet).timetag, null);
+  });
+
+  it('should decode nested bundles', () => {
+    const inner = encodeBundle(null, [{ address: '/a', args: [1] }]);
+    const decoded = decodePacket(encodeBundle(null, [inner]));
+    assert.equal(decoded.elements[0].elements[0].address, '/a');
+  });
+});
+
+describe('OSC Bridge — offline transport', () => {
+  it('should pass the encoded packet to onSend', () => {
+    const sent = [];
+    const bridge = new OSCBridge({ udp: false, onSend: (msg, packet) => sent.push(packet) });
+    bridge.connect();
+    bridge.send('mood', 0.75);
+    const decoded = decodePacket(sent[0]);
+    assert.equal(decoded.address, '/omni/mood');
+    assert.equal(decoded.args[0].value, 0.75);
+    assert.equal(bridge.getStatus().transport, 'none');
+  });
+
+  it('should send multi-argument messages', () => {
+    const sent = [];
+    const bridge = new OSCBridge({ udp: false, onSend: (msg, packet) => sent.push(packet) });
+    bridge.connect();
+    const msg = bridge.sendMessage('/omni/note', [60, 100, 0.5]);
+    assert.equal(msg.address, '/omni/note');
+    assert.deepEqual(decodePacket(sent[0]).args.map((a) => a.type), ['i', 'i', 'f']);
+    assert.equal(bridge.messageCount, 1);
+  });
+
+  it('should not send raw messages when disconnected', () => {
+    const bridge = new OSCBridge({ udp: false });
+    assert.equal(bridge.sendMessage('/x', [1]), null);
+  });
+});
+
 // =============================================================================
 // GENERATOR TESTS
 // =============================================================================
@@ -350,6 +943,42 @@ describe('Generator — Scales', () => {
     const b = getScale('major');
     assert.ok(!b.includes(999));
   });
+
+  it('should register and remove user scales', () => {
+    registerScale('hirajoshi', [0, 2, 3, 7, 8]);
+    try {
+      assert.ok(getScaleNames().includes('hirajoshi'));
+      assert.deepEqual(buildNotePool('hirajoshi', 60, 1), [60, 62, 63, 67, 68]);
+      assert.equal(getScalePeriod('hirajoshi'), 12);
+    } finally {
+      assert.equal(unregisterScale('hirajoshi'), true);
+    }
+    assert.throws(() => getScale('hirajoshi'), /Unknown scale/);
+    assert.equal(unregisterScale('hirajoshi'), false);
+  });
+
+  it('should repeat microtonal scales by their period', () => {
+    registerScale('tritave_test', [0, 3.3, 6.6], { period: 19.02 });
+    try {
+      const pool = buildNotePool('tritave_test', 48, 2);
+      [48, 51.3, 54.6, 67.02, 70.32, 73.62].forEach((n, i) => assert.ok(Math.abs(pool[i] - n) < 1e-9));
+      assert.equal(degreeToMidi(4, 'tritave_test', 48), 48 + 19.02 + 3.3);
+      assert.equal(midiToDegree(70.2, 'tritave_test', 48), 4);
+      assert.ok(generateSequence(16, 'tritave_test', 1, 48).every((n) => !Number.isInteger(n) || n === 48));
+    } finally {
+      unregisterScale('tritave_test');
+    }
+  });
+
+  it('should validate registered scales', () => {
+    assert.throws(() => registerScale('major', [0, 2]), /built-in/);
+    assert.throws(() => unregisterScale('major'), /built-in/);
+    assert.throws(() => registerScale('', [0]), /non-empty/);
+    assert.throws(() => registerScale('bad', [2, 4]), /starting at 0/);
+    assert.throws(() => registerScale('bad', [0, 4, 3]), /ascend/);
+    assert.throws(() => registerScale('bad', [0, 12]), /ascend/);
+    assert.throws(() => registerScale('bad', [0], { period: 0 }), /period/);
+  });
 });
 
 describe('Generator — generateSequence', () => {
@@ -392,6 +1021,22 @@ describe('Generator — generateSequence', () => {
   });
 });
 
+describe('Generator — buildNotePool', () => {
+  it('should span the octave range above the root', () => {
+    assert.deepEqual(buildNotePool('pentatonic', 60, 2), [60, 62, 64, 67, 69, 72, 74, 76, 79, 81]);
+  });
+
+  it('should omit notes outside the MIDI range', () => {
+    const pool = buildNotePool('major', 120, 1);
+    assert.deepEqual(pool, [120, 122, 124, 125, 127]);
+  });
+
+  it('should be the pool generateSequence draws from', () => {
+    const pool = buildNotePool('dorian', 48, 3);
+    generateSequence(64, 'dorian', 5, 48, 3).forEach((note) => assert.ok(pool.includes(note)));
+  });
+});
+
 describe('Generator — applyRecursion', () => {
   it('should return identity at depth 0', () => {
     const seq = [60, 64, 67];
@@ -449,6 +1094,24 @@ describe('Generator — utilities', () => {
     assert.equal(clampMidi(60.7), 61);
   });
 
+  it('degreeToMidi should wrap scale degrees across octaves', () => {
+    assert.equal(degreeToMidi(0, 'major'), 60);
+    assert.equal(degreeToMidi(2, 'major'), 64);
+    assert.equal(degreeToMidi(7, 'major'), 72);
+    assert.equal(degreeToMidi(-1, 'major'), 59);
+    assert.equal(degreeToMidi(5, 'pentatonic', 48), 60);
+    assert.throws(() => degreeToMidi(0, 'nope'), /Unknown scale/);
+  });
+
+  it('midiToDegree should invert degreeToMidi and snap to the nearest scale tone', () => {
+    for (let degree = -8; degree <= 14; degree++) {
+      assert.equal(midiToDegree(degreeToMidi(degree, 'minor', 57), 'minor', 57), degree);
+    }
+    assert.equal(midiToDegree(61, 'major'), 0);
+    assert.equal(midiToDegree(66, 'major'), 3);
+    assert.equal(midiToDegree(71, 'pentatonic'), 5);
+  });
+
   it('midiToNoteName should convert correctly', () => {
     assert.equal(midiToNoteName(60), 'C4');
     assert.equal(midiToNoteName(69), 'A4');
@@ -473,6 +1136,78 @@ describe('Generator — utilities', () => {
   });
 });
 
+describe('Generator — rhythms', () => {
+  const fmt = (steps) => steps.map((on) => (on ? 'x' : '.')).join('');
+
+  it('euclidean should spread onsets evenly (Bjorklund)', () => {
+    assert.equal(fmt(euclidean(3, 8)), 'x..x..x.');
+    assert.equal(fmt(euclidean(5, 8)), 'x.xx.xx.');
+    assert.equal(fmt(euclidean(7, 12)), 'x.xx.x.xx.x.');
+    assert.equal(fmt(euclidean(5, 13)), 'x..x.x..x.x..');
+    assert.equal(fmt(euclidean(0, 4)), '....');
+    assert.equal(fmt(euclidean(4, 4)), 'xxxx');
+    assert.equal(fmt(euclidean(2, 3)), 'x.x');
+    assert.equal(fmt(euclidean(3, 4)), 'x.xx');
+    assert.equal(fmt(euclidean(4, 5)), 'x.xxx');
+    assert.equal(fmt(euclidean(1, 2)), 'x.');
+  });
+
+  it('euclidean should rotate and reject invalid sizes', () => {
+    assert.equal(fmt(euclidean(3, 8, 1)), '..x..x.x');
+    assert.equal(fmt(euclidean(3, 8, -1)), '.x..x..x');
+    assert.throws(() => euclidean(9, 8), /Pulses must be 0–8/);
+    assert.throws(() => euclidean(1, 0), /Steps must be 1–256/);
+  });
+
+  it('metricalWeights should favour stronger positions', () => {
+    assert.deepEqual(metricalWeights(8), [1, 0.25, 0.5, 0.25, 0.75, 0.25, 0.5, 0.25]);
+  });
+
+  it('probabilityRhythm should follow density and the seed', () => {
+    assert.ok(probabilityRhythm(16, 0, 1).every((on) => !on));
+    assert.ok(probabilityRhythm(16, 1, 1).every(Boolean));
+    assert.deepEqual(probabilityRhythm(16, 0.5, 7), probabilityRhythm(16, 0.5, 7));
+    assert.deepEqual(probabilityRhythm([1, 0, 1, 0], 0.5), [true, false, true, false]);
+
+    const count = (density) => probabilityRhythm(256, density, 3).filter(Boolean).length;
+    assert.ok(count(0.25) < count(0.5) && count(0.5) < count(0.75));
+    assert.throws(() => probabilityRhythm(8, 1.5), /Density must be 0–1/);
+    assert.throws(() => probabilityRhythm([0.5, 2], 0.5), /Probabilities/);
+  });
+
+  it('accentPattern should give seeded velocities', () => {
+    assert.deepEqual(accentPattern(euclidean(2, 4)), [110, 80, 110, 80]);
+    const varied = accentPattern(euclidean(2, 4), { variation: 10, seed: 5 });
+    assert.deepEqual(varied, accentPattern(euclidean(2, 4), { variation: 10, seed: 5 }));
+    assert.ok(varied.every((v, i) => Math.abs(v - [110, 80][i % 2]) <= 10));
+  });
+
+  it('rhythmToEvents should give onsets, durations and velocities', () => {
+    const rhythm = euclidean(3, 8);
+    const events = rhythmToEvents(rhythm, { stepMs: 125, gate: 0.5, velocities: accentPattern(rhythm) });
+    assert.deepEqual(events, [
+      { step: 0, time: 0, duration: 62.5, velocity: 110 },
+      { step: 3, time: 375, duration: 62.5, velocity: 110 },
+      { step: 6, time: 750, duration: 62.5, velocity: 110 },
+    ]);
+
+    const legato = rhythmToEvents(rhythm, { stepMs: 125, legato: true, cycles: 2, startMs: 1000 });
+    assert.deepEqual(legato.map((e) => [e.time, e.duration]), [
+      [1000, 375], [1375, 375], [1750, 250], [2000, 375], [2375, 375], [2750, 250],
+    ]);
+    assert.throws(() => rhythmToEvents(rhythm, {}), /stepMs/);
+  });
+
+  it('rhythm events should plug into Scheduler.scheduleNote', () => {
+    const scheduler = new Scheduler(120);
+    const stepMs = scheduler.getSubdivisionDuration('sixteenth');
+    rhythmToEvents(euclidean(5, 16), { stepMs }).forEach((e) => {
+      scheduler.scheduleNote(60, e.time, e.duration, e.velocity);
+    });
+    assert.deepEqual(scheduler.getSchedule().map((e) => e.time), [0, 375, 750, 1125, 1500]);
+  });
+});
+
 // =============================================================================
 // SCHEDULER TESTS
 // =============================================================================
@@ -536,6 +1271,69 @@ describe('Scheduler — subdivisions', () => {
     const triplet = s.getSubdivisionDuration('triplet_quarter');
     assert.ok(Math.abs(triplet - 500 * (2 / 3)) < 0.01);
   });
+
+  it('should handle arbitrary tuplets', () => {
+    const s = new Scheduler(120);
+    assert.equal(s.getSubdivisionDuration('sixteenth 5:4'), 100);
+    assert.ok(Math.abs(s.getSubdivisionDuration('eighth 7:8') - 2000 / 7) < 1e-9);
+    assert.equal(tuplet(3, 2, 'quarter'), SUBDIVISIONS.triplet_quarter);
+    assert.equal(s.getSubdivisionDuration(0.2), 100);
+    assert.throws(() => tuplet(0, 4), /positive integers/);
+    assert.throws(() => s.getSubdivisionDuration('breve 5:4'), /Unknown subdivision/);
+  });
+
+  it('should quantize to a tuplet grid', () => {
+    const s = new Scheduler(120);
+    assert.equal(s.quantize(210, 'sixteenth 5:4'), 200);
+  });
+});
+
+describe('Scheduler — phasing patterns', () => {
+  it('should phase a melody against a rhythm until they realign', () => {
+    const s = new Scheduler(120);
+    const events = s.schedulePattern([60, 62, 64, 65], [1, 0, 1], { step: 'eighth' });
+    // 2 onsets per 3-step cycle against 4 pitches: realign after 2 cycles
+    assert.deepEqual(events.map((e) => e.note), [60, 62, 64, 65]);
+    assert.deepEqual(events.map((e) => e.time), [0, 500, 750, 1250]);
+    assert.ok(events.every((e) => e.duration === 250));
+  });
+
+  it('should run for lcm(pitches, onsets) onsets by default', () => {
+    const s = new Scheduler(120);
+    const events = s.schedulePattern([60, 62, 64, 65, 67], [1, 1, 0], { step: 'sixteenth' });
+    assert.equal(events.length, 10);
+    assert.equal(events[5].note, 60);
+    assert.equal(events[5].time, 7 * 125);
+  });
+
+  it('should schedule tuplets with accents, gate, offset and track', () => {
+    const s = new Scheduler(120);
+    s.addTrack('lead');
+    const events = s.schedulePattern([72], [1, 0.5, true], {
+      step: 'sixteenth 5:4',
+      steps: 5,
+      startBeat: 1,
+      gate: 0.5,
+      velocity: 100,
+      track: 'lead',
+    });
+    assert.deepEqual(events.map((e) => Math.round(e.time)), [500, 600, 700, 800, 900]);
+    assert.deepEqual(events.map((e) => e.velocity), [100, 50, 100, 100, 50]);
+    assert.ok(events.every((e) => Math.abs(e.duration - 50) < 1e-9 && e.track === 'lead'));
+  });
+
+  it('should follow the tempo map', () => {
+    const s = new Scheduler(120);
+    s.setTempoAt(1, 60);
+    const events = s.schedulePattern([60], [1], { step: 'quarter', steps: 3 });
+    assert.deepEqual(events.map((e) => e.time), [0, 500, 1500]);
+  });
+
+  it('should reject empty melodies and rhythms without onsets', () => {
+    const s = new Scheduler(120);
+    assert.throws(() => s.schedulePattern([], [1]), /at least one pitch/);
+    assert.throws(() => s.schedulePattern([60], [0, false]), /at least one onset/);
+  });
 });
 
 describe('Scheduler — note scheduling', () => {
@@ -662,4 +1460,2182 @@ describe('Scheduler — schedule queries', () => {
     assert.equal(scheduler.getSchedule().length, 0);
     assert.equal(scheduler.getTotalDuration(), 0);
   });
+
+  it('should insert out-of-order notes in time order, after equal times', () => {
+    scheduler.scheduleNote(61, 500);
+    scheduler.scheduleNote(59, 250);
+    const schedule = scheduler.getSchedule();
+    assert.deepEqual(schedule.map((e) => e.time), [0, 250, 500, 500, 1000, 1500]);
+    assert.deepEqual(schedule.slice(2, 4).map((e) => e.note), [64, 61]);
+  });
+
+  it('should include the range start and exclude its end', () => {
+    assert.deepEqual(scheduler.getNotesInRange(500, 1500).map((e) => e.time), [500, 1000]);
+    assert.equal(scheduler.getNotesInRange(1600, 1700).length, 0);
+  });
+
+  it('should evict notes that have finished playing', () => {
+    scheduler.scheduleNote(48, 0, 2000);
+    assert.equal(scheduler.evictBefore(1000), 2); // 60 and 64 have ended; 48 still sounds
+    assert.equal(scheduler.getEventCount(), 3);
+    assert.deepEqual(scheduler.getSchedule().map((e) => e.note), [48, 67, 72]);
+    assert.deepEqual(scheduler.getNotesInRange(0, 1100).map((e) => e.note), [48, 67]);
+  });
+
+  it('should keep looping patterns when evicting', () => {
+    scheduler.addTrack('loop', { loopLength: 500 });
+    scheduler.scheduleNote(36, 0, 100, 100, 'loop');
+    scheduler.evictBefore(5000);
+    assert.deepEqual(scheduler.getSchedule().map((e) => e.note), [36]);
+    assert.equal(scheduler.getNotesInRange(5000, 5500).length, 1);
+  });
+});
+
+describe('Scheduler — tracks', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new Scheduler(120);
+  });
+
+  it('should start with a default track that cannot be removed', () => {
+    assert.deepEqual(scheduler.getTracks().map((t) => t.name), [DEFAULT_TRACK]);
+    assert.equal(scheduler.scheduleNote(60, 0).track, DEFAULT_TRACK);
+    assert.throws(() => scheduler.removeTrack(DEFAULT_TRACK), /default track/);
+  });
+
+  it('should add tracks with channel, instrument and OSC address', () => {
+    scheduler.addTrack('bass', { channel: 1, instrument: 33, address: '/synth/bass' });
+    assert.deepEqual(scheduler.getTrack('bass'), {
+      name: 'bass', channel: 1, instrument: 33, address: '/synth/bass',
+      loopLength: null, mute: false, solo: false,
+    });
+    assert.throws(() => scheduler.addTrack('bass'), /already exists/);
+    assert.throws(() => scheduler.addTrack('x', { channel: 16 }), /channel/);
+    assert.equal(scheduler.getTrack('nope'), null);
+  });
+
+  it('should reject notes for unknown tracks', () => {
+    assert.throws(() => scheduler.scheduleNote(60, 0, 500, 100, 'nope'), /Unknown track: "nope"/);
+  });
+
+  it('should query and clear notes per track', () => {
+    scheduler.addTrack('bass');
+    scheduler.scheduleNote(60, 0);
+    scheduler.scheduleNote(36, 0, 500, 100, 'bass');
+    scheduler.scheduleNote(38, 500, 500, 100, 'bass');
+
+    assert.equal(scheduler.getSchedule('bass').length, 2);
+    assert.deepEqual(scheduler.getNotesInRange(0, 1000, { track: 'bass' }).map((e) => e.note), [36, 38]);
+    scheduler.clear('bass');
+    assert.equal(scheduler.getSchedule().length, 1);
+  });
+
+  it('should cycle loops of different lengths against each other', () => {
+    scheduler.addTrack('three', { loopLength: 750 });
+    scheduler.addTrack('four', { loopLength: 1000 });
+    [0, 250, 500].forEach((t) => scheduler.scheduleNote(60, t, 100, 100, 'three'));
+    [0, 250, 500, 750].forEach((t) => scheduler.scheduleNote(72, t, 100, 100, 'four'));
+
+    const notes = scheduler.getNotesInRange(0, 3000);
+    const starts = (name) => notes.filter((e) => e.track === name).map((e) => e.time);
+    assert.equal(starts('three').length, 12);
+    assert.equal(starts('four').length, 12);
+    // The patterns only line up again after the least common multiple
+    const together = starts('three').filter((t) => starts('four').includes(t) && t % 750 === 0 && t % 1000 === 0);
+    assert.deepEqual(together, [0]);
+    assert.deepEqual(scheduler.getNotesInRange(2900, 3100, { track: 'three' }).map((e) => e.time), [3000]);
+  });
+
+  it('should refuse to expand a loop over an unbounded range', () => {
+    scheduler.addTrack('loop', { loopLength: 1000 });
+    assert.throws(() => scheduler.getNotesInRange(0, Infinity), /unbounded/);
+  });
+
+  it('should leave muted and unsoloed tracks out of queries', () => {
+    scheduler.addTrack('drums');
+    scheduler.addTrack('bass');
+    scheduler.scheduleNote(60, 0);
+    scheduler.scheduleNote(36, 0, 500, 100, 'drums');
+    scheduler.scheduleNote(40, 0, 500, 100, 'bass');
+
+    scheduler.updateTrack('drums', { mute: true });
+    assert.deepEqual(scheduler.getNotesInRange(0, 100).map((e) => e.note).sort(), [40, 60]);
+
+    scheduler.updateTrack('bass', { solo: true });
+    assert.deepEqual(scheduler.getNotesInRange(0, 100).map((e) => e.note), [40]);
+    assert.equal(scheduler.getNotesInRange(0, 100, { includeMuted: true }).length, 3);
+    assert.equal(scheduler.getSchedule().length, 3);
+  });
+
+  it('should remove a track together with its notes', () => {
+    scheduler.addTrack('pad');
+    scheduler.scheduleNote(60, 0, 500, 100, 'pad');
+    scheduler.removeTrack('pad');
+    assert.equal(scheduler.getTrack('pad'), null);
+    assert.equal(scheduler.getSchedule().length, 0);
+  });
+});
+
+describe('Scheduler — tempo map', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new Scheduler(120);
+  });
+
+  function near(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} ≉ ${expected}`);
+  }
+
+  it('should convert beats and milliseconds at a constant tempo', () => {
+    assert.equal(scheduler.beatsToMs(3), 1500);
+    assert.equal(scheduler.msToBeats(1250), 2.5);
+    assert.deepEqual(scheduler.getTempoMap(), [{ beat: 0, bpm: 120, ramp: 'step' }]);
+  });
+
+  it('should apply step tempo changes', () => {
+    scheduler.setTempoAt(4, 60);
+    assert.equal(scheduler.beatsToMs(4), 2000);
+    assert.equal(scheduler.beatsToMs(6), 4000);
+    assert.equal(scheduler.msToBeats(3000), 5);
+    assert.equal(scheduler.getBPMAt(1999), 120);
+    assert.equal(scheduler.getBPMAt(2000), 60);
+  });
+
+  it('should integrate linear tempo ramps', () => {
+    // Ramp 60 → 120 BPM over the first 4 beats
+    scheduler.setBPM(60);
+    scheduler.setTempoAt(4, 120, 'linear');
+    const rampMs = (60000 / 15) * Math.log(2); // slope = 15 BPM per beat
+    near(scheduler.beatsToMs(4), rampMs);
+    near(scheduler.beatsToMs(5), rampMs + 500);
+    near(scheduler.getBPMAt(scheduler.beatsToMs(2)), 90);
+    near(scheduler.msToBeats(scheduler.beatsToMs(1.7)), 1.7);
+    // Accelerating: the second half of the ramp is shorter than the first
+    assert.ok(scheduler.beatsToMs(4) - scheduler.beatsToMs(2) < scheduler.beatsToMs(2));
+  });
+
+  it('should replace changes at the same position and keep them sorted', () => {
+    scheduler.setTempoAt(8, 100);
+    scheduler.setTempoAt(4, 90);
+    scheduler.setTempoAt(8, 110, 'linear');
+    assert.deepEqual(scheduler.getTempoMap().map((c) => [c.beat, c.bpm, c.ramp]), [
+      [0, 120, 'step'], [4, 90, 'step'], [8, 110, 'linear'],
+    ]);
+    scheduler.clearTempoChanges();
+    assert.equal(scheduler.getTempoMap().length, 1);
+  });
+
+  it('should keep tempo changes when the initial BPM is set', () => {
+    scheduler.setTempoAt(4, 60);
+    scheduler.setBPM(60);
+    assert.equal(scheduler.beatsToMs(4), 4000);
+    assert.equal(scheduler.getTempoMap().length, 2);
+  });
+
+  it('should reject invalid tempo changes', () => {
+    assert.throws(() => scheduler.setTempoAt(4, 400), /BPM must be between/);
+    assert.throws(() => scheduler.setTempoAt(4, 100, 'cubic'), /Unknown tempo ramp/);
+    assert.throws(() => scheduler.setTempoAt(-1, 100), /non-negative/);
+  });
+
+  it('should make beat lookup, scheduling and quantization follow the map', () => {
+    scheduler.setTempoAt(2, 60);
+    assert.equal(scheduler.getBeatAt(1999), 2);
+    assert.equal(scheduler.getBeatAt(2000), 3);
+
+    const evt = scheduler.scheduleAtBeat(60, 4, 'eighth'); // beat index 3
+    assert.equal(evt.time, 2000);
+    assert.equal(evt.duration, 500);
+
+    assert.equal(scheduler.quantize(2400), 2000);
+    assert.equal(scheduler.quantize(2600), 3000);
+
+    assert.deepEqual([0, 1, 2, 3].map(() => scheduler.getNextBeat()), [0, 500, 1000, 2000]);
+  });
+});
+
+describe('Scheduler — time signatures and bar:beat:tick', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new Scheduler(120);
+  });
+
+  it('should parse and format positions', () => {
+    assert.deepEqual(parseBBT('5:3:240'), { bar: 5, beat: 3, tick: 240 });
+    assert.deepEqual(parseBBT('2:1'), { bar: 2, beat: 1, tick: 0 });
+    assert.equal(formatBBT({ bar: 1, beat: 2, tick: 15 }), '1:2:015');
+    assert.throws(() => parseBBT('bar two'), /Invalid bar:beat:tick/);
+  });
+
+  it('should convert in 4/4 by default', () => {
+    assert.deepEqual(scheduler.msToBBT(0), { bar: 1, beat: 1, tick: 0 });
+    assert.deepEqual(scheduler.msToBBT(2250), { bar: 2, beat: 1, tick: TICKS_PER_BEAT / 2 });
+    assert.equal(scheduler.bbtToMs('3:2:0'), 4500);
+    assert.deepEqual(scheduler.getTimeSignatureAt(7), { numerator: 4, denominator: 4 });
+  });
+
+  it('should follow time signature changes', () => {
+    scheduler.setTimeSignature(3, 6, 8); // bars 3+ have three quarter notes
+    assert.deepEqual(scheduler.getTimeSignatureAt(3), { numerator: 6, denominator: 8 });
+    assert.equal(scheduler.bbtToBeats('3:1:0'), 8);
+    assert.equal(scheduler.bbtToBeats('3:4:0'), 9.5);   // eighth-note beats
+    assert.equal(scheduler.bbtToBeats('4:1:0'), 11);
+    assert.deepEqual(scheduler.beatsToBBT(11.25), { bar: 4, beat: 1, tick: 120 });
+    assert.deepEqual(scheduler.beatsToBBT(11.5), { bar: 4, beat: 2, tick: 0 });
+  });
+
+  it('should combine the tempo map and meter', () => {
+    scheduler.setTimeSignature(2, 3, 4);
+    scheduler.setTempoAt('2:1:0', 60);
+    assert.equal(scheduler.bbtToMs('2:1:0'), 2000);
+    assert.equal(scheduler.bbtToMs('3:1:0'), 5000);
+    assert.equal(scheduler.scheduleAt(64, '2:2:240', 'eighth').time, 3500);
+  });
+
+  it('should quantize to the grid of the current bar', () => {
+    scheduler.setTimeSignature(1, 5, 8);  // 2.5 quarter notes per bar
+    // Bar 2 starts at 1250 ms; a quarter grid restarts there
+    assert.equal(scheduler.quantize(1400), 1250);
+    assert.equal(scheduler.quantize(1800), 1750);
+  });
+
+  it('should reject invalid signatures and positions', () => {
+    assert.throws(() => scheduler.setTimeSignature(0, 4, 4), /positive integer/);
+    assert.throws(() => scheduler.setTimeSignature(2, 4, 6), /power of two/);
+    assert.throws(() => scheduler.bbtToBeats('1:5:0'), /Beat must be 1–4/);
+  });
+});
+
+describe('Transport', () => {
+  let scheduler;
+  let now;
+  let log;
+
+  // Quarter notes 60, 62, 64, 65 at 120 BPM, each half a beat long
+  beforeEach(() => {
+    scheduler = new Scheduler(120);
+    [60, 62, 64, 65].forEach((note, i) => scheduler.scheduleNote(note, i * 500, 250));
+    now = 1000;
+    log = [];
+  });
+
+  function createTransport(options = {}) {
+    return new Transport(scheduler, {
+      clock: () => now,
+      intervalMs: 0,
+      lookaheadMs: 100,
+      onNoteOn: (e, time) => log.push(['on', e.note, time]),
+      onNoteOff: (e, time) => log.push(['off', e.note, time]),
+      ...options,
+    });
+  }
+
+  function run(transport, until, step = 25) {
+    for (; now <= until; now += step) transport.tick();
+    now -= step;
+  }
+
+  it('should dispatch note-ons and note-offs within the lookahead window', () => {
+    const transport = createTransport();
+    transport.start();
+    assert.equal(transport.state, TransportState.PLAYING);
+    assert.deepEqual(log, [['on', 60, 1000]]);
+
+    now = 1200;
+    transport.tick();
+    assert.deepEqual(log.slice(1), [['off', 60, 1250]]);
+
+    now = 1450;
+    transport.tick();
+    assert.deepEqual(log.slice(2), [['on', 62, 1500]]);
+  });
+
+  it('should not dispatch an event twice', () => {
+    const transport = createTransport();
+    transport.start();
+    transport.tick();
+    transport.tick();
+    assert.equal(log.length, 1);
+  });
+
+  it('should report the playhead position', () => {
+    const transport = createTransport();
+    transport.start();
+    now = 1320;
+    transport.tick();
+    assert.equal(transport.getPosition(), 320);
+    assert.equal(transport.getPosition(1400), 400);
+  });
+
+  it('should give the same timing regardless of tick rate', () => {
+    const fine = createTransport();
+    fine.start();
+    run(fine, 3000, 7);
+    const fineLog = log;
+
+    log = [];
+    now = 1000;
+    const coarse = createTransport();
+    coarse.start();
+    run(coarse, 3000, 60);
+    assert.deepEqual(log, fineLog);
+  });
+
+  it('should change tempo mid-playback without drift', () => {
+    const transport = createTransport();
+    transport.start();
+    run(transport, 1450);          // cursor at 550, dispatched up to 1550
+    transport.setBPM(240);         // twice as fast from the end of the window
+    run(transport, 2000, 13);
+
+    const ons = log.filter((l) => l[0] === 'on');
+    // 64 at 1000: 450 ms of schedule after 1550 at double speed
+    assert.deepEqual(ons, [['on', 60, 1000], ['on', 62, 1500], ['on', 64, 1775], ['on', 65, 2025]]);
+    assert.deepEqual(log.find((l) => l[1] === 64 && l[0] === 'off'), ['off', 64, 1900]);
+  });
+
+  it('should loop a region', () => {
+    const transport = createTransport();
+    transport.setLoop(0, 1000);
+    transport.start();
+    run(transport, 3000);
+    const ons = log.filter((l) => l[0] === 'on').map((l) => [l[1], l[2]]);
+    assert.deepEqual(ons, [[60, 1000], [62, 1500], [60, 2000], [62, 2500], [60, 3000]]);
+    assert.equal(transport.getPosition(2010), 10);
+    assert.equal(transport.getPosition(1990), 990);
+  });
+
+  it('should evict played notes when asked to, keeping the loop region', () => {
+    const transport = createTransport({ evictPlayed: true });
+    transport.start();
+    run(transport, 2200);
+    assert.deepEqual(log.filter((l) => l[0] === 'on').map((l) => l[1]), [60, 62, 64]);
+    assert.deepEqual(scheduler.getSchedule().map((e) => e.note), [65]);
+
+    scheduler.scheduleNote(64, 1000, 250);
+    transport.stop();
+    transport.setLoop(1000, 2000);
+    transport.start();
+    run(transport, 6000);
+    assert.deepEqual(scheduler.getSchedule().map((e) => e.note), [64, 65]);
+    assert.equal(log.filter((l) => l[0] === 'on' && l[1] === 64).length, 4);
+  });
+
+  it('should pause and resume where it left off', () => {
+    const transport = createTransport();
+    transport.start();
+    transport.pause();
+    assert.equal(transport.state, TransportState.PAUSED);
+    // The sounding note is released at the end of the lookahead window
+    assert.deepEqual(log, [['on', 60, 1000], ['off', 60, 1100]]);
+    assert.equal(transport.getPosition(), 100);
+
+    now = 5000;
+    transport.start();
+    run(transport, 5400);
+    assert.deepEqual(log.slice(2), [['on', 62, 5400]]);
+  });
+
+  it('should stop and return to the start', () => {
+    const transport = createTransport();
+    transport.start();
+    run(transport, 1600);
+    transport.stop();
+    assert.equal(transport.state, TransportState.STOPPED);
+    assert.equal(transport.getPosition(), 0);
+    assert.equal(log.filter((l) => l[0] === 'on').length, log.filter((l) => l[0] === 'off').length);
+  });
+
+  it('should seek while stopped and while playing', () => {
+    const transport = createTransport();
+    transport.seek(1000);
+    transport.start();
+    assert.deepEqual(log, [['on', 64, 1000]]);
+
+    transport.seek(500);          // jumps at the end of the window (1100)
+    assert.deepEqual(log.slice(1), [['off', 64, 1100]]);
+    now = 1050;
+    transport.tick();
+    assert.deepEqual(log.slice(2), [['on', 62, 1100]]);
+  });
+
+  it('should play at the scheduler tempo by default', () => {
+    assert.equal(createTransport().getBPM(), 120);
+    assert.equal(createTransport({ bpm: 90 }).getBPM(), 90);
+  });
+
+  it('should reject invalid loops, seeks and tempos', () => {
+    const transport = createTransport();
+    assert.throws(() => transport.setLoop(500, 500), /Invalid loop region/);
+    assert.throws(() => transport.seek(-1), /non-negative/);
+    assert.throws(() => transport.setBPM(500), /BPM must be between/);
+  });
+
+  it('should tick on an interval when started', async () => {
+    const transport = createTransport({ clock: Date.now, intervalMs: 5, lookaheadMs: 0 });
+    transport.start();
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    transport.stop();
+    assert.deepEqual(log[0].slice(0, 2), ['on', 60]);
+
+    // No timer is left running after stop()
+    const count = log.length;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(log.length, count);
+  });
+});
+
+// =============================================================================
+// MIDI EXPORT TESTS
+// =============================================================================
+
+describe('MIDI Export — encoding primitives', () => {
+  it('should encode variable-length quantities', () => {
+    assert.deepEqual(encodeVarLen(0), [0x00]);
+    assert.deepEqual(encodeVarLen(0x7f), [0x7f]);
+    assert.deepEqual(encodeVarLen(0x80), [0x81, 0x00]);
+    assert.deepEqual(encodeVarLen(0x3fff), [0xff, 0x7f]);
+    assert.deepEqual(encodeVarLen(0x0fffffff), [0xff, 0xff, 0xff, 0x7f]);
+  });
+
+  it('should reject out-of-range variable-length values', () => {
+    assert.throws(() => encodeVarLen(-1), /out of range/);
+    assert.throws(() => encodeVarLen(0x10000000), /out of range/);
+  });
+
+  it('should convert milliseconds to ticks at tempo', () => {
+    assert.equal(msToTicks(500, 120, 480), 480); // one beat
+    assert.equal(msToTicks(250, 120, 480), 240);
+    assert.equal(msToTicks(1000, 60, 96), 96);
+  });
+});
+
+describe('MIDI Export — encodeMidiFile', () => {
+  const schedule = [
+    { note: 60, time: 0, duration: 500, velocity: 100 },
+    { note: 64, time: 500, duration: 250, velocity: 80 },
+    { note: 67, time: 750, duration: 750, velocity: 90 },
+  ];
+
+  it('should write a valid MThd header', () => {
+    const bytes = encodeMidiFile(schedule, { bpm: 120 });
+    assert.equal(bytes.toString('latin1', 0, 4), 'MThd');
+    assert.equal(bytes.readUInt32BE(4), 6);
+    assert.equal(bytes.readUInt16BE(8), 1); // format
+    assert.equal(bytes.readUInt16BE(10), 2); // conductor + notes
+    assert.equal(bytes.readUInt16BE(12), 480);
+  });
+
+  it('should write a single track for type 0', () => {
+    const midi = parseMidiFile(encodeMidiFile(schedule, { format: 0 }));
+    assert.equal(midi.format, 0);
+    assert.equal(midi.tracks.length, 1);
+  });
+
+  it('should write a tempo meta event from the BPM', () => {
+    const midi = parseMidiFile(encodeMidiFile(schedule, { bpm: 90 }));
+    const tempo = midi.tracks[0].find((e) => e.type === 'tempo');
+    assert.equal(tempo.tick, 0);
+    assert.equal(tempo.usPerQuarter, Math.round(60000000 / 90));
+  });
+
+  it('should write a time signature and track name', () => {
+    const midi = parseMidiFile(
+      encodeMidiFile(schedule, { timeSignature: [3, 4], trackName: 'Lead' })
+    );
+    const sig = midi.tracks[0].find((e) => e.type === 'timeSignature');
+    assert.equal(sig.numerator, 3);
+    assert.equal(sig.denominator, 4);
+    const name = midi.tracks[1].find((e) => e.type === 'trackName');
+    assert.equal(name.text, 'Lead');
+  });
+
+  it('should end every track with an end-of-track event', () => {
+    const midi = parseMidiFile(encodeMidiFile(schedule));
+    midi.tracks.forEach((track) => {
+      assert.equal(track[track.length - 1].type, 'endOfTrack');
+    });
+  });
+
+  it('should round-trip notes through type 0 and type 1', () => {
+    for (const format of [0, 1]) {
+      const notes = extractNotes(parseMidiFile(encodeMidiFile(schedule, { bpm: 120, format })));
+      assert.equal(notes.length, 3);
+      notes.forEach((n, i) => {
+        assert.equal(n.note, schedule[i].note);
+        assert.equal(n.velocity, schedule[i].velocity);
+        assert.ok(Math.abs(n.time - schedule[i].time) < 1);
+        assert.ok(Math.abs(n.duration - schedule[i].duration) < 1);
+      });
+    }
+  });
+
+  it('should write notes on the requested channel', () => {
+    const notes = extractNotes(parseMidiFile(encodeMidiFile(schedule, { channel: 9 })));
+    assert.ok(notes.every((n) => n.channel === 9));
+  });
+
+  it('should place note-offs before note-ons when a pitch repeats', () => {
+    const repeated = [
+      { note: 60, time: 0, duration: 500, velocity: 100 },
+      { note: 60, time: 500, duration: 500, velocity: 100 },
+    ];
+    const midi = parseMidiFile(encodeMidiFile(repeated, { format: 0 }));
+    const at480 = midi.tracks[0].filter((e) => e.tick === 480);
+    assert.deepEqual(at480.map((e) => e.type), ['noteOff', 'noteOn']);
+    assert.equal(extractNotes(midi).length, 2);
+  });
+
+  it('should reject invalid options', () => {
+    assert.throws(() => encodeMidiFile(schedule, { format: 2 }), /format must be 0 or 1/);
+    assert.throws(() => encodeMidiFile(schedule, { channel: 16 }), /channel must be 0–15/);
+    assert.throws(() => encodeMidiFile(schedule, { bpm: 0 }), /BPM must be a positive/);
+  });
+});
+
+describe('MIDI Export — exportScheduler & parseMidiFile', () => {
+  it('should export a Scheduler using its BPM', () => {
+    const scheduler = new Scheduler(90);
+    scheduler.scheduleAtBeat(60, 1, 'quarter', 100);
+    scheduler.scheduleAtBeat(62, 2, 'eighth', 70);
+
+    const midi = parseMidiFile(exportScheduler(scheduler));
+    const tempo = midi.tracks[0].find((e) => e.type === 'tempo');
+    assert.ok(Math.abs(tempo.bpm - 90) < 0.001);
+
+    const notes = extractNotes(midi);
+    assert.equal(notes.length, 2);
+    assert.ok(Math.abs(notes[1].time - scheduler.getBeatDuration()) < 1);
+    assert.ok(Math.abs(notes[1].duration - scheduler.getSubdivisionDuration('eighth')) < 1);
+  });
+
+  it('should export the Scheduler time signature', () => {
+    const scheduler = new Scheduler(120);
+    scheduler.setTimeSignature(1, 7, 8);
+    scheduler.scheduleAt(60, '1:7:0');
+
+    const midi = parseMidiFile(exportScheduler(scheduler));
+    const sig = midi.tracks[0].find((e) => e.type === 'timeSignature');
+    assert.deepEqual([sig.numerator, sig.denominator], [7, 8]);
+    assert.equal(extractNotes(midi)[0].time, 1500);
+  });
+
+  it('should write the tempo map and meter changes and round-trip note times', () => {
+    const scheduler = new Scheduler(120);
+    scheduler.setTempoAt(4, 60);
+    scheduler.setTimeSignature(2, 3, 4);
+    for (let beat = 1; beat <= 8; beat++) scheduler.scheduleAtBeat(60 + beat, beat, 'eighth');
+
+    const midi = parseMidiFile(exportScheduler(scheduler));
+    const tempos = midi.tracks[0].filter((e) => e.type === 'tempo');
+    assert.deepEqual(tempos.map((e) => [e.tick, Math.round(e.bpm)]), [[0, 120], [4 * 480, 60]]);
+    const meters = midi.tracks[0].filter((e) => e.type === 'timeSignature');
+    assert.deepEqual(meters.map((e) => [e.tick, e.numerator, e.denominator]), [[0, 4, 4], [4 * 480, 3, 4]]);
+
+    const notes = extractNotes(midi);
+    const expected = scheduler.getSchedule();
+    assert.equal(notes.length, expected.length);
+    notes.forEach((n, i) => {
+      assert.ok(Math.abs(n.time - expected[i].time) < 1, `note ${i} at ${n.time}`);
+      assert.ok(Math.abs(n.duration - expected[i].duration) < 1);
+    });
+    assert.equal(notes[7].duration, 500); // An eighth at 60 BPM
+  });
+
+  it('should approximate tempo ramps with stepped tempo events', () => {
+    const scheduler = new Scheduler(60);
+    scheduler.setTempoAt(4, 120, 'linear');
+    for (let beat = 1; beat <= 6; beat++) scheduler.scheduleAtBeat(60, beat);
+
+    const midi = parseMidiFile(exportScheduler(scheduler));
+    assert.equal(midi.tracks[0].filter((e) => e.type === 'tempo').length, 17);
+    const notes = extractNotes(midi);
+    scheduler.getSchedule().forEach((e, i) => assert.ok(Math.abs(notes[i].time - e.time) < 1));
+  });
+
+  it('should write one named track per Scheduler track with its channel and program', () => {
+    const scheduler = new Scheduler(120);
+    scheduler.addTrack('bass', { channel: 1, instrument: 33 });
+    scheduler.addTrack('pad', { channel: 2, instrument: 'warm pad' });
+    scheduler.scheduleNote(60, 0);
+    scheduler.scheduleNote(36, 0, 500, 100, 'bass');
+    scheduler.scheduleNote(72, 0, 500, 100, 'pad');
+
+    const midi = parseMidiFile(exportScheduler(scheduler));
+    assert.equal(midi.tracks.length, 4);
+    const bass = midi.tracks[2];
+    assert.equal(bass.find((e) => e.type === 'trackName').text, 'bass');
+    assert.deepEqual(bass.find((e) => e.type === 'programChange'), {
+      tick: 0, type: 'programChange', channel: 1, program: 33,
+    });
+    assert.equal(midi.tracks[3].find((e) => e.type === 'instrumentName').text, 'warm pad');
+
+    const notes = extractNotes(midi);
+    const byName = Object.fromEntries(notes.map((n) => [n.trackName, n]));
+    assert.deepEqual([byName.main.note, byName.bass.note, byName.pad.note], [60, 36, 72]);
+    assert.deepEqual([byName.main.channel, byName.bass.channel, byName.pad.channel], [0, 1, 2]);
+  });
+
+  it('should expand loops and skip muted tracks when exporting', () => {
+    const scheduler = new Scheduler(120);
+    scheduler.addTrack('loop', { loopLength: 500 });
+    scheduler.addTrack('muted', { mute: true });
+    scheduler.scheduleNote(36, 0, 100, 100, 'loop');
+    scheduler.scheduleNote(60, 0, 100, 100, 'muted');
+
+    const notes = extractNotes(parseMidiFile(exportScheduler(scheduler, { durationMs: 2000 })));
+    assert.deepEqual(notes.map((n) => n.time), [0, 500, 1000, 1500]);
+    assert.ok(notes.every((n) => n.trackName === 'loop'));
+  });
+
+  it('should merge tracks onto their channels in format 0', () => {
+    const bytes = encodeMidiFile(
+      [
+        { note: 60, time: 0, duration: 500, velocity: 100, track: 'a' },
+        { note: 36, time: 0, duration: 500, velocity: 100, track: 'b' },
+      ],
+      { format: 0, tracks: [{ name: 'a', channel: 0 }, { name: 'b', channel: 9 }] }
+    );
+    const midi = parseMidiFile(bytes);
+    assert.equal(midi.tracks.length, 1);
+    assert.deepEqual(extractNotes(midi).map((n) => [n.note, n.channel]), [[36, 9], [60, 0]]);
+  });
+
+  it('should reject data without an MThd header', () => {
+    assert.throws(() => parseMidiFile(Buffer.from('not a midi file')), /missing MThd/);
+  });
+
+  it('should reject truncated files', () => {
+    const bytes = encodeMidiFile([{ note: 60, time: 0, duration: 500, velocity: 100 }]);
+    assert.throws(() => parseMidiFile(bytes.subarray(0, bytes.length - 4)), /Truncated/);
+  });
+
+  it('should decode running status', () => {
+    // Hand-built type 0 file: note-on, then note-off via running status (vel 0)
+    const track = Buffer.from([
+      0x00, 0x90, 0x3c, 0x64,
+      0x83, 0x60, 0x3c, 0x00,
+      0x00, 0xff, 0x2f, 0x00,
+    ]);
+    const header = Buffer.from([
+      0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, 0x01, 0xe0,
+      0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, track.length,
+    ]);
+    const notes = extractNotes(parseMidiFile(Buffer.concat([header, track])));
+    assert.equal(notes.length, 1);
+    assert.equal(notes[0].note, 60);
+    assert.ok(Math.abs(notes[0].duration - 500) < 0.001);
+  });
+});
+
+// =============================================================================
+// MUSIC MAPPING TESTS
+// =============================================================================
+
+describe('Music Mapping — curves and rules', () => {
+  it('should map the curve endpoints to 0 and 1', () => {
+    Object.entries(CURVES).forEach(([name, curve]) => {
+      const lo = curve(0);
+      const hi = curve(1);
+      if (name === 'inverse') {
+        assert.equal(lo, 1);
+        assert.equal(hi, 0);
+      } else {
+        assert.equal(lo, 0, name);
+        assert.equal(hi, 1, name);
+      }
+    });
+  });
+
+  it('should shape the midpoint by curve', () => {
+    assert.equal(CURVES.linear(0.5), 0.5);
+    assert.equal(CURVES.exponential(0.5), 0.25);
+    assert.equal(CURVES.exponential(0.5, 3), 0.125);
+    assert.equal(CURVES.logarithmic(0.5), 0.75);
+    assert.equal(CURVES.smoothstep(0.5), 0.5);
+  });
+
+  it('should scale rules into their output range', () => {
+    const rule = { source: 'tempo', curve: 'linear', min: 60, max: 180 };
+    assert.equal(applyRule(rule, { tempo: 0 }), 60);
+    assert.equal(applyRule(rule, { tempo: 0.5 }), 120);
+    assert.equal(applyRule(rule, { tempo: 1 }), 180);
+  });
+
+  it('should clamp inputs and round when asked', () => {
+    const rule = { source: 'x', curve: 'linear', min: 0, max: 10, round: true };
+    assert.equal(applyRule(rule, { x: 1.7 }), 10);
+    assert.equal(applyRule(rule, { x: -3 }), 0);
+    assert.equal(applyRule(rule, { x: 0.34 }), 3);
+  });
+
+  it('should treat a missing source as the midpoint', () => {
+    assert.equal(applyRule({ source: 'absent', min: 0, max: 100 }, {}), 50);
+  });
+
+  it('should return constants and accept custom curve functions', () => {
+    assert.equal(applyRule({ value: 48 }, {}), 48);
+    assert.equal(applyRule({ source: 'x', curve: () => 1, min: 2, max: 4 }, { x: 0 }), 4);
+  });
+
+  it('should reject unknown curves', () => {
+    assert.throws(() => applyRule({ source: 'x', curve: 'zigzag', min: 0, max: 1 }, { x: 0 }), /Unknown curve/);
+  });
+
+  it('should merge rule overrides over the defaults', () => {
+    const mapping = createMapping({ bpm: { max: 140 }, swing: { value: 0.2 } });
+    assert.equal(mapping.bpm.source, 'tempo');
+    assert.equal(mapping.bpm.max, 140);
+    assert.equal(mapping.swing.value, 0.2);
+    assert.equal(DEFAULT_MAPPING.bpm.max, 180);
+  });
+});
+
+describe('Music Mapping — mapState', () => {
+  const neutral = { mood: 0.5, tempo: 0.5, intensity: 0.5, density: 0.5 };
+
+  it('should map a neutral state to mid-range parameters', () => {
+    assert.deepEqual(mapState(neutral), {
+      scale: 'pentatonic',
+      root: 48,
+      bpm: 120,
+      recursionDepth: 1,
+      octaveRange: 2,
+      velocity: 80,
+      noteDensity: 2.5,
+      tension: 0.5,
+      freedom: 0.5,
+    });
+  });
+
+  it('should choose scales from mood bands', () => {
+    assert.equal(mapState({ ...neutral, mood: 0.1 }).scale, 'minor_pentatonic');
+    assert.equal(mapState({ ...neutral, mood: 0.9 }).scale, 'major');
+    assert.equal(mapState({ ...neutral, mood: 1 }).scale, 'major');
+  });
+
+  it('should prefer a voted scale over mood', () => {
+    assert.equal(mapState({ ...neutral, mood: 0.1, scale: 'dorian' }).scale, 'dorian');
+    assert.equal(mapState({ ...neutral, mood: 0.1, scale: 'unknown' }).scale, 'minor_pentatonic');
+  });
+
+  it('should follow extremes of the state', () => {
+    const low = mapState({ mood: 0, tempo: 0, intensity: 0, density: 0 });
+    const high = mapState({ mood: 1, tempo: 1, intensity: 1, density: 1 });
+    assert.equal(low.bpm, 60);
+    assert.equal(high.bpm, 180);
+    assert.equal(low.recursionDepth, 0);
+    assert.equal(high.recursionDepth, 2);
+    assert.equal(low.octaveRange, 1);
+    assert.equal(high.octaveRange, 3);
+    assert.equal(low.velocity, 40);
+    assert.equal(high.velocity, 120);
+    assert.equal(low.tension, 0);
+    assert.equal(high.tension, 1);
+    assert.equal(low.freedom, 0);
+    assert.equal(high.freedom, 1);
+  });
+
+  it('should use a custom mapping', () => {
+    const mapping = createMapping({ root: { value: 36 }, bpm: { source: 'mood', min: 90, max: 90 } });
+    const music = mapState(neutral, mapping);
+    assert.equal(music.root, 36);
+    assert.equal(music.bpm, 90);
+  });
+});
+
+describe('Music Mapping — renderPhrase', () => {
+  const music = {
+    scale: 'minor', root: 48, bpm: 120, recursionDepth: 1, octaveRange: 2, velocity: 90, noteDensity: 2,
+  };
+
+  it('should schedule the recursed sequence at the mapped tempo and density', () => {
+    const scheduler = renderPhrase(music, { length: 4, seed: 9 });
+    const schedule = scheduler.getSchedule();
+    assert.equal(scheduler.getBPM(), 120);
+    assert.equal(schedule.length, 12); // 4 * 3
+    assert.equal(schedule[1].time, 250); // two notes per 500ms beat
+    assert.ok(schedule.every((e) => e.velocity === 90 && e.duration === 250));
+  });
+
+  it('should stay within the mapped note pool', () => {
+    const pool = buildNotePool('minor', 48, 2);
+    const schedule = renderPhrase({ ...music, recursionDepth: 0 }, { length: 32 }).getSchedule();
+    schedule.forEach((e) => assert.ok(pool.includes(e.note)));
+  });
+
+  it('should be deterministic per seed', () => {
+    assert.deepEqual(
+      renderPhrase(music, { seed: 3 }).getSchedule(),
+      renderPhrase(music, { seed: 3 }).getSchedule()
+    );
+  });
+});
+
+// =============================================================================
+// NOTE STREAM
+// =============================================================================
+
+describe('NoteStream', () => {
+  const music = {
+    scale: 'minor', root: 48, bpm: 120, recursionDepth: 0, octaveRange: 2, velocity: 90, noteDensity: 2,
+  };
+  let stream;
+
+  beforeEach(() => {
+    stream = new NoteStream({ lookaheadMs: 1000, phraseLength: 8, seed: 5 });
+  });
+
+  it('should schedule nothing before music is set', () => {
+    assert.deepEqual(stream.advance(0), []);
+  });
+
+  it('should schedule notes on its configured track', () => {
+    const tracked = new NoteStream({ track: { channel: 3, address: '/synth/lead' } });
+    tracked.setMusic(music);
+    tracked.advance(0);
+    const track = tracked.getTrack();
+    assert.deepEqual([track.name, track.channel, track.address], ['main', 3, '/synth/lead']);
+    assert.equal(tracked._phrase.scheduler.getTrack('main').channel, 3);
+    assert.throws(() => new NoteStream({ track: { channel: 16 } }), /channel must be 0–15/);
+  });
+
+  it('should fill the lookahead window with server-timed steps', () => {
+    stream.setMusic(music);
+    const events = stream.advance(10000);
+    assert.deepEqual(events.map((e) => e.time), [10000, 10250, 10500, 10750]);
+    assert.ok(events.every((e) => e.velocity === 90 && e.duration === 225));
+    assert.equal(stream.getNextTime(), 11000);
+  });
+
+  it('should only return newly scheduled events', () => {
+    stream.setMusic(music);
+    stream.advance(10000);
+    assert.deepEqual(stream.advance(10000), []);
+    assert.deepEqual(stream.advance(10300).map((e) => e.time), [11000, 11250]);
+  });
+
+  it('should play the generated phrase in order', () => {
+    stream.setMusic(music);
+    const notes = stream.advance(0).concat(stream.advance(1000)).map((e) => e.note);
+    assert.deepEqual(notes, generateSequence(8, 'minor', 5, 48, 2));
+  });
+
+  it('should move to the next seed after each phrase', () => {
+    stream.setMusic(music);
+    stream.advance(0);
+    stream.advance(1000);     // 8 steps = one full phrase
+    const next = stream.advance(2000).map((e) => e.note);
+    assert.deepEqual(next, generateSequence(8, 'minor', 6, 48, 2).slice(0, 4));
+  });
+
+  it('should apply tempo changes from the next step', () => {
+    stream.setMusic(music);
+    stream.advance(0);
+    stream.setMusic({ ...music, bpm: 60 });
+    assert.deepEqual(stream.advance(500).map((e) => e.time), [1000]);
+    assert.equal(stream.getNextTime(), 1500);
+  });
+
+  it('should start a new phrase when the scale changes', () => {
+    stream.setMusic(music);
+    stream.advance(0);
+    stream.setMusic({ ...music, scale: 'major' });
+    const pool = buildNotePool('major', 48, 2);
+    stream.advance(1000).forEach((e) => assert.ok(pool.includes(e.note)));
+  });
+
+  it('should resume at the current time after falling behind', () => {
+    stream.setMusic(music);
+    stream.advance(0);
+    const events = stream.advance(60000);
+    assert.equal(events[0].time, 60000);
+  });
+
+  it('should report upcoming events of the current phrase', () => {
+    stream.setMusic(music);
+    stream.advance(0);
+    assert.deepEqual(stream.getUpcoming(400).map((e) => e.time), [500, 750]);
+  });
+
+  it('should run new phrases through the transform pipeline', () => {
+    stream.setMusic(music);
+    stream.setTransforms([{ op: 'retrograde' }, { op: 'augment', factor: 2 }]);
+    const events = stream.advance(0);
+    assert.deepEqual(events.map((e) => e.time), [0, 500]);
+    assert.equal(events[0].duration, 450);
+    assert.equal(events[0].note, generateSequence(8, 'minor', 5, 48, 2)[7]);
+    assert.deepEqual(stream.getTransforms(), [{ op: 'retrograde' }, { op: 'augment', factor: 2 }]);
+  });
+
+  it('should keep the current transforms when new ones are invalid', () => {
+    stream.setTransforms([{ op: 'retrograde' }]);
+    assert.throws(() => stream.setTransforms([{ op: 'shuffle' }]), /Unknown transform/);
+    assert.throws(() => stream.setTransforms([{ op: 'augment', factor: -1 }]), /positive/);
+    assert.throws(() => stream.setTransforms([{ op: 'augment', factor: 1e-20 }]), /from 1\/16 to 16/);
+    assert.throws(() => stream.setTransforms([{ op: 'transpose', semitones: 'x' }]), /semitones/);
+    assert.deepEqual(stream.getTransforms(), [{ op: 'retrograde' }]);
+  });
+
+  it('should refuse steps too short to schedule', () => {
+    stream.setMusic({ ...music, noteDensity: 1e9 });
+    assert.throws(() => stream.advance(0), /at least 1 ms/);
+    stream.setMusic({ ...music, bpm: NaN });
+    assert.throws(() => stream.advance(0), /finite/);
+  });
+
+  it('should generate constrained phrases loosened by freedom', () => {
+    const constrained = new NoteStream({ lookaheadMs: 4000, phraseLength: 8, seed: 5, melody: 'constrained' });
+    constrained.setMusic({ ...music, freedom: 0.2 });
+    const notes = constrained.advance(0).slice(0, 8).map((e) => e.note);
+    const expected = generateMelody(8, { scale: 'minor', root: 48, octaveRange: 2, seed: 5, intensity: 0.2 });
+    assert.deepEqual(notes, expected);
+    assert.throws(() => new NoteStream({ melody: 'serial' }), /Unknown melody generator/);
+  });
+
+  it('should stream constrained phrases unbroken by recursion', () => {
+    const constrained = new NoteStream({
+      lookaheadMs: 60000,
+      phraseLength: 8,
+      seed: 3,
+      melody: 'constrained',
+      // Without the tonic ending, which outranks maxRepeats, no rule is ever waived
+      melodyOptions: { maxLeap: 2, maxRepeats: 1, endOnTonic: false },
+    });
+    constrained.setMusic({ ...music, scale: 'major', recursionDepth: 2 });
+    const notes = constrained.advance(0).map((e) => e.note);
+    const pool = [...buildNotePool('major', 48, 2), 72];
+    for (let start = 0; start + 8 <= notes.length; start += 8) {
+      const phrase = notes.slice(start, start + 8);
+      phrase.forEach((note, i) => {
+        assert.ok(pool.includes(note), `${note} is not in C major`);
+        if (i === 0) return;
+        assert.notEqual(note, phrase[i - 1]);
+        assert.ok(Math.abs(pool.indexOf(note) - pool.indexOf(phrase[i - 1])) <= 2);
+      });
+    }
+    assert.ok(notes.length >= 16);
+  });
+});
+
+// =============================================================================
+// CLOCK SYNC
+// =============================================================================
+
+describe('ClockSync', () => {
+  // Exchange with a client running `skew` ms behind the server, `oneWay` ms
+  // each way and `hold` ms between the client receiving and replying
+  function exchange(t0, skew, oneWay = 10, hold = 1) {
+    const t1 = t0 + oneWay - skew;
+    const t2 = t1 + hold;
+    return { t0, t1, t2, t3: t2 + skew + oneWay };
+  }
+
+  it('should compute offset and delay from one exchange', () => {
+    const sample = computeSample(exchange(1000, 500));
+    assert.equal(sample.offset, 500);
+    assert.equal(sample.delay, 20);
+  });
+
+  it('should report zero offset before any exchange', () => {
+    const sync = new ClockSync();
+    assert.equal(sync.isSynced(), false);
+    assert.equal(sync.getOffset(), 0);
+    assert.equal(sync.toServerTime(123), 123);
+  });
+
+  it('should reject malformed exchanges', () => {
+    const sync = new ClockSync();
+    assert.equal(sync.addSample({ t0: 1, t1: 'x', t2: 3, t3: 4 }), null);
+    assert.equal(sync.addSample({ t0: 100, t1: 0, t2: 1, t3: 50 }), null);
+    assert.equal(sync.isSynced(), false);
+  });
+
+  it('should take the offset from the lowest-delay exchange', () => {
+    const sync = new ClockSync();
+    sync.addSample(exchange(1000, -200, 80));
+    sync.addSample(exchange(1100, -200, 5));
+    // Asymmetric path: slow outbound only, biasing the offset estimate
+    sync.addSample({ t0: 1200, t1: 1550, t2: 1551, t3: 1356 });
+    assert.equal(sync.getOffset(), -200);
+    assert.equal(sync.getDelay(), 10);
+    assert.equal(sync.toServerTime(5000), 4800);
+  });
+
+  it('should keep a sliding window of exchanges', () => {
+    const sync = new ClockSync({ windowSize: 3 });
+    for (let i = 0; i < 5; i++) sync.addSample(exchange(i * 100, 0));
+    assert.equal(sync.samples.length, 3);
+  });
+
+  it('should estimate drift and extrapolate the offset', () => {
+    const sync = new ClockSync();
+    // Client clock runs 1 ms fast per second relative to the server
+    for (let i = 0; i < 5; i++) {
+      const t0 = i * 1000;
+      sync.addSample(exchange(t0, -t0 / 1000));
+    }
+    assert.ok(Math.abs(sync.getDrift() - -0.001) < 1e-5);
+    assert.ok(Math.abs(sync.getOffset(10000) - -10) < 0.05);
+    assert.ok(Math.abs(sync.getStatus().offset - -4) < 0.05);
+  });
+
+  it('should not estimate drift over a short span', () => {
+    const sync = new ClockSync();
+    sync.addSample(exchange(0, 0));
+    sync.addSample(exchange(100, 5));
+    assert.equal(sync.getDrift(), 0);
+  });
+});
+
+// =============================================================================
+// GROOVE
+// =============================================================================
+
+describe('Groove — swing and templates', () => {
+  let scheduler;
+  let eighths;
+
+  beforeEach(() => {
+    scheduler = new Scheduler(120);
+    // Eight straight eighth notes (250 ms apart)
+    for (let i = 0; i < 8; i++) scheduler.scheduleNote(60 + i, i * 250, 200, 100);
+    eighths = scheduler.getSchedule();
+  });
+
+  it('should delay every second eighth note by the swing amount', () => {
+    const swung = applySwing(eighths, scheduler, 66.7);
+    const times = swung.map((e) => Math.round(e.time));
+    assert.deepEqual(times, [0, 334, 500, 834, 1000, 1334, 1500, 1834]);
+    assert.ok(swung.every((e) => e.duration === 200));
+  });
+
+  it('should leave notes straight at 50%', () => {
+    assert.deepEqual(applySwing(eighths, scheduler, 50), eighths);
+  });
+
+  it('should swing sixteenths and keep off-grid deviations', () => {
+    const events = [{ note: 60, time: 135, duration: 100, velocity: 90 }];
+    const [swung] = applySwing(events, scheduler, 60, 'sixteenth');
+    assert.ok(Math.abs(swung.time - 160) < 1e-9); // slot 1 shifted by 0.2 × 125 ms
+  });
+
+  it('should reject swing outside 50–90%', () => {
+    assert.throws(() => applySwing(eighths, scheduler, 40), /between 50 and 90/);
+  });
+
+  it('should apply a built-in template', () => {
+    const grooved = applyGroove(eighths, scheduler, 'shuffle');
+    assert.ok(Math.abs(grooved[1].time - (250 + 250 / 3)) < 1e-9);
+    assert.equal(grooved[0].velocity, 108);
+    assert.equal(grooved[1].velocity, 92);
+  });
+
+  it('should scale a template by strength', () => {
+    const none = applyGroove(eighths, scheduler, 'shuffle', { strength: 0 });
+    assert.deepEqual(none.map((e) => e.time), eighths.map((e) => e.time));
+    const half = applyGroove(eighths, scheduler, 'shuffle', { strength: 0.5 });
+    assert.equal(half[1].velocity, 96);
+  });
+
+  it('should follow the tempo map', () => {
+    scheduler.setTempoAt(2, 60); // eighths are 500 ms from beat 2
+    const [evt] = applyGroove([{ note: 60, time: 2500, duration: 100 }], scheduler, 'shuffle');
+    assert.ok(Math.abs(evt.time - (2500 + 500 / 3)) < 1e-9);
+    assert.equal(evt.velocity, 92);
+  });
+
+  it('should load templates from JSON and files', () => {
+    const json = JSON.stringify({ name: 'lazy', subdivision: 'eighth', timing: [0, 0.25] });
+    assert.deepEqual(loadGroove(json), {
+      name: 'lazy', subdivision: 'eighth', timing: [0, 0.25], velocity: [0, 0],
+    });
+    const grooved = applyGroove(eighths, scheduler, json);
+    assert.equal(grooved[1].time, 312.5);
+
+    const file = path.join(os.tmpdir(), `groove-${process.pid}.json`);
+    fs.writeFileSync(file, json);
+    try {
+      assert.equal(loadGrooveFile(file).name, 'lazy');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it('should reject malformed templates', () => {
+    assert.throws(() => loadGroove('{oops'), /Invalid groove JSON/);
+    assert.throws(() => loadGroove({ timing: [] }), /non-empty array/);
+    assert.throws(() => loadGroove({ timing: [0, 1.5] }), /fractions of a grid step/);
+    assert.throws(() => loadGroove({ timing: [0, 0.1], velocity: [0] }), /same length/);
+    assert.throws(() => loadGroove({ subdivision: 'breve', timing: [0] }), /Unknown subdivision/);
+    assert.throws(() => applyGroove(eighths, scheduler, 'bossa'), /Unknown groove/);
+  });
+
+  it('should validate every built-in template', () => {
+    Object.keys(GROOVES).forEach((name) => assert.doesNotThrow(() => applyGroove(eighths, scheduler, name)));
+  });
+
+  it('should write transformed events back to the scheduler', () => {
+    scheduler.setSchedule(applySwing(eighths, scheduler, 75));
+    assert.equal(scheduler.getSchedule()[1].time, 375);
+    assert.throws(() => scheduler.setSchedule([{ note: 300, time: 0 }]), /Invalid MIDI note/);
+    assert.equal(scheduler.getSchedule().length, 8);
+  });
+});
+
+describe('Groove — humanize', () => {
+  const events = Array.from({ length: 16 }, (_, i) => ({ note: 60, time: i * 125, duration: 100, velocity: 100 }));
+
+  it('should be deterministic per seed', () => {
+    assert.deepEqual(humanize(events, { seed: 7 }), humanize(events, { seed: 7 }));
+    assert.notDeepEqual(humanize(events, { seed: 7 }), humanize(events, { seed: 8 }));
+  });
+
+  it('should stay within the requested ranges', () => {
+    const human = humanize(events, { timing: 5, velocity: 10, seed: 3 });
+    human.forEach((e) => {
+      assert.ok(events.some((o) => Math.abs(o.time - e.time) <= 5));
+      assert.ok(e.velocity >= 90 && e.velocity <= 110);
+    });
+  });
+
+  it('should not move notes before zero or out of MIDI velocity range', () => {
+    const loud = [{ note: 60, time: 0, duration: 100, velocity: 127 }];
+    const [e] = humanize(loud, { timing: 50, velocity: 40, seed: 1 });
+    assert.ok(e.time >= 0);
+    assert.ok(e.velocity >= 1 && e.velocity <= 127);
+  });
+
+  it('should do nothing with zero amounts', () => {
+    assert.deepEqual(humanize(events, { timing: 0, velocity: 0 }), events);
+  });
+});
+
+// =============================================================================
+// VOICE ALLOCATOR TESTS
+// =============================================================================
+
+describe('VoiceAllocator', () => {
+  const summary = (messages) => messages.map((m) => [m.type === 'noteOn' ? 'on' : 'off', m.note, m.time]);
+
+  it('should expand notes into ordered note-on/note-off pairs', () => {
+    const messages = expandNotes([
+      { note: 64, time: 500, duration: 500, velocity: 80 },
+      { note: 60, time: 0, duration: 500, velocity: 100 },
+    ]);
+    assert.deepEqual(summary(messages), [
+      ['on', 60, 0], ['off', 60, 500], ['on', 64, 500], ['off', 64, 1000],
+    ]);
+    assert.equal(messages[0].velocity, 100);
+    assert.equal(messages[1].reason, 'end');
+  });
+
+  it('should end a sounding note when the same pitch retriggers', () => {
+    const messages = expandNotes([
+      { note: 60, time: 0, duration: 1000 },
+      { note: 60, time: 250, duration: 500 },
+    ]);
+    assert.deepEqual(summary(messages), [
+      ['on', 60, 0], ['off', 60, 250], ['on', 60, 250], ['off', 60, 750],
+    ]);
+    assert.equal(messages[1].reason, 'retrigger');
+  });
+
+  it('should allocate voices separately per track', () => {
+    const messages = expandNotes(
+      [
+        { note: 60, time: 0, duration: 1000, track: 'a' },
+        { note: 60, time: 250, duration: 500, track: 'b' },
+        { note: 62, time: 500, duration: 500, track: 'b' },
+      ],
+      { maxPolyphony: 1 }
+    );
+    const offs = messages.filter((m) => m.type === 'noteOff');
+    assert.deepEqual(offs.map((m) => [m.track, m.note, m.time, m.reason]), [
+      ['b', 60, 500, 'steal'], ['a', 60, 1000, 'end'], ['b', 62, 1000, 'end'],
+    ]);
+  });
+
+  const chord = [
+    { note: 64, time: 0, duration: 2000, velocity: 60 },
+    { note: 60, time: 100, duration: 2000, velocity: 110 },
+    { note: 67, time: 200, duration: 2000, velocity: 90 },
+    { note: 72, time: 300, duration: 2000, velocity: 100 },
+  ];
+  const stolen = (steal) => expandNotes(chord, { maxPolyphony: 3, steal })
+    .find((m) => m.reason === 'steal');
+
+  it('should steal the oldest voice by default', () => {
+    assert.deepEqual([stolen(StealPolicy.OLDEST).note, stolen().note], [64, 64]);
+    assert.equal(stolen().time, 300);
+  });
+
+  it('should steal the quietest or lowest voice', () => {
+    assert.equal(stolen(StealPolicy.QUIETEST).note, 64);
+    assert.equal(stolen(StealPolicy.LOWEST).note, 60);
+  });
+
+  it('should never exceed the polyphony limit', () => {
+    const allocator = new VoiceAllocator({ maxPolyphony: 2 });
+    const events = Array.from({ length: 20 }, (_, i) => ({ note: 40 + i, time: i * 10, duration: 500 }));
+    allocator.allocate(events);
+    assert.equal(allocator.getActiveVoices().length, 2);
+    assert.deepEqual(allocator.getActiveVoices().map((v) => v.note), [58, 59]);
+  });
+
+  it('should keep note-offs pending across streamed windows', () => {
+    const allocator = new VoiceAllocator();
+    const first = [
+      ...allocator.allocate([{ note: 60, time: 0, duration: 1500 }]),
+      ...allocator.release(1000),
+    ];
+    assert.deepEqual(summary(first), [['on', 60, 0]]);
+
+    const second = [
+      ...allocator.allocate([{ note: 60, time: 1200, duration: 300 }]),
+      ...allocator.release(2000),
+    ];
+    assert.deepEqual(summary(second), [['off', 60, 1200], ['on', 60, 1200], ['off', 60, 1500]]);
+    assert.equal(allocator.getActiveVoices().length, 0);
+  });
+
+  it('should reject invalid options and events before allocated time', () => {
+    assert.throws(() => new VoiceAllocator({ maxPolyphony: 0 }), /polyphony/);
+    assert.throws(() => new VoiceAllocator({ steal: 'newest' }), /Unknown steal policy: "newest"/);
+    const allocator = new VoiceAllocator();
+    allocator.allocate([{ note: 60, time: 500, duration: 100 }]);
+    assert.throws(() => allocator.allocate([{ note: 60, time: 100, duration: 100 }]), /before/);
+  });
+
+  it('should limit polyphony in MIDI export', () => {
+    const midi = parseMidiFile(encodeMidiFile(chord, { maxPolyphony: 3, steal: 'lowest' }));
+    const notes = extractNotes(midi);
+    const sixty = notes.find((n) => n.note === 60);
+    assert.ok(Math.abs(sixty.duration - 200) < 1);
+    assert.equal(notes.length, 4);
+  });
+
+  it('should send note-on and note-off messages over OSC', () => {
+    const bridge = new OSCBridge({ udp: false });
+    bridge.connect();
+    const [on, off] = expandNotes([{ note: 60, time: 1000, duration: 250, velocity: 90, track: 'lead' }]);
+    const track = { name: 'lead', channel: 3, address: '/synth/lead' };
+    const sentOn = bridge.sendNoteMessage(on, track);
+    const sentOff = bridge.sendNoteMessage(off, track);
+    assert.equal(sentOn.address, '/synth/lead/on');
+    assert.deepEqual(sentOn.args.map((a) => a.value), [60, 90, 3, 'lead']);
+    assert.equal(sentOff.address, '/synth/lead/off');
+    assert.deepEqual(sentOff.args.map((a) => a.value), [60, 3, 'lead']);
+    assert.equal(sentOff.timetag, 1250);
+  });
+});
+
+// =============================================================================
+// L-SYSTEM
+// =============================================================================
+
+describe('L-system', () => {
+  it('should rewrite deterministic rules in parallel', () => {
+    assert.equal(expand('A', { A: 'AB', B: 'A' }, 0), 'A');
+    assert.equal(expand('A', { A: 'AB', B: 'A' }, 4), 'ABAABABA');
+  });
+
+  it('should reproduce applyRecursion with the midpoint preset', () => {
+    const seq = generateSequence(8, 'pentatonic', 42);
+    for (const depth of [1, 2, 3]) {
+      assert.deepEqual(expand(seq, LSYSTEMS.midpoint.rules, depth), applyRecursion(seq, depth));
+    }
+  });
+
+  it('should pick stochastic successors deterministically per seed', () => {
+    const rules = { N: [{ successor: 'N+N', weight: 1 }, { successor: 'N-N', weight: 1 }] };
+    const a = expand('N', rules, 5, { seed: 7 });
+    assert.equal(a, expand('N', rules, 5, { seed: 7 }));
+    assert.ok(a.includes('+') && a.includes('-'));
+    const always = expand('N', { N: [{ successor: 'A', weight: 1e9 }, { successor: 'B' }] }, 1);
+    assert.equal(always, 'A');
+  });
+
+  it('should prefer context-sensitive rules and skip ignored symbols', () => {
+    const rules = [
+      { symbol: 'N', left: 'N', successor: 'R' },
+      { symbol: 'N', right: 'NN', successor: 'S' },
+      { symbol: 'N', successor: 'N' },
+    ];
+    assert.equal(expand('N+N-N', rules, 1), 'S+R-R');
+    assert.equal(expand('N+N-N', rules, 1, { ignore: '' }), 'N+N-N');
+  });
+
+  it('should pass context to function successors', () => {
+    const rules = [{ symbol: 'N', successor: ({ index }) => (index === 0 ? 'NN' : 'N.') }];
+    assert.equal(expand('NN', rules, 1), 'NNN.');
+  });
+
+  it('should reject malformed rules and runaway expansion', () => {
+    assert.throws(() => normalizeRules(null), /array or an object/);
+    assert.throws(() => normalizeRules([{ successor: 'A' }]), /needs a symbol/);
+    assert.throws(() => normalizeRules({ A: 5 }), /successor/);
+    assert.throws(() => normalizeRules({ A: [{ successor: 'A', weight: 0 }] }), /weight/);
+    assert.throws(() => expand('A', { A: 'AA' }, 20, { maxLength: 1000 }), /maxLength/);
+    assert.throws(() => expand('A', { A: 'AA' }, -1), /Iterations/);
+  });
+
+  it('should interpret symbols as a melody over scale degrees', () => {
+    const notes = interpret('N+N[--N]>N.<N', { scale: 'major' });
+    assert.deepEqual(notes.map((n) => n.note), [60, 62, 59, 62, 62]);
+    assert.deepEqual(notes.map((n) => n.beat), [0, 0.5, 1, 1.5, 3.5]);
+    assert.deepEqual(notes.map((n) => n.duration), [0.5, 0.5, 0.5, 1, 0.5]);
+    assert.throws(() => interpret('N]'), /Unbalanced/);
+  });
+
+  it('should generate notes from the built-in systems', () => {
+    const { symbols, notes } = generateLSystem('fibonacci', 4, { scale: 'minor', root: 57 });
+    assert.equal(symbols, 'A+B+-A+-A+B+-A+B+-A');
+    assert.equal(notes.length, 8);
+    assert.equal(notes[0].note, 57);
+    for (const name of ['call_response', 'wandering', 'echo']) {
+      assert.ok(generateLSystem(name, 3).notes.length > 1, name);
+    }
+    assert.throws(() => generateLSystem('nope', 1), /Unknown L-system: "nope"/);
+    assert.throws(() => generateLSystem('midpoint', 1), /string axiom/);
+  });
+});
+
+// =============================================================================
+// MARKOV MODEL
+// =============================================================================
+
+describe('Markov model', () => {
+  const scaleUp = [60, 62, 64, 65, 67, 69, 71, 72];
+
+  it('should only produce transitions seen in training', () => {
+    const model = new MarkovModel({ order: 1 }).train(scaleUp);
+    const melody = model.sample(30, { start: [60] });
+    let prev = 0;
+    for (const { degree } of melody) {
+      // Every degree follows its predecessor, except after the unseen 7 (back-off)
+      if (prev < 7) assert.equal(degree, prev + 1);
+      prev = degree;
+    }
+  });
+
+  it('should use longer contexts at higher order', () => {
+    const phrase = [60, 62, 64, 62, 60, 62, 67];
+    const first = new MarkovModel({ order: 1 }).train(phrase);
+    const second = new MarkovModel({ order: 2 }).train(phrase);
+    assert.deepEqual(first.getTransitions([62]), { 2: 1 / 3, 0: 1 / 3, 4: 1 / 3 });
+    assert.deepEqual(second.getTransitions([60, 62]), { 2: 0.5, 4: 0.5 });
+    assert.deepEqual(second.getTransitions([64, 62]), { 0: 1 });
+    // Unseen context backs off to order 1
+    assert.deepEqual(second.getTransitions([67, 62]), first.getTransitions([62]));
+  });
+
+  it('should sample deterministically per seed in any scale', () => {
+    const model = new MarkovModel({ order: 2 }).train([60, 64, 62, 65, 64, 67, 65, 69, 67, 60]);
+    assert.deepEqual(model.sample(16, { seed: 5 }), model.sample(16, { seed: 5 }));
+    const major = model.sample(16, { seed: 5 });
+    const minor = model.sample(16, { seed: 5, scale: 'minor', root: 57 });
+    assert.deepEqual(minor.map((n) => n.degree), major.map((n) => n.degree));
+    assert.equal(minor[0].note, degreeToMidi(major[0].degree, 'minor', 57));
+  });
+
+  it('should model durations alongside degrees', () => {
+    const model = new MarkovModel({ durations: true }).train([
+      { note: 60, duration: 1 }, { note: 62, duration: 0.5 }, { note: 64, duration: 0.5 },
+    ]);
+    const melody = model.sample(2, { start: [{ note: 60, duration: 1 }] });
+    assert.deepEqual(melody, [
+      { degree: 1, note: 62, duration: 0.5 },
+      { degree: 2, note: 64, duration: 0.5 },
+    ]);
+    assert.throws(() => model.train([60]), /durations/);
+  });
+
+  it('should round-trip through JSON', () => {
+    const model = new MarkovModel({ order: 2, scale: 'pentatonic', root: 48 })
+      .train([48, 50, 52, 55, 57, 60])
+      .train([60, 57, 55, 52, 50, 48]);
+    const restored = MarkovModel.fromJSON(JSON.stringify(model));
+    assert.equal(restored.order, 2);
+    assert.equal(restored.scale, 'pentatonic');
+    assert.deepEqual(restored.sample(24, { seed: 9 }), model.sample(24, { seed: 9 }));
+    assert.throws(() => MarkovModel.fromJSON({ version: 99 }), /Unsupported/);
+  });
+
+  it('should train from MIDI, keeping the top note of chords', () => {
+    const events = scaleUp.map((note, i) => ({ note, time: i * 500, duration: 450, velocity: 100 }));
+    events.push({ note: 48, time: 0, duration: 4000, velocity: 80 });
+    const model = new MarkovModel({ durations: true }).trainFromMidi(encodeMidiFile(events, { bpm: 120 }));
+    assert.deepEqual(model.getTransitions([{ degree: 0, duration: 1 }]), { '1|1': 1 });
+    assert.deepEqual(model.getTransitions([{ degree: 6, duration: 1 }]), { '7|1': 1 });
+    assert.ok(!('-7|8' in model.getTransitions()));
+  });
+
+  it('should blend models by weight and by mood', () => {
+    const dark = new MarkovModel().train([60, 62, 60, 62]);
+    const bright = new MarkovModel().train([60, 64, 60, 64]);
+    assert.deepEqual(blendModels([dark, bright], [3, 1]).getTransitions([60]), { 1: 0.75, 2: 0.25 });
+    assert.deepEqual(blendByMood([dark, bright], 0).getTransitions([60]), { 1: 1 });
+    assert.deepEqual(blendByMood([dark, bright], 1).getTransitions([60]), { 2: 1 });
+    assert.deepEqual(blendByMood([dark, bright], 0.5).getTransitions([60]), { 1: 0.5, 2: 0.5 });
+    assert.throws(() => blendModels([dark, new MarkovModel({ order: 2 })]), /share order/);
+    assert.throws(() => blendModels([dark, bright], [0, 0]), /positive weight/);
+  });
+
+  it('should reject invalid options and untrained sampling', () => {
+    assert.throws(() => new MarkovModel({ order: 0 }), /order/);
+    assert.throws(() => new MarkovModel({ scale: 'nope' }), /Unknown scale/);
+    assert.throws(() => new MarkovModel().sample(4), /not been trained/);
+  });
+});
+
+// =============================================================================
+// HARMONY
+// =============================================================================
+
+describe('Harmony — chords', () => {
+  it('should build diatonic triads and sevenths with Roman numerals', () => {
+    assert.deepEqual(diatonicChords('major').map((c) => c.numeral), ['I', 'ii', 'iii', 'IV', 'V', 'vi', 'vii°']);
+    assert.deepEqual(
+      diatonicChords('major', { size: 4 }).map((c) => c.quality),
+      ['major7', 'minor7', 'minor7', 'major7', 'dominant7', 'minor7', 'half_diminished7']
+    );
+    assert.deepEqual(diatonicChords('harmonic_minor').map((c) => c.numeral)[2], 'III+');
+  });
+
+  it('should place chords on the root and wrap degrees', () => {
+    const fifth = buildChord(4, 'minor', { root: 57 });
+    assert.deepEqual(fifth.notes, [64, 67, 71]);
+    assert.equal(fifth.quality, 'minor');
+    const wrapped = buildChord(7, 'major');
+    assert.equal(wrapped.degree, 0);
+    assert.deepEqual(wrapped.notes, [72, 76, 79]);
+  });
+
+  it('should invert chords', () => {
+    assert.deepEqual(buildChord(0, 'major', { inversion: 1 }).notes, [64, 67, 72]);
+    assert.deepEqual(buildChord(0, 'major', { inversion: 2 }).notes, [67, 72, 76]);
+    assert.equal(buildChord(0, 'major', { inversion: 1 }).root, 60);
+  });
+
+  it('should build chords from non-heptatonic scales', () => {
+    const chords = diatonicChords('pentatonic');
+    assert.equal(chords.length, 5);
+    assert.deepEqual(chords[0].notes, [60, 64, 69]);
+    assert.equal(chords[0].quality, 'other');
+    assert.throws(() => buildChord(0, 'pentatonic', { size: 6 }), /Chord size/);
+  });
+});
+
+describe('Harmony — progressions', () => {
+  it('should follow graph edges deterministically per seed', () => {
+    const degrees = generateProgression(16, { seed: 3 });
+    assert.deepEqual(degrees, generateProgression(16, { seed: 3 }));
+    assert.equal(degrees[0], 0);
+    const graph = { 0: { 4: 1 }, 4: { 0: 1 } };
+    assert.deepEqual(generateProgression(5, { graph }), [0, 4, 0, 4, 0]);
+    assert.deepEqual(generateProgression(8, { graph: 'circle', start: 2 }), [2, 5, 1, 4, 0, 3, 6, 2]);
+  });
+
+  it('should favour dominant chords under high tension', () => {
+    const dominants = (tension) => generateProgression(400, { tension, seed: 1 })
+      .filter((d) => d === 4 || d === 6).length;
+    assert.ok(dominants(1) > dominants(0.5));
+    assert.ok(dominants(0.5) > dominants(0));
+  });
+
+  it('should stay within shorter scales', () => {
+    const degrees = generateProgression(50, { scale: 'pentatonic', seed: 8 });
+    assert.ok(degrees.every((d) => d >= 0 && d < 5));
+    assert.throws(() => generateProgression(4, { graph: 'nope' }), /Unknown progression graph: "nope"/);
+  });
+});
+
+describe('Harmony — voice leading and events', () => {
+  it('should move each voice to the nearest chord tone', () => {
+    assert.deepEqual(voiceLead([60, 64, 67], [65, 69, 72]), [60, 65, 69]);
+    assert.deepEqual(voiceLead([60, 64, 67], [67, 71, 74]), [59, 62, 67]);
+  });
+
+  it('should keep every chord tone and double when there are extra voices', () => {
+    const voiced = voiceLead([48, 60, 64, 67], [55, 59, 62]);
+    assert.equal(voiced.length, 4);
+    assert.deepEqual([...new Set(voiced.map((n) => n % 12))].sort((a, b) => a - b), [2, 7, 11]);
+  });
+
+  it('should voice-lead generated harmony smoothly', () => {
+    const chords = generateHarmony(8, { size: 4, seed: 5 });
+    for (let i = 1; i < chords.length; i++) {
+      const moved = chords[i].notes.reduce((sum, n, v) => sum + Math.abs(n - chords[i - 1].notes[v]), 0);
+      assert.ok(moved <= 12, `chord ${i} moved ${moved} semitones`);
+      const pcs = new Set(chords[i].notes.map((n) => n % 12));
+      const expected = new Set(buildChord(chords[i].degree, 'major', { size: 4 }).notes.map((n) => n % 12));
+      assert.deepEqual(pcs, expected);
+    }
+  });
+
+  it('should turn chords into scheduler events', () => {
+    const chords = generateHarmony(2, { voiceLeading: false });
+    const events = progressionToEvents(chords, { chordMs: 2000, startMs: 500, gate: 0.5, velocity: 70 });
+    assert.equal(events.length, 6);
+    assert.deepEqual(events[3], { chord: 1, note: chords[1].notes[0], time: 2500, duration: 1000, velocity: 70 });
+    const scheduler = new Scheduler(120);
+    events.forEach((e) => scheduler.scheduleNote(e.note, e.time, e.duration, e.velocity));
+    assert.equal(scheduler.getNotesInRange(2500, 2501).length, 3);
+    assert.throws(() => progressionToEvents(chords, {}), /chordMs/);
+  });
+});
+
+// =============================================================================
+// TUNING
+// =============================================================================
+
+describe('Tuning — pitch conversion', () => {
+  it('should convert pitches to and from frequencies', () => {
+    assert.equal(pitchToFrequency(69), 440);
+    assert.equal(pitchToFrequency(81), 880);
+    assert.ok(Math.abs(pitchToFrequency(60) - 261.6256) < 1e-4);
+    assert.ok(Math.abs(frequencyToPitch(pitchToFrequency(60.37)) - 60.37) < 1e-9);
+    assert.equal(pitchToFrequency(69, 432), 432);
+    assert.throws(() => frequencyToPitch(0), /positive/);
+  });
+
+  it('should split fractional pitches into a note and pitch bend', () => {
+    assert.deepEqual(pitchToBend(60), { note: 60, bend: 0, cents: 0 });
+    assert.deepEqual(pitchToBend(60.5), { note: 61, bend: -2048, cents: -50 });
+    assert.equal(pitchToBend(60.25, 1).bend, 2048);
+    assert.equal(pitchToBend(62, 1).bend, 0);
+    assert.equal(pitchToBend(60.49, 0.25).bend, 8191);
+  });
+});
+
+describe('Tuning — Scala files', () => {
+  const edo19 = [
+    '! 19edo.scl', '!', '19-tone equal temperament', ' 19', '!',
+    ...Array.from({ length: 19 }, (_, i) => ` ${((i + 1) * 1200 / 19).toFixed(5)}`),
+  ].join('\n');
+  const justMajor = '! just.scl\nJust major\n7\n9/8\n5/4 major third\n4/3\n3/2\n5/3\n15/8\n2\n';
+
+  it('should parse cents, ratios and integers', () => {
+    const scale = parseScala(justMajor);
+    assert.equal(scale.description, 'Just major');
+    assert.equal(scale.pitches.length, 7);
+    assert.ok(Math.abs(scale.pitches[1] - 386.3137) < 1e-4);
+    assert.equal(scale.pitches[6], 1200);
+    assert.ok(Math.abs(parseScala(edo19).pitches[0] - 63.15789) < 1e-5);
+  });
+
+  it('should reject malformed Scala files', () => {
+    assert.throws(() => parseScala('only a description'), /note count/);
+    assert.throws(() => parseScala('x\nmany\n'), /note count/);
+    assert.throws(() => parseScala('x\n2\n100.0\n'), /declares 2 notes but lists 1/);
+    assert.throws(() => parseScala('x\n1\n3/0\n'), /ratio/);
+    assert.throws(() => parseScala('x\n1\nabc\n'), /ratio/);
+  });
+
+  it('should register Scala scales for sequence generation', () => {
+    const info = registerScalaScale('edo19_test', edo19);
+    try {
+      assert.equal(info.description, '19-tone equal temperament');
+      assert.equal(info.period, 12);
+      assert.equal(info.intervals.length, 19);
+      assert.equal(info.root, 60);
+      const pool = buildNotePool('edo19_test', 60, 1);
+      assert.ok(Math.abs(pool[1] - 60.6315789) < 1e-6);
+      const seq = generateSequence(8, 'edo19_test', 7, 60, 1);
+      seq.forEach((n) => assert.ok(pool.includes(n)));
+    } finally {
+      unregisterScale('edo19_test');
+    }
+  });
+
+  it('should keep microtonal pitches through transposition and recursion', () => {
+    registerScalaScale('edo19_test', edo19);
+    try {
+      const pool = buildNotePool('edo19_test', 60, 1);
+      const [a, b] = [pool[1], pool[3]];   // 60.63…, 61.89…
+      assert.deepEqual(transpose([a, b], 2), [a + 2, b + 2]);
+      assert.deepEqual(applyRecursion([a, b], 1), [a, a, a, b, b - 1, b]);
+      assert.deepEqual(transposeChromatic([a], -1).map((n) => n.note), [a - 1]);
+      assert.equal(clampPitch(127.5), 127);
+      assert.equal(clampPitch(75.5), 75.5);
+    } finally {
+      unregisterScale('edo19_test');
+    }
+  });
+
+  it('should load Scala files from disk', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scala-'));
+    const file = path.join(dir, 'just.scl');
+    fs.writeFileSync(file, justMajor);
+    try {
+      const info = loadScalaFile('just_test', file);
+      assert.ok(Math.abs(info.intervals[2] - 3.863137) < 1e-6);
+      assert.ok(Math.abs(degreeToMidi(2, 'just_test') - 63.863137) < 1e-6);
+    } finally {
+      unregisterScale('just_test');
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should tune keys through a keyboard mapping', () => {
+    const tet = `12-TET\n12\n${Array.from({ length: 12 }, (_, i) => `${(i + 1) * 100}.0`).join('\n')}\n`;
+    const kbm = '! A = 432\n12\n0\n127\n60\n69\n432.0\n12\n0\n1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n11\n';
+    const mapping = parseKeyboardMapping(kbm);
+    assert.equal(mapping.reference, 69);
+    assert.equal(mapping.mapping.length, 12);
+
+    const freqs = keyFrequencies(tet, kbm);
+    assert.equal(freqs[69], 432);
+    assert.ok(Math.abs(freqs[81] - 864) < 1e-9);
+    const info = registerScalaScale('tet432_test', tet, { kbm });
+    unregisterScale('tet432_test');
+    assert.ok(Math.abs(pitchToFrequency(info.root) - freqs[60]) < 1e-9);
+  });
+
+  it('should leave unmapped and out-of-range keys silent', () => {
+    const tet = `12-TET\n12\n${Array.from({ length: 12 }, (_, i) => `${(i + 1) * 100}.0`).join('\n')}\n`;
+    // White keys only, C4 to C5
+    const kbm = '7\n60\n72\n60\n60\n261.63\n7\n0\nx\n1\nx\n2\n3\nx\n';
+    const freqs = keyFrequencies(tet, kbm);
+    assert.equal(freqs[59], null);
+    assert.equal(freqs[61], null);
+    assert.equal(freqs[60], 261.63);
+    assert.ok(Math.abs(freqs[62] - 261.63 * Math.pow(2, 1 / 12)) < 1e-9);
+    assert.equal(freqs[73], null);
+    assert.throws(() => keyFrequencies(tet, '7\n0\n127\n60\n61\n440\n7\n0\nx\n'), /unmapped/);
+    assert.throws(() => parseKeyboardMapping('1\n2\n3'), /7 header values/);
+  });
+});
+
+describe('Tuning — microtonal output', () => {
+  const events = [
+    { note: 60, time: 0, duration: 250, velocity: 100 },
+    { note: 60.5, time: 250, duration: 250, velocity: 100 },
+    { note: 62.25, time: 500, duration: 250, velocity: 100 },
+    { note: 64, time: 750, duration: 250, velocity: 100 },
+  ];
+
+  it('should write pitch bends and read fractional pitches back from MIDI', () => {
+    const midi = parseMidiFile(encodeMidiFile(events));
+    const bends = midi.tracks[1].filter((e) => e.type === 'pitchBend');
+    assert.deepEqual(bends.map((b) => b.value), [-2048, 1024, 0]);
+    const rpn = midi.tracks[1].filter((e) => e.type === 'controlChange').map((e) => [e.controller, e.value]);
+    assert.deepEqual(rpn, [[101, 0], [100, 0], [6, 2], [38, 0]]);
+
+    const notes = extractNotes(midi);
+    assert.deepEqual(notes.map((n) => n.note), [60, 61, 62, 64]);
+    assert.deepEqual(notes.map((n) => n.pitch), [undefined, 60.5, 62.25, undefined]);
+  });
+
+  it('should honour the pitch bend range', () => {
+    const midi = parseMidiFile(encodeMidiFile(events, { pitchBendRange: 12 }));
+    const notes = extractNotes(midi);
+    assert.ok(Math.abs(notes[1].pitch - 60.5) < 0.001);
+    assert.throws(() => encodeMidiFile(events, { pitchBendRange: 0 }), /Pitch bend range/);
+  });
+
+  it('should not write bends for 12-TET schedules', () => {
+    const midi = parseMidiFile(encodeMidiFile([events[0], events[3]]));
+    assert.ok(midi.tracks[1].every((e) => e.type !== 'pitchBend' && e.type !== 'controlChange'));
+  });
+
+  it('should send exact frequencies over OSC', () => {
+    const bridge = new OSCBridge({ udp: false, frequency: true });
+    bridge.connect();
+    const msg = bridge.sendNote({ note: 60.5, time: 0, duration: 100, velocity: 80 });
+    assert.equal(msg.args[0].value, 61);
+    assert.equal(msg.args[5].type, 'f');
+    assert.ok(Math.abs(msg.args[5].value - pitchToFrequency(60.5)) < 1e-9);
+    const [on, off] = expandNotes([{ note: 66.2, time: 0, duration: 100, velocity: 90 }]);
+    assert.equal(bridge.sendNoteMessage(on).args.length, 5);
+    assert.equal(bridge.sendNoteMessage(off).args[3].value, pitchToFrequency(66.2));
+
+    const plain = new OSCBridge({ udp: false });
+    plain.connect();
+    assert.equal(plain.sendNote({ note: 60.5, time: 0, duration: 100 }).args.length, 5);
+  });
+});
+
+// =============================================================================
+// TRANSFORM
+// =============================================================================
+
+describe('Transform — basic operations', () => {
+  const line = [60, 64, 67, 72];
+
+  it('should invert chromatically around an axis', () => {
+    assert.deepEqual(invert(line).map((n) => n.note), [60, 56, 53, 48]);
+    assert.deepEqual(invert(line, 66).map((n) => n.note), [72, 68, 65, 60]);
+    assert.deepEqual(invert([]), []);
+  });
+
+  it('should invert within a scale', () => {
+    // C E G C in C major mirrored around C: C A F C
+    const notes = invert(line, 60, { scale: 'major', root: 60 }).map((n) => n.note);
+    assert.deepEqual(notes, [60, 57, 53, 48]);
+  });
+
+  it('should reverse order but keep each note\'s duration', () => {
+    const seq = [{ note: 60, duration: 1 }, { note: 62, duration: 2 }];
+    assert.deepEqual(retrograde(seq), [{ note: 62, duration: 2 }, { note: 60, duration: 1 }]);
+    assert.deepEqual(seq[0], { note: 60, duration: 1 });
+  });
+
+  it('should scale durations and times', () => {
+    const seq = [{ note: 60, duration: 1, time: 0 }, { note: 62, duration: 0.5, time: 1 }];
+    assert.deepEqual(augment(seq), [
+      { note: 60, duration: 2, time: 0 },
+      { note: 62, duration: 1, time: 2 },
+    ]);
+    assert.deepEqual(diminish(seq, 4).map((n) => n.duration), [0.25, 0.125]);
+    assert.throws(() => augment(seq, 0), /Augmentation factor/);
+    assert.throws(() => diminish(seq, -2), /Diminution factor/);
+  });
+
+  it('should transpose chromatically and diatonically', () => {
+    assert.deepEqual(transposeChromatic(line, 3).map((n) => n.note), [63, 67, 70, 75]);
+    assert.equal(transposeChromatic([126], 5)[0].note, 127);
+    // Up a third in C major: C E G C -> E G B E
+    assert.deepEqual(transposeDiatonic(line, 2, 'major', 60).map((n) => n.note), [64, 67, 71, 76]);
+    assert.throws(() => transposeDiatonic(line, 1.5, 'major'), /whole number/);
+    assert.throws(() => transposeDiatonic(line, 1, 'nope'), /Unknown scale/);
+  });
+
+  it('should rotate in both directions', () => {
+    assert.deepEqual(rotate(line).map((n) => n.note), [64, 67, 72, 60]);
+    assert.deepEqual(rotate(line, -1).map((n) => n.note), [72, 60, 64, 67]);
+    assert.deepEqual(rotate(line, 4).map((n) => n.note), line);
+  });
+});
+
+describe('Transform — twelve-tone rows', () => {
+  // Berg, Violin Concerto
+  const row = [7, 10, 2, 6, 9, 0, 4, 8, 11, 1, 3, 5];
+
+  it('should validate rows', () => {
+    assert.deepEqual(toneRow(row.map((pc) => pc + 60)), row);
+    assert.throws(() => toneRow([0, 1, 2]), /12 pitch classes/);
+    assert.throws(() => toneRow([...row.slice(0, 11), 7]), /exactly once/);
+  });
+
+  it('should build P, I, R and RI forms', () => {
+    assert.deepEqual(rowForm(row, 'P'), row);
+    assert.deepEqual(rowForm(row, 'P', 0), [0, 3, 7, 11, 2, 5, 9, 1, 4, 6, 8, 10]);
+    assert.deepEqual(rowForm(row, 'I'), [7, 4, 0, 8, 5, 2, 10, 6, 3, 1, 11, 9]);
+    assert.deepEqual(rowForm(row, 'R'), [...row].reverse());
+    assert.deepEqual(rowForm(row, 'RI'), rowForm(row, 'I').reverse());
+    assert.throws(() => rowForm(row, 'X'), /Unknown row form/);
+  });
+
+  it('should build the row matrix', () => {
+    const matrix = twelveToneMatrix(row);
+    assert.deepEqual(matrix[0], row);
+    assert.deepEqual(matrix.map((r) => r[0]), rowForm(row, 'I'));
+    matrix.forEach((r, i) => assert.equal(r[i], row[0]));
+  });
+
+  it('should place pitch classes as notes', () => {
+    assert.deepEqual(rowToSequence([0, 11], 48, 0.5), [
+      { note: 48, duration: 0.5 },
+      { note: 59, duration: 0.5 },
+    ]);
+  });
+});
+
+describe('Transform — pipelines', () => {
+  it('should apply steps in order', () => {
+    const result = applyTransforms([60, 62, 64], [
+      { op: 'transpose', semitones: 12 },
+      { op: 'retrograde' },
+      { op: 'diminish' },
+    ]);
+    assert.deepEqual(result, [
+      { note: 76, duration: 0.5 },
+      { note: 74, duration: 0.5 },
+      { note: 72, duration: 0.5 },
+    ]);
+  });
+
+  it('should fall back on the context scale for diatonic steps', () => {
+    const pipeline = createPipeline([{ op: 'diatonicTranspose', steps: 1 }]);
+    assert.deepEqual(pipeline([60], { scale: 'major', root: 60 }).map((n) => n.note), [62]);
+    assert.deepEqual(pipeline([60], { scale: 'minor', root: 57 }).map((n) => n.note), [62]);
+    assert.deepEqual(pipeline([60]).map((n) => n.note), [61]);
+    const own = createPipeline([{ op: 'invert', diatonic: true, axis: 60, scale: 'major', root: 60 }]);
+    assert.deepEqual(own([64], { scale: 'chromatic' }).map((n) => n.note), [57]);
+  });
+
+  it('should reject bad pipelines up front', () => {
+    assert.throws(() => createPipeline({ op: 'retrograde' }), /array of steps/);
+    assert.throws(() => createPipeline([{ op: 'shuffle' }]), /Unknown transform: "shuffle"/);
+    assert.throws(() => createPipeline([null]), /Unknown transform/);
+    assert.throws(() => createPipeline([{ op: 'augment', factor: 'x' }]), /Augmentation factor/);
+    assert.throws(() => createPipeline([{ op: 'diatonicTranspose', steps: 1, scale: 'nope' }]), /Unknown scale/);
+  });
+
+  it('should limit time factors and pipeline length', () => {
+    assert.throws(() => augment([60], 1e-20), /from 1\/16 to 16/);
+    assert.throws(() => diminish([60], 17), /from 1\/16 to 16/);
+    assert.equal(augment([60], 1 / 16)[0].duration, 1 / 16);
+    const shrink = { op: 'diminish', factor: 4 };
+    assert.doesNotThrow(() => createPipeline([shrink, shrink]));
+    assert.throws(() => createPipeline([shrink, shrink, shrink]), /scale durations by 1\/16 to 16/);
+    const many = Array.from({ length: 17 }, () => ({ op: 'retrograde' }));
+    assert.throws(() => createPipeline(many), /at most 16 steps/);
+  });
+
+  it('should reject non-numeric parameters and inherited op names', () => {
+    assert.throws(() => createPipeline([{ op: 'transpose', semitones: 'x' }]), /finite number of semitones/);
+    assert.throws(() => createPipeline([{ op: 'transpose', semitones: NaN }]), /finite number of semitones/);
+    assert.throws(() => createPipeline([{ op: 'invert', axis: 'abc' }]), /axis must be a finite number/);
+    assert.throws(() => createPipeline([{ op: 'rotate', by: 1.5 }]), /whole number of positions/);
+    assert.throws(() => createPipeline([{ op: 'diatonicTranspose', steps: NaN }]), /whole number of steps/);
+    assert.throws(() => createPipeline([{ op: 'diatonicTranspose', steps: 1, root: 'x' }]), /finite notes/);
+    for (const op of ['constructor', 'toString', '__proto__']) {
+      assert.throws(() => createPipeline([{ op }]), /Unknown transform/);
+    }
+  });
+});
+
+// =============================================================================
+// MELODY
+// =============================================================================
+
+describe('Melody — constraints', () => {
+  const pool = [...buildNotePool('major', 60, 2), 84];
+  const steps = (notes) => notes.slice(1).map((n, i) => pool.indexOf(n) - pool.indexOf(notes[i]));
+
+  it('should be deterministic per seed', () => {
+    assert.deepEqual(generateMelody(16, { seed: 7 }), generateMelody(16, { seed: 7 }));
+    assert.notDeepEqual(generateMelody(16, { seed: 7 }), generateMelody(16, { seed: 8 }));
+  });
+
+  it('should stay in the scale and within the maximum leap', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const notes = generateMelody(24, { seed, maxLeap: 3 });
+      notes.forEach((n) => assert.ok(pool.includes(n)));
+      steps(notes).forEach((s) => assert.ok(Math.abs(s) <= 3));
+    }
+  });
+
+  it('should start and end on the tonic', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const notes = generateMelody(12, { seed, scale: 'dorian', root: 50 });
+      assert.equal((notes[0] - 50) % 12, 0);
+      assert.equal((notes[notes.length - 1] - 50) % 12, 0);
+    }
+  });
+
+  it('should recover from leaps by step in the opposite direction', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const s = steps(generateMelody(24, { seed, maxLeap: 5, endOnTonic: false }));
+      for (let i = 1; i < s.length; i++) {
+        if (Math.abs(s[i - 1]) > 2) assert.equal(s[i], -Math.sign(s[i - 1]));
+      }
+    }
+  });
+
+  it('should limit repeated notes', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const options = { seed, maxRepeats: 1, contourStrength: 1, contour: 'descending', endOnTonic: false };
+      const notes = generateMelody(32, options);
+      notes.slice(1).forEach((n, i) => assert.notEqual(n, notes[i]));
+    }
+  });
+
+  it('should keep to a range', () => {
+    const notes = generateMelody(16, { range: [64, 72], seed: 3 });
+    notes.forEach((n) => assert.ok(n >= 64 && n <= 72));
+    assert.throws(() => generateMelody(4, { range: [0, 10] }), /No valid MIDI notes/);
+  });
+
+  it('should reject bad options', () => {
+    assert.throws(() => generateMelody(0), /Length must be/);
+    assert.throws(() => generateMelody(4, { contour: 'zigzag' }), /Unknown contour: "zigzag"/);
+    assert.throws(() => generateMelody(4, { maxLeap: 0 }), /maxLeap/);
+    assert.throws(() => generateMelody(4, { maxRepeats: 1.5 }), /maxRepeats/);
+    assert.throws(() => generateMelody(4, { scale: 'nope' }), /Unknown scale/);
+  });
+});
+
+describe('Melody — contour and intensity', () => {
+  const mean = (notes) => notes.reduce((a, b) => a + b, 0) / notes.length;
+
+  it('should follow the contour', () => {
+    const options = { seed: 4, contourStrength: 1, startOnTonic: false, endOnTonic: false };
+    const up = generateMelody(16, { ...options, contour: 'ascending' });
+    const down = generateMelody(16, { ...options, contour: 'descending' });
+    assert.ok(mean(up.slice(-4)) > mean(up.slice(0, 4)));
+    assert.ok(mean(down.slice(-4)) < mean(down.slice(0, 4)));
+    const arch = generateMelody(17, { ...options, contour: 'arch' });
+    assert.ok(mean(arch.slice(6, 11)) > mean(arch.slice(0, 3)));
+    assert.ok(mean(arch.slice(6, 11)) > mean(arch.slice(-3)));
+  });
+
+  it('should accept custom contour functions', () => {
+    const notes = generateMelody(8, { contour: () => 1, contourStrength: 1, startOnTonic: false, seed: 2 });
+    assert.ok(notes[2] > 72);
+    assert.equal(CONTOURS.wave(0.25), 1);
+  });
+
+  it('should loosen constraints with intensity', () => {
+    const calm = constraintsForIntensity(0);
+    const wild = constraintsForIntensity(1);
+    assert.deepEqual(calm, { maxLeap: 2, contourStrength: 1, maxRepeats: 1, leapRecovery: true });
+    assert.equal(wild.maxLeap, 8);
+    assert.equal(wild.leapRecovery, false);
+    assert.deepEqual(constraintsForIntensity(5), wild);
+
+    const widest = (intensity) => {
+      let max = 0;
+      for (let seed = 1; seed <= 10; seed++) {
+        const notes = generateMelody(24, { seed, intensity });
+        notes.slice(1).forEach((n, i) => { max = Math.max(max, Math.abs(n - notes[i])); });
+      }
+      return max;
+    };
+    assert.ok(widest(0) <= 4);
+    assert.ok(widest(1) > widest(0));
+  });
+
+  it('should let explicit options win over intensity', () => {
+    const notes = generateMelody(24, { seed: 1, intensity: 1, maxLeap: 1 });
+    notes.slice(1).forEach((n, i) => assert.ok(Math.abs(n - notes[i]) <= 2));
+  });
+});
+
+// =============================================================================
+// COUNTERPOINT
+// =============================================================================
+
+describe('Counterpoint — rules', () => {
+  it('should collect the scale tones in a range', () => {
+    assert.deepEqual(voicePool('major', 60, [60, 72]), [60, 62, 64, 65, 67, 69, 71, 72]);
+    assert.deepEqual(voicePool('pentatonic', 50, [55, 62]), [57, 59, 62]);
+  });
+
+  it('should find parallel fifths and octaves', () => {
+    const found = findViolations([[67, 69], [60, 62]]);
+    assert.deepEqual(found, [{ step: 1, rule: 'parallels', voices: [0, 1] }]);
+    assert.deepEqual(findViolations([[72, 74], [60, 62]]).map((v) => v.rule), ['parallels']);
+    // Oblique motion into a fifth is fine
+    assert.deepEqual(findViolations([[67, 67], [64, 60]]), []);
+  });
+
+  it('should find crossing, dissonance and wide spacing', () => {
+    assert.deepEqual(findViolations([[60], [64]]).map((v) => v.rule), ['crossing']);
+    assert.deepEqual(findViolations([[65], [60]]).map((v) => v.rule), ['dissonance']);
+    assert.deepEqual(findViolations([[77], [72], [60]]).map((v) => v.rule), ['dissonance']);
+    const wide = findViolations([[88], [72], [48]]);
+    assert.deepEqual(wide.map((v) => [v.rule, v.voices]), [['spacing', [0, 1]], ['spacing', [1, 2]]]);
+    assert.deepEqual(findViolations([[88], [72], [48]], { maxSpacing: 16, maxBassSpacing: 24 }), []);
+  });
+});
+
+describe('Counterpoint — generation', () => {
+  it('should produce two to four voices in range and in the scale', () => {
+    for (const count of [2, 3, 4]) {
+      const voices = generateCounterpoint(8, { voices: count, scale: 'dorian', root: 62, seed: count });
+      assert.equal(voices.length, count);
+      assert.equal(voices[voices.length - 1].name, 'bass');
+      voices.forEach((voice) => {
+        const pool = voicePool('dorian', 62, VOICE_RANGES[voice.name]);
+        assert.equal(voice.notes.length, 8);
+        voice.notes.forEach((n) => assert.ok(pool.includes(n)));
+      });
+    }
+  });
+
+  it('should follow the rules and cadence on the tonic', () => {
+    for (let seed = 1; seed <= 5; seed++) {
+      const voices = generateCounterpoint(12, { seed });
+      assert.deepEqual(findViolations(voices), []);
+      const bass = voices[3].notes;
+      assert.equal(bass[0] % 12, 0);
+      assert.equal(bass[11] % 12, 0);
+      assert.equal(voices[0].notes[11] % 12, 0);
+    }
+  });
+
+  it('should be deterministic per seed', () => {
+    const a = generateCounterpoint(8, { voices: 3, seed: 9 });
+    assert.deepEqual(a, generateCounterpoint(8, { voices: 3, seed: 9 }));
+    assert.notDeepEqual(a, generateCounterpoint(8, { voices: 3, seed: 10 }));
+  });
+
+  it('should handle four voices in large scales', () => {
+    const chromatic = generateCounterpoint(16, { scale: 'chromatic' });
+    assert.deepEqual(findViolations(chromatic), []);
+    registerScale('edo31_test', Array.from({ length: 31 }, (_, i) => (i * 12) / 31));
+    try {
+      const voices = generateCounterpoint(4, { scale: 'edo31_test', seed: 2 });
+      assert.deepEqual(findViolations(voices), []);
+      voices.forEach((voice) => {
+        const pool = voicePool('edo31_test', 60, VOICE_RANGES[voice.name]);
+        voice.notes.forEach((n) => assert.ok(pool.includes(n)));
+      });
+    } finally {
+      unregisterScale('edo31_test');
+    }
+  });
+
+  it('should honour range overrides and reject bad options', () => {
+    const voices = generateCounterpoint(6, { voices: 2, ranges: { bass: [36, 48] }, seed: 1 });
+    voices[1].notes.forEach((n) => assert.ok(n >= 36 && n <= 48));
+    assert.throws(() => generateCounterpoint(4, { voices: 5 }), /2–4 voices, got 5/);
+    assert.throws(() => generateCounterpoint(0), /Length must be/);
+    assert.throws(() => generateCounterpoint(4, { scale: 'nope' }), /Unknown scale/);
+    assert.throws(() => generateCounterpoint(4, { ranges: { bass: [61, 61] } }), /No notes of major/);
+  });
+});
+
+describe('Counterpoint — scheduling', () => {
+  const voices = [
+    { name: 'soprano', notes: [72, 71] },
+    { name: 'bass', notes: [48, 55] },
+  ];
+
+  it('should turn voices into events on named tracks', () => {
+    const events = counterpointToEvents(voices, { stepMs: 500, startMs: 100, gate: 0.5, velocity: 70 });
+    assert.deepEqual(events[0], { voice: 0, note: 72, time: 100, duration: 250, velocity: 70, track: 'soprano' });
+    assert.deepEqual(events.map((e) => [e.track, e.time]), [
+      ['soprano', 100], ['bass', 100], ['soprano', 600], ['bass', 600],
+    ]);
+    assert.throws(() => counterpointToEvents(voices, {}), /stepMs/);
+  });
+
+  it('should schedule each voice on its own track and channel', () => {
+    const scheduler = new Scheduler(120);
+    scheduler.addTrack('bass', { channel: 9 });
+    scheduleVoices(scheduler, voices, { stepMs: 250 });
+    assert.equal(scheduler.getTrack('soprano').channel, 0);
+    assert.equal(scheduler.getTrack('bass').channel, 9);
+    assert.deepEqual(scheduler.getSchedule('bass').map((e) => e.note), [48, 55]);
+    assert.deepEqual(scheduler.getSchedule('soprano').map((e) => e.time), [0, 250]);
+  });
+});
+
+// =============================================================================
+// RHYTHM SECTION
+// =============================================================================
+
+describe('Rhythm section — bass lines', () => {
+  // C major, G7 (as a harmony.js chord), A minor, F major
+  const chords = [[60, 64, 67], { root: 67, notes: [59, 62, 65, 67] }, [57, 60, 64], [65, 69, 72]];
+
+  it('should play chord roots in the bass register', () => {
+    const events = generateBassLine(chords, { bpm: 120 });
+    assert.deepEqual(events.map((e) => e.note % 12), [0, 7, 9, 5]);
+    assert.deepEqual(events.map((e) => e.time), [0, 2000, 4000, 6000]);
+    events.forEach((e) => assert.ok(e.note >= 28 && e.note <= 52));
+    assert.equal(events[0].duration, 1800);
+    assert.equal(events[0].track, 'bass');
+  });
+
+  it('should alternate root and fifth', () => {
+    const events = generateBassLine(chords, { pattern: 'root_fifth', beatsPerChord: 2 });
+    assert.deepEqual(events.map((e) => e.note % 12), [0, 7, 7, 2, 9, 4, 5, 0]);
+    assert.deepEqual(events.slice(0, 3).map((e) => e.time), [0, 500, 1000]);
+  });
+
+  it('should walk towards the next root with a chromatic approach', () => {
+    const events = generateBassLine(chords, { pattern: 'walking', seed: 3 });
+    assert.equal(events.length, 16);
+    for (let i = 0; i < 4; i++) {
+      const bar = events.slice(i * 4, i * 4 + 4);
+      assert.equal(bar[0].note % 12, [0, 7, 9, 5][i]);
+      const next = events[((i + 1) % 4) * 4].note;
+      if (i < 3) assert.equal(Math.abs(bar[3].note - next), 1);
+    }
+    assert.deepEqual(events, generateBassLine(chords, { pattern: 'walking', seed: 3 }));
+  });
+
+  it('should reject unknown patterns and empty chord lists', () => {
+    assert.throws(() => generateBassLine(chords, { pattern: 'slap' }), /Unknown bass pattern: "slap"/);
+    assert.throws(() => generateBassLine([]), /non-empty list of chords/);
+    assert.throws(() => generateBassLine(chords, { bpm: 0 }), /BPM/);
+  });
+});
+
+describe('Rhythm section — arpeggiator', () => {
+  const chord = [[64, 60, 67]];
+
+  it('should arpeggiate up, down and up-down over an octave span', () => {
+    const notes = (mode) => arpeggiate(chord, { mode, octaves: 2, beatsPerChord: 2 }).map((e) => e.note);
+    assert.deepEqual(notes('up'), [60, 64, 67, 72, 76, 79, 60, 64]);
+    assert.deepEqual(notes('down'), [79, 76, 72, 67, 64, 60, 79, 76]);
+    assert.deepEqual(notes('up_down'), [60, 64, 67, 72, 76, 79, 76, 72]);
+  });
+
+  it('should pick seeded random chord tones', () => {
+    const events = arpeggiate(chord, { mode: 'random', seed: 5 });
+    events.forEach((e) => assert.ok([60, 64, 67].includes(e.note)));
+    assert.deepEqual(events, arpeggiate(chord, { mode: 'random', seed: 5 }));
+  });
+
+  it('should step at the rate and restart on each chord', () => {
+    const events = arpeggiate([[60, 64], [62, 65]], { rate: 'eighth', bpm: 120, beatsPerChord: 1, gate: 0.5 });
+    assert.deepEqual(events.map((e) => [e.note, e.time, e.chord]), [[60, 0, 0], [64, 250, 0], [62, 500, 1], [65, 750, 1]]);
+    assert.equal(events[0].duration, 125);
+    assert.equal(arpeggiate(chord, { rate: 'eighth 3:2', beatsPerChord: 1 }).length, 3);
+  });
+
+  it('should reject bad modes, spans and rates', () => {
+    assert.throws(() => arpeggiate(chord, { mode: 'sideways' }), /Unknown arpeggio mode/);
+    assert.throws(() => arpeggiate(chord, { octaves: 5 }), /Octave span/);
+    assert.throws(() => arpeggiate(chord, { rate: 'semibreve' }), /Unknown subdivision/);
+  });
+});
+
+describe('Rhythm section — drums', () => {
+  it('should map pattern steps to General MIDI drums', () => {
+    const events = generateDrumPattern('rock', { bpm: 120 });
+    const kicks = events.filter((e) => e.instrument === 'kick');
+    assert.deepEqual(kicks.map((e) => e.time), [0, 1000, 1500]);
+    assert.deepEqual(kicks.map((e) => e.velocity), [115, 115, 90]);
+    assert.ok(kicks.every((e) => e.note === GM_DRUMS.kick && e.track === 'drums'));
+    assert.equal(events.filter((e) => e.note === GM_DRUMS.closed_hat).length, 8);
+  });
+
+  it('should repeat for several bars', () => {
+    const events = generateDrumPattern('four_on_the_floor', { bars: 2 });
+    assert.equal(events.filter((e) => e.instrument === 'kick').length, 8);
+    assert.equal(events[events.length - 1].step, 30);
+  });
+
+  it('should accept custom patterns and euclidean rhythms', () => {
+    const events = generateDrumPattern({ cowbell: euclidean(3, 8), shaker: 'x' }, { subdivision: 'eighth' });
+    assert.deepEqual(events.filter((e) => e.instrument === 'cowbell').map((e) => e.step), [0, 3, 6]);
+    assert.equal(events.filter((e) => e.instrument === 'shaker').length, 8);
+    assert.throws(() => generateDrumPattern({ cymbal: 'x' }), /Unknown drum: "cymbal"/);
+    assert.throws(() => generateDrumPattern('polka'), /Unknown drum pattern/);
+  });
+
+  it('should vary bars deterministically per seed', () => {
+    const varied = generateDrumPattern('breakbeat', { bars: 4, variation: 1, seed: 2 });
+    assert.deepEqual(varied, generateDrumPattern('breakbeat', { bars: 4, variation: 1, seed: 2 }));
+    assert.notDeepEqual(varied, generateDrumPattern('breakbeat', { bars: 4 }));
+    assert.ok(varied.some((e) => e.instrument === 'snare' && e.velocity === 36));
+    // Accents are never dropped
+    const accents = (events) => events.filter((e) => e.velocity === 115).length;
+    assert.equal(accents(varied), accents(generateDrumPattern('breakbeat', { bars: 4 })));
+    assert.ok(Object.keys(DRUM_PATTERNS).length >= 4);
+  });
+
+  it('should schedule drums on the percussion channel', () => {
+    const scheduler = new Scheduler(120);
+    scheduleEvents(scheduler, generateDrumPattern('rock'));
+    scheduleEvents(scheduler, generateBassLine([[48, 52, 55]]));
+    assert.equal(scheduler.getTrack('drums').channel, DRUM_CHANNEL);
+    assert.equal(scheduler.getTrack('bass').channel, 0);
+    assert.equal(scheduler.getSchedule('drums').length, 13);
+
+    const other = new Scheduler(120);
+    scheduleEvents(other, generateDrumPattern('rock', { track: 'kit' }), { channel: 10 });
+    assert.equal(other.getTrack('kit').channel, 10);
+  });
 });